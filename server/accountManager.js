@@ -0,0 +1,417 @@
+// Account Manager - Lightweight player accounts and their stats
+// Accounts are a username and a salted password hash kept in the server's storage,
+// plus stats and recent games recorded whenever a signed-in player finishes a game.
+// Rated games also update each account's rating (see ratings.js).
+// Signing in hands out a session token; only its hash is stored.
+
+import { randomBytes, scrypt, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { INITIAL_RATING, PROVISIONAL_GAMES, rateGame, finishingRanks } from './ratings.js';
+
+const scryptAsync = promisify(scrypt);
+
+// Usernames: letters, numbers, - and _ (compared case-insensitively)
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 64;
+// Devices that can stay signed in to one account at a time
+const MAX_SESSIONS = 5;
+// Recent games kept on each profile
+const HISTORY_SIZE = 20;
+// Meld sizes above this are counted together ("Run of 5+")
+const MELD_SIZE_CAP = 5;
+// Most players shown on the leaderboard
+const LEADERBOARD_SIZE = 50;
+// Sign-up and sign-in attempts allowed per address and per username; each one runs scrypt
+const AUTH_RATE_LIMIT = { attempts: 5, windowMs: 60000 };
+
+// Hash a password with scrypt and a per-account salt
+async function hashPassword(password, salt) {
+    const key = await scryptAsync(password, salt, 64);
+    return key.toString('hex');
+}
+
+// Address of the client behind a socket, for rate limiting
+// Behind a trusted proxy every socket comes from the proxy, so the client is the first X-Forwarded-For hop
+export function clientAddress(handshake, trustProxy = false) {
+    if (trustProxy) {
+        const forwarded = handshake.headers?.['x-forwarded-for'];
+        const first = typeof forwarded === 'string' ? forwarded.split(',')[0].trim() : '';
+        if (first) return first;
+    }
+    return handshake.address;
+}
+
+// Session tokens are looked up by hash, so a leaked snapshot can't sign anyone in
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+class AccountManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.accounts = new Map(); // lowercase username -> account
+        this.sessions = new Map(); // token hash -> lowercase username
+        this.socketToAccount = new Map(); // socketId -> lowercase username
+        this.seats = new Map(); // odId -> lowercase username, bound when a game starts
+        this.recordedGames = new WeakSet(); // Games already counted
+        this.authTimes = new Map(); // `address:...` or `user:...` -> times of recent register/login attempts (for rate limiting)
+    }
+
+    // Load every account from storage (on boot)
+    async load() {
+        for (const account of await this.storage.loadAll()) {
+            const key = account.username.toLowerCase();
+            account.rating ??= { value: INITIAL_RATING, games: 0, peak: INITIAL_RATING };
+            this.accounts.set(key, account);
+            for (const tokenHash of account.sessions) {
+                this.sessions.set(tokenHash, key);
+            }
+        }
+        return this.accounts.size;
+    }
+
+    // Write an account back to storage
+    save(account) {
+        this.storage.save(account.username.toLowerCase(), account)
+            .catch(error => console.error(`Failed to save account ${account.username}: ${error.message}`));
+    }
+
+    // Count a register/login attempt from an address for a username, refusing it once
+    // either has made too many (so one client can't lock everyone else out, nor guess one password fast)
+    checkAuthRate(address, username) {
+        const now = Date.now();
+        for (const [key, times] of this.authTimes) {
+            const recent = times.filter(t => now - t < AUTH_RATE_LIMIT.windowMs);
+            if (recent.length) this.authTimes.set(key, recent);
+            else this.authTimes.delete(key);
+        }
+
+        const keys = [`address:${address}`, `user:${String(username ?? '').trim().toLowerCase()}`];
+        if (keys.some(key => (this.authTimes.get(key)?.length || 0) >= AUTH_RATE_LIMIT.attempts)) {
+            return { success: false, error: 'Too many attempts - wait a minute and try again' };
+        }
+        for (const key of keys) {
+            this.authTimes.set(key, [...(this.authTimes.get(key) || []), now]);
+        }
+        return null;
+    }
+
+    // Create an account and sign this socket in
+    async register(socketId, username, password, address) {
+        const limited = this.checkAuthRate(address, username);
+        if (limited) return limited;
+
+        username = String(username ?? '').trim();
+        password = String(password ?? '');
+
+        if (!USERNAME_PATTERN.test(username)) {
+            return { success: false, error: 'Username must be 3-20 letters, numbers, - or _' };
+        }
+        if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+            return { success: false, error: `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`, code: 'password-length' };
+        }
+
+        const key = username.toLowerCase();
+        if (this.accounts.has(key)) {
+            return { success: false, error: 'That username is taken' };
+        }
+
+        const salt = randomBytes(16).toString('hex');
+        const passwordHash = await hashPassword(password, salt);
+        // Checked again: another registration may have finished while hashing
+        if (this.accounts.has(key)) {
+            return { success: false, error: 'That username is taken' };
+        }
+
+        const account = {
+            username,
+            salt,
+            passwordHash,
+            createdAt: Date.now(),
+            sessions: [], // Hashes of session tokens, newest last
+            stats: {
+                gamesPlayed: 0,
+                wins: 0,
+                draws: 0,
+                remainingPoints: 0, // Total points left in hand at the end of every game
+                fastestGoOut: null, // { turns, at } - fewest turns taken to go out and win
+                melds: {} // `${kind}:${size}` -> melds laid
+            },
+            rating: { value: INITIAL_RATING, games: 0, peak: INITIAL_RATING }, // Rated games only
+            history: [] // Recent games, newest first
+        };
+        this.accounts.set(key, account);
+
+        return { success: true, ...this.startSession(socketId, account) };
+    }
+
+    // Sign in with username and password
+    async login(socketId, username, password, address) {
+        const limited = this.checkAuthRate(address, username);
+        if (limited) return limited;
+
+        const account = this.accounts.get(String(username ?? '').trim().toLowerCase());
+        // Hash even for unknown usernames so the response time doesn't reveal which exist
+        const salt = account?.salt || randomBytes(16).toString('hex');
+        const attempt = Buffer.from(await hashPassword(String(password ?? ''), salt), 'hex');
+
+        if (!account || !timingSafeEqual(attempt, Buffer.from(account.passwordHash, 'hex'))) {
+            return { success: false, error: 'Wrong username or password' };
+        }
+
+        return { success: true, ...this.startSession(socketId, account) };
+    }
+
+    // Sign a socket back in with a token from an earlier login
+    resume(socketId, token) {
+        const key = this.sessions.get(hashToken(String(token ?? '')));
+        const account = key && this.accounts.get(key);
+        if (!account) {
+            return { success: false, error: 'Session expired - please sign in again' };
+        }
+
+        this.socketToAccount.set(socketId, key);
+        return { success: true, username: account.username };
+    }
+
+    // Issue a new session token, dropping the oldest once there are too many
+    startSession(socketId, account) {
+        const key = account.username.toLowerCase();
+        const token = randomBytes(32).toString('hex');
+        const tokenHash = hashToken(token);
+
+        account.sessions.push(tokenHash);
+        this.sessions.set(tokenHash, key);
+        while (account.sessions.length > MAX_SESSIONS) {
+            this.sessions.delete(account.sessions.shift());
+        }
+        this.save(account);
+
+        this.socketToAccount.set(socketId, key);
+        return { username: account.username, token };
+    }
+
+    // Sign out: forget the token and unlink the socket
+    logout(socketId, token) {
+        const tokenHash = hashToken(String(token ?? ''));
+        const key = this.sessions.get(tokenHash);
+        const account = key && this.accounts.get(key);
+        if (account) {
+            account.sessions = account.sessions.filter(hash => hash !== tokenHash);
+            this.sessions.delete(tokenHash);
+            this.save(account);
+        }
+
+        this.socketToAccount.delete(socketId);
+        return { success: true };
+    }
+
+    // Account signed in on a socket, if any
+    getAccountBySocket(socketId) {
+        const key = this.socketToAccount.get(socketId);
+        return key ? this.accounts.get(key) : null;
+    }
+
+    // Clean up when a socket disconnects (the session itself stays valid)
+    socketDisconnected(socketId) {
+        this.socketToAccount.delete(socketId);
+    }
+
+    // Remember which account plays each seat when a game starts,
+    // so a player who drops out before the end still gets the result
+    bindSeats(game) {
+        for (const player of game.players) {
+            const key = this.socketToAccount.get(player.id);
+            if (key && !player.isTestPlayer) this.seats.set(player.odId, key);
+        }
+    }
+
+    // Record a finished game on the account of every signed-in player
+    recordGame(game) {
+        if (!game?.winner || this.recordedGames.has(game)) return;
+        this.recordedGames.add(game);
+
+        const log = game.actionLog || [];
+        const winnerIndex = game.winner.isDraw ? -1 : game.players.findIndex(p => p.id === game.winner.playerId);
+        const remaining = this.remainingPoints(game);
+        const melds = this.meldsLaid(game);
+        // The player whose action ended the game went out (a defender can win a knocked hand without going out)
+        const lastAction = log.filter(entry => entry.type !== 'win').at(-1);
+        const wentOut = winnerIndex !== -1 && lastAction?.playerIndex === winnerIndex;
+
+        // Account playing each seat, if its player is signed in
+        const seatAccounts = game.players.map(player => {
+            if (player.isTestPlayer) return null;
+            const key = this.socketToAccount.get(player.id) || this.seats.get(player.odId);
+            this.seats.delete(player.odId);
+            return (key && this.accounts.get(key)) || null;
+        });
+        const ratingChanges = this.updateRatings(game, seatAccounts, winnerIndex, remaining);
+
+        seatAccounts.forEach((account, index) => {
+            if (!account) return;
+
+            const stats = account.stats;
+            const won = index === winnerIndex;
+            const turns = log.filter(entry => entry.type === 'draw' && entry.playerIndex === index).length;
+
+            stats.gamesPlayed++;
+            if (won) stats.wins++;
+            if (game.winner.isDraw) stats.draws++;
+            stats.remainingPoints += remaining[index];
+            if (won && wentOut && (!stats.fastestGoOut || turns < stats.fastestGoOut.turns)) {
+                stats.fastestGoOut = { turns, at: Date.now() };
+            }
+            for (const meld of melds.filter(m => m.playerIndex === index)) {
+                stats.melds[meld.type] = (stats.melds[meld.type] || 0) + 1;
+            }
+
+            account.history.unshift({
+                at: Date.now(),
+                rules: game.ruleset.label,
+                opponents: game.players.filter((_, i) => i !== index).map(p => p.name),
+                result: game.winner.isDraw ? 'draw' : won ? 'win' : 'loss',
+                remainingPoints: remaining[index],
+                roundPoints: won ? game.winner.roundPoints || 0 : 0,
+                turns,
+                ratingChange: ratingChanges.get(index) ?? null // null for casual games
+            });
+            account.history.length = Math.min(account.history.length, HISTORY_SIZE);
+
+            this.save(account);
+        });
+    }
+
+    // Update ratings after a rated game and return the change for each rated seat
+    // Only signed-in players are rated, and games with test players never are
+    updateRatings(game, seatAccounts, winnerIndex, remaining) {
+        const changes = new Map(); // seat index -> rating change
+        if (!game.settings.rated || game.players.some(p => p.isTestPlayer)) return changes;
+
+        const rated = seatAccounts
+            .map((account, index) => ({ account, index }))
+            .filter(seat => seat.account);
+        // Needs two different accounts: nobody gains rating by playing themselves
+        if (new Set(rated.map(seat => seat.account)).size !== rated.length || rated.length < 2) return changes;
+
+        const ranks = finishingRanks(winnerIndex, remaining);
+        const deltas = rateGame(rated.map(({ account, index }) => ({
+            rating: account.rating.value,
+            games: account.rating.games,
+            rank: ranks[index]
+        })));
+
+        rated.forEach(({ account, index }, i) => {
+            account.rating.value += deltas[i];
+            account.rating.games++;
+            account.rating.peak = Math.max(account.rating.peak, account.rating.value);
+            changes.set(index, deltas[i]);
+        });
+        return changes;
+    }
+
+    // Points left in each player's hand when the game ended, by seat
+    // Knocked hands score deadwood after layoffs, listed knocker first
+    remainingPoints(game) {
+        const points = game.players.map(p => game.ruleset.handPoints(p.hand));
+        if (game.winner.gin) {
+            const knockerIndex = this.knockerIndex(game);
+            const defenderIndex = (knockerIndex + 1) % game.players.length;
+            points[knockerIndex] = game.winner.scores[0].points;
+            points[defenderIndex] = game.winner.scores[1].points;
+        }
+        return points;
+    }
+
+    // Seat that knocked (or declared big gin) to end a classic gin hand
+    knockerIndex(game) {
+        const knock = (game.actionLog || []).findLast(entry => entry.type === 'knock' || entry.type === 'bigGin');
+        return knock?.playerIndex ?? 0;
+    }
+
+    // Every meld laid in the game as { playerIndex, type }
+    // Table melds come from the action log (minus any that were undone); in classic gin
+    // the melds are the ones both hands were laid down with
+    meldsLaid(game) {
+        const describe = (playerIndex, cards) => {
+            const kind = game.ruleset.isValidRun(cards) ? 'run' : 'set';
+            const size = cards.length >= MELD_SIZE_CAP ? `${MELD_SIZE_CAP}+` : cards.length;
+            return { playerIndex, type: `${kind}:${size}` };
+        };
+
+        if (game.winner.gin) {
+            const knockerIndex = this.knockerIndex(game);
+            return game.winner.gin.hands.flatMap((hand, i) =>
+                hand.melds.map(cards => describe((knockerIndex + i) % game.players.length, cards)));
+        }
+
+        const played = new Map(); // meldId -> { playerIndex, cards }
+        for (const entry of game.actionLog || []) {
+            if (entry.type === 'playMeld') {
+                played.set(entry.meldId, { playerIndex: entry.playerIndex, cards: entry.cards });
+            } else if (entry.type === 'undo') {
+                const kept = new Set(entry.melds.map(m => m.id));
+                for (const meldId of played.keys()) {
+                    if (!kept.has(meldId)) played.delete(meldId);
+                }
+            }
+        }
+        return [...played.values()].map(({ playerIndex, cards }) => describe(playerIndex, cards));
+    }
+
+    // Public profile: stats and recent games, never the password hash or sessions
+    getProfile(username) {
+        const account = this.accounts.get(String(username ?? '').trim().toLowerCase());
+        if (!account) return null;
+
+        const { stats } = account;
+        const favouriteMelds = Object.entries(stats.melds)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([type, count]) => {
+                const [kind, size] = type.split(':');
+                return { type, label: `${kind === 'run' ? 'Run' : 'Set'} of ${size}`, count };
+            });
+
+        return {
+            username: account.username,
+            memberSince: account.createdAt,
+            rating: {
+                ...account.rating,
+                provisional: account.rating.games < PROVISIONAL_GAMES
+            },
+            stats: {
+                gamesPlayed: stats.gamesPlayed,
+                wins: stats.wins,
+                losses: stats.gamesPlayed - stats.wins - stats.draws,
+                draws: stats.draws,
+                winRate: stats.gamesPlayed ? Math.round(stats.wins / stats.gamesPlayed * 1000) / 10 : 0,
+                averageRemainingPoints: stats.gamesPlayed
+                    ? Math.round(stats.remainingPoints / stats.gamesPlayed * 10) / 10
+                    : 0,
+                fastestGoOut: stats.fastestGoOut,
+                meldsLaid: Object.values(stats.melds).reduce((sum, count) => sum + count, 0),
+                favouriteMelds
+            },
+            history: account.history
+        };
+    }
+
+    // Players ranked by rating, among those with at least one rated game
+    getLeaderboard() {
+        return [...this.accounts.values()]
+            .filter(account => account.rating.games > 0)
+            .sort((a, b) => b.rating.value - a.rating.value || b.rating.games - a.rating.games)
+            .slice(0, LEADERBOARD_SIZE)
+            .map((account, i) => ({
+                rank: i + 1,
+                username: account.username,
+                rating: account.rating.value,
+                games: account.rating.games,
+                provisional: account.rating.games < PROVISIONAL_GAMES
+            }));
+    }
+}
+
+export default AccountManager;
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AccountManager, { clientAddress } from './accountManager.js';
+import { MemoryStorage } from './storage.js';
+
+test('register and log in again with the same password', async () => {
+    const accounts = new AccountManager(new MemoryStorage());
+
+    const registered = await accounts.register('s1', 'Alice', 'secret1', '10.0.0.1');
+    assert.equal(registered.success, true);
+    assert.equal(registered.username, 'Alice');
+    assert.equal(accounts.getAccountBySocket('s1').username, 'Alice');
+
+    const loggedIn = await accounts.login('s2', 'alice', 'secret1', '10.0.0.2');
+    assert.equal(loggedIn.success, true);
+    assert.equal(loggedIn.username, 'Alice');
+    assert.notEqual(loggedIn.token, registered.token);
+    assert.equal(accounts.resume('s3', loggedIn.token).username, 'Alice');
+});
+
+test('a wrong password does not sign in', async () => {
+    const accounts = new AccountManager(new MemoryStorage());
+    await accounts.register('s1', 'Alice', 'secret1', '10.0.0.1');
+
+    const result = await accounts.login('s2', 'Alice', 'wrong-password', '10.0.0.2');
+
+    assert.deepEqual(result, { success: false, error: 'Wrong username or password' });
+    assert.equal(accounts.getAccountBySocket('s2'), null);
+});
+
+test('the 6th attempt from one address inside a minute is refused', async () => {
+    const accounts = new AccountManager(new MemoryStorage());
+    for (let i = 0; i < 5; i++) {
+        const result = await accounts.login('s1', `user${i}`, 'secret1', '10.0.0.1');
+        assert.equal(result.error, 'Wrong username or password');
+    }
+
+    const sixth = await accounts.register('s1', 'Alice', 'secret1', '10.0.0.1');
+    assert.equal(sixth.success, false);
+    assert.match(sixth.error, /Too many attempts/);
+
+    // Another address is not held back
+    assert.equal((await accounts.register('s2', 'Alice', 'secret1', '10.0.0.2')).success, true);
+});
+
+test('the 6th attempt on one username inside a minute is refused from any address', async () => {
+    const accounts = new AccountManager(new MemoryStorage());
+    await accounts.register('s1', 'Alice', 'secret1', '10.0.0.1');
+    for (let i = 0; i < 4; i++) {
+        await accounts.login('s2', 'Alice', 'wrong-password', `10.0.1.${i}`);
+    }
+
+    const sixth = await accounts.login('s2', 'alice', 'secret1', '10.0.2.1');
+    assert.match(sixth.error, /Too many attempts/);
+});
+
+test('clientAddress reads X-Forwarded-For only behind a trusted proxy', () => {
+    const handshake = { address: '10.1.1.1', headers: { 'x-forwarded-for': '203.0.113.5, 10.1.1.1' } };
+
+    assert.equal(clientAddress(handshake), '10.1.1.1');
+    assert.equal(clientAddress(handshake, true), '203.0.113.5');
+    assert.equal(clientAddress({ address: '10.1.1.1', headers: {} }, true), '10.1.1.1');
+});
@@ -0,0 +1,669 @@
+// Bot AI - Decides what a bot seat does on its turn
+// Decisions are pure: the bot reads a copy of the game from the bot's seat
+// (see GameManager.getBotView) and returns the actions it wants to take.
+// GameManager applies them through the same methods human players use, so a
+// bot can never make a move that a player couldn't.
+//
+// Actions:
+//   { type: 'draw', source: 'deck' | 'discard' }
+//   { type: 'rearrange', proposedMelds: [{ id?, cards: [cardId] }] }
+//   { type: 'addToMeld', cardId, meldId, position: 'start' | 'end' }
+//   { type: 'playMeld', cardIds }
+//   { type: 'discard', cardId }
+//   { type: 'knock', cardId }
+//   { type: 'bigGin' }
+//   { type: 'endTurn' }
+
+import { createMultipleDecks, JOKER } from './deck.js';
+
+// Bot strategy levels
+// Easy bots only draw from the deck, discard their highest loose card and wait until
+// their hand is nearly gone to rearrange the table, Normal bots use the
+// heuristics below, Hard bots read opponents' discard pickups and weigh draws
+export const BOT_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+// Extra cost of a loose card in shared-table rummy, where going out first matters more than points
+const LOOSE_CARD_COST = 10;
+// How many hand points a Hard bot will give up to avoid feeding an opponent one risk point
+const FEED_WEIGHT = 1;
+// Most meld combinations one table rearrangement search tries before settling for the best so far
+// (wild cards can each fill many melds, which makes the search grow quickly)
+const MAX_ARRANGEMENT_NODES = 20000;
+// Easy bots only try rearranging the table once they are down to this many cards
+const EASY_REARRANGE_HAND = 3;
+
+// Decide the bot's next actions from its view of the game
+// Draw phase returns the draw; play phase returns every play up to the discard,
+// except a table rearrangement, which is returned alone because it changes the melds.
+// options.allowRearrange is turned off once the bot has tried rearranging this turn
+export function chooseBotActions(view, ruleset, difficulty = 'normal', options = {}) {
+    const { allowRearrange = true } = options;
+
+    if (view.phase === 'draw') {
+        return [{ type: 'draw', source: chooseDraw(view, ruleset, difficulty) }];
+    }
+
+    if (ruleset.knocking) {
+        return chooseGinPlay(view, ruleset, difficulty);
+    }
+    return chooseRummyPlays(view, ruleset, difficulty, allowRearrange);
+}
+
+// ========================================
+// HAND ANALYSIS
+// ========================================
+
+// Find possible melds in a hand
+// Natural melds come first; melds that need a wild card to fill them follow
+function findPossibleMelds(hand, ruleset) {
+    const melds = [];
+
+    // Group cards by suit for runs
+    const bySuit = {};
+    hand.forEach(card => {
+        if (!bySuit[card.suit]) bySuit[card.suit] = [];
+        bySuit[card.suit].push(card);
+    });
+
+    // Check for runs in each suit
+    for (const suit of Object.keys(bySuit)) {
+        const cards = bySuit[suit].sort((a, b) => a.value - b.value);
+        if (cards.length >= 3) {
+            // Find consecutive sequences
+            let run = [cards[0]];
+            for (let i = 1; i < cards.length; i++) {
+                if (cards[i].value === run[run.length - 1].value + 1) {
+                    run.push(cards[i]);
+                } else if (cards[i].value !== run[run.length - 1].value) {
+                    if (run.length >= 3) melds.push([...run]);
+                    run = [cards[i]];
+                }
+            }
+            if (run.length >= 3) melds.push(run);
+        }
+    }
+
+    // Group cards by rank for sets
+    const byRank = {};
+    hand.forEach(card => {
+        if (!byRank[card.rank]) byRank[card.rank] = [];
+        byRank[card.rank].push(card);
+    });
+
+    // Check for sets (jokers only ever fill other melds)
+    for (const rank of Object.keys(byRank)) {
+        if (rank !== JOKER && byRank[rank].length >= 3) {
+            melds.push(byRank[rank].slice(0, Math.min(4, byRank[rank].length)));
+        }
+    }
+
+    return [...melds, ...findWildMelds(hand, ruleset)];
+}
+
+// Melds of two natural cards and one wild: a pair of the same rank, or two cards
+// of a suit close enough for the wild to make a run
+// One meld per wild card, so a search can spend different wilds on different melds
+function findWildMelds(cards, ruleset) {
+    const wilds = cards.filter(c => ruleset.isWild(c));
+    if (wilds.length === 0) return [];
+
+    const naturals = cards.filter(c => !ruleset.isWild(c));
+    const melds = [];
+    for (let i = 0; i < naturals.length; i++) {
+        for (let j = i + 1; j < naturals.length; j++) {
+            const a = naturals[i];
+            const b = naturals[j];
+            if (a.rank !== b.rank && a.suit !== b.suit) continue;
+            for (const wild of wilds) {
+                const meld = [a, b, wild];
+                if (ruleset.isValidMeld(meld)) melds.push(meld);
+            }
+        }
+    }
+    return melds;
+}
+
+// Check if a card can be added to an existing meld
+function canAddToMeld(card, meld, ruleset) {
+    // Try adding at start
+    const withStart = [card, ...meld.cards];
+    if (ruleset.isValidMeld(withStart)) {
+        return { position: 'start', valid: true };
+    }
+
+    // Try adding at end
+    const withEnd = [...meld.cards, card];
+    if (ruleset.isValidMeld(withEnd)) {
+        return { position: 'end', valid: true };
+    }
+
+    return { valid: false };
+}
+
+// Check if the discard card is useful for the bot
+function isDiscardCardUseful(discardCard, hand, melds, ruleset) {
+    if (!discardCard) return false;
+
+    // Check if it can extend an existing meld
+    for (const meld of melds) {
+        if (canAddToMeld(discardCard, meld, ruleset).valid) {
+            return true;
+        }
+    }
+
+    // Check if it helps form a new meld with hand cards
+    const testHand = [...hand, discardCard];
+    const possibleMelds = findPossibleMelds(testHand, ruleset);
+    const currentMelds = findPossibleMelds(hand, ruleset);
+
+    // If adding this card creates more melds, it's useful
+    return possibleMelds.length > currentMelds.length;
+}
+
+// Find the best card to discard
+// Also used to auto-play a human turn when the turn clock runs out
+export function findBestDiscard(hand, melds, ruleset) {
+    if (hand.length === 0) return null;
+
+    // Score each card by how useful it is
+    const cardScores = hand.map(card => {
+        let score = card.value; // Base score is card value (higher = worse to keep)
+
+        // Check if card can extend a meld on table
+        for (const meld of melds) {
+            if (canAddToMeld(card, meld, ruleset).valid) {
+                score -= 20; // Very useful, don't discard
+            }
+        }
+
+        // Check if card is part of a potential meld in hand
+        const handWithoutCard = hand.filter(c => c.id !== card.id);
+        const meldsWithCard = findPossibleMelds(hand, ruleset);
+        const meldsWithoutCard = findPossibleMelds(handWithoutCard, ruleset);
+
+        if (meldsWithCard.length > meldsWithoutCard.length) {
+            score -= 15; // Part of a meld, don't discard
+        }
+
+        // Check for partial melds (2 cards that could become 3)
+        const sameRank = hand.filter(c => c.rank === card.rank && c.id !== card.id);
+        const sameSuit = hand.filter(c => c.suit === card.suit && c.id !== card.id);
+
+        if (sameRank.length >= 1) {
+            score -= 5; // Potential set
+        }
+
+        // Check for consecutive cards in same suit
+        const consecutive = sameSuit.filter(c =>
+            Math.abs(c.value - card.value) === 1
+        );
+        if (consecutive.length >= 1) {
+            score -= 5; // Potential run
+        }
+
+        return { card, score };
+    });
+
+    // Sort by score descending (highest score = best to discard)
+    cardScores.sort((a, b) => b.score - a.score);
+    return cardScores[0].card;
+}
+
+// ========================================
+// FULL TABLE REARRANGEMENT
+// ========================================
+
+// Find all possible runs in a set of cards
+function findAllRuns(cards) {
+    const runs = [];
+
+    // Group by suit
+    const bySuit = {};
+    cards.forEach(card => {
+        if (!bySuit[card.suit]) bySuit[card.suit] = [];
+        bySuit[card.suit].push(card);
+    });
+
+    // Find runs in each suit
+    for (const suit of Object.keys(bySuit)) {
+        const suitCards = bySuit[suit].sort((a, b) => a.value - b.value);
+
+        // Find all possible consecutive sequences of 3+
+        for (let start = 0; start < suitCards.length; start++) {
+            let run = [suitCards[start]];
+
+            for (let i = start + 1; i < suitCards.length; i++) {
+                if (suitCards[i].value === run[run.length - 1].value + 1) {
+                    run.push(suitCards[i]);
+                    if (run.length >= 3) {
+                        runs.push([...run]);
+                    }
+                } else if (suitCards[i].value !== run[run.length - 1].value) {
+                    break;
+                }
+            }
+        }
+    }
+
+    return runs;
+}
+
+// Find all possible sets in a set of cards
+function findAllSets(cards) {
+    const sets = [];
+
+    // Group by rank
+    const byRank = {};
+    cards.forEach(card => {
+        if (!byRank[card.rank]) byRank[card.rank] = [];
+        byRank[card.rank].push(card);
+    });
+
+    // Find sets of 3 or 4 (jokers only ever fill other melds)
+    for (const rank of Object.keys(byRank)) {
+        if (rank === JOKER) continue;
+        const rankCards = byRank[rank];
+        if (rankCards.length >= 3) {
+            // Add set of 3
+            sets.push(rankCards.slice(0, 3));
+            // Add set of 4 if possible
+            if (rankCards.length >= 4) {
+                sets.push(rankCards.slice(0, 4));
+            }
+        }
+    }
+
+    return sets;
+}
+
+// Try to find a valid arrangement of cards into melds
+// Returns { success: boolean, melds: array, unusedCards: array }
+function findValidArrangement(cards, ruleset, requiredCardIds = new Set()) {
+    // Find all possible melds
+    const allRuns = findAllRuns(cards);
+    const allSets = findAllSets(cards);
+    const allMelds = [...allRuns, ...allSets, ...findWildMelds(cards, ruleset)];
+
+    if (allMelds.length === 0) {
+        return { success: false, melds: [], unusedCards: cards };
+    }
+
+    // Try to find a combination that uses all required cards
+    return findBestMeldCombination(cards, allMelds, requiredCardIds, { nodes: MAX_ARRANGEMENT_NODES });
+}
+
+// Recursive function to find the best combination of melds
+// Melds are only tried in list order (startIndex), so each combination is searched once
+// rather than once per ordering, and a branch stops as soon as a required card has no
+// meld left that could still hold it
+// budget.nodes counts down the combinations left to try
+function findBestMeldCombination(availableCards, possibleMelds, requiredCardIds, budget, currentMelds = [], depth = 0, startIndex = 0) {
+    budget.nodes--;
+    const usedIds = new Set(currentMelds.flatMap(m => m.map(c => c.id)));
+    const unusedCards = availableCards.filter(c => !usedIds.has(c.id));
+
+    // Check if we've covered all required cards
+    const coversRequired = [...requiredCardIds].every(id => usedIds.has(id));
+
+    const current = {
+        success: coversRequired,
+        melds: currentMelds,
+        unusedCards,
+        handCardsUsed: currentMelds.flatMap(m => m).filter(c => !requiredCardIds.has(c.id)).length
+    };
+
+    // Limit recursion depth and breadth for performance
+    if (depth > 10 || budget.nodes <= 0) return current;
+
+    // Filter later melds that don't conflict with already used cards
+    const validMelds = [];
+    for (let i = startIndex; i < possibleMelds.length; i++) {
+        if (possibleMelds[i].every(card => !usedIds.has(card.id))) validMelds.push(i);
+    }
+
+    // A required card nothing left can cover makes every deeper combination fail
+    const coverable = new Set(validMelds.flatMap(i => possibleMelds[i].map(c => c.id)));
+    if ([...requiredCardIds].some(id => !usedIds.has(id) && !coverable.has(id))) return current;
+
+    // Try adding each possible meld and recurse
+    let bestResult = current;
+
+    for (const i of validMelds) {
+        const result = findBestMeldCombination(
+            availableCards,
+            possibleMelds,
+            requiredCardIds,
+            budget,
+            [...currentMelds, possibleMelds[i]],
+            depth + 1,
+            i + 1
+        );
+
+        // Prefer results that: 1) cover required cards, 2) use more hand cards
+        if (result.success && (!bestResult.success || result.handCardsUsed > bestResult.handCardsUsed)) {
+            bestResult = result;
+        }
+    }
+
+    return bestResult;
+}
+
+// Attempt full table rearrangement
+// Returns { success: boolean, melds: array of card arrays, cardsFromHand: array of card IDs }
+function tryBotRearrangement(tableCards, hand, requiredTableCardIds, ruleset) {
+    // Combine table cards with hand cards
+    const allCards = [...tableCards, ...hand];
+
+    // Try to find an arrangement that uses all table cards plus some hand cards
+    const result = findValidArrangement(allCards, ruleset, requiredTableCardIds);
+
+    if (!result.success) {
+        return { success: false };
+    }
+
+    // Check that all table cards are used
+    const usedIds = new Set(result.melds.flatMap(m => m.map(c => c.id)));
+    const allTableCardsUsed = [...requiredTableCardIds].every(id => usedIds.has(id));
+
+    if (!allTableCardsUsed) {
+        return { success: false };
+    }
+
+    // Every meld must also satisfy the game's ruleset
+    if (!result.melds.every(cards => ruleset.isValidMeld(cards))) {
+        return { success: false };
+    }
+
+    // Find which hand cards were used
+    const handCardIds = new Set(hand.map(c => c.id));
+    const cardsFromHand = result.melds.flatMap(m => m).filter(c => handCardIds.has(c.id));
+
+    // Only proceed if we're using at least one hand card and have at least one card left
+    if (cardsFromHand.length === 0) {
+        return { success: false };
+    }
+
+    if (hand.length - cardsFromHand.length === 0) {
+        return { success: false }; // Must keep at least one card to discard
+    }
+
+    return {
+        success: true,
+        melds: result.melds,
+        cardsFromHand: cardsFromHand.map(c => c.id)
+    };
+}
+
+// Give each rebuilt meld the ID of the table meld it shares the most cards with,
+// so melds keep their owner; each ID goes to one meld, the rest stay new (undefined)
+function matchMeldIds(newMelds, tableMelds) {
+    const pairs = [];
+    newMelds.forEach((cards, newIndex) => {
+        const ids = new Set(cards.map(c => c.id));
+        for (const meld of tableMelds) {
+            const shared = meld.cards.filter(c => ids.has(c.id)).length;
+            if (shared > 0) pairs.push({ newIndex, id: meld.id, shared });
+        }
+    });
+    pairs.sort((a, b) => b.shared - a.shared);
+
+    const ids = new Array(newMelds.length).fill(undefined);
+    const usedIds = new Set();
+    for (const { newIndex, id } of pairs) {
+        if (ids[newIndex] !== undefined || usedIds.has(id)) continue;
+        ids[newIndex] = id;
+        usedIds.add(id);
+    }
+    return ids;
+}
+
+// ========================================
+// HARD STRATEGY
+// ========================================
+
+// Memoized check for whether a card extends a meld on the table
+function layOffChecker(melds, ruleset) {
+    const cache = new Map();
+    return card => {
+        if (!cache.has(card.id)) {
+            cache.set(card.id, melds.some(meld => canAddToMeld(card, meld, ruleset).valid));
+        }
+        return cache.get(card.id);
+    };
+}
+
+// Points a hand would still be stuck with after melding what it can
+// Cards with a partner for a future meld count half
+function evaluateHand(hand, canLayOff, ruleset) {
+    const melded = new Set(findPossibleMelds(hand, ruleset).flat().map(c => c.id));
+    let points = 0;
+    for (const card of hand) {
+        if (melded.has(card.id) || ruleset.isWild(card) || canLayOff(card)) continue;
+        const hasPartner = hand.some(c => c.id !== card.id &&
+            (c.rank === card.rank || (c.suit === card.suit && Math.abs(c.value - card.value) <= 2)));
+        points += (LOOSE_CARD_COST + ruleset.handPoints([card])) * (hasPartner ? 0.5 : 1);
+    }
+    return points;
+}
+
+// Hand evaluator for the game's rules (exact deadwood under knocking rules)
+function handEvaluator(melds, ruleset) {
+    if (ruleset.knocking) return hand => ruleset.deadwood(hand);
+    const canLayOff = layOffChecker(melds, ruleset);
+    return hand => evaluateHand(hand, canLayOff, ruleset);
+}
+
+// Lowest evaluation reachable by discarding one card from a hand
+function bestEvaluationAfterDiscard(hand, evaluate, excludeCardId = null) {
+    let best = Infinity;
+    for (const card of hand) {
+        if (card.id === excludeCardId) continue;
+        best = Math.min(best, evaluate(hand.filter(c => c.id !== card.id)));
+    }
+    return best;
+}
+
+// Cards the bot hasn't seen: not in its hand, the discard pile or on the table
+// Duplicates from extra decks are collapsed since they play the same
+function unseenCards(view, ruleset) {
+    const seen = new Set([
+        ...view.myHand,
+        ...view.discardPile,
+        ...view.melds.flatMap(m => m.cards)
+    ].map(c => c.id));
+
+    const unseen = new Map();
+    for (const card of createMultipleDecks(ruleset.numDecks(), ruleset.jokersPerDeck)) {
+        if (!seen.has(card.id)) unseen.set(`${card.rank}_${card.suit}`, card);
+    }
+    return [...unseen.values()];
+}
+
+// Hard draw: take the discard only if it beats the average card from the deck
+function chooseHardDraw(view, ruleset) {
+    const discardTop = view.discardTop;
+    if (!discardTop) return 'deck';
+
+    const hand = view.myHand;
+    const evaluate = handEvaluator(view.melds, ruleset);
+    // Under knocking rules the card taken from the discard pile can't be thrown straight back
+    const withDiscard = bestEvaluationAfterDiscard(
+        [...hand, discardTop], evaluate, ruleset.knocking ? discardTop.id : null
+    );
+
+    const unseen = unseenCards(view, ruleset);
+    if (unseen.length === 0) return 'discard';
+    const expectedFromDeck = unseen
+        .reduce((sum, card) => sum + bestEvaluationAfterDiscard([...hand, card], evaluate), 0) / unseen.length;
+
+    return withDiscard < expectedFromDeck ? 'discard' : 'deck';
+}
+
+// How much a discard would help opponents, from what they have picked up
+// A pickup hints at a set of that rank or a run around it in that suit
+function feedRisk(card, view, melds, ruleset) {
+    let risk = 0;
+    for (const { playerIndex, card: taken } of view.discardPickups) {
+        if (playerIndex === view.myIndex) continue;
+        if (taken.rank === card.rank) {
+            risk += 2;
+        } else if (taken.suit === card.suit && Math.abs(taken.value - card.value) <= 2) {
+            risk += 1;
+        }
+    }
+    // Shared table: the next player could lay it straight off
+    if (ruleset.tableMelds && melds.some(meld => canAddToMeld(card, meld, ruleset).valid)) {
+        risk += 3;
+    }
+    return risk;
+}
+
+// Hard discard: keep the strongest hand while not feeding opponents
+// Wild cards are never thrown away
+function chooseHardDiscard(hand, melds, view, ruleset, excludeCardId = null) {
+    const evaluate = handEvaluator(melds, ruleset);
+
+    let best = null;
+    for (const card of hand) {
+        if (card.id === excludeCardId || ruleset.isWild(card)) continue;
+        const score = evaluate(hand.filter(c => c.id !== card.id)) +
+            feedRisk(card, view, melds, ruleset) * FEED_WEIGHT;
+        if (!best || score < best.score) best = { card, score };
+    }
+    return best ? best.card : hand.find(c => c.id !== excludeCardId);
+}
+
+// Easy discard: throw the highest-value card that isn't already in a meld
+function chooseEasyDiscard(hand, ruleset, excludeCardId = null) {
+    const melded = new Set(findPossibleMelds(hand, ruleset).flat().map(c => c.id));
+    const candidates = hand.filter(c => c.id !== excludeCardId);
+    const loose = candidates.filter(c => !melded.has(c.id));
+    return (loose.length > 0 ? loose : candidates)
+        .reduce((worst, card) => ruleset.handPoints([card]) > ruleset.handPoints([worst]) ? card : worst);
+}
+
+// ========================================
+// TURN DECISIONS
+// ========================================
+
+// Choose where to draw from (Easy bots always draw blind)
+function chooseDraw(view, ruleset, difficulty) {
+    const discardTop = view.discardTop;
+    if (!discardTop || difficulty === 'easy') return 'deck';
+    if (difficulty === 'hard') return chooseHardDraw(view, ruleset);
+
+    if (ruleset.knocking) {
+        // Take the discard only if it lowers deadwood
+        const withDiscard = ruleset.bestDiscard([...view.myHand, discardTop], discardTop.id);
+        return withDiscard && withDiscard.deadwoodPoints < ruleset.deadwood(view.myHand) ? 'discard' : 'deck';
+    }
+    return isDiscardCardUseful(discardTop, view.myHand, view.melds, ruleset) ? 'discard' : 'deck';
+}
+
+// Classic gin: big gin or knock as soon as possible, otherwise discard
+function chooseGinPlay(view, ruleset, difficulty) {
+    const hand = view.myHand;
+
+    if (ruleset.bigGin && ruleset.deadwood(hand) === 0) {
+        return [{ type: 'bigGin' }];
+    }
+
+    const best = ruleset.bestDiscard(hand, view.drawnFromDiscard);
+    if (best.deadwoodPoints <= ruleset.knockLimit) {
+        return [{ type: 'knock', cardId: best.card.id }];
+    }
+
+    let discardCard = best.card;
+    if (difficulty === 'hard') {
+        discardCard = chooseHardDiscard(hand, view.melds, view, ruleset, view.drawnFromDiscard);
+    } else if (difficulty === 'easy') {
+        discardCard = chooseEasyDiscard(hand, ruleset, view.drawnFromDiscard);
+    }
+    return [{ type: 'discard', cardId: discardCard.id }];
+}
+
+// Shared-table rummy: rearrange the table, lay off, play melds from hand, then discard
+// Plays are worked out on a copy of the hand and table so each one builds on the last
+function chooseRummyPlays(view, ruleset, difficulty, allowRearrange) {
+    const hand = [...view.myHand];
+    const melds = view.melds.map(m => ({ ...m, cards: [...m.cards] }));
+    const actions = [];
+
+    // Strategy 1: Try full table rearrangement if there are melds on table
+    // Easy bots wait until they are stuck with a few cards, or they would never get rid of them
+    if (allowRearrange && (difficulty !== 'easy' || hand.length <= EASY_REARRANGE_HAND) && melds.length > 0 && hand.length > 1) {
+        const tableCards = melds.flatMap(m => m.cards);
+        const requiredTableCardIds = new Set(tableCards.map(c => c.id));
+        const result = tryBotRearrangement(tableCards, hand, requiredTableCardIds, ruleset);
+
+        if (result.success) {
+            const ids = matchMeldIds(result.melds, melds);
+            return [{
+                type: 'rearrange',
+                proposedMelds: result.melds.map((cards, i) => ({ id: ids[i], cards: cards.map(c => c.id) }))
+            }];
+        }
+    }
+
+    // Strategy 2: Try to add individual cards to existing melds
+    let addedToMeld = true;
+    while (addedToMeld && hand.length > 1) {
+        addedToMeld = false;
+
+        for (const meld of melds) {
+            for (let i = 0; i < hand.length; i++) {
+                const card = hand[i];
+                const result = canAddToMeld(card, meld, ruleset);
+
+                if (result.valid && hand.length > 1) {
+                    actions.push({ type: 'addToMeld', cardId: card.id, meldId: meld.id, position: result.position });
+                    if (result.position === 'start') {
+                        meld.cards.unshift(card);
+                    } else {
+                        meld.cards.push(card);
+                    }
+                    hand.splice(i, 1);
+                    addedToMeld = true;
+                    break;
+                }
+            }
+            if (addedToMeld) break;
+        }
+    }
+
+    // Strategy 3: Play new melds from hand
+    for (const meldCards of findPossibleMelds(hand, ruleset)) {
+        // Melds can overlap (a card in both a run and a set), so skip cards already played
+        if (!meldCards.every(card => hand.some(c => c.id === card.id))) continue;
+
+        // Ensure playing this meld leaves at least 1 card
+        if (hand.length - meldCards.length === 0) continue;
+
+        if (ruleset.isValidMeld(meldCards)) {
+            actions.push({ type: 'playMeld', cardIds: meldCards.map(c => c.id) });
+            for (const card of meldCards) {
+                hand.splice(hand.findIndex(c => c.id === card.id), 1);
+            }
+            melds.push({ id: null, cards: meldCards });
+        }
+    }
+
+    // Going out without a discard
+    if (ruleset.checkWin(hand)) {
+        actions.push({ type: 'endTurn' });
+        return actions;
+    }
+
+    // Discard
+    let discardCard;
+    if (difficulty === 'hard') {
+        discardCard = chooseHardDiscard(hand, melds, view, ruleset);
+    } else if (difficulty === 'easy') {
+        discardCard = chooseEasyDiscard(hand, ruleset);
+    } else {
+        discardCard = findBestDiscard(hand, melds, ruleset);
+    }
+    actions.push({ type: 'discard', cardId: discardCard.id });
+
+    return actions;
+}
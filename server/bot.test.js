@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseBotActions, BOT_DIFFICULTIES } from './bot.js';
+import GameManager from './gameManager.js';
+import { createRuleset } from './rulesets.js';
+
+const card = (rank, suit, value) => ({ id: `${rank}_${suit}`, rank, suit, value });
+
+test('a bot rearranging the table keeps the IDs of the melds it rebuilds', () => {
+    const view = {
+        phase: 'play',
+        myHand: [card('4', 'hearts', 4), card('8', 'hearts', 8), card('K', 'clubs', 13)],
+        melds: [
+            { id: 'run', playerId: 'p2', cards: [card('5', 'hearts', 5), card('6', 'hearts', 6), card('7', 'hearts', 7)] },
+            { id: 'set', playerId: 'p2', cards: [card('8', 'spades', 8), card('8', 'clubs', 8), card('8', 'diamonds', 8)] }
+        ]
+    };
+
+    const [action] = chooseBotActions(view, createRuleset({}), 'hard');
+
+    assert.equal(action.type, 'rearrange');
+    const byId = Object.fromEntries(action.proposedMelds.map(m => [m.id, m.cards]));
+    assert.deepEqual(Object.keys(byId).sort(), ['run', 'set']);
+    assert.ok(byId.run.includes('5_hearts'));
+    assert.ok(byId.set.includes('8_spades'));
+});
+
+test('bots of every difficulty play a game through without a rejected action', () => {
+    for (const difficulty of BOT_DIFFICULTIES) {
+        const gameManager = new GameManager(null);
+        const players = ['b1', 'b2', 'b3'].map(id => ({ id, odId: id, name: id, isTestPlayer: true, difficulty }));
+        const game = gameManager.initGame('BOTS', players, { seed: 7 }, 0);
+
+        for (let turn = 0; turn < 500 && !game.winner; turn++) {
+            const result = gameManager.playBotTurn('BOTS');
+            if (result?.error === 'No cards left') break;
+            assert.ok(result?.success || result?.winner, `${difficulty} bot turn ${turn}: ${result?.error}`);
+            // Every turn ends on a discard unless the bot went out
+            if (!game.winner) assert.equal(result.actions.at(-1).type, 'discard');
+        }
+    }
+});
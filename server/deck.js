@@ -1,8 +1,15 @@
 // Deck management for Gin Rummy
 // Handles deck creation, shuffling, and card identification
 
+import { secureRandom } from './random.js';
+
 export const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 export const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+export const JOKER = 'JOKER';
+
+// Most decks shuffled together, and most jokers added to each deck
+export const MAX_DECKS = 4;
+export const MAX_JOKERS_PER_DECK = 4;
 
 // Get numeric value for a rank (for run validation)
 export function getRankValue(rank) {
@@ -13,8 +20,8 @@ export function getRankValue(rank) {
     return parseInt(rank);
 }
 
-// Create a single deck of 52 cards
-export function createDeck(deckIndex = 0) {
+// Create a single deck of 52 cards plus any jokers
+export function createDeck(deckIndex = 0, jokers = 0) {
     const cards = [];
     for (const suit of SUITS) {
         for (const rank of RANKS) {
@@ -27,23 +34,34 @@ export function createDeck(deckIndex = 0) {
             });
         }
     }
+    for (let i = 0; i < jokers; i++) {
+        cards.push({
+            id: `${deckIndex}_${JOKER}_${i}`,
+            rank: JOKER,
+            suit: 'joker',
+            value: 0,
+            deckIndex
+        });
+    }
     return cards;
 }
 
 // Create multiple decks combined
-export function createMultipleDecks(numDecks) {
+// Pass a random function to get the cards back already shuffled with it
+export function createMultipleDecks(numDecks, jokersPerDeck = 0, random = null) {
     let allCards = [];
     for (let i = 0; i < numDecks; i++) {
-        allCards = allCards.concat(createDeck(i));
+        allCards = allCards.concat(createDeck(i, jokersPerDeck));
     }
-    return allCards;
+    return random ? shuffle(allCards, random) : allCards;
 }
 
 // Fisher-Yates shuffle algorithm
-export function shuffle(cards) {
+// random is any function returning [0, 1), so a seeded generator gives a repeatable order
+export function shuffle(cards, random = secureRandom) {
     const shuffled = [...cards];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
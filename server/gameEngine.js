@@ -1,86 +1,130 @@
 // Game Engine - Core game rules and validation
 // Handles meld validation, table rearrangement, and win conditions
 
-import { getRankValue } from './deck.js';
+import { JOKER } from './deck.js';
 
-// Check if cards form a valid run (3+ consecutive cards of same suit)
-export function isValidRun(cards) {
-    if (cards.length < 3) return false;
+// Penalty for a joker left in hand
+export const JOKER_POINTS = 25;
 
-    // All cards must be same suit
-    const suit = cards[0].suit;
-    if (!cards.every(card => card.suit === suit)) return false;
+// Ways an Ace may be used in runs
+// low: A-2-3 only, highOrLow: A-2-3 or Q-K-A, aroundTheCorner: K-A-2 as well
+export const ACE_MODES = ['low', 'highOrLow', 'aroundTheCorner'];
 
-    // Sort by value (Ace = 1, J = 11, Q = 12, K = 13)
-    const sorted = [...cards].sort((a, b) => a.value - b.value);
+// Point values an Ace left in hand may be worth
+export const ACE_POINTS = [1, 11, 15];
 
-    // Check if it's a regular consecutive run
-    function isConsecutive(sortedCards) {
-        for (let i = 1; i < sortedCards.length; i++) {
-            if (sortedCards[i].value !== sortedCards[i - 1].value + 1) {
-                return false;
-            }
-        }
-        return true;
-    }
+// Meld options used when none are given (no wild cards)
+// deucesWild: 2s act as wild cards as well as jokers
+// maxWilds: most wild cards a single meld may contain
+// aceMode: one of ACE_MODES
+export const DEFAULT_MELD_OPTIONS = { deucesWild: false, maxWilds: 1, aceMode: 'highOrLow' };
+
+// Highest maxWilds a game may be set to
+export const MAX_WILDS_PER_MELD = 4;
 
-    // First try: normal run (Ace low: A-2-3, or other consecutive)
-    if (isConsecutive(sorted)) {
-        return true;
+// Check if a card is wild (jokers always, 2s when deuces are wild)
+export function isWildCard(card, options = {}) {
+    return card.rank === JOKER || (Boolean(options.deucesWild) && card.rank === '2');
+}
+
+// Ways to read a meld as natural cards plus wild substitutes
+// Jokers are always wild. A wild deuce may also stand for itself, but a valid
+// meld can only use one natural deuce in a run, or all of them in a set of 2s.
+function readMeld(cards, options) {
+    const jokers = cards.filter(c => c.rank === JOKER);
+    const deuces = options.deucesWild ? cards.filter(c => c.rank === '2') : [];
+    const others = cards.filter(c => c.rank !== JOKER && !deuces.includes(c));
+
+    const readings = [{ naturals: others, wilds: [...jokers, ...deuces] }];
+    for (const deuce of deuces) {
+        readings.push({ naturals: [...others, deuce], wilds: [...jokers, ...deuces.filter(d => d !== deuce)] });
     }
+    if (deuces.length > 1) {
+        readings.push({ naturals: [...others, ...deuces], wilds: jokers });
+    }
+    return readings;
+}
 
-    // Second try: Ace-high run (Q-K-A where A counts as 14)
-    // Check if we have an Ace and the rest are at the high end (Q, K, etc.)
-    const hasAce = sorted.some(c => c.rank === 'A');
-    if (hasAce) {
-        // Re-sort with Ace = 14
-        const sortedAceHigh = [...cards].sort((a, b) => {
-            const valA = a.rank === 'A' ? 14 : a.value;
-            const valB = b.rank === 'A' ? 14 : b.value;
-            return valA - valB;
-        });
+// Wild cards must stay within the per-meld limit and may not outnumber natural cards
+function wildsAllowed({ naturals, wilds }, options) {
+    if (wilds.length === 0) return true;
+    const maxWilds = options.maxWilds ?? DEFAULT_MELD_OPTIONS.maxWilds;
+    return wilds.length <= maxWilds && naturals.length >= wilds.length;
+}
 
-        // Check if consecutive with Ace as 14
-        let isAceHighConsecutive = true;
-        for (let i = 1; i < sortedAceHigh.length; i++) {
-            const prevVal = sortedAceHigh[i - 1].rank === 'A' ? 14 : sortedAceHigh[i - 1].value;
-            const currVal = sortedAceHigh[i].rank === 'A' ? 14 : sortedAceHigh[i].value;
-            if (currVal !== prevVal + 1) {
-                isAceHighConsecutive = false;
-                break;
-            }
+// Check if natural cards plus wildCount wilds can form one run
+// Wilds fill gaps or extend the ends. The Ace is placed according to aceMode.
+function canFormRun(naturals, wildCount, aceMode = DEFAULT_MELD_OPTIONS.aceMode) {
+    if (naturals.length === 0) return false;
+
+    const suit = naturals[0].suit;
+    if (!naturals.every(card => card.suit === suit)) return false;
+
+    // A run has 13 positions whichever way the Ace is used
+    const length = naturals.length + wildCount;
+    if (length > 13) return false;
+
+    const hasAce = naturals.some(c => c.rank === 'A');
+    const aceValues = hasAce && aceMode === 'highOrLow' ? [1, 14] : [1];
+
+    return aceValues.some(aceValue => {
+        const values = naturals.map(c => (c.rank === 'A' ? aceValue : c.value)).sort((a, b) => a - b);
+
+        // Natural cards may not repeat a position in the run
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] === values[i - 1]) return false;
         }
-        if (isAceHighConsecutive) {
-            return true;
+
+        // Around the corner the ranks wrap (K-A-2), so the run is the shortest
+        // arc that leaves out the widest gap between neighbouring cards
+        let span = values[values.length - 1] - values[0] + 1;
+        if (aceMode === 'aroundTheCorner') {
+            let widestGap = values[0] + 13 - values[values.length - 1];
+            for (let i = 1; i < values.length; i++) {
+                widestGap = Math.max(widestGap, values[i] - values[i - 1]);
+            }
+            span = 13 - widestGap + 1;
         }
-    }
 
-    return false;
+        return span - values.length <= wildCount;
+    });
+}
+
+// Check if cards form a valid run (3+ consecutive cards of same suit)
+export function isValidRun(cards, options = {}) {
+    if (cards.length < 3) return false;
+
+    return readMeld(cards, options).some(reading =>
+        wildsAllowed(reading, options) && canFormRun(reading.naturals, reading.wilds.length, options.aceMode)
+    );
 }
 
 // Check if cards form a valid set (3+ cards of same rank)
-export function isValidSet(cards) {
+export function isValidSet(cards, options = {}) {
     if (cards.length < 3) return false;
 
-    const rank = cards[0].rank;
-    return cards.every(card => card.rank === rank);
+    return readMeld(cards, options).some(reading => {
+        const { naturals } = reading;
+        if (naturals.length === 0 || !wildsAllowed(reading, options)) return false;
+        return naturals.every(card => card.rank === naturals[0].rank);
+    });
 }
 
 // Check if cards form either a valid run or set
-export function isValidMeld(cards) {
-    return isValidRun(cards) || isValidSet(cards);
+export function isValidMeld(cards, options = {}) {
+    return isValidRun(cards, options) || isValidSet(cards, options);
 }
 
 // Check if a card can be added to an existing meld
-export function canAddToMeld(meld, card) {
+export function canAddToMeld(meld, card, options = {}) {
     const newMeld = [...meld, card];
-    return isValidMeld(newMeld);
+    return isValidMeld(newMeld, options);
 }
 
 // Validate that all melds on the table are still valid after rearrangement
-export function validateTableState(melds) {
+export function validateTableState(melds, options = {}) {
     for (const meld of melds) {
-        if (meld.cards.length > 0 && !isValidMeld(meld.cards)) {
+        if (meld.cards.length > 0 && !isValidMeld(meld.cards, options)) {
             return false;
         }
     }
@@ -88,16 +132,16 @@ export function validateTableState(melds) {
 }
 
 // Find where a card can be added to existing melds
-export function findPossibleAdditions(card, melds) {
+export function findPossibleAdditions(card, melds, options = {}) {
     const possibilities = [];
 
     for (let i = 0; i < melds.length; i++) {
         // Try adding at the beginning
-        if (isValidMeld([card, ...melds[i].cards])) {
+        if (isValidMeld([card, ...melds[i].cards], options)) {
             possibilities.push({ meldIndex: i, position: 'start' });
         }
         // Try adding at the end
-        if (isValidMeld([...melds[i].cards, card])) {
+        if (isValidMeld([...melds[i].cards, card], options)) {
             possibilities.push({ meldIndex: i, position: 'end' });
         }
     }
@@ -105,10 +149,72 @@ export function findPossibleAdditions(card, melds) {
     return possibilities;
 }
 
+// Rebuild a client-proposed arrangement from the server's own cards
+// Proposed melds may only reference cards by ID - any rank/suit/value sent by
+// the client is ignored and replaced with the canonical table or hand card.
+// Returns { valid: boolean, error?: string, melds?: array, cardsFromHand?: array }
+export function resolveProposedMelds(currentMelds, proposedMelds, playerHand = [], playerId = null) {
+    if (!Array.isArray(proposedMelds)) {
+        return { valid: false, error: 'Invalid table arrangement' };
+    }
+
+    const tableCards = new Map(currentMelds.flatMap(m => m.cards).map(c => [c.id, c]));
+    const handCards = new Map(playerHand.map(c => [c.id, c]));
+    const existingMelds = new Map(currentMelds.map(m => [m.id, m]));
+    const seenIds = new Set();
+    const usedMeldIds = new Set();
+    const cardsFromHand = [];
+    const melds = [];
+
+    for (const proposed of proposedMelds) {
+        if (!proposed || !Array.isArray(proposed.cards)) {
+            return { valid: false, error: 'Invalid table arrangement' };
+        }
+
+        const cards = [];
+        for (const entry of proposed.cards) {
+            const id = typeof entry === 'string' ? entry : entry?.id;
+            if (typeof id !== 'string') {
+                return { valid: false, error: 'Invalid card in arrangement' };
+            }
+            if (seenIds.has(id)) {
+                return { valid: false, error: 'A card cannot appear more than once on the table' };
+            }
+            seenIds.add(id);
+
+            const card = tableCards.get(id) || handCards.get(id);
+            if (!card) {
+                return { valid: false, error: 'New cards must come from your hand' };
+            }
+            if (!tableCards.has(id)) cardsFromHand.push(id);
+            cards.push(card);
+        }
+
+        // Skip empty melds
+        if (cards.length === 0) continue;
+
+        // Keep the identity of melds that already exist, new ones get a server ID
+        const existing = usedMeldIds.has(proposed.id) ? null : existingMelds.get(proposed.id);
+        if (existing) usedMeldIds.add(existing.id);
+        melds.push({
+            cards,
+            playerId: existing ? existing.playerId : playerId,
+            id: existing ? existing.id : `meld_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+        });
+    }
+
+    return { valid: true, melds, cardsFromHand };
+}
+
 // Validate a proposed table rearrangement
-// Takes the current melds and proposed new arrangement
-// Returns { valid: boolean, error?: string }
-export function validateRearrangement(currentMelds, proposedMelds, playerHand = []) {
+// Takes the current melds and proposed new arrangement, plus the ruleset's meld check.
+// When isWild is given, wild cards may be taken off the table in exchange for
+// natural cards played from hand: the meld a wild came from (matched by meld ID)
+// must get at least one natural card from hand for each wild taken out of it.
+// Returns { valid: boolean, error?: string, wildsTaken?: array }
+export function validateRearrangement(currentMelds, proposedMelds, playerHand = [], rules = {}) {
+    const { isValidMeld: meldValidator = isValidMeld, isWild = null } = rules;
+
     // Get all cards currently on table
     const currentTableCards = currentMelds.flatMap(m => m.cards);
     const proposedTableCards = proposedMelds.flatMap(m => m.cards);
@@ -120,11 +226,22 @@ export function validateRearrangement(currentMelds, proposedMelds, playerHand =
     // Cards can be added from hand, but not removed to hand
     const handIds = new Set(playerHand.map(c => c.id));
 
-    // Check if any cards from table are missing (not allowed)
-    for (const id of currentIds) {
-        if (!proposedIds.has(id)) {
+    // Check if any cards from table are missing (only swapped wilds may leave)
+    const wildsTaken = currentTableCards.filter(c => !proposedIds.has(c.id));
+    if (wildsTaken.length > 0) {
+        if (!isWild || !wildsTaken.every(isWild)) {
             return { valid: false, error: 'Cannot remove cards from the table back to hand' };
         }
+        const proposedById = new Map(proposedMelds.map(m => [m.id, m]));
+        for (const meld of currentMelds) {
+            const taken = meld.cards.filter(c => !proposedIds.has(c.id)).length;
+            if (taken === 0) continue;
+            const naturalsPlayed = (proposedById.get(meld.id)?.cards || [])
+                .filter(c => !currentIds.has(c.id) && !isWild(c)).length;
+            if (naturalsPlayed < taken) {
+                return { valid: false, error: 'Play a natural card from your hand into the meld for each wild card you take' };
+            }
+        }
     }
 
     // Check that any new cards are from the player's hand
@@ -137,10 +254,11 @@ export function validateRearrangement(currentMelds, proposedMelds, playerHand =
     // Validate all proposed melds
     for (let i = 0; i < proposedMelds.length; i++) {
         const meld = proposedMelds[i];
-        if (meld.cards.length > 0 && !isValidMeld(meld.cards)) {
+        if (meld.cards.length > 0 && !meldValidator(meld.cards)) {
             return {
                 valid: false,
-                error: `Meld ${i + 1} is not valid. Each meld must be a run (3+ consecutive same suit) or set (3+ same rank).`
+                error: `Meld ${i + 1} is not valid. Each meld must be a run (3+ consecutive same suit) or set (3+ same rank).`,
+                code: 'invalid-meld'
             };
         }
     }
@@ -155,7 +273,7 @@ export function validateRearrangement(currentMelds, proposedMelds, playerHand =
         }
     }
 
-    return { valid: true };
+    return { valid: true, wildsTaken };
 }
 
 // Check if a player has won (no cards left)
@@ -164,9 +282,12 @@ export function checkWin(playerHand) {
 }
 
 // Calculate the point value of remaining cards in hand (for scoring)
-export function calculateHandPoints(hand) {
+// options.acePoints sets what an Ace is worth (see ACE_POINTS)
+export function calculateHandPoints(hand, options = {}) {
+    const acePoints = options.acePoints || 1;
     return hand.reduce((sum, card) => {
-        if (card.rank === 'A') return sum + 1;
+        if (card.rank === JOKER) return sum + JOKER_POINTS;
+        if (card.rank === 'A') return sum + acePoints;
         if (['J', 'Q', 'K'].includes(card.rank)) return sum + 10;
         return sum + card.value;
     }, 0);
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuleset } from './rulesets.js';
+import { JOKER, getRankValue } from './deck.js';
+import { isValidRun, calculateHandPoints } from './gameEngine.js';
+
+const card = (rank, suit, value) => ({ id: `${rank}_${suit}`, rank, suit, value });
+const joker = { id: 'joker', rank: JOKER, suit: 'joker', value: 0 };
+
+// Table: 5♥ 6♥ 7♥ 🃏 (the joker stands in for 8♥) and a set of 9s
+const run = { id: 'run', playerId: 'p2', cards: [card('5', 'hearts', 5), card('6', 'hearts', 6), card('7', 'hearts', 7), joker] };
+const set = { id: 'set', playerId: 'p2', cards: [card('9', 'spades', 9), card('9', 'clubs', 9), card('9', 'diamonds', 9)] };
+const naturals = run.cards.slice(0, 3);
+
+test('a wild taken off the table is paid for with a natural card in the same meld', () => {
+    const ruleset = createRuleset({ jokers: 1 });
+    const eight = card('8', 'hearts', 8);
+
+    const result = ruleset.validateRearrangement([run, set], [
+        { id: 'run', cards: [...naturals, eight] },
+        set
+    ], [eight]);
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.wildsTaken.map(c => c.id), ['joker']);
+});
+
+test('a natural card played into a different meld does not pay for a wild', () => {
+    const ruleset = createRuleset({ jokers: 1 });
+    const nine = card('9', 'hearts', 9);
+
+    const result = ruleset.validateRearrangement([run, set], [
+        { id: 'run', cards: naturals },
+        { id: 'set', cards: [...set.cards, nine] }
+    ], [nine]);
+
+    assert.equal(result.valid, false);
+    assert.match(result.error, /wild card you take/);
+});
+
+// Cards written as rank + suit letter, e.g. 'Ah'; '*' is a joker (each one a different card)
+const SUITS = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+const hand = list => list.split(' ').map((name, i) => name === '*'
+    ? { id: `joker_${i}`, rank: JOKER, suit: 'joker', value: 0 }
+    : card(name.slice(0, -1), SUITS[name.slice(-1)], getRankValue(name.slice(0, -1))));
+
+// Runs accepted under each ace mode
+const RUNS = {
+    'Ah 2h 3h': { low: true, highOrLow: true, aroundTheCorner: true },
+    'Qh Kh Ah': { low: false, highOrLow: true, aroundTheCorner: true },
+    'Kh Ah 2h': { low: false, highOrLow: false, aroundTheCorner: true },
+    'Ah * 3h': { low: true, highOrLow: true, aroundTheCorner: true },
+    'Qh * Ah': { low: false, highOrLow: true, aroundTheCorner: true },
+    '* Kh Ah': { low: false, highOrLow: true, aroundTheCorner: true }, // the joker is the Queen (or the 2 around the corner)
+    'Kh * 2h': { low: false, highOrLow: false, aroundTheCorner: true },
+    'Jh * Ah': { low: false, highOrLow: false, aroundTheCorner: false } // two gaps, one joker
+};
+
+for (const [run, expected] of Object.entries(RUNS)) {
+    test(`${run} as a run under each ace mode`, () => {
+        for (const [aceMode, valid] of Object.entries(expected)) {
+            assert.equal(isValidRun(hand(run), { aceMode }), valid, aceMode);
+        }
+    });
+}
+
+test('two wilds can bridge the corner when the meld allows them', () => {
+    const cards = hand('Qh * * 2h');
+
+    assert.equal(isValidRun(cards, { aceMode: 'aroundTheCorner', maxWilds: 1 }), false);
+    assert.equal(isValidRun(cards, { aceMode: 'aroundTheCorner', maxWilds: 2 }), true);
+    assert.equal(isValidRun(cards, { aceMode: 'highOrLow', maxWilds: 2 }), false);
+});
+
+test('a wild deuce can still play as a natural 2', () => {
+    assert.equal(isValidRun(hand('Ah 2h 3h'), { deucesWild: true, aceMode: 'low' }), true);
+    assert.equal(isValidRun(hand('Kh 2s Ah'), { deucesWild: true, aceMode: 'highOrLow' }), true);
+});
+
+test('an Ace left in hand scores the chosen ace points', () => {
+    const cards = hand('Ah Kh *');
+
+    assert.equal(calculateHandPoints(cards), 1 + 10 + 25);
+    assert.equal(calculateHandPoints(cards, { acePoints: 11 }), 11 + 10 + 25);
+    assert.equal(createRuleset({ acePoints: 15 }).handPoints(cards), 15 + 10 + 25);
+});
@@ -2,7 +2,33 @@
 // Handles game flow, player actions, and state synchronization
 
 import { shuffle, createMultipleDecks, dealCards } from './deck.js';
-import { isValidMeld, validateRearrangement, checkWin, calculateHandPoints } from './gameEngine.js';
+import { resolveProposedMelds } from './gameEngine.js';
+import { createRuleset } from './rulesets.js';
+import { chooseBotActions, findBestDiscard } from './bot.js';
+import { createRandom, deriveSeed, randomSeed, commitToDeck } from './random.js';
+
+// Consecutive timed-out turns before a player is marked away
+const AWAY_AFTER_TIMEOUTS = 2;
+// Seconds an away player gets before their turn is auto-played
+const AWAY_TURN_SECONDS = 5;
+// Most rounds of bot decisions in one turn (each round ends with a discard or a table rearrangement)
+const MAX_BOT_STEPS = 4;
+
+// What a table rearrangement changed, by meld ID
+// New and reshaped melds carry their full card lists; removed ones only their IDs
+function diffMelds(before, after) {
+    const beforeById = new Map(before.map(m => [m.id, m]));
+    const afterIds = new Set(after.map(m => m.id));
+    const sameCards = (a, b) => a.length === b.length && a.every((card, i) => card.id === b[i].id);
+
+    return {
+        added: after.filter(m => !beforeById.has(m.id)).map(m => ({ id: m.id, cards: [...m.cards] })),
+        changed: after
+            .filter(m => beforeById.has(m.id) && !sameCards(beforeById.get(m.id).cards, m.cards))
+            .map(m => ({ id: m.id, cards: [...m.cards] })),
+        removed: before.filter(m => !afterIds.has(m.id)).map(m => m.id)
+    };
+}
 
 class GameManager {
     constructor(io) {
@@ -11,10 +37,14 @@ class GameManager {
     }
 
     // Initialize a new game for a lobby
-    initGame(lobbyCode, players, settings, firstPlayerIndex = 0) {
-        const numDecks = settings.numDecks || 1;
-        const deck = shuffle(createMultipleDecks(numDecks));
-        const { hands, deck: remainingDeck, discardPile } = dealCards(deck, players.length, 10);
+    // The ruleset is built from the lobby settings unless one is passed in.
+    // settings.seed fixes the shuffle (same seed, decks and seats give the same deal); without
+    // one a fresh seed is picked. It is kept on the game rather than in the settings players see.
+    initGame(lobbyCode, players, { seed = null, ...settings }, firstPlayerIndex = 0, ruleset = createRuleset(settings)) {
+        const dealSeed = seed ?? randomSeed();
+        const deck = createMultipleDecks(ruleset.numDecks(), ruleset.jokersPerDeck, createRandom(dealSeed));
+        const shuffleCommitment = commitToDeck(dealSeed, deck);
+        const { hands, deck: remainingDeck, discardPile } = dealCards(deck, players.length, ruleset.handSize);
 
         // Ensure firstPlayerIndex is within bounds
         const validFirstPlayer = Math.max(0, Math.min(firstPlayerIndex, players.length - 1));
@@ -27,7 +57,11 @@ class GameManager {
                 name: player.name,
                 hand: hands[index],
                 connected: true,
-                isTestPlayer: player.isTestPlayer || false
+                isTestPlayer: player.isTestPlayer || false,
+                difficulty: player.difficulty || 'normal', // Bot strategy: 'easy' | 'normal' | 'hard'
+                timeouts: 0,             // Consecutive turns auto-played by the turn clock
+                away: false,
+                botControlled: false     // A bot plays this seat while the player is disconnected
             })),
             deck: remainingDeck,
             discardPile,
@@ -35,506 +69,239 @@ class GameManager {
             currentTurn: validFirstPlayer, // Start with the selected first player
             phase: 'draw', // 'draw' | 'play'
             winner: null,
-            settings
+            drawnFromDiscard: null, // Card just taken from the discard pile (knocking rules)
+            discardPickups: [], // { playerIndex, card } for every card taken from the discard pile
+            turnHistory: [], // Snapshots of hand and melds before each play this turn (for undo)
+            turnDeadline: null, // When the current turn is auto-played (turn timer only)
+            seed: dealSeed, // Seed for the deal and every reshuffle (only revealed when the game ends)
+            shuffleCommitment, // { hash, salt, order } - only the hash is shown until the game ends
+            reshuffles: 0, // Times the discard pile was shuffled back into an empty deck
+            actionLog: [], // Every action in order, for the downloadable log and replays
+            settings,
+            ruleset
         };
 
+        this.logAction(gameState, 'deal', null, {
+            hands: hands.map(hand => [...hand]),
+            discardTop: discardPile[0],
+            deckCount: remainingDeck.length,
+            firstPlayerIndex: validFirstPlayer
+        });
+        this.startTurnClock(gameState);
         this.games.set(lobbyCode, gameState);
         return gameState;
     }
 
-    // Check if current player is a test player (bot)
-    isCurrentPlayerBot(lobbyCode) {
-        const game = this.games.get(lobbyCode);
-        if (!game) return false;
-        const currentPlayer = game.players[game.currentTurn];
-        return currentPlayer && currentPlayer.isTestPlayer;
+    // Set the deadline for the current turn from the lobby's turn timer
+    // Away players only get a few seconds before their turn is played for them
+    startTurnClock(game) {
+        const seconds = game.settings.turnTimer || 0;
+        if (seconds === 0) {
+            game.turnDeadline = null;
+            return;
+        }
+        const player = game.players[game.currentTurn];
+        game.turnDeadline = Date.now() + (player.away ? AWAY_TURN_SECONDS : seconds) * 1000;
     }
 
-    // Find possible melds in a hand
-    findPossibleMelds(hand) {
-        const melds = [];
-
-        // Group cards by suit for runs
-        const bySuit = {};
-        hand.forEach(card => {
-            if (!bySuit[card.suit]) bySuit[card.suit] = [];
-            bySuit[card.suit].push(card);
-        });
+    // Pass the turn to the next player
+    nextTurn(game) {
+        game.currentTurn = (game.currentTurn + 1) % game.players.length;
+        game.phase = 'draw';
+        this.startTurnClock(game);
+    }
 
-        // Check for runs in each suit
-        for (const suit of Object.keys(bySuit)) {
-            const cards = bySuit[suit].sort((a, b) => a.value - b.value);
-            if (cards.length >= 3) {
-                // Find consecutive sequences
-                let run = [cards[0]];
-                for (let i = 1; i < cards.length; i++) {
-                    if (cards[i].value === run[run.length - 1].value + 1) {
-                        run.push(cards[i]);
-                    } else if (cards[i].value !== run[run.length - 1].value) {
-                        if (run.length >= 3) melds.push([...run]);
-                        run = [cards[i]];
-                    }
-                }
-                if (run.length >= 3) melds.push(run);
-            }
+    // A player acting for themselves is back from being away
+    markActive(game, player) {
+        player.timeouts = 0;
+        if (player.away) {
+            player.away = false;
+            this.startTurnClock(game);
         }
+    }
 
-        // Group cards by rank for sets
-        const byRank = {};
-        hand.forEach(card => {
-            if (!byRank[card.rank]) byRank[card.rank] = [];
-            byRank[card.rank].push(card);
+    // Append an entry to the game's action log
+    // Entries include cards other players can't see, so the log is only handed out after the game
+    logAction(game, type, playerIndex, details = {}) {
+        if (!game.actionLog) game.actionLog = [];
+        game.actionLog.push({
+            seq: game.actionLog.length,
+            at: Date.now(),
+            type,
+            playerIndex,
+            playerName: playerIndex === null ? null : game.players[playerIndex].name,
+            ...details
         });
-
-        // Check for sets
-        for (const rank of Object.keys(byRank)) {
-            if (byRank[rank].length >= 3) {
-                melds.push(byRank[rank].slice(0, Math.min(4, byRank[rank].length)));
-            }
-        }
-
-        return melds;
     }
 
-    // Check if a card can be added to an existing meld
-    canAddToMeld(card, meld) {
-        // Try adding at start
-        const withStart = [card, ...meld.cards];
-        if (isValidMeld(withStart)) {
-            return { position: 'start', valid: true };
-        }
-        
-        // Try adding at end
-        const withEnd = [...meld.cards, card];
-        if (isValidMeld(withEnd)) {
-            return { position: 'end', valid: true };
-        }
-        
-        return { valid: false };
+    // Log the end of the game with every hand revealed
+    logGameOver(game, winnerIndex) {
+        this.logAction(game, 'win', winnerIndex, {
+            isDraw: Boolean(game.winner.isDraw),
+            roundPoints: game.winner.roundPoints,
+            hands: game.players.map(p => [...p.hand])
+        });
     }
 
-    // Check if the discard card is useful for the bot
-    isDiscardCardUseful(discardCard, hand, melds) {
-        if (!discardCard) return false;
-        
-        // Check if it can extend an existing meld
-        for (const meld of melds) {
-            if (this.canAddToMeld(discardCard, meld).valid) {
-                return true;
-            }
-        }
-        
-        // Check if it helps form a new meld with hand cards
-        const testHand = [...hand, discardCard];
-        const possibleMelds = this.findPossibleMelds(testHand);
-        const currentMelds = this.findPossibleMelds(hand);
-        
-        // If adding this card creates more melds, it's useful
-        return possibleMelds.length > currentMelds.length;
+    // Check if a seat is played by a bot (test player, or a disconnected player taken over)
+    isBotSeat(player) {
+        return player.isTestPlayer || player.botControlled;
     }
 
-    // Find the best card to discard (one that's least useful)
-    findBestDiscard(hand, melds) {
-        if (hand.length === 0) return null;
-        
-        // Score each card by how useful it is
-        const cardScores = hand.map(card => {
-            let score = card.value; // Base score is card value (higher = worse to keep)
-            
-            // Check if card can extend a meld on table
-            for (const meld of melds) {
-                if (this.canAddToMeld(card, meld).valid) {
-                    score -= 20; // Very useful, don't discard
-                }
-            }
-            
-            // Check if card is part of a potential meld in hand
-            const handWithoutCard = hand.filter(c => c.id !== card.id);
-            const meldsWithCard = this.findPossibleMelds(hand);
-            const meldsWithoutCard = this.findPossibleMelds(handWithoutCard);
-            
-            if (meldsWithCard.length > meldsWithoutCard.length) {
-                score -= 15; // Part of a meld, don't discard
-            }
-            
-            // Check for partial melds (2 cards that could become 3)
-            const sameRank = hand.filter(c => c.rank === card.rank && c.id !== card.id);
-            const sameSuit = hand.filter(c => c.suit === card.suit && c.id !== card.id);
-            
-            if (sameRank.length >= 1) {
-                score -= 5; // Potential set
-            }
-            
-            // Check for consecutive cards in same suit
-            const consecutive = sameSuit.filter(c => 
-                Math.abs(c.value - card.value) === 1
-            );
-            if (consecutive.length >= 1) {
-                score -= 5; // Potential run
-            }
-            
-            return { card, score };
-        });
-        
-        // Sort by score descending (highest score = best to discard)
-        cardScores.sort((a, b) => b.score - a.score);
-        return cardScores[0].card;
+    // Check if current player is a test player (bot)
+    isCurrentPlayerBot(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game) return false;
+        const currentPlayer = game.players[game.currentTurn];
+        return Boolean(currentPlayer) && this.isBotSeat(currentPlayer);
     }
 
-    // ========================================
-    // FULL TABLE REARRANGEMENT FOR BOTS
-    // ========================================
-
-    // Find all possible runs in a set of cards
-    findAllRuns(cards) {
-        const runs = [];
-        
-        // Group by suit
-        const bySuit = {};
-        cards.forEach(card => {
-            if (!bySuit[card.suit]) bySuit[card.suit] = [];
-            bySuit[card.suit].push(card);
-        });
-        
-        // Find runs in each suit
-        for (const suit of Object.keys(bySuit)) {
-            const suitCards = bySuit[suit].sort((a, b) => a.value - b.value);
-            
-            // Find all possible consecutive sequences of 3+
-            for (let start = 0; start < suitCards.length; start++) {
-                let run = [suitCards[start]];
-                
-                for (let i = start + 1; i < suitCards.length; i++) {
-                    if (suitCards[i].value === run[run.length - 1].value + 1) {
-                        run.push(suitCards[i]);
-                        if (run.length >= 3) {
-                            runs.push([...run]);
-                        }
-                    } else if (suitCards[i].value !== run[run.length - 1].value) {
-                        break;
-                    }
-                }
-            }
-        }
-        
-        return runs;
+    // Remember a card taken from the discard pile (Hard bots read these as hints)
+    recordPickup(game, playerIndex, card) {
+        if (!game.discardPickups) game.discardPickups = [];
+        game.discardPickups.push({ playerIndex, card });
     }
 
-    // Find all possible sets in a set of cards
-    findAllSets(cards) {
-        const sets = [];
-        
-        // Group by rank
-        const byRank = {};
-        cards.forEach(card => {
-            if (!byRank[card.rank]) byRank[card.rank] = [];
-            byRank[card.rank].push(card);
+    // What a bot seat can see: the player's own view plus what an attentive
+    // player could remember (the whole discard pile and who picked up what).
+    // It is a copy, so the bot can't change the game behind the rules' back
+    getBotView(game, playerIndex) {
+        const view = this.getPlayerView(game.lobbyCode, game.players[playerIndex].id);
+        return structuredClone({
+            ...view,
+            discardPile: game.discardPile,
+            discardPickups: game.discardPickups || [],
+            drawnFromDiscard: game.drawnFromDiscard
         });
-        
-        // Find sets of 3 or 4
-        for (const rank of Object.keys(byRank)) {
-            const rankCards = byRank[rank];
-            if (rankCards.length >= 3) {
-                // Add set of 3
-                sets.push(rankCards.slice(0, 3));
-                // Add set of 4 if possible
-                if (rankCards.length >= 4) {
-                    sets.push(rankCards.slice(0, 4));
-                }
-            }
-        }
-        
-        return sets;
     }
 
-    // Try to find a valid arrangement of cards into melds
-    // Returns { success: boolean, melds: array, unusedCards: array }
-    findValidArrangement(cards, requiredCardIds = new Set()) {
-        // Find all possible melds
-        const allRuns = this.findAllRuns(cards);
-        const allSets = this.findAllSets(cards);
-        const allMelds = [...allRuns, ...allSets];
-        
-        if (allMelds.length === 0) {
-            return { success: false, melds: [], unusedCards: cards };
+    // Apply a bot's chosen action through the same methods human players use
+    applyBotAction(lobbyCode, playerId, action) {
+        switch (action.type) {
+            case 'draw':
+                return this.drawCard(lobbyCode, playerId, action.source);
+            case 'rearrange':
+                return this.rearrangeTable(lobbyCode, playerId, action.proposedMelds);
+            case 'addToMeld':
+                return this.addToMeld(lobbyCode, playerId, action.cardId, action.meldId, action.position);
+            case 'playMeld':
+                return this.playMeld(lobbyCode, playerId, action.cardIds);
+            case 'discard':
+                return this.discard(lobbyCode, playerId, action.cardId);
+            case 'knock':
+                return this.knock(lobbyCode, playerId, action.cardId);
+            case 'bigGin':
+                return this.declareBigGin(lobbyCode, playerId);
+            case 'endTurn':
+                return this.endTurn(lobbyCode, playerId);
+            default:
+                return { success: false, error: `Unknown bot action: ${action.type}`, code: 'unknown-bot-action' };
         }
-        
-        // Try to find a combination that uses all required cards
-        const bestResult = this.findBestMeldCombination(cards, allMelds, requiredCardIds);
-        
-        return bestResult;
     }
 
-    // Recursive function to find the best combination of melds
-    findBestMeldCombination(availableCards, possibleMelds, requiredCardIds, currentMelds = [], depth = 0) {
-        // Limit recursion depth for performance
-        if (depth > 10) {
-            const usedIds = new Set(currentMelds.flatMap(m => m.map(c => c.id)));
-            const unusedCards = availableCards.filter(c => !usedIds.has(c.id));
-            const coversRequired = [...requiredCardIds].every(id => usedIds.has(id));
-            return {
-                success: coversRequired,
-                melds: currentMelds,
-                unusedCards,
-                handCardsUsed: currentMelds.flatMap(m => m).filter(c => !requiredCardIds.has(c.id)).length
-            };
-        }
+    // Auto-play for bot players
+    // The bot module decides, the game applies each action with full validation.
+    // Returns { success, actions } or { winner, actions } once the bot's turn is over
+    playBotTurn(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game || game.winner) return null;
 
-        const usedIds = new Set(currentMelds.flatMap(m => m.map(c => c.id)));
-        const unusedCards = availableCards.filter(c => !usedIds.has(c.id));
-        
-        // Check if we've covered all required cards
-        const coversRequired = [...requiredCardIds].every(id => usedIds.has(id));
-        
-        // Filter melds that don't conflict with already used cards
-        const validMelds = possibleMelds.filter(meld => 
-            meld.every(card => !usedIds.has(card.id))
-        );
-        
-        if (validMelds.length === 0) {
-            return {
-                success: coversRequired,
-                melds: currentMelds,
-                unusedCards,
-                handCardsUsed: currentMelds.flatMap(m => m).filter(c => !requiredCardIds.has(c.id)).length
-            };
+        const playerIndex = game.currentTurn;
+        const player = game.players[playerIndex];
+        if (!this.isBotSeat(player)) return null;
+
+        if (game.phase === 'draw' && game.deck.length === 0 && game.discardPile.length <= 1) {
+            return { success: false, error: 'No cards left' };
         }
-        
-        // Try adding each possible meld and recurse
-        let bestResult = {
-            success: coversRequired,
-            melds: currentMelds,
-            unusedCards,
-            handCardsUsed: currentMelds.flatMap(m => m).filter(c => !requiredCardIds.has(c.id)).length
-        };
-        
-        for (const meld of validMelds) {
-            const newCurrentMelds = [...currentMelds, meld];
-            const result = this.findBestMeldCombination(
-                availableCards, 
-                possibleMelds, 
-                requiredCardIds, 
-                newCurrentMelds,
-                depth + 1
-            );
-            
-            // Prefer results that: 1) cover required cards, 2) use more hand cards
-            if (result.success && (!bestResult.success || result.handCardsUsed > bestResult.handCardsUsed)) {
-                bestResult = result;
-            } else if (!bestResult.success && result.success) {
-                bestResult = result;
+
+        const difficulty = player.difficulty || 'normal';
+        const applied = [];
+        let allowRearrange = true;
+
+        for (let step = 0; step < MAX_BOT_STEPS; step++) {
+            const view = this.getBotView(game, playerIndex);
+            const actions = chooseBotActions(view, game.ruleset, difficulty, { allowRearrange });
+
+            for (const action of actions) {
+                if (action.type === 'rearrange') allowRearrange = false;
+
+                const result = this.applyBotAction(lobbyCode, player.id, action);
+                if (!result.success) {
+                    // The simulator runs without Socket.IO and plays thousands of turns, so stay quiet there
+                    if (this.io) console.log(`Bot ${player.name} could not ${action.type} in ${lobbyCode}: ${result.error}`);
+                    // A rejected rearrangement just means trying the simpler plays instead
+                    if (action.type === 'rearrange') break;
+                    return this.finishBotTurn(lobbyCode, player, applied);
+                }
+
+                applied.push(action);
+                if (result.winner) return { winner: result.winner, actions: applied };
+                if (game.currentTurn !== playerIndex) return { success: true, actions: applied };
             }
         }
-        
-        return bestResult;
-    }
 
-    // Attempt full table rearrangement for bot
-    // Returns { success: boolean, newMelds: array, cardsFromHand: array }
-    tryBotRearrangement(tableCards, hand, requiredTableCardIds) {
-        // Combine table cards with hand cards
-        const allCards = [...tableCards, ...hand];
-        
-        // Try to find an arrangement that uses all table cards plus some hand cards
-        const result = this.findValidArrangement(allCards, requiredTableCardIds);
-        
-        if (!result.success) {
-            return { success: false };
-        }
-        
-        // Check that all table cards are used
-        const usedIds = new Set(result.melds.flatMap(m => m.map(c => c.id)));
-        const allTableCardsUsed = [...requiredTableCardIds].every(id => usedIds.has(id));
-        
-        if (!allTableCardsUsed) {
-            return { success: false };
-        }
-        
-        // Find which hand cards were used
-        const handCardIds = new Set(hand.map(c => c.id));
-        const cardsFromHand = result.melds.flatMap(m => m).filter(c => handCardIds.has(c.id));
-        
-        // Only proceed if we're using at least one hand card and have at least one card left
-        if (cardsFromHand.length === 0) {
-            return { success: false };
-        }
-        
-        const remainingHand = hand.filter(c => !cardsFromHand.some(hc => hc.id === c.id));
-        if (remainingHand.length === 0) {
-            return { success: false }; // Must keep at least one card to discard
-        }
-        
-        // Convert melds to proper format
-        const newMelds = result.melds.map((cards, i) => ({
-            id: `meld_bot_${Date.now()}_${i}`,
-            cards: cards,
-            playerId: 'bot'
-        }));
-        
-        return {
-            success: true,
-            newMelds,
-            cardsFromHand: cardsFromHand.map(c => c.id),
-            remainingHand
-        };
+        return this.finishBotTurn(lobbyCode, player, applied);
     }
 
-    // Auto-play for bot players (enhanced AI)
-    playBotTurn(lobbyCode) {
+    // Fallback when a bot's plan fails validation: draw if needed, then make a plain discard
+    finishBotTurn(lobbyCode, player, applied) {
         const game = this.games.get(lobbyCode);
-        if (!game || game.winner) return null;
-
-        const currentPlayer = game.players[game.currentTurn];
-        if (!currentPlayer.isTestPlayer) return null;
 
-        // Bot draws - smart choice between deck and discard
         if (game.phase === 'draw') {
-            const discardTop = game.discardPile[game.discardPile.length - 1];
-            
-            // Check if discard card is useful
-            const shouldTakeDiscard = discardTop && 
-                this.isDiscardCardUseful(discardTop, currentPlayer.hand, game.melds);
-            
-            if (shouldTakeDiscard && game.discardPile.length > 0) {
-                // Take from discard pile
-                const drawnCard = game.discardPile.pop();
-                currentPlayer.hand.push(drawnCard);
-            } else {
-                // Draw from deck
-                if (game.deck.length === 0) {
-                    if (game.discardPile.length <= 1) {
-                        return { success: false, error: 'No cards left' };
-                    }
-                    const topCard = game.discardPile.pop();
-                    game.deck = shuffle(game.discardPile);
-                    game.discardPile = [topCard];
-                }
-                const drawnCard = game.deck.shift();
-                currentPlayer.hand.push(drawnCard);
-            }
-            game.phase = 'play';
-        }
-
-        // Bot tries to play melds and add to existing melds
-        if (game.phase === 'play') {
-            // Strategy 1: Try full table rearrangement if there are melds on table
-            if (game.melds.length > 0 && currentPlayer.hand.length > 1) {
-                const tableCards = game.melds.flatMap(m => m.cards);
-                const requiredTableCardIds = new Set(tableCards.map(c => c.id));
-                
-                const rearrangeResult = this.tryBotRearrangement(
-                    tableCards,
-                    currentPlayer.hand,
-                    requiredTableCardIds
-                );
-                
-                if (rearrangeResult.success && rearrangeResult.cardsFromHand.length > 0) {
-                    // Apply the rearrangement
-                    game.melds = rearrangeResult.newMelds;
-                    
-                    // Remove used cards from hand
-                    for (const cardId of rearrangeResult.cardsFromHand) {
-                        const idx = currentPlayer.hand.findIndex(c => c.id === cardId);
-                        if (idx !== -1) {
-                            currentPlayer.hand.splice(idx, 1);
-                        }
-                    }
-                }
-            }
+            const drawResult = this.drawCard(lobbyCode, player.id, 'deck');
+            if (!drawResult.success) return drawResult;
+            applied.push({ type: 'draw', source: 'deck' });
+        }
 
-            // Strategy 2: Try to add individual cards to existing melds
-            let addedToMeld = true;
-            while (addedToMeld && currentPlayer.hand.length > 1) {
-                addedToMeld = false;
-                
-                for (const meld of game.melds) {
-                    for (let i = 0; i < currentPlayer.hand.length; i++) {
-                        const card = currentPlayer.hand[i];
-                        const result = this.canAddToMeld(card, meld);
-                        
-                        if (result.valid && currentPlayer.hand.length > 1) {
-                            // Add card to meld
-                            if (result.position === 'start') {
-                                meld.cards.unshift(card);
-                            } else {
-                                meld.cards.push(card);
-                            }
-                            currentPlayer.hand.splice(i, 1);
-                            addedToMeld = true;
-                            break;
-                        }
-                    }
-                    if (addedToMeld) break;
-                }
-            }
+        const card = game.ruleset.knocking
+            ? game.ruleset.bestDiscard(player.hand, game.drawnFromDiscard).card
+            : findBestDiscard(player.hand, game.melds, game.ruleset);
+        const result = this.discard(lobbyCode, player.id, card.id);
+        if (!result.success) return result;
 
-            // Strategy 3: Play new melds from hand
-            const possibleMelds = this.findPossibleMelds(currentPlayer.hand);
-            for (const meldCards of possibleMelds) {
-                // Ensure playing this meld leaves at least 1 card
-                if (currentPlayer.hand.length - meldCards.length === 0) {
-                    continue; // Skip this meld if it leaves no cards
-                }
+        applied.push({ type: 'discard', cardId: card.id });
+        return result.winner ? { winner: result.winner, actions: applied } : { success: true, actions: applied };
+    }
 
-                // Verify the meld is valid
-                if (isValidMeld(meldCards)) {
-                    // Remove cards from hand
-                    for (const card of meldCards) {
-                        const idx = currentPlayer.hand.findIndex(c => c.id === card.id);
-                        if (idx !== -1) currentPlayer.hand.splice(idx, 1);
-                    }
-
-                    // Add meld to table
-                    game.melds.push({
-                        cards: meldCards,
-                        playerId: currentPlayer.id,
-                        id: `meld_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-                    });
-                }
-            }
+    // Auto-play a human turn once its clock has run out
+    // Draws from the deck if needed, then discards the card the bots would throw away.
+    // Returns null if there is nothing to do, otherwise the discard and any winner
+    playTimedOutTurn(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game || game.winner || !game.turnDeadline || Date.now() < game.turnDeadline) return null;
 
-            // Check for win before discarding
-            if (checkWin(currentPlayer.hand)) {
-                game.winner = {
-                    playerId: currentPlayer.id,
-                    playerName: currentPlayer.name,
-                    scores: game.players.map(p => ({
-                        name: p.name,
-                        points: calculateHandPoints(p.hand),
-                        isWinner: p.id === currentPlayer.id
-                    }))
-                };
-                return { winner: game.winner };
-            }
+        const playerIndex = game.currentTurn;
+        const player = game.players[playerIndex];
+        if (this.isBotSeat(player)) return null;
 
-            // Bot discards using smart selection
-            if (currentPlayer.hand.length > 0) {
-                const discardCard = this.findBestDiscard(currentPlayer.hand, game.melds);
-                const discardIndex = currentPlayer.hand.findIndex(c => c.id === discardCard.id);
-                const [discardedCard] = currentPlayer.hand.splice(discardIndex, 1);
-                game.discardPile.push(discardedCard);
-
-                // Check for win after discard
-                if (checkWin(currentPlayer.hand)) {
-                    game.winner = {
-                        playerId: currentPlayer.id,
-                        playerName: currentPlayer.name,
-                        scores: game.players.map(p => ({
-                            name: p.name,
-                            points: calculateHandPoints(p.hand),
-                            isWinner: p.id === currentPlayer.id
-                        }))
-                    };
-                    return { winner: game.winner };
-                }
-            }
+        // Drawing and discarding below count as acting, so keep the streak aside
+        const timeouts = (player.timeouts || 0) + 1;
 
-            // Next turn
-            game.currentTurn = (game.currentTurn + 1) % game.players.length;
-            game.phase = 'draw';
+        if (game.phase === 'draw') {
+            const drawResult = this.drawCard(lobbyCode, player.id, 'deck');
+            if (!drawResult.success) return drawResult;
         }
 
-        return { success: true };
+        const ruleset = game.ruleset;
+        const card = ruleset.knocking
+            ? ruleset.bestDiscard(player.hand, game.drawnFromDiscard).card
+            : findBestDiscard(player.hand, game.melds, ruleset);
+        const result = this.discard(lobbyCode, player.id, card.id);
+        if (!result.success) return result;
+
+        player.timeouts = timeouts;
+        player.away = timeouts >= AWAY_AFTER_TIMEOUTS;
+        console.log(`Turn timed out for ${player.name} in game ${lobbyCode}${player.away ? ' (now away)' : ''}`);
+
+        return {
+            success: true,
+            playerId: player.id,
+            playerIndex,
+            playerName: player.name,
+            card,
+            away: player.away,
+            winner: result.winner
+        };
     }
 
     // Get game state for a specific player (hide other hands)
@@ -552,7 +319,9 @@ class GameManager {
                 name: p.name,
                 cardCount: p.hand.length,
                 isMe: i === playerIndex,
-                connected: p.connected
+                connected: p.connected,
+                away: p.away || false,
+                botControlled: p.botControlled || false
             })),
             melds: game.melds,
             discardTop: game.discardPile[game.discardPile.length - 1],
@@ -562,28 +331,90 @@ class GameManager {
             currentPlayerName: game.players[game.currentTurn].name,
             isMyTurn: game.currentTurn === playerIndex,
             phase: game.phase,
+            canUndo: game.currentTurn === playerIndex && game.turnHistory.length > 0,
+            turnDeadline: game.turnDeadline,
+            shuffleCommitment: game.shuffleCommitment?.hash || null,
+            serverTime: Date.now(), // Lets the client correct for clock differences
             winner: game.winner,
+            ginInfo: game.ruleset.knocking ? this.getGinInfo(game, playerIndex) : null,
             settings: game.settings // Include settings for deck style
         };
     }
 
+    // Get game state for someone watching without a seat
+    // Same shape as a player view, but every hand stays hidden
+    getSpectatorView(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game) return null;
+
+        return {
+            myHand: [],
+            myIndex: -1,
+            otherPlayers: game.players.map(p => ({
+                name: p.name,
+                cardCount: p.hand.length,
+                isMe: false,
+                connected: p.connected,
+                away: p.away || false,
+                botControlled: p.botControlled || false
+            })),
+            melds: game.melds,
+            discardTop: game.discardPile[game.discardPile.length - 1],
+            discardCount: game.discardPile.length,
+            deckCount: game.deck.length,
+            currentTurn: game.currentTurn,
+            currentPlayerName: game.players[game.currentTurn].name,
+            isMyTurn: false,
+            phase: game.phase,
+            canUndo: false,
+            turnDeadline: game.turnDeadline,
+            shuffleCommitment: game.shuffleCommitment?.hash || null,
+            serverTime: Date.now(),
+            winner: game.winner,
+            ginInfo: null,
+            settings: game.settings,
+            isSpectator: true
+        };
+    }
+
+    // Deadwood summary for a player's own hand under knocking rules
+    getGinInfo(game, playerIndex) {
+        const player = game.players[playerIndex];
+        const ruleset = game.ruleset;
+        const isPlayPhase = game.currentTurn === playerIndex && game.phase === 'play';
+        const bestDiscard = isPlayPhase ? ruleset.bestDiscard(player.hand, game.drawnFromDiscard) : null;
+
+        return {
+            deadwood: ruleset.deadwood(player.hand),
+            // Lowest deadwood reachable by discarding now (only during own play phase)
+            bestKnockDeadwood: bestDiscard ? bestDiscard.deadwoodPoints : null,
+            knockLimit: ruleset.knockLimit,
+            bigGin: ruleset.bigGin
+        };
+    }
+
     // Draw a card from deck or discard pile
     drawCard(lobbyCode, playerId, source) {
         const game = this.games.get(lobbyCode);
         if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
 
         const playerIndex = game.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) return { success: false, error: 'Player not found' };
         if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
         if (game.phase !== 'draw') return { success: false, error: 'Already drew a card this turn' };
 
+        this.markActive(game, game.players[playerIndex]);
+
         let drawnCard;
         if (source === 'deck') {
             if (game.deck.length === 0) {
                 // Reshuffle discard pile (except top card) into deck
                 const topCard = game.discardPile.pop();
-                game.deck = shuffle(game.discardPile);
+                game.reshuffles = (game.reshuffles || 0) + 1;
+                game.deck = shuffle(game.discardPile, createRandom(deriveSeed(game.seed, game.reshuffles)));
                 game.discardPile = [topCard];
+                this.logAction(game, 'reshuffle', playerIndex, { deckCount: game.deck.length });
             }
             drawnCard = game.deck.shift();
         } else if (source === 'discard') {
@@ -591,12 +422,16 @@ class GameManager {
                 return { success: false, error: 'Discard pile is empty' };
             }
             drawnCard = game.discardPile.pop();
+            this.recordPickup(game, playerIndex, drawnCard);
         } else {
             return { success: false, error: 'Invalid source' };
         }
 
         game.players[playerIndex].hand.push(drawnCard);
         game.phase = 'play';
+        game.drawnFromDiscard = source === 'discard' ? drawnCard.id : null;
+        game.turnHistory = []; // The draw itself can never be undone
+        this.logAction(game, 'draw', playerIndex, { source, card: drawnCard });
 
         return { success: true, card: drawnCard };
     }
@@ -605,28 +440,44 @@ class GameManager {
     playMeld(lobbyCode, playerId, cardIds) {
         const game = this.games.get(lobbyCode);
         if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
 
         const playerIndex = game.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) return { success: false, error: 'Player not found' };
         if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
         if (game.phase !== 'play') return { success: false, error: 'Draw a card first' };
+        if (!game.ruleset.tableMelds) {
+            return { success: false, error: `In ${game.ruleset.label} your melds stay in your hand until you knock`, code: 'melds-stay-in-hand' };
+        }
 
+        if (!Array.isArray(cardIds)) return { success: false, error: 'Invalid meld' };
+
+        // Each ID must name a different card in hand, so one card can't be counted twice
         const player = game.players[playerIndex];
-        const cards = cardIds.map(id => player.hand.find(c => c.id === id)).filter(Boolean);
+        const seenIds = new Set();
+        const cards = [];
+        for (const id of cardIds) {
+            if (seenIds.has(id)) {
+                return { success: false, error: 'A card cannot appear more than once in a meld' };
+            }
+            seenIds.add(id);
 
-        if (cards.length !== cardIds.length) {
-            return { success: false, error: 'Some cards not found in hand' };
+            const card = player.hand.find(c => c.id === id);
+            if (!card) return { success: false, error: 'Some cards not found in hand' };
+            cards.push(card);
         }
 
-        if (!isValidMeld(cards)) {
+        if (!game.ruleset.isValidMeld(cards)) {
             return { success: false, error: 'Invalid meld. Must be 3+ consecutive same suit or 3+ same rank' };
         }
 
         // Check if player would have cards left
-        if (player.hand.length - cards.length === 0) {
+        if (game.ruleset.keepCardToDiscard && player.hand.length - cards.length === 0) {
             return { success: false, error: 'You cannot play all your cards. You must keep one card to discard to win.' };
         }
 
+        this.saveUndoSnapshot(game, player);
+
         // Remove cards from hand
         for (const card of cards) {
             const idx = player.hand.findIndex(c => c.id === card.id);
@@ -634,11 +485,13 @@ class GameManager {
         }
 
         // Add meld to table
-        game.melds.push({
+        const meld = {
             cards,
             playerId,
             id: `meld_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        });
+        };
+        game.melds.push(meld);
+        this.logAction(game, 'playMeld', playerIndex, { meldId: meld.id, cards: [...cards] });
 
         return { success: true };
     }
@@ -647,11 +500,15 @@ class GameManager {
     addToMeld(lobbyCode, playerId, cardId, meldId, position) {
         const game = this.games.get(lobbyCode);
         if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
 
         const playerIndex = game.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) return { success: false, error: 'Player not found' };
         if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
         if (game.phase !== 'play') return { success: false, error: 'Draw a card first' };
+        if (!game.ruleset.tableMelds) {
+            return { success: false, error: `In ${game.ruleset.label} your melds stay in your hand until you knock`, code: 'melds-stay-in-hand' };
+        }
 
         const player = game.players[playerIndex];
         const card = player.hand.find(c => c.id === cardId);
@@ -665,54 +522,115 @@ class GameManager {
             ? [card, ...meld.cards]
             : [...meld.cards, card];
 
-        if (!isValidMeld(newCards)) {
+        if (!game.ruleset.isValidMeld(newCards)) {
             return { success: false, error: 'Adding this card would create an invalid meld' };
         }
 
         // Check if player would have cards left
-        if (player.hand.length - 1 === 0) {
+        if (game.ruleset.keepCardToDiscard && player.hand.length - 1 === 0) {
             return { success: false, error: 'You cannot play your last card. You must discard to win.' };
         }
 
+        this.saveUndoSnapshot(game, player);
+
         // Remove from hand and add to meld
         const idx = player.hand.findIndex(c => c.id === cardId);
         player.hand.splice(idx, 1);
         meld.cards = newCards;
+        this.logAction(game, 'addToMeld', playerIndex, { meldId, card, position });
 
         return { success: true };
     }
 
     // Rearrange cards on the table (complex moves)
-    rearrangeTable(lobbyCode, playerId, proposedMelds, cardsFromHand) {
+    // Only card IDs are taken from the client - the melds are rebuilt from the
+    // server's own table and hand cards before validation.
+    rearrangeTable(lobbyCode, playerId, proposedMelds) {
         const game = this.games.get(lobbyCode);
         if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
 
         const playerIndex = game.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) return { success: false, error: 'Player not found' };
         if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
         if (game.phase !== 'play') return { success: false, error: 'Draw a card first' };
+        if (!game.ruleset.tableMelds) {
+            return { success: false, error: `In ${game.ruleset.label} your melds stay in your hand until you knock`, code: 'melds-stay-in-hand' };
+        }
 
         const player = game.players[playerIndex];
 
+        // Resolve the proposed melds to canonical card objects
+        const resolved = resolveProposedMelds(game.melds, proposedMelds, player.hand, playerId);
+        if (!resolved.valid) {
+            return { success: false, error: resolved.error, code: resolved.code };
+        }
+
         // Validate the rearrangement
-        const validation = validateRearrangement(game.melds, proposedMelds, player.hand);
+        const validation = game.ruleset.validateRearrangement(game.melds, resolved.melds, player.hand);
         if (!validation.valid) {
-            return { success: false, error: validation.error };
+            return { success: false, error: validation.error, code: validation.code };
         }
 
-        // Check if player would have cards left
-        if (player.hand.length - cardsFromHand.length === 0) {
+        // Check if player would have cards left (wilds taken off the table count)
+        const cardsLeft = player.hand.length - resolved.cardsFromHand.length + validation.wildsTaken.length;
+        if (game.ruleset.keepCardToDiscard && cardsLeft === 0) {
             return { success: false, error: 'You cannot play all your cards. You must keep one card to discard to win.' };
         }
 
+        this.saveUndoSnapshot(game, player);
+
         // Remove used cards from hand
-        for (const cardId of cardsFromHand) {
+        const cardsPlayed = [];
+        for (const cardId of resolved.cardsFromHand) {
             const idx = player.hand.findIndex(c => c.id === cardId);
-            if (idx !== -1) player.hand.splice(idx, 1);
+            if (idx !== -1) cardsPlayed.push(...player.hand.splice(idx, 1));
         }
 
+        // Swapped wild cards go to the player's hand
+        player.hand.push(...validation.wildsTaken);
+
         // Update melds
-        game.melds = proposedMelds.filter(m => m.cards.length > 0);
+        this.logAction(game, 'rearrange', playerIndex, {
+            cardsFromHand: cardsPlayed,
+            wildsTaken: validation.wildsTaken,
+            changes: diffMelds(game.melds, resolved.melds)
+        });
+        game.melds = resolved.melds;
+
+        return { success: true, melds: game.melds, cardsFromHand: cardsPlayed, wildsTaken: validation.wildsTaken };
+    }
+
+    // Remember the player's hand and the table before a play action
+    // Melds are copied so later changes to their card lists don't leak into the snapshot
+    saveUndoSnapshot(game, player) {
+        game.turnHistory.push({
+            hand: [...player.hand],
+            melds: game.melds.map(m => ({ ...m, cards: [...m.cards] }))
+        });
+    }
+
+    // Undo the last meld, add or rearrangement made this turn
+    // The draw is never undone because it may have revealed a card
+    undo(lobbyCode, playerId) {
+        const game = this.games.get(lobbyCode);
+        if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
+
+        const playerIndex = game.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) return { success: false, error: 'Player not found' };
+        if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
+        if (game.phase !== 'play' || game.turnHistory.length === 0) {
+            return { success: false, error: 'Nothing to undo this turn' };
+        }
+
+        const snapshot = game.turnHistory.pop();
+        game.players[playerIndex].hand = snapshot.hand;
+        game.melds = snapshot.melds;
+        this.logAction(game, 'undo', playerIndex, {
+            hand: [...snapshot.hand],
+            melds: snapshot.melds.map(m => ({ id: m.id, cards: [...m.cards] }))
+        });
 
         return { success: true };
     }
@@ -721,6 +639,7 @@ class GameManager {
     discard(lobbyCode, playerId, cardId) {
         const game = this.games.get(lobbyCode);
         if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
 
         const playerIndex = game.players.findIndex(p => p.id === playerId);
         if (playerIndex === -1) return { success: false, error: 'Player not found' };
@@ -731,50 +650,183 @@ class GameManager {
         const cardIdx = player.hand.findIndex(c => c.id === cardId);
         if (cardIdx === -1) return { success: false, error: 'Card not found in hand' };
 
+        if (game.ruleset.knocking && cardId === game.drawnFromDiscard) {
+            return { success: false, error: 'You cannot discard the card you just picked up' };
+        }
+
+        this.markActive(game, player);
+
         // Remove card and add to discard
         const [card] = player.hand.splice(cardIdx, 1);
         game.discardPile.push(card);
+        game.turnHistory = [];
+        this.logAction(game, 'discard', playerIndex, { card });
 
-        // Check for win
-        if (checkWin(player.hand)) {
+        // Knocking rules: the hand is dead once the stock runs low
+        if (game.ruleset.knocking && game.deck.length <= game.ruleset.deadHandStock) {
             game.winner = {
-                playerId,
-                playerName: player.name,
+                playerId: null,
+                playerName: null,
+                isDraw: true,
+                roundPoints: 0,
                 scores: game.players.map(p => ({
                     name: p.name,
-                    points: calculateHandPoints(p.hand),
-                    isWinner: p.id === playerId
+                    points: game.ruleset.handPoints(p.hand),
+                    isWinner: false
                 }))
             };
+            this.logGameOver(game, null);
+            return { success: true, winner: game.winner };
+        }
+
+        // Check for win
+        if (game.ruleset.checkWin(player.hand)) {
+            this.setWinner(game, playerIndex);
             return { success: true, winner: game.winner };
         }
 
         // Next turn
-        game.currentTurn = (game.currentTurn + 1) % game.players.length;
-        game.phase = 'draw';
+        this.nextTurn(game);
 
         return { success: true };
     }
 
+    // Knock: discard a card and lay down with deadwood at or below the knock limit
+    // Scoring, layoffs and undercuts are worked out from both hands (knocking rules)
+    knock(lobbyCode, playerId, cardId) {
+        const game = this.games.get(lobbyCode);
+        if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
+
+        const ruleset = game.ruleset;
+        if (!ruleset.knocking) return { success: false, error: `Knocking is not used in ${ruleset.label}`, code: 'knocking-not-used' };
+
+        const playerIndex = game.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) return { success: false, error: 'Player not found' };
+        if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
+        if (game.phase !== 'play') return { success: false, error: 'Draw a card first' };
+
+        const player = game.players[playerIndex];
+        const cardIdx = player.hand.findIndex(c => c.id === cardId);
+        if (cardIdx === -1) return { success: false, error: 'Card not found in hand' };
+        if (cardId === game.drawnFromDiscard) {
+            return { success: false, error: 'You cannot discard the card you just picked up' };
+        }
+
+        const remainingHand = player.hand.filter(c => c.id !== cardId);
+        const deadwoodPoints = ruleset.deadwood(remainingHand);
+        if (deadwoodPoints > ruleset.knockLimit) {
+            return {
+                success: false,
+                error: `Your deadwood would be ${deadwoodPoints}. You can knock with ${ruleset.knockLimit} or less.`,
+                code: 'deadwood-too-high'
+            };
+        }
+
+        const [card] = player.hand.splice(cardIdx, 1);
+        game.discardPile.push(card);
+        this.logAction(game, 'knock', playerIndex, { card });
+
+        const defenderIndex = (playerIndex + 1) % game.players.length;
+        const result = ruleset.scoreKnock(player.hand, game.players[defenderIndex].hand, 'knock');
+        this.finishGinHand(game, playerIndex, defenderIndex, result);
+
+        return { success: true, card, winner: game.winner };
+    }
+
+    // Big gin: all 11 cards melded after drawing, no discard needed
+    declareBigGin(lobbyCode, playerId) {
+        const game = this.games.get(lobbyCode);
+        if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
+
+        const ruleset = game.ruleset;
+        if (!ruleset.knocking) return { success: false, error: `Big gin is not used in ${ruleset.label}`, code: 'big-gin-not-used' };
+        if (!ruleset.bigGin) return { success: false, error: 'Big gin is not enabled in this game' };
+
+        const playerIndex = game.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) return { success: false, error: 'Player not found' };
+        if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
+        if (game.phase !== 'play') return { success: false, error: 'Draw a card first' };
+
+        const player = game.players[playerIndex];
+        if (ruleset.deadwood(player.hand) !== 0) {
+            return { success: false, error: 'All 11 cards must form melds for big gin' };
+        }
+
+        this.logAction(game, 'bigGin', playerIndex);
+
+        const defenderIndex = (playerIndex + 1) % game.players.length;
+        const result = ruleset.scoreKnock(player.hand, game.players[defenderIndex].hand, 'bigGin');
+        this.finishGinHand(game, playerIndex, defenderIndex, result);
+
+        return { success: true, winner: game.winner };
+    }
+
+    // Record the player who went out as the game winner
+    // Scores are the penalty points left in each hand under the game's ruleset
+    setWinner(game, winnerIndex) {
+        const winner = game.players[winnerIndex];
+        game.winner = {
+            playerId: winner.id,
+            playerName: winner.name,
+            roundPoints: game.ruleset.roundPoints(winnerIndex, game.players),
+            scores: game.players.map((p, i) => ({
+                name: p.name,
+                points: game.ruleset.handPoints(p.hand),
+                isWinner: i === winnerIndex
+            }))
+        };
+        this.logGameOver(game, winnerIndex);
+    }
+
+    // Record the outcome of a knocked hand as the game winner
+    // Both hands are revealed, so melds and deadwood are included for display
+    finishGinHand(game, knockerIndex, defenderIndex, result) {
+        const knocker = game.players[knockerIndex];
+        const defender = game.players[defenderIndex];
+        const winner = result.knockerWins ? knocker : defender;
+
+        const describeHand = (player, arrangement) => ({
+            name: player.name,
+            melds: arrangement.melds,
+            deadwood: arrangement.deadwood,
+            layoffs: arrangement.layoffs || [],
+            deadwoodPoints: arrangement.deadwoodPoints
+        });
+
+        game.winner = {
+            playerId: winner.id,
+            playerName: winner.name,
+            roundPoints: result.points,
+            scores: [
+                { name: knocker.name, points: result.knocker.deadwoodPoints, isWinner: winner === knocker },
+                { name: defender.name, points: result.defender.deadwoodPoints, isWinner: winner === defender }
+            ],
+            gin: {
+                type: result.type, // 'knock' | 'gin' | 'bigGin' | 'undercut'
+                knockerName: knocker.name,
+                hands: [describeHand(knocker, result.knocker), describeHand(defender, result.defender)]
+            }
+        };
+        this.logGameOver(game, game.players.indexOf(winner));
+    }
+
     // End turn without discarding (for going out directly)
     endTurn(lobbyCode, playerId) {
         const game = this.games.get(lobbyCode);
         if (!game) return { success: false, error: 'Game not found' };
+        if (game.winner) return { success: false, error: 'The game is over' };
 
         const playerIndex = game.players.findIndex(p => p.id === playerId);
+        if (playerIndex === -1) return { success: false, error: 'Player not found' };
+        if (game.currentTurn !== playerIndex) return { success: false, error: 'Not your turn' };
+        if (game.phase !== 'play') return { success: false, error: 'Draw a card first' };
         const player = game.players[playerIndex];
 
         // Check for win (must have no cards)
-        if (checkWin(player.hand)) {
-            game.winner = {
-                playerId,
-                playerName: player.name,
-                scores: game.players.map(p => ({
-                    name: p.name,
-                    points: calculateHandPoints(p.hand),
-                    isWinner: p.id === playerId
-                }))
-            };
+        if (game.ruleset.checkWin(player.hand)) {
+            this.setWinner(game, playerIndex);
             return { success: true, winner: game.winner };
         }
 
@@ -793,6 +845,20 @@ class GameManager {
         }
     }
 
+    // Hand a disconnected player's seat to the bot until they come back
+    // Returns false if the player has reconnected or is already bot-controlled
+    takeOverSeat(lobbyCode, persistentId) {
+        const game = this.games.get(lobbyCode);
+        if (!game || game.winner) return false;
+
+        const player = game.players.find(p => p.odId === persistentId);
+        if (!player || player.connected || player.botControlled) return false;
+
+        player.botControlled = true;
+        console.log(`Bot taking over for ${player.name} in game ${lobbyCode}`);
+        return true;
+    }
+
     // Handle player reconnect
     // persistentId is the odId from the client session
     playerReconnected(lobbyCode, persistentId, newSocketId, oldSocketId = null) {
@@ -818,6 +884,7 @@ class GameManager {
         if (player) {
             const oldId = player.id;
             player.connected = true;
+            player.botControlled = false; // Hand the seat back from the bot
             player.id = newSocketId;
             console.log(`Player ${player.name} reconnected in game ${lobbyCode} (${oldId} -> ${newSocketId}, odId: ${persistentId})`);
             return true;
@@ -827,11 +894,63 @@ class GameManager {
         return false;
     }
 
+    // Number of games still being played (metrics)
+    countActiveGames() {
+        let count = 0;
+        for (const game of this.games.values()) {
+            if (!game.winner) count++;
+        }
+        return count;
+    }
+
     // Get full game state (for debugging/admin)
     getFullState(lobbyCode) {
         return this.games.get(lobbyCode);
     }
 
+    // The game's action log as a downloadable record, once the game is over
+    getActionLog(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game?.winner) return null;
+
+        return {
+            version: 1,
+            lobbyCode,
+            rules: game.ruleset.label,
+            settings: game.settings,
+            seed: game.seed,
+            players: game.players.map(p => p.name),
+            actions: game.actionLog || []
+        };
+    }
+
+    // Everything a player needs to check the shuffle commitment, once the game is over
+    getShuffleReveal(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game?.winner || !game.shuffleCommitment) return null;
+
+        const { salt, order } = game.shuffleCommitment;
+        return { seed: game.seed, salt, order, handSize: game.ruleset.handSize };
+    }
+
+    // Game state for storage
+    // The ruleset holds functions, so it is left out and rebuilt from the settings on restore
+    serializeGame(lobbyCode) {
+        const game = this.games.get(lobbyCode);
+        if (!game) return null;
+        const { ruleset, ...state } = game;
+        return state;
+    }
+
+    // Restore a game from storage after a restart
+    restoreGame(state) {
+        for (const player of state.players) {
+            if (!player.isTestPlayer) player.connected = false;
+        }
+        // Snapshots from before deals were seeded get a fresh seed for any later reshuffles
+        this.games.set(state.lobbyCode, { seed: randomSeed(), ...state, ruleset: createRuleset(state.settings) });
+    }
+
     // Remove game
     removeGame(lobbyCode) {
         this.games.delete(lobbyCode);
@@ -0,0 +1,186 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GameManager from './gameManager.js';
+
+// A game in the play phase with a chosen hand for the first player
+function startGame(hand) {
+    const gameManager = new GameManager(null);
+    const players = ['p1', 'p2'].map(id => ({ id, odId: id, name: id, isTestPlayer: true }));
+    const game = gameManager.initGame('TEST', players, { seed: 1 });
+    game.players[0].hand = hand;
+    game.currentTurn = 0;
+    game.phase = 'play';
+    return { gameManager, game };
+}
+
+const card = (rank, suit, value) => ({ id: `${rank}_${suit}`, rank, suit, value });
+
+test('playMeld rejects the same card ID sent more than once', () => {
+    const { gameManager, game } = startGame([card('7', 'hearts', 7), card('2', 'clubs', 2), card('9', 'spades', 9), card('K', 'spades', 10)]);
+
+    const result = gameManager.playMeld('TEST', 'p1', ['7_hearts', '7_hearts', '7_hearts']);
+
+    assert.equal(result.success, false);
+    assert.equal(game.melds.length, 0);
+    assert.equal(game.players[0].hand.length, 4);
+});
+
+test('playMeld rejects card IDs that are not in hand', () => {
+    const { gameManager, game } = startGame([card('7', 'hearts', 7), card('7', 'clubs', 7), card('9', 'spades', 9), card('K', 'spades', 10)]);
+
+    const result = gameManager.playMeld('TEST', 'p1', ['7_hearts', '7_clubs', '7_spades']);
+
+    assert.equal(result.success, false);
+    assert.equal(game.melds.length, 0);
+});
+
+test('playMeld lays a valid set from hand', () => {
+    const hand = [card('7', 'hearts', 7), card('7', 'clubs', 7), card('7', 'spades', 7), card('2', 'clubs', 2)];
+    const { gameManager, game } = startGame(hand);
+
+    const result = gameManager.playMeld('TEST', 'p1', ['7_hearts', '7_clubs', '7_spades']);
+
+    assert.equal(result.success, true);
+    assert.equal(game.melds.length, 1);
+    assert.deepEqual(game.players[0].hand.map(c => c.id), ['2_clubs']);
+});
+
+test('going out scores the points left in the other hands', () => {
+    const { gameManager, game } = startGame([card('9', 'spades', 9)]);
+    game.players[1].hand = [card('K', 'hearts', 13), card('A', 'clubs', 1), card('5', 'diamonds', 5)];
+
+    const result = gameManager.discard('TEST', 'p1', '9_spades');
+
+    assert.equal(result.winner.playerId, 'p1');
+    assert.equal(result.winner.roundPoints, 10 + 1 + 5);
+    assert.deepEqual(result.winner.scores.map(s => s.points), [0, 16]);
+});
+
+test('undo takes back this turn\'s plays one at a time, but never the draw', () => {
+    const hand = [card('7', 'hearts', 7), card('7', 'clubs', 7), card('7', 'spades', 7), card('7', 'diamonds', 7), card('2', 'clubs', 2)];
+    const { gameManager, game } = startGame([]);
+    game.phase = 'draw';
+    gameManager.drawCard('TEST', 'p1', 'deck');
+    const drawn = game.players[0].hand[0];
+    game.players[0].hand = [...hand, drawn];
+
+    assert.equal(gameManager.undo('TEST', 'p1').error, 'Nothing to undo this turn');
+
+    gameManager.playMeld('TEST', 'p1', ['7_hearts', '7_clubs', '7_spades']);
+    const meldId = game.melds[0].id;
+    gameManager.addToMeld('TEST', 'p1', '7_diamonds', meldId, 'end');
+    assert.equal(game.melds[0].cards.length, 4);
+    assert.equal(gameManager.getPlayerView('TEST', 'p1').canUndo, true);
+
+    assert.equal(gameManager.undo('TEST', 'p1').success, true);
+    assert.equal(game.melds[0].cards.length, 3);
+    assert.deepEqual(game.players[0].hand.map(c => c.id).sort(), ['2_clubs', '7_diamonds', drawn.id].sort());
+
+    assert.equal(gameManager.undo('TEST', 'p1').success, true);
+    assert.deepEqual(game.melds, []);
+    assert.equal(game.players[0].hand.length, 6);
+    assert.equal(gameManager.undo('TEST', 'p1').success, false);
+    assert.equal(game.phase, 'play');
+});
+
+test('plays cannot be undone once the turn has passed', () => {
+    const hand = [card('7', 'hearts', 7), card('7', 'clubs', 7), card('7', 'spades', 7), card('2', 'clubs', 2), card('9', 'clubs', 9)];
+    const { gameManager, game } = startGame(hand);
+
+    gameManager.playMeld('TEST', 'p1', ['7_hearts', '7_clubs', '7_spades']);
+    gameManager.discard('TEST', 'p1', '2_clubs');
+
+    assert.equal(gameManager.undo('TEST', 'p1').error, 'Not your turn');
+    assert.equal(game.melds.length, 1);
+    assert.equal(gameManager.getPlayerView('TEST', 'p2').canUndo, false);
+});
+
+// Two human players on a turn clock
+function startTimedGame(turnTimer = 30) {
+    const gameManager = new GameManager(null);
+    const players = ['p1', 'p2'].map(id => ({ id, odId: id, name: id, isTestPlayer: false, connected: true }));
+    const game = gameManager.initGame('CLOCK', players, { seed: 1, turnTimer }, 0);
+    return { gameManager, game };
+}
+
+// Run the current turn's clock out and let the server play it
+function timeOut(gameManager, game) {
+    game.turnDeadline = Date.now() - 1;
+    return gameManager.playTimedOutTurn('CLOCK');
+}
+
+test('the turn clock sets a deadline and shows it to players', () => {
+    const before = Date.now();
+    const { gameManager, game } = startTimedGame(60);
+
+    assert.ok(game.turnDeadline >= before + 60000 && game.turnDeadline <= Date.now() + 60000);
+    assert.equal(gameManager.getPlayerView('CLOCK', 'p2').turnDeadline, game.turnDeadline);
+    assert.equal(startTimedGame(0).game.turnDeadline, null);
+});
+
+test('a timed-out turn is drawn and discarded for the player', () => {
+    const { gameManager, game } = startTimedGame();
+    assert.equal(gameManager.playTimedOutTurn('CLOCK'), null); // Still on the clock
+
+    const deckCount = game.deck.length;
+    const discardCount = game.discardPile.length;
+    const result = timeOut(gameManager, game);
+
+    assert.equal(result.success, true);
+    assert.equal(result.playerId, 'p1');
+    assert.equal(result.away, false);
+    assert.equal(game.deck.length, deckCount - 1);
+    assert.equal(game.discardPile.length, discardCount + 1);
+    assert.equal(game.discardPile.at(-1).id, result.card.id);
+    assert.equal(game.players[0].hand.length, 10);
+    assert.equal(game.currentTurn, 1);
+    assert.equal(game.phase, 'draw');
+});
+
+test('two timed-out turns in a row mark a player away until they act', () => {
+    const { gameManager, game } = startTimedGame();
+
+    timeOut(gameManager, game); // p1
+    timeOut(gameManager, game); // p2
+    const result = timeOut(gameManager, game); // p1 again
+
+    assert.equal(result.away, true);
+    assert.equal(game.players[0].away, true);
+
+    // p2 plays for real; p1's next turn only gets a few seconds
+    gameManager.drawCard('CLOCK', 'p2', 'deck');
+    gameManager.discard('CLOCK', 'p2', game.players[1].hand[0].id);
+    assert.ok(game.turnDeadline <= Date.now() + 5000);
+
+    // Acting clears the away mark and restarts the full clock
+    gameManager.drawCard('CLOCK', 'p1', 'deck');
+    gameManager.discard('CLOCK', 'p1', game.players[0].hand[0].id);
+    assert.equal(game.players[0].away, false);
+    assert.equal(game.players[0].timeouts, 0);
+});
+
+test('a bot plays a disconnected seat until the player reconnects', () => {
+    const { gameManager, game } = startTimedGame(0);
+
+    // Still connected: nothing to take over
+    assert.equal(gameManager.takeOverSeat('CLOCK', 'p1'), false);
+
+    gameManager.playerDisconnected('CLOCK', 'p1');
+    assert.equal(gameManager.isCurrentPlayerBot('CLOCK'), false);
+    assert.equal(gameManager.takeOverSeat('CLOCK', 'p1'), true);
+    assert.equal(gameManager.takeOverSeat('CLOCK', 'p1'), false); // Already the bot's
+    assert.equal(gameManager.isCurrentPlayerBot('CLOCK'), true);
+    assert.equal(gameManager.getPlayerView('CLOCK', 'p2').otherPlayers[0].botControlled, true);
+
+    const result = gameManager.playBotTurn('CLOCK');
+    assert.ok(result.success || result.winner);
+    assert.equal(game.currentTurn, 1);
+
+    // Back on a new socket: the seat is theirs again
+    assert.equal(gameManager.playerReconnected('CLOCK', 'p1', 'p1-new', 'p1'), true);
+    assert.equal(game.players[0].id, 'p1-new');
+    assert.equal(game.players[0].botControlled, false);
+    gameManager.drawCard('CLOCK', 'p2', 'deck');
+    gameManager.discard('CLOCK', 'p2', game.players[1].hand[0].id);
+    assert.equal(gameManager.isCurrentPlayerBot('CLOCK'), false);
+});
@@ -0,0 +1,255 @@
+// Classic Gin Rummy rules
+// Private melds, deadwood counting, knocking, layoffs and scoring
+
+// Default scoring for classic two-player gin
+export const GIN_DEFAULTS = {
+    knockLimit: 10,     // Knock allowed when deadwood is at or below this
+    ginBonus: 25,       // Bonus for going gin (no deadwood)
+    bigGinBonus: 31,    // Bonus for big gin (all 11 cards melded)
+    undercutBonus: 25   // Bonus for the defender when the knocker is undercut
+};
+
+// Deadwood value of a single card (Ace = 1, face cards = 10)
+export function getDeadwoodValue(card) {
+    if (card.rank === 'A') return 1;
+    if (['J', 'Q', 'K'].includes(card.rank)) return 10;
+    return card.value;
+}
+
+// Total deadwood value of a group of cards
+export function countDeadwood(cards) {
+    return cards.reduce((sum, card) => sum + getDeadwoodValue(card), 0);
+}
+
+// Find every possible meld in a hand (Ace is always low in classic gin)
+// Runs of any length 3+ and every set of 3 or 4 are returned separately
+export function findGinMelds(cards) {
+    const melds = [];
+
+    // Runs: consecutive cards of the same suit
+    const bySuit = {};
+    cards.forEach(card => {
+        if (!bySuit[card.suit]) bySuit[card.suit] = [];
+        bySuit[card.suit].push(card);
+    });
+
+    for (const suit of Object.keys(bySuit)) {
+        const suitCards = [...bySuit[suit]].sort((a, b) => a.value - b.value);
+        for (let start = 0; start < suitCards.length; start++) {
+            const run = [suitCards[start]];
+            for (let i = start + 1; i < suitCards.length; i++) {
+                if (suitCards[i].value !== run[run.length - 1].value + 1) break;
+                run.push(suitCards[i]);
+                if (run.length >= 3) melds.push([...run]);
+            }
+        }
+    }
+
+    // Sets: 3 or 4 cards of the same rank
+    const byRank = {};
+    cards.forEach(card => {
+        if (!byRank[card.rank]) byRank[card.rank] = [];
+        byRank[card.rank].push(card);
+    });
+
+    for (const rank of Object.keys(byRank)) {
+        const group = byRank[rank].slice(0, 4);
+        if (group.length === 3) {
+            melds.push(group);
+        } else if (group.length === 4) {
+            melds.push(group);
+            // Every 3-card combination, so the 4th card can be used in a run
+            for (let skip = 0; skip < 4; skip++) {
+                melds.push(group.filter((_, i) => i !== skip));
+            }
+        }
+    }
+
+    return melds;
+}
+
+// Find the arrangement of a hand with the lowest deadwood
+// Returns { melds: array, deadwood: array, deadwoodPoints: number }
+export function findBestArrangement(hand) {
+    const arrangements = enumerateArrangements(hand);
+    return arrangements.reduce((best, current) =>
+        current.deadwoodPoints < best.deadwoodPoints ? current : best
+    );
+}
+
+// List every way to split a hand into melds and deadwood
+// Hands are at most 11 cards, so an exhaustive search stays small
+export function enumerateArrangements(hand) {
+    const allMelds = findGinMelds(hand);
+    const results = [];
+
+    function search(remaining, chosen) {
+        if (remaining.length === 0) {
+            results.push(chosen);
+            return;
+        }
+
+        // The first remaining card is either deadwood or part of a meld
+        const [card, ...rest] = remaining;
+        search(rest, { melds: chosen.melds, deadwood: [...chosen.deadwood, card] });
+
+        const remainingIds = new Set(remaining.map(c => c.id));
+        for (const meld of allMelds) {
+            if (!meld.some(c => c.id === card.id)) continue;
+            if (!meld.every(c => remainingIds.has(c.id))) continue;
+            const meldIds = new Set(meld.map(c => c.id));
+            search(
+                remaining.filter(c => !meldIds.has(c.id)),
+                { melds: [...chosen.melds, meld], deadwood: chosen.deadwood }
+            );
+        }
+    }
+
+    search([...hand], { melds: [], deadwood: [] });
+
+    return results.map(({ melds, deadwood }) => ({
+        melds,
+        deadwood,
+        deadwoodPoints: countDeadwood(deadwood)
+    }));
+}
+
+// Check whether a card extends a meld on one of its ends (runs) or completes a set
+function canLayOff(meld, card) {
+    const isSet = meld.every(c => c.rank === meld[0].rank);
+    if (isSet) {
+        return card.rank === meld[0].rank && meld.length < 4;
+    }
+
+    if (card.suit !== meld[0].suit) return false;
+    const values = meld.map(c => c.value);
+    return card.value === Math.min(...values) - 1 || card.value === Math.max(...values) + 1;
+}
+
+// Lay off deadwood cards onto the knocker's melds
+// Runs are tried before sets so that a card extending a run can open the way
+// for further layoffs. Returns { melds, layoffs, deadwood }
+export function layOffCards(knockerMelds, deadwood) {
+    const melds = knockerMelds.map(m => [...m]);
+    let remaining = [...deadwood];
+    const layoffs = [];
+
+    let laidOff = true;
+    while (laidOff) {
+        laidOff = false;
+        const ordered = [...melds].sort((a, b) => {
+            const aIsSet = a.every(c => c.rank === a[0].rank);
+            const bIsSet = b.every(c => c.rank === b[0].rank);
+            return aIsSet - bIsSet;
+        });
+
+        for (const card of remaining) {
+            const meld = ordered.find(m => canLayOff(m, card));
+            if (meld) {
+                meld.push(card);
+                layoffs.push(card);
+                remaining = remaining.filter(c => c.id !== card.id);
+                laidOff = true;
+                break;
+            }
+        }
+    }
+
+    return { melds, layoffs, deadwood: remaining };
+}
+
+// Find the defender's best response to a knock, including layoffs
+// Every arrangement is tried because the lowest-deadwood split is not always
+// the one that leaves the most cards to lay off.
+export function findBestDefense(defenderHand, knockerMelds, allowLayoffs = true) {
+    let best = null;
+
+    for (const arrangement of enumerateArrangements(defenderHand)) {
+        const layoff = allowLayoffs
+            ? layOffCards(knockerMelds, arrangement.deadwood)
+            : { layoffs: [], deadwood: arrangement.deadwood };
+        const deadwoodPoints = countDeadwood(layoff.deadwood);
+
+        if (!best || deadwoodPoints < best.deadwoodPoints) {
+            best = {
+                melds: arrangement.melds,
+                layoffs: layoff.layoffs,
+                deadwood: layoff.deadwood,
+                deadwoodPoints
+            };
+        }
+    }
+
+    return best;
+}
+
+// Score a finished hand
+// type is 'knock' for a normal knock (gin is detected automatically) or 'bigGin'
+// Returns { type, knockerWins, points, knocker, defender }
+// where type is one of 'knock' | 'gin' | 'bigGin' | 'undercut'
+export function scoreGinHand(knockerHand, defenderHand, type = 'knock', options = {}) {
+    const rules = { ...GIN_DEFAULTS, ...options };
+    const knocker = findBestArrangement(knockerHand);
+    const isGin = knocker.deadwoodPoints === 0;
+
+    // No layoffs are allowed against gin
+    const defender = findBestDefense(defenderHand, knocker.melds, !isGin);
+
+    if (type === 'bigGin') {
+        return {
+            type: 'bigGin',
+            knockerWins: true,
+            points: defender.deadwoodPoints + rules.bigGinBonus,
+            knocker,
+            defender
+        };
+    }
+
+    if (isGin) {
+        return {
+            type: 'gin',
+            knockerWins: true,
+            points: defender.deadwoodPoints + rules.ginBonus,
+            knocker,
+            defender
+        };
+    }
+
+    // Defender ties or beats the knocker: undercut
+    if (defender.deadwoodPoints <= knocker.deadwoodPoints) {
+        return {
+            type: 'undercut',
+            knockerWins: false,
+            points: knocker.deadwoodPoints - defender.deadwoodPoints + rules.undercutBonus,
+            knocker,
+            defender
+        };
+    }
+
+    return {
+        type: 'knock',
+        knockerWins: true,
+        points: defender.deadwoodPoints - knocker.deadwoodPoints,
+        knocker,
+        defender
+    };
+}
+
+// Find the discard that leaves the lowest deadwood
+// excludeCardId is the card just taken from the discard pile, which may not be thrown back
+// Returns { card, deadwoodPoints } or null for an empty hand
+export function findBestGinDiscard(hand, excludeCardId = null) {
+    let best = null;
+
+    for (const card of hand) {
+        if (card.id === excludeCardId) continue;
+        const { deadwoodPoints } = findBestArrangement(hand.filter(c => c.id !== card.id));
+        // Prefer throwing the higher card when deadwood ties
+        if (!best || deadwoodPoints < best.deadwoodPoints ||
+            (deadwoodPoints === best.deadwoodPoints && getDeadwoodValue(card) > getDeadwoodValue(best.card))) {
+            best = { card, deadwoodPoints };
+        }
+    }
+
+    return best;
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBestArrangement, layOffCards, scoreGinHand } from './ginRules.js';
+import { getRankValue } from './deck.js';
+import GameManager from './gameManager.js';
+
+const SUITS = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' };
+
+// Cards written as rank + suit letter, e.g. '10h' or 'As'
+const cards = list => list.split(' ').map(name => {
+    const rank = name.slice(0, -1);
+    const suit = SUITS[name.slice(-1)];
+    return { id: `${rank}_${suit}`, rank, suit, value: getRankValue(rank) };
+});
+const ids = list => list.map(c => c.id).sort();
+
+// Knocker with 5 deadwood (the 5♦)
+const KNOCKER = 'Ah 2h 3h 4s 4c 4d 7c 8c 9c 5d';
+
+test('findBestArrangement picks the split with the least deadwood', () => {
+    // 9♥ in the run leaves 9♠ 9♣ (18); in the set it leaves 7♥ 8♥ (15)
+    const best = findBestArrangement(cards('7h 8h 9h 9s 9c'));
+
+    assert.equal(best.deadwoodPoints, 15);
+    assert.deepEqual(ids(best.deadwood), ids(cards('7h 8h')));
+});
+
+test('layOffCards extends runs one card at a time and fills sets', () => {
+    const melds = [cards('5h 6h 7h'), cards('Ks Kc Kd')];
+
+    const result = layOffCards(melds, cards('3h 4h 8h Kh 2c'));
+
+    assert.deepEqual(ids(result.layoffs), ids(cards('3h 4h 8h Kh')));
+    assert.deepEqual(ids(result.deadwood), ids(cards('2c')));
+    assert.equal(result.melds[0].length, 6);
+    assert.equal(result.melds[1].length, 4);
+});
+
+test('a knock scores the difference in deadwood', () => {
+    const result = scoreGinHand(cards(KNOCKER), cards('Qs Qh Qd 9s 10s Js Kc Kh 6h 10d'));
+
+    assert.equal(result.type, 'knock');
+    assert.equal(result.knockerWins, true);
+    assert.equal(result.defender.deadwoodPoints, 36);
+    assert.equal(result.points, 31);
+});
+
+test('layoffs that bring the defender under the knocker are an undercut', () => {
+    // 5♣ 6♣ lay off on 7♣ 8♣ 9♣, leaving A♠ 2♦ (3) against the knocker's 5
+    const result = scoreGinHand(cards(KNOCKER), cards('Qs Qh Qd 9s 10s Js 5c 6c As 2d'));
+
+    assert.equal(result.type, 'undercut');
+    assert.equal(result.knockerWins, false);
+    assert.deepEqual(ids(result.defender.layoffs), ids(cards('5c 6c')));
+    assert.equal(result.points, 5 - 3 + 25);
+});
+
+test('a tie in deadwood is an undercut', () => {
+    const result = scoreGinHand(cards(KNOCKER), cards('Qs Qh Qd 9s 10s Js Kc Kh Kd 5h'));
+
+    assert.equal(result.type, 'undercut');
+    assert.equal(result.points, 25);
+});
+
+test('gin scores a bonus and allows no layoffs', () => {
+    const result = scoreGinHand(cards('Ah 2h 3h 4s 4c 4d 7c 8c 9c 10c'), cards('Qs Qh Qd 9s 10s Js 5c 6c Kh 2d'));
+
+    assert.equal(result.type, 'gin');
+    assert.equal(result.knockerWins, true);
+    assert.deepEqual(result.defender.layoffs, []);
+    assert.equal(result.points, 23 + 25);
+});
+
+test('big gin scores the larger bonus', () => {
+    const result = scoreGinHand(
+        cards('Ah 2h 3h 4s 4c 4d 7c 8c 9c 10c Jc'),
+        cards('Qs Qh Qd 9s 10s Js 5c 6c Kh 2d'),
+        'bigGin'
+    );
+
+    assert.equal(result.type, 'bigGin');
+    assert.equal(result.points, 23 + 31);
+});
+
+test('the hand is dead when a discard leaves two cards in the stock', () => {
+    const gameManager = new GameManager(null);
+    const players = ['p1', 'p2'].map(id => ({ id, odId: id, name: id, isTestPlayer: true }));
+    const game = gameManager.initGame('GIN', players, { rulesMode: 'classicGin', seed: 1 });
+    game.deck = game.deck.slice(0, 2);
+    game.phase = 'play';
+    game.drawnFromDiscard = null;
+    const player = game.players[game.currentTurn];
+
+    const result = gameManager.discard('GIN', player.id, player.hand[0].id);
+
+    assert.equal(result.success, true);
+    assert.equal(result.winner.isDraw, true);
+    assert.equal(result.winner.roundPoints, 0);
+});
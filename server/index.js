@@ -6,8 +6,13 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createHash, timingSafeEqual } from 'crypto';
 import LobbyManager from './lobbyManager.js';
 import GameManager from './gameManager.js';
+import AccountManager, { clientAddress } from './accountManager.js';
+import TournamentManager from './tournamentManager.js';
+import Metrics from './metrics.js';
+import { createStorage, restoreSnapshots } from './storage.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -50,10 +55,450 @@ const io = new Server(httpServer, {
 // Initialize managers
 const lobbyManager = new LobbyManager(io);
 const gameManager = new GameManager(io);
+const storage = createStorage();
+const accountManager = new AccountManager(createStorage(process.env, 'accounts'));
+const metrics = new Metrics();
+const tournamentManager = new TournamentManager(lobbyManager, accountManager, createStorage(process.env, 'tournaments'));
+// Set TRUST_PROXY when the server runs behind a proxy that sets X-Forwarded-For (Render, Railway, ...)
+const TRUST_PROXY = Boolean(process.env.TRUST_PROXY);
+const turnTimers = new Map(); // lobbyCode -> timeout that auto-plays the current turn
+const takeoverTimers = new Map(); // `${lobbyCode}:${odId}` -> timeout that hands a disconnected seat to the bot
+
+// Snapshot a lobby and its game after an action, or drop it once the lobby is gone
+function saveLobbyState(code) {
+    if (!code) return;
+    const lobby = lobbyManager.getLobby(code);
+    const pending = lobby
+        ? storage.save(code, { lobby, game: gameManager.serializeGame(code) })
+        : storage.remove(code);
+    pending.catch(error => console.error(`Failed to save lobby ${code}: ${error.message}`));
+    scheduleLobbyListUpdate();
+}
+
+// Sockets on the home screen join this room to get the public lobby list as it changes
+const LOBBY_BROWSER_ROOM = 'lobby-browser';
+let lobbyListTimer = null;
+let lastLobbyList = '[]';
+
+// Send the public lobby list to the browser room, at most twice a second and only when it changed
+function scheduleLobbyListUpdate() {
+    if (lobbyListTimer) return;
+    lobbyListTimer = setTimeout(() => {
+        lobbyListTimer = null;
+        const lobbies = lobbyManager.listPublicLobbies();
+        const json = JSON.stringify(lobbies);
+        if (json === lastLobbyList) return;
+        lastLobbyList = json;
+        io.to(LOBBY_BROWSER_ROOM).emit('lobby:listUpdated', lobbies);
+    }, 500);
+}
+
+// Everyone following a tournament is in its room and gets the standings as results come in
+function tournamentRoom(id) {
+    return `tournament:${id}`;
+}
+
+// Send a tournament's new state to its followers, saving any match lobbies it just opened
+function emitTournamentUpdate(tournament) {
+    for (const match of tournament.rounds[tournament.currentRound - 1]?.matches || []) {
+        if (match.status === 'ready') saveLobbyState(match.lobbyCode);
+    }
+    io.to(tournamentRoom(tournament.id)).emit('tournament:updated', tournamentManager.getPublicInfo(tournament.id));
+}
+
+// Game helpers, shared by the socket handlers and the admin API
+
+// Helper: Tell a kicked player and the rest of the lobby
+// A seat in a running game is played by the bot until the game ends
+function sendKickedPlayerAway(lobby, player, reason) {
+    if (!player.isTestPlayer) {
+        io.to(player.id).emit('lobby:kicked', { reason });
+        io.in(player.id).socketsLeave(lobby.code);
+    }
+
+    if (lobby.status === 'playing') {
+        gameManager.playerDisconnected(lobby.code, player.id);
+        gameManager.takeOverSeat(lobby.code, player.odId);
+        broadcastGameState(lobby.code);
+    }
+
+    io.to(lobby.code).emit('lobby:playerLeft', lobbyManager.getPublicLobbyInfo(lobby.code));
+}
+
+// Helper: Stop a lobby's turn clock and any pending bot takeovers
+function clearLobbyTimers(lobbyCode) {
+    clearTimeout(turnTimers.get(lobbyCode));
+    turnTimers.delete(lobbyCode);
+    for (const [key, timer] of takeoverTimers) {
+        if (key.startsWith(`${lobbyCode}:`)) {
+            clearTimeout(timer);
+            takeoverTimers.delete(key);
+        }
+    }
+}
+
+// Helper: Hand a disconnected player's seat to the bot once the lobby's grace period runs out
+function scheduleBotTakeover(lobby, player) {
+    const grace = lobby.settings.botTakeover ?? 30;
+    if (grace === 0) return;
+
+    const key = `${lobby.code}:${player.odId}`;
+    clearTimeout(takeoverTimers.get(key));
+    takeoverTimers.set(key, setTimeout(() => {
+        takeoverTimers.delete(key);
+        if (gameManager.takeOverSeat(lobby.code, player.odId)) {
+            broadcastGameState(lobby.code);
+        }
+    }, grace * 1000));
+}
+
+// Helper: Broadcast game state to all players
+function broadcastGameState(lobbyCode) {
+    const lobby = lobbyManager.getLobby(lobbyCode);
+    if (!lobby) return;
+
+    // Bot turns and other server-driven changes end up here too
+    saveLobbyState(lobbyCode);
+    scheduleTurnTimer(lobbyCode);
+
+    for (const player of lobby.players) {
+        if (player.connected && !player.isTestPlayer) {
+            const playerView = gameManager.getPlayerView(lobbyCode, player.id);
+            if (playerView) {
+                io.to(player.id).emit('game:state', playerView);
+            }
+        }
+    }
+
+    const spectatorView = gameManager.getSpectatorView(lobbyCode);
+    if (spectatorView) {
+        for (const spectator of lobby.spectators) {
+            io.to(spectator.id).emit('game:state', spectatorView);
+        }
+    }
+
+    // Check if next player is a bot and play their turn
+    processBotTurns(lobbyCode);
+}
+
+// Helper: A player's seat in the game, for action broadcasts
+// Taken from the game rather than the lobby, whose player list shifts when someone is kicked mid-game
+function getGameSeat(lobbyCode, socketId) {
+    const game = gameManager.getFullState(lobbyCode);
+    const playerIndex = game ? game.players.findIndex(p => p.id === socketId) : -1;
+    return { playerIndex, playerName: game?.players[playerIndex]?.name ?? 'Unknown' };
+}
+
+// Helper: Tell spectators they are no longer watching and take them out of the lobby room
+function endSpectating(lobbyCode, socketIds, reason) {
+    for (const socketId of socketIds || []) {
+        io.to(socketId).emit('lobby:spectateEnded', { reason });
+        io.in(socketId).socketsLeave(lobbyCode);
+    }
+}
+
+// Helper: Announce the end of a round, with match standings if playing a match
+function emitGameOver(lobbyCode, winner) {
+    const game = gameManager.getFullState(lobbyCode);
+    const match = lobbyManager.recordRoundResult(lobbyCode, game);
+    accountManager.recordGame(game);
+    metrics.recordGameFinished(game);
+    const tournament = tournamentManager.recordResult(lobbyCode, game, match);
+    if (tournament) emitTournamentUpdate(tournament);
+    // The deal seed and shuffle are only revealed now, so the game can be replayed or checked
+    io.to(lobbyCode).emit('game:over', {
+        ...winner,
+        seed: game?.seed,
+        shuffle: gameManager.getShuffleReveal(lobbyCode),
+        match
+    });
+    saveLobbyState(lobbyCode);
+
+    if (match?.finished) {
+        console.log(`Match finished in lobby ${lobbyCode}: ${match.winnerName} wins`);
+        io.to(lobbyCode).emit('match:over', match);
+    }
+}
+
+// Helper: (Re)arm the turn clock for the current player
+// When it runs out the server draws and discards for them
+function scheduleTurnTimer(lobbyCode) {
+    clearTimeout(turnTimers.get(lobbyCode));
+    turnTimers.delete(lobbyCode);
+
+    const game = gameManager.getFullState(lobbyCode);
+    if (!game || game.winner || !game.turnDeadline) return;
+
+    const delay = Math.max(0, game.turnDeadline - Date.now());
+    turnTimers.set(lobbyCode, setTimeout(() => {
+        turnTimers.delete(lobbyCode);
+        const result = gameManager.playTimedOutTurn(lobbyCode);
+        if (!result) return;
+        if (!result.success) {
+            console.log(`Could not auto-play timed out turn in ${lobbyCode}: ${result.error}`);
+            return;
+        }
+
+        io.to(lobbyCode).emit('game:action', {
+            type: 'timeout',
+            playerId: result.playerId,
+            playerName: result.playerName,
+            playerIndex: result.playerIndex,
+            card: result.card,
+            away: result.away
+        });
+
+        if (result.winner) {
+            setTimeout(() => emitGameOver(lobbyCode, result.winner), 600);
+        } else {
+            setTimeout(() => broadcastGameState(lobbyCode), 500);
+        }
+    }, delay));
+}
+
+// Helper: Process all consecutive bot turns
+function processBotTurns(lobbyCode) {
+    // Add a small delay so players can see the state change
+    setTimeout(() => {
+        if (gameManager.isCurrentPlayerBot(lobbyCode)) {
+            const result = gameManager.playBotTurn(lobbyCode);
+
+            if (result && result.winner) {
+                // Game over
+                emitGameOver(lobbyCode, result.winner);
+            } else if (result && result.success) {
+                // Broadcast new state and check for more bots
+                broadcastGameState(lobbyCode);
+            }
+        }
+    }, 800); // 800ms delay so human players can see bot actions
+}
+
+// Rehydrate lobbies and games from the last run so players can reconnect
+const snapshots = await storage.loadAll();
+restoreSnapshots(snapshots, lobbyManager, gameManager);
+// Nobody is connected after a restart, so restart the clocks that keep a game moving:
+// the turn timer, bots whose turn it is, and bot takeovers for every human seat
+for (const { lobby, game } of snapshots) {
+    if (lobby.status !== 'playing' || !game || game.winner) continue;
+    for (const player of lobby.players) {
+        if (!player.isTestPlayer) scheduleBotTakeover(lobby, player);
+    }
+    scheduleTurnTimer(lobby.code);
+    processBotTurns(lobby.code);
+}
+if (snapshots.length > 0) {
+    console.log(`Restored ${snapshots.length} lobbies from storage`);
+}
+const accountCount = await accountManager.load();
+if (accountCount > 0) {
+    console.log(`Loaded ${accountCount} player accounts`);
+}
+const tournamentCount = await tournamentManager.load();
+if (tournamentCount > 0) {
+    console.log(`Loaded ${tournamentCount} tournaments`);
+}
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: Date.now() });
+});
+
+// Open public lobbies, as shown in the lobby browser
+app.get('/api/lobbies', (req, res) => {
+    res.json({ lobbies: lobbyManager.listPublicLobbies() });
+});
+
+// Player profile: stats and recent games
+app.get('/api/profile/:username', (req, res) => {
+    const profile = accountManager.getProfile(req.params.username);
+    if (!profile) {
+        res.status(404).json({ error: 'Player not found' });
+        return;
+    }
+    res.json(profile);
+});
+
+// Top rated players
+app.get('/api/leaderboard', (req, res) => {
+    res.json({ players: accountManager.getLeaderboard() });
+});
+
+// Tournaments, newest first
+app.get('/api/tournaments', (req, res) => {
+    res.json({ tournaments: tournamentManager.list() });
+});
+
+// One tournament with its rounds and standings
+app.get('/api/tournaments/:id', (req, res) => {
+    const tournament = tournamentManager.getPublicInfo(req.params.id);
+    if (!tournament) {
+        res.status(404).json({ error: 'Tournament not found' });
+        return;
+    }
+    res.json(tournament);
+});
+
+// Prometheus metrics: lobbies, games, sockets and event counters since the server started
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render({
+        lobbies: lobbyManager.countLobbies(),
+        activeGames: gameManager.countActiveGames(),
+        connectedSockets: io.engine.clientsCount
+    }));
+});
+
+// Admin API - only enabled when ADMIN_TOKEN is set; requests send it as "Authorization: Bearer <token>"
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        res.status(404).json({ error: 'Admin API is disabled' });
+        return;
+    }
+
+    // Compare hashes so the check takes the same time whatever was sent
+    const header = req.get('authorization') || '';
+    const sent = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const hash = (value) => createHash('sha256').update(value).digest();
+    if (!timingSafeEqual(hash(sent), hash(token))) {
+        res.status(401).json({ error: 'Invalid admin token' });
+        return;
+    }
+    next();
+}
+
+app.use('/api/admin', requireAdmin, express.json());
+
+// Look up the lobby in the URL, or answer 404
+function getAdminLobby(req, res) {
+    const lobby = lobbyManager.getLobby(req.params.code.toUpperCase());
+    if (!lobby) res.status(404).json({ error: 'Lobby not found' });
+    return lobby;
+}
+
+// Every lobby with its players and a summary of its game
+app.get('/api/admin/lobbies', (req, res) => {
+    const lobbies = lobbyManager.listLobbies().map(lobby => {
+        const game = gameManager.getFullState(lobby.code);
+        return {
+            ...lobby,
+            game: game ? {
+                startedAt: game.actionLog?.[0]?.at ?? null,
+                currentTurn: game.currentTurn,
+                phase: game.phase,
+                deckCount: game.deck.length,
+                meldCount: game.melds.length,
+                actions: game.actionLog?.length || 0,
+                finished: Boolean(game.winner)
+            } : null
+        };
+    });
+    res.json({ lobbies, connectedSockets: io.engine.clientsCount });
+});
+
+// One lobby and its game's full state: hands, deck and the deal seed included
+app.get('/api/admin/lobbies/:code', (req, res) => {
+    const lobby = getAdminLobby(req, res);
+    if (!lobby) return;
+    res.json({
+        lobby: { ...lobbyManager.getPublicLobbyInfo(lobby.code), createdAt: lobby.createdAt, seed: lobby.settings.seed },
+        game: gameManager.serializeGame(lobby.code)
+    });
+});
+
+// End the game in progress and send everyone back to the waiting room
+app.post('/api/admin/lobbies/:code/end-game', (req, res) => {
+    const lobby = getAdminLobby(req, res);
+    if (!lobby) return;
+    if (lobby.status !== 'playing') {
+        res.status(409).json({ error: 'No game in progress' });
+        return;
+    }
+
+    clearLobbyTimers(lobby.code);
+    gameManager.removeGame(lobby.code);
+    const result = lobbyManager.resetLobbyForNewGame(lobby.code);
+    for (const { socketId, playerId } of result.seated) {
+        io.to(socketId).emit('lobby:seated', { playerId });
+    }
+    io.to(lobby.code).emit('server:notice', { message: 'An admin ended the game' });
+    io.to(lobby.code).emit('lobby:reset', lobbyManager.getPublicLobbyInfo(lobby.code));
+    saveLobbyState(lobby.code);
+
+    console.log(`Admin ended the game in lobby: ${lobby.code}`);
+    res.json({ success: true });
+});
+
+// Close the lobby and its game, sending players and spectators back to the home screen
+app.delete('/api/admin/lobbies/:code', (req, res) => {
+    const lobby = getAdminLobby(req, res);
+    if (!lobby) return;
+
+    clearLobbyTimers(lobby.code);
+    gameManager.removeGame(lobby.code);
+    const closed = lobbyManager.closeLobby(lobby.code);
+    for (const socketId of closed.playerIds) {
+        io.to(socketId).emit('lobby:kicked', { reason: 'An admin closed this lobby' });
+        io.in(socketId).socketsLeave(closed.code);
+    }
+    endSpectating(closed.code, closed.spectatorIds, 'An admin closed this lobby');
+    saveLobbyState(closed.code);
+
+    console.log(`Admin closed lobby: ${closed.code}`);
+    res.json({ success: true });
+});
+
+// Remove a player, named by the odId sent as playerId, from a lobby; they can't rejoin it
+app.post('/api/admin/lobbies/:code/kick', (req, res) => {
+    const lobby = getAdminLobby(req, res);
+    if (!lobby) return;
+
+    const result = lobbyManager.adminKickPlayer(lobby.code, req.body?.playerId);
+    if (!result.success) {
+        res.status(404).json({ error: result.error });
+        return;
+    }
+
+    const { player, closed } = result;
+    console.log(`Admin removed ${player.name} from lobby: ${lobby.code}`);
+    if (closed) {
+        // That was the last player
+        clearLobbyTimers(closed.code);
+        gameManager.removeGame(closed.code);
+        if (!player.isTestPlayer) {
+            io.to(player.id).emit('lobby:kicked', { reason: 'An admin removed you from the lobby' });
+            io.in(player.id).socketsLeave(closed.code);
+        }
+        endSpectating(closed.code, closed.spectatorIds, 'An admin closed this lobby');
+    } else {
+        sendKickedPlayerAway(lobby, player, 'An admin removed you from the lobby');
+        if (player.isHost) io.to(lobby.code).emit('lobby:hostChanged', lobbyManager.getPublicLobbyInfo(lobby.code));
+    }
+    saveLobbyState(lobby.code);
+    res.json({ success: true });
+});
+
+// Show a notice to everyone connected
+app.post('/api/admin/notice', (req, res) => {
+    const message = String(req.body?.message ?? '').trim();
+    if (!message || message.length > 200) {
+        res.status(400).json({ error: 'Message must be 1-200 characters' });
+        return;
+    }
+
+    io.emit('server:notice', { message });
+    console.log(`Admin notice: ${message}`);
+    res.json({ success: true, recipients: io.engine.clientsCount });
+});
 
 // Serve static files in production
+// Registered after the API routes so the catch-all doesn't shadow them
 if (process.env.NODE_ENV === 'production') {
     app.use(express.static(path.join(__dirname, '../dist')));
+    app.get('/admin', (req, res) => {
+        res.sendFile(path.join(__dirname, '../dist/admin.html'));
+    });
     // Express 5 (path-to-regexp v6) does not accept '*' as a route pattern.
     // Use a RegExp to catch-all and serve the SPA entrypoint.
     app.get(/.*/, (req, res) => {
@@ -61,22 +506,68 @@ if (process.env.NODE_ENV === 'production') {
     });
 }
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: Date.now() });
-});
+// Lobby and game events that only read state, so answering them saves nothing
+const READ_ONLY_EVENTS = new Set(['lobby:list', 'game:log']);
+
+// Whether a successful event changed a lobby or its game (see the socket.use below)
+// Chat is saved by its own handler, since spectators can send it too
+function changesLobbyState(event) {
+    return /^(lobby|game):/.test(event) && !READ_ONLY_EVENTS.has(event);
+}
 
 // Socket.IO event handlers
 io.on('connection', (socket) => {
     console.log(`Player connected: ${socket.id}`);
 
+    // Save the player's lobby once each lobby or game action has succeeded
+    // The lobby is looked up before and after so joins, leaves and new lobbies are all covered
+    socket.use((packet, next) => {
+        // Only events with a handler get their own label, so made-up names can't flood the metrics
+        const event = socket.eventNames().includes(packet[0]) ? packet[0] : 'unknown';
+        metrics.recordSocketEvent(event);
+
+        const ack = packet[packet.length - 1];
+        if (typeof ack === 'function') {
+            const codeBefore = lobbyManager.getLobbyBySocket(socket.id)?.code;
+            packet[packet.length - 1] = (...response) => {
+                ack(...response);
+                if (response[0]?.success === false) {
+                    metrics.recordValidationFailure(event, response[0]);
+                    return;
+                }
+                if (!changesLobbyState(event)) return;
+
+                const codeAfter = lobbyManager.getLobbyBySocket(socket.id)?.code;
+                saveLobbyState(codeBefore);
+                if (codeAfter !== codeBefore) saveLobbyState(codeAfter);
+                // Spectators aren't mapped to a lobby, so their counts need this too
+                scheduleLobbyListUpdate();
+            };
+        }
+        next();
+    });
+
     // ============ LOBBY EVENTS ============
 
+    // List open public lobbies
+    // With watch set, the socket also gets lobby:listUpdated until it sends lobby:unwatchList
+    socket.on('lobby:list', ({ watch = false } = {}, callback) => {
+        if (watch) socket.join(LOBBY_BROWSER_ROOM);
+        callback({ success: true, lobbies: lobbyManager.listPublicLobbies() });
+    });
+
+    socket.on('lobby:unwatchList', () => {
+        socket.leave(LOBBY_BROWSER_ROOM);
+    });
+
     // Create a new lobby
     socket.on('lobby:create', ({ playerName, settings }, callback) => {
         try {
-            const { code, lobby, playerId } = lobbyManager.createLobby(socket, playerName, settings);
-            console.log(`Lobby created: ${code} by ${playerName}`);
+            const result = lobbyManager.createLobby(socket, playerName, settings);
+            if (!result.success) return callback(result);
+
+            const { code, playerId, lobby } = result;
+            console.log(`Lobby created: ${code} by ${lobby.players[0].name}`);
             callback({
                 success: true,
                 code,
@@ -89,9 +580,13 @@ io.on('connection', (socket) => {
     });
 
     // Join existing lobby
-    socket.on('lobby:join', ({ lobbyCode, playerName, playerId }, callback) => {
+    socket.on('lobby:join', ({ lobbyCode, playerName, playerId, password }, callback) => {
         try {
-            const result = lobbyManager.joinLobby(socket, lobbyCode, playerName, playerId);
+            // Players drawn for a tournament match take their seat under their username
+            const tournamentSeat = tournamentManager.getSeat(lobbyCode, socket.id);
+            if (tournamentSeat) playerName = tournamentSeat;
+
+            const result = lobbyManager.joinLobby(socket, lobbyCode, playerName, playerId, password, Boolean(tournamentSeat));
             if (result.success) {
                 const code = lobbyCode.toUpperCase();
                 console.log(`${playerName} ${result.isReconnection ? 'reconnected to' : 'joined'} lobby: ${code}`);
@@ -106,6 +601,7 @@ io.on('connection', (socket) => {
                         socket.id, 
                         result.oldSocketId
                     );
+                    metrics.recordReconnect(gameReconnected);
 
                     if (gameReconnected) {
                         // Get the current game state for the reconnecting player
@@ -121,6 +617,7 @@ io.on('connection', (socket) => {
                                 playerId: result.playerId,
                                 lobby: publicInfo,
                                 gameState: playerView,
+                                chat: lobbyManager.getChatHistory(code),
                                 isReconnection: true
                             });
                             
@@ -139,6 +636,7 @@ io.on('connection', (socket) => {
                     success: true,
                     playerId: result.playerId,
                     lobby: publicInfo,
+                    chat: lobbyManager.getChatHistory(code),
                     isReconnection: result.isReconnection || false
                 });
             } else {
@@ -149,6 +647,64 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Watch a lobby without a seat
+    socket.on('lobby:spectate', ({ lobbyCode, playerName, password, playerId }, callback) => {
+        try {
+            const result = lobbyManager.spectateLobby(socket, lobbyCode, playerName, password, playerId);
+            if (!result.success) return callback(result);
+
+            const code = result.lobby.code;
+            console.log(`${playerName} is watching lobby: ${code}`);
+            const publicInfo = lobbyManager.getPublicLobbyInfo(code);
+            io.to(code).emit('lobby:spectatorsUpdated', publicInfo);
+
+            callback({
+                success: true,
+                lobby: publicInfo,
+                gameState: result.lobby.status === 'playing' ? gameManager.getSpectatorView(code) : null,
+                chat: lobbyManager.getChatHistory(code)
+            });
+        } catch (error) {
+            callback({ success: false, error: error.message });
+        }
+    });
+
+    // Stop watching
+    socket.on('lobby:stopSpectating', (callback) => {
+        try {
+            const result = lobbyManager.stopSpectating(socket.id);
+            if (result) {
+                socket.leave(result.code);
+                io.to(result.code).emit('lobby:spectatorsUpdated', lobbyManager.getPublicLobbyInfo(result.code));
+                callback?.({ success: true });
+            } else {
+                callback?.({ success: false, error: 'Not watching a lobby' });
+            }
+        } catch (error) {
+            callback?.({ success: false, error: error.message });
+        }
+    });
+
+    // Spectator takes a seat, now or when the next round starts
+    socket.on('lobby:takeSeat', (callback) => {
+        try {
+            const result = lobbyManager.takeSeat(socket.id);
+            if (!result.success) return callback(result);
+
+            const code = result.lobby.code;
+            const publicInfo = lobbyManager.getPublicLobbyInfo(code);
+            if (result.queued) {
+                return callback({ success: true, queued: true, lobby: publicInfo });
+            }
+
+            console.log(`Spectator took a seat in lobby: ${code}`);
+            io.to(code).emit('lobby:playerJoined', publicInfo);
+            callback({ success: true, queued: false, playerId: result.playerId, lobby: publicInfo });
+        } catch (error) {
+            callback({ success: false, error: error.message });
+        }
+    });
+
     // Leave lobby
     socket.on('lobby:leave', (callback) => {
         const result = lobbyManager.leaveLobby(socket.id);
@@ -156,6 +712,8 @@ io.on('connection', (socket) => {
             socket.leave(result.code);
             if (result.lobby) {
                 io.to(result.code).emit('lobby:playerLeft', lobbyManager.getPublicLobbyInfo(result.code));
+            } else {
+                endSpectating(result.code, result.spectatorIds, 'The lobby has closed');
             }
             callback?.({ success: true });
         } else {
@@ -168,6 +726,9 @@ io.on('connection', (socket) => {
         const result = lobbyManager.updateSettings(socket.id, settings);
         if (result.success) {
             const code = result.lobby.code;
+            if (settings.allowSpectators === false) {
+                endSpectating(code, lobbyManager.removeSpectators(code), 'The host turned off spectating');
+            }
             io.to(code).emit('lobby:settingsUpdated', lobbyManager.getPublicLobbyInfo(code));
             callback({ success: true });
         } else {
@@ -176,11 +737,11 @@ io.on('connection', (socket) => {
     });
 
     // Add test player (for testing/development)
-    socket.on('lobby:addTestPlayer', (callback) => {
-        const result = lobbyManager.addTestPlayer(socket.id);
+    socket.on('lobby:addTestPlayer', ({ difficulty } = {}, callback) => {
+        const result = lobbyManager.addTestPlayer(socket.id, difficulty);
         if (result.success) {
             const code = result.lobby.code;
-            console.log(`Test player ${result.testPlayer.name} added to lobby: ${code}`);
+            console.log(`Test player ${result.testPlayer.name} (${result.testPlayer.difficulty}) added to lobby: ${code}`);
             io.to(code).emit('lobby:playerJoined', lobbyManager.getPublicLobbyInfo(code));
             callback({ success: true, testPlayer: result.testPlayer });
         } else {
@@ -217,7 +778,10 @@ io.on('connection', (socket) => {
             const lobby = result.lobby;
             // Pass first player index if set
             const firstPlayerIndex = lobby.firstPlayerIndex !== undefined ? lobby.firstPlayerIndex : 0;
-            const gameState = gameManager.initGame(lobby.code, lobby.players, lobby.settings, firstPlayerIndex);
+            const settings = { ...lobby.settings, seed: lobbyManager.getDealSeed(lobby.code) };
+            const gameState = gameManager.initGame(lobby.code, lobby.players, settings, firstPlayerIndex);
+            accountManager.bindSeats(gameState);
+            metrics.recordGameStarted();
 
             console.log(`Game started in lobby: ${lobby.code}`);
 
@@ -239,7 +803,16 @@ io.on('connection', (socket) => {
                 }
             }
 
+            // Spectators join the table as it is, without the dealing animation
+            for (const spectator of lobby.spectators) {
+                io.to(spectator.id).emit('game:started', {
+                    ...gameManager.getSpectatorView(lobby.code),
+                    shouldAnimate: false
+                });
+            }
+
             callback({ success: true });
+            scheduleTurnTimer(lobby.code);
 
             // Check if first player is a bot after dealing animation completes
             if (gameManager.isCurrentPlayerBot(lobby.code)) {
@@ -252,8 +825,49 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Forward declaration for processBotTurns (defined later)
-    let processBotTurns;
+    // ============ HOST MODERATION ============
+
+    // Kick a player (host only); they can't rejoin this lobby
+    socket.on('lobby:kick', ({ playerIndex } = {}, callback) => {
+        const result = lobbyManager.kickPlayer(socket.id, playerIndex);
+        if (!result.success) return callback(result);
+
+        const { lobby, player } = result;
+        console.log(`${player.name} was kicked from lobby: ${lobby.code}`);
+        sendKickedPlayerAway(lobby, player, 'The host removed you from the lobby');
+        callback({ success: true });
+    });
+
+    // Make another player the host (host only)
+    socket.on('lobby:transferHost', ({ playerIndex } = {}, callback) => {
+        const result = lobbyManager.transferHost(socket.id, playerIndex);
+        if (!result.success) return callback(result);
+
+        const code = result.lobby.code;
+        console.log(`${result.player.name} is now host of lobby: ${code}`);
+        io.to(code).emit('lobby:hostChanged', lobbyManager.getPublicLobbyInfo(code));
+        callback({ success: true });
+    });
+
+    // Lock or unlock the lobby against new players (host only)
+    socket.on('lobby:setLocked', ({ locked } = {}, callback) => {
+        const result = lobbyManager.setLocked(socket.id, locked);
+        if (!result.success) return callback(result);
+
+        const code = result.lobby.code;
+        io.to(code).emit('lobby:settingsUpdated', lobbyManager.getPublicLobbyInfo(code));
+        callback({ success: true });
+    });
+
+    // Set or clear the lobby password (host only)
+    socket.on('lobby:setPassword', ({ password } = {}, callback) => {
+        const result = lobbyManager.setPassword(socket.id, password);
+        if (!result.success) return callback(result);
+
+        const code = result.lobby.code;
+        io.to(code).emit('lobby:settingsUpdated', lobbyManager.getPublicLobbyInfo(code));
+        callback({ success: true });
+    });
 
     // ============ GAME EVENTS ============
 
@@ -262,9 +876,7 @@ io.on('connection', (socket) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (!lobby) return callback({ success: false, error: 'Not in a game' });
 
-        const player = lobby.players.find(p => p.id === socket.id);
-        const playerName = player ? player.name : 'Unknown';
-        const playerIndex = lobby.players.findIndex(p => p.id === socket.id);
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
 
         const result = gameManager.drawCard(lobby.code, socket.id, source);
         if (result.success) {
@@ -284,6 +896,17 @@ io.on('connection', (socket) => {
                     });
                 }
             }
+            for (const spectator of lobby.spectators) {
+                io.to(spectator.id).emit('game:action', {
+                    type: 'draw',
+                    playerId: socket.id,
+                    playerName,
+                    playerIndex,
+                    source,
+                    card: null,
+                    cardForDiscard: source === 'discard' ? result.card : null
+                });
+            }
             
             // Send updated state after a delay for animation
             setTimeout(() => broadcastGameState(lobby.code), 400);
@@ -298,14 +921,14 @@ io.on('connection', (socket) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (!lobby) return callback({ success: false, error: 'Not in a game' });
 
-        const player = lobby.players.find(p => p.id === socket.id);
-        const playerName = player ? player.name : 'Unknown';
-        const playerIndex = lobby.players.findIndex(p => p.id === socket.id);
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
 
         // Get cards info before playing (for animation)
         const gameState = gameManager.getFullState(lobby.code);
         const playerInGame = gameState?.players.find(p => p.id === socket.id);
-        const cardsToPlay = cardIds.map(id => playerInGame?.hand.find(c => c.id === id)).filter(Boolean);
+        const cardsToPlay = Array.isArray(cardIds)
+            ? cardIds.map(id => playerInGame?.hand.find(c => c.id === id)).filter(Boolean)
+            : [];
 
         const result = gameManager.playMeld(lobby.code, socket.id, cardIds);
         if (result.success) {
@@ -332,9 +955,7 @@ io.on('connection', (socket) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (!lobby) return callback({ success: false, error: 'Not in a game' });
 
-        const player = lobby.players.find(p => p.id === socket.id);
-        const playerName = player ? player.name : 'Unknown';
-        const playerIndex = lobby.players.findIndex(p => p.id === socket.id);
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
 
         // Get card info before adding (for animation)
         const gameState = gameManager.getFullState(lobby.code);
@@ -363,29 +984,24 @@ io.on('connection', (socket) => {
     });
 
     // Rearrange table
-    socket.on('game:rearrange', ({ proposedMelds, cardsFromHand }, callback) => {
+    socket.on('game:rearrange', ({ proposedMelds }, callback) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (!lobby) return callback({ success: false, error: 'Not in a game' });
 
-        const player = lobby.players.find(p => p.id === socket.id);
-        const playerName = player ? player.name : 'Unknown';
-        const playerIndex = lobby.players.findIndex(p => p.id === socket.id);
-
-        // Get cards from hand before rearranging (for animation)
-        const gameState = gameManager.getFullState(lobby.code);
-        const playerInGame = gameState?.players.find(p => p.id === socket.id);
-        const cardsPlayed = cardsFromHand.map(id => playerInGame?.hand.find(c => c.id === id)).filter(Boolean);
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
 
-        const result = gameManager.rearrangeTable(lobby.code, socket.id, proposedMelds, cardsFromHand);
+        const result = gameManager.rearrangeTable(lobby.code, socket.id, proposedMelds);
         if (result.success) {
             // Broadcast the action to all players for animation
+            // Uses the server's resolved melds, never the client's proposal
             io.to(lobby.code).emit('game:action', {
                 type: 'rearrange',
                 playerId: socket.id,
                 playerName,
                 playerIndex,
-                cardsFromHand: cardsPlayed,
-                newMelds: proposedMelds
+                cardsFromHand: result.cardsFromHand,
+                wildsTaken: result.wildsTaken,
+                newMelds: result.melds
             });
             
             // Send updated state after animation
@@ -396,14 +1012,35 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Undo the last play this turn (meld, add to meld or rearrangement)
+    socket.on('game:undo', (callback) => {
+        const lobby = lobbyManager.getLobbyBySocket(socket.id);
+        if (!lobby) return callback({ success: false, error: 'Not in a game' });
+
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
+
+        const result = gameManager.undo(lobby.code, socket.id);
+        if (result.success) {
+            io.to(lobby.code).emit('game:action', {
+                type: 'undo',
+                playerId: socket.id,
+                playerName,
+                playerIndex
+            });
+
+            broadcastGameState(lobby.code);
+            callback({ success: true });
+        } else {
+            callback(result);
+        }
+    });
+
     // Discard and end turn
     socket.on('game:discard', ({ cardId }, callback) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (!lobby) return callback({ success: false, error: 'Not in a game' });
 
-        const player = lobby.players.find(p => p.id === socket.id);
-        const playerName = player ? player.name : 'Unknown';
-        const playerIndex = lobby.players.findIndex(p => p.id === socket.id);
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
 
         // Get card info before discarding (for animation)
         const gameState = gameManager.getFullState(lobby.code);
@@ -423,9 +1060,7 @@ io.on('connection', (socket) => {
 
             if (result.winner) {
                 // Game over after animation
-                setTimeout(() => {
-                    io.to(lobby.code).emit('game:over', result.winner);
-                }, 600);
+                setTimeout(() => emitGameOver(lobby.code, result.winner), 600);
             } else {
                 // Send updated state after animation
                 setTimeout(() => broadcastGameState(lobby.code), 500);
@@ -436,6 +1071,45 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Knock (classic gin): discard and lay down
+    socket.on('game:knock', ({ cardId }, callback) => {
+        const lobby = lobbyManager.getLobbyBySocket(socket.id);
+        if (!lobby) return callback({ success: false, error: 'Not in a game' });
+
+        const { playerName, playerIndex } = getGameSeat(lobby.code, socket.id);
+
+        const result = gameManager.knock(lobby.code, socket.id, cardId);
+        if (result.success) {
+            // Animate the knock discard, then reveal both hands
+            io.to(lobby.code).emit('game:action', {
+                type: 'knock',
+                playerId: socket.id,
+                playerName,
+                playerIndex,
+                card: result.card
+            });
+
+            setTimeout(() => emitGameOver(lobby.code, result.winner), 600);
+            callback({ success: true });
+        } else {
+            callback(result);
+        }
+    });
+
+    // Big gin (classic gin): go out with all 11 cards melded
+    socket.on('game:bigGin', (callback) => {
+        const lobby = lobbyManager.getLobbyBySocket(socket.id);
+        if (!lobby) return callback({ success: false, error: 'Not in a game' });
+
+        const result = gameManager.declareBigGin(lobby.code, socket.id);
+        if (result.success) {
+            emitGameOver(lobby.code, result.winner);
+            callback({ success: true });
+        } else {
+            callback(result);
+        }
+    });
+
     // End turn without discard (going out)
     socket.on('game:endTurn', (callback) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
@@ -443,25 +1117,49 @@ io.on('connection', (socket) => {
 
         const result = gameManager.endTurn(lobby.code, socket.id);
         if (result.success) {
-            io.to(lobby.code).emit('game:over', result.winner);
+            emitGameOver(lobby.code, result.winner);
             callback({ success: true });
         } else {
             callback(result);
         }
     });
 
+    // Action log of a finished game (for download or replay)
+    socket.on('game:log', (callback) => {
+        const lobby = lobbyManager.getLobbyBySocket(socket.id) || lobbyManager.getLobbyBySpectator(socket.id);
+        if (!lobby) return callback({ success: false, error: 'Not in a game' });
+
+        const log = gameManager.getActionLog(lobby.code);
+        if (!log) return callback({ success: false, error: 'The action log is available once the game is over' });
+
+        callback({ success: true, log });
+    });
+
     // Play Again - Reset lobby for a new game
     socket.on('game:playAgain', (callback) => {
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (!lobby) return callback({ success: false, error: 'Not in a lobby' });
 
-        // Remove the old game state
+        if (lobby.host !== socket.id) {
+            return callback({ success: false, error: 'Only the host can start the next game' });
+        }
+        if (!gameManager.getFullState(lobby.code)?.winner) {
+            return callback({ success: false, error: 'The game is not over yet' });
+        }
+
+        // Remove the old game state (match totals are kept on the lobby)
+        clearLobbyTimers(lobby.code);
         gameManager.removeGame(lobby.code);
 
         // Reset lobby status to waiting
         const result = lobbyManager.resetLobbyForNewGame(lobby.code);
         if (result.success) {
             console.log(`Play again requested in lobby: ${lobby.code}`);
+
+            // Spectators who asked for a seat learn their player ID before the lobby is shown again
+            for (const { socketId, playerId } of result.seated) {
+                io.to(socketId).emit('lobby:seated', { playerId });
+            }
             
             // Get updated lobby info and broadcast to all players
             const publicInfo = lobbyManager.getPublicLobbyInfo(lobby.code);
@@ -473,10 +1171,139 @@ io.on('connection', (socket) => {
         }
     });
 
+    // ============ CHAT ============
+
+    // Chat message or quick reaction, sent to everyone in the lobby room
+    socket.on('chat:message', ({ text, reaction } = {}, callback) => {
+        try {
+            const result = lobbyManager.addChatMessage(socket.id, { text, reaction });
+            if (result.success) {
+                io.to(result.code).emit('chat:message', result.message);
+                saveLobbyState(result.code);
+                callback?.({ success: true });
+            } else {
+                callback?.(result);
+            }
+        } catch (error) {
+            callback?.({ success: false, error: error.message });
+        }
+    });
+
+    // ============ ACCOUNTS ============
+
+    // Create an account (signs this socket in)
+    socket.on('account:register', async ({ username, password } = {}, callback) => {
+        try {
+            const result = await accountManager.register(socket.id, username, password, clientAddress(socket.handshake, TRUST_PROXY));
+            if (result.success) console.log(`Account created: ${result.username}`);
+            callback?.(result);
+        } catch (error) {
+            callback?.({ success: false, error: error.message });
+        }
+    });
+
+    // Sign in with username and password
+    socket.on('account:login', async ({ username, password } = {}, callback) => {
+        try {
+            callback?.(await accountManager.login(socket.id, username, password, clientAddress(socket.handshake, TRUST_PROXY)));
+        } catch (error) {
+            callback?.({ success: false, error: error.message });
+        }
+    });
+
+    // Sign back in with a saved session token (after a reload or reconnect)
+    socket.on('account:resume', ({ token } = {}, callback) => {
+        callback?.(accountManager.resume(socket.id, token));
+    });
+
+    // Sign out on this device
+    socket.on('account:logout', ({ token } = {}, callback) => {
+        callback?.(accountManager.logout(socket.id, token));
+    });
+
+    // Stats and recent games for a player
+    socket.on('account:profile', ({ username } = {}, callback) => {
+        const profile = accountManager.getProfile(username);
+        callback(profile ? { success: true, profile } : { success: false, error: 'Player not found' });
+    });
+
+    // Top rated players
+    socket.on('account:leaderboard', (callback) => {
+        callback({ success: true, players: accountManager.getLeaderboard() });
+    });
+
+    // ============ TOURNAMENTS ============
+
+    // Organize a tournament between registered players
+    socket.on('tournament:create', (options = {}, callback) => {
+        const result = tournamentManager.create(socket.id, options);
+        if (!result.success) return callback(result);
+
+        console.log(`Tournament ${result.tournament.id} created by ${result.tournament.organizer}`);
+        socket.join(tournamentRoom(result.tournament.id));
+        callback({ success: true, tournament: tournamentManager.getPublicInfo(result.tournament.id) });
+    });
+
+    // Draw the rounds and open the first round's match lobbies
+    socket.on('tournament:start', ({ id } = {}, callback) => {
+        const result = tournamentManager.start(socket.id, id);
+        if (!result.success) return callback(result);
+
+        console.log(`Tournament ${result.tournament.id} started`);
+        emitTournamentUpdate(result.tournament);
+        callback({ success: true });
+    });
+
+    // Decide a match without playing it (organizer only)
+    socket.on('tournament:award', ({ id, matchId, winner } = {}, callback) => {
+        const result = tournamentManager.awardMatch(socket.id, id, matchId, winner);
+        if (!result.success) return callback(result);
+
+        console.log(`Tournament ${result.tournament.id}: match ${matchId} awarded to ${winner}`);
+        emitTournamentUpdate(result.tournament);
+        callback({ success: true });
+    });
+
+    // Follow a tournament's standings live
+    socket.on('tournament:watch', ({ id } = {}, callback) => {
+        const tournament = tournamentManager.getPublicInfo(id);
+        if (!tournament) return callback({ success: false, error: 'Tournament not found' });
+
+        socket.join(tournamentRoom(tournament.id));
+        callback({ success: true, tournament });
+    });
+
+    socket.on('tournament:unwatch', ({ id } = {}, callback) => {
+        socket.leave(tournamentRoom(String(id ?? '').toUpperCase()));
+        callback?.({ success: true });
+    });
+
+    // Tournaments, newest first
+    socket.on('tournament:list', (callback) => {
+        callback({ success: true, tournaments: tournamentManager.list() });
+    });
+
+    // Lobby code for the signed-in player's current match
+    socket.on('tournament:findMatch', ({ id } = {}, callback) => {
+        const result = tournamentManager.getMatchLobby(socket.id, id);
+        if (!result.success) return callback(result);
+
+        saveLobbyState(result.lobbyCode);
+        callback({ success: true, lobbyCode: result.lobbyCode, playerName: result.username });
+    });
+
     // ============ DISCONNECT ============
 
     socket.on('disconnect', () => {
         console.log(`Player disconnected: ${socket.id}`);
+        lobbyManager.clearChatLimit(socket.id);
+        accountManager.socketDisconnected(socket.id);
+
+        const watched = lobbyManager.stopSpectating(socket.id);
+        if (watched) {
+            io.to(watched.code).emit('lobby:spectatorsUpdated', lobbyManager.getPublicLobbyInfo(watched.code));
+            scheduleLobbyListUpdate();
+        }
 
         const lobby = lobbyManager.getLobbyBySocket(socket.id);
         if (lobby) {
@@ -488,9 +1315,14 @@ io.on('connection', (socket) => {
                 // Also mark in game manager if game is in progress
                 gameManager.playerDisconnected(lobby.code, socket.id);
                 broadcastGameState(lobby.code);
+
+                // Let a bot play the seat if the player doesn't come back in time
+                const player = lobby.players.find(p => p.id === socket.id);
+                if (player) scheduleBotTakeover(lobby, player);
             } else {
                 // For waiting lobbies, notify other players about disconnection
                 io.to(lobby.code).emit('lobby:playerJoined', lobbyManager.getPublicLobbyInfo(lobby.code));
+                saveLobbyState(lobby.code);
                 
                 // Set a timeout to remove disconnected players from waiting lobbies after 5 minutes
                 // This prevents abandoned lobbies from persisting forever
@@ -501,8 +1333,11 @@ io.on('connection', (socket) => {
                         if (player && !player.connected && stillLobby.status === 'waiting') {
                             // Player still disconnected after timeout, remove them
                             const result = lobbyManager.leaveLobby(socket.id);
+                            if (result) saveLobbyState(result.code);
                             if (result && result.lobby) {
                                 io.to(result.code).emit('lobby:playerLeft', lobbyManager.getPublicLobbyInfo(result.code));
+                            } else if (result) {
+                                endSpectating(result.code, result.spectatorIds, 'The lobby has closed');
                             }
                         }
                     }
@@ -527,11 +1362,11 @@ io.on('connection', (socket) => {
             
             // Update game manager with new socket ID if game is active
             if (lobby && lobby.status === 'playing') {
-                gameManager.playerReconnected(code, playerId, socket.id, oldSocketId);
+                metrics.recordReconnect(gameManager.playerReconnected(code, playerId, socket.id, oldSocketId));
                 const playerView = gameManager.getPlayerView(code, socket.id);
                 if (playerView) {
                     console.log(`Player reconnected to active game in ${code}`);
-                    callback({ success: true, gameState: playerView, lobby: publicInfo });
+                    callback({ success: true, gameState: playerView, lobby: publicInfo, chat: lobbyManager.getChatHistory(code) });
                     
                     // Broadcast updated state to all players
                     setTimeout(() => broadcastGameState(code), 100);
@@ -541,48 +1376,13 @@ io.on('connection', (socket) => {
             
             // No active game, just lobby (or game not found)
             console.log(`Player reconnected to lobby ${code} (no active game)`);
-            callback({ success: true, lobby: publicInfo });
+            callback({ success: true, lobby: publicInfo, chat: lobbyManager.getChatHistory(code) });
         } else {
             console.log(`Reconnection failed: ${result.error}`);
+            metrics.recordReconnect(false);
             callback(result);
         }
     });
-
-    // Helper: Broadcast game state to all players
-    function broadcastGameState(lobbyCode) {
-        const lobby = lobbyManager.getLobby(lobbyCode);
-        if (!lobby) return;
-
-        for (const player of lobby.players) {
-            if (player.connected && !player.isTestPlayer) {
-                const playerView = gameManager.getPlayerView(lobbyCode, player.id);
-                if (playerView) {
-                    io.to(player.id).emit('game:state', playerView);
-                }
-            }
-        }
-
-        // Check if next player is a bot and play their turn
-        processBotTurns(lobbyCode);
-    }
-
-    // Helper: Process all consecutive bot turns
-    processBotTurns = function (lobbyCode) {
-        // Add a small delay so players can see the state change
-        setTimeout(() => {
-            if (gameManager.isCurrentPlayerBot(lobbyCode)) {
-                const result = gameManager.playBotTurn(lobbyCode);
-
-                if (result && result.winner) {
-                    // Game over
-                    io.to(lobbyCode).emit('game:over', result.winner);
-                } else if (result && result.success) {
-                    // Broadcast new state and check for more bots
-                    broadcastGameState(lobbyCode);
-                }
-            }
-        }, 800); // 800ms delay so human players can see bot actions
-    };
 });
 
 // Start server
@@ -2,12 +2,70 @@
 // Manages lobbies, player joining/leaving, and game settings
 
 import { v4 as uuidv4 } from 'uuid';
+import { createHash } from 'crypto';
+import { createRuleset, hasRuleset } from './rulesets.js';
+import { ACE_MODES, ACE_POINTS, MAX_WILDS_PER_MELD } from './gameEngine.js';
+import { MAX_DECKS, MAX_JOKERS_PER_DECK } from './deck.js';
+import { BOT_DIFFICULTIES } from './bot.js';
+
+// Card back styles
+const DECK_STYLES = ['default', 'custom'];
+// Most seats in a lobby
+const MAX_PLAYERS = 10;
+// Turn clock choices in seconds (0 = no clock)
+const TURN_TIMER_OPTIONS = [0, 30, 60, 120];
+// Grace periods in seconds before a bot plays a disconnected player's seat (0 = never)
+const BOT_TAKEOVER_OPTIONS = [0, 15, 30, 60];
+// Chat limits: message length, messages kept for reconnecting players, and flood control
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_SIZE = 50;
+const CHAT_RATE_LIMIT = { messages: 5, windowMs: 10000 };
+// Emoji allowed as quick reactions
+export const QUICK_REACTIONS = ['👍', '👏', '😂', '😮', '😢', '🔥', '🤔', '🎉'];
+
+// Player name length, as the name field allows
+const NAME_MIN_LENGTH = 2;
+const NAME_MAX_LENGTH = 20;
+// Longest lobby password
+const PASSWORD_MAX_LENGTH = 32;
+// Most lobbies shown in the public lobby browser
+const PUBLIC_LOBBY_LIST_SIZE = 50;
+
+// Check a name sent by a client and trim it
+// Returns { success, name } or { success: false, error }
+function checkPlayerName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        return { success: false, error: 'Please enter your name' };
+    }
+    if (trimmed.length < NAME_MIN_LENGTH || trimmed.length > NAME_MAX_LENGTH) {
+        return { success: false, error: `Name must be ${NAME_MIN_LENGTH}-${NAME_MAX_LENGTH} characters`, code: 'name-length' };
+    }
+    return { success: true, name: trimmed };
+}
+
+// Lobby passwords are kept hashed, so snapshots on disk never hold them
+function hashPassword(lobbyCode, password) {
+    return createHash('sha256').update(`${lobbyCode}:${password}`).digest('hex');
+}
+
+// Make text safe to show as HTML
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 class LobbyManager {
     constructor(io) {
         this.io = io;
         this.lobbies = new Map(); // lobbyCode -> lobby
         this.playerToLobby = new Map(); // socketId -> lobbyCode
+        this.spectatorToLobby = new Map(); // socketId -> lobbyCode, for people watching without a seat
+        this.chatTimes = new Map(); // socketId -> times of recent chat messages (for rate limiting)
     }
 
     // Generate a unique 6-character lobby code
@@ -23,41 +81,89 @@ class LobbyManager {
         return code;
     }
 
-    // Create a new lobby
-    createLobby(hostSocket, playerName, settings = {}) {
-        const code = this.generateLobbyCode();
-        const playerId = uuidv4();
-
-        const lobby = {
+    // A new lobby with default settings and nobody in it yet
+    buildLobby(code, settings = {}) {
+        return {
             code,
-            host: hostSocket.id,
-            players: [{
-                id: hostSocket.id,
-                odId: playerId,
-                name: playerName,
-                connected: true,
-                isHost: true,
-                isTestPlayer: false
-            }],
+            host: null,
+            players: [],
             settings: {
                 numDecks: settings.numDecks || 1,
-                maxPlayers: settings.maxPlayers || 10,
-                deckStyle: settings.deckStyle || 'default' // 'default' or 'custom'
+                maxPlayers: settings.maxPlayers || MAX_PLAYERS,
+                deckStyle: settings.deckStyle || 'default', // 'default' or 'custom'
+                matchMode: settings.matchMode || false, // Play rounds until someone reaches targetScore
+                targetScore: settings.targetScore || 100,
+                rulesMode: settings.rulesMode || 'rummy', // Ruleset name (see rulesets.js)
+                bigGin: settings.bigGin || false, // Classic gin: allow going out with all 11 cards
+                jokers: settings.jokers || 0, // Jokers added to each deck
+                deucesWild: settings.deucesWild || false,
+                maxWilds: settings.maxWilds || 1, // Most wild cards allowed in one meld
+                aceMode: settings.aceMode || 'highOrLow', // 'low' | 'highOrLow' | 'aroundTheCorner'
+                acePoints: settings.acePoints || 1, // Penalty for an Ace left in hand
+                turnTimer: settings.turnTimer || 0, // Seconds per turn before it is auto-played (0 = off)
+                botTakeover: settings.botTakeover ?? 30, // Seconds before a bot plays a disconnected seat (0 = never)
+                seed: settings.seed ?? null, // Fixed shuffle seed text for duplicate play (null = random deal each game)
+                allowSpectators: settings.allowSpectators ?? true, // Let people watch without a seat
+                isPublic: settings.isPublic || false, // Listed in the public lobby browser
+                rated: settings.rated || false // Rated games update players' ratings; casual games don't
             },
+            spectators: [], // { id, name, wantsSeat } - watching without a seat
             status: 'waiting', // 'waiting' | 'playing' | 'finished'
             createdAt: Date.now(),
-            testPlayerCount: 0
+            testPlayerCount: 0,
+            match: null, // Cumulative scores while a match is in progress
+            chat: [], // Recent chat messages, replayed to reconnecting players
+            locked: false, // Host closed the lobby to new players
+            passwordHash: null, // Set when the host requires a password to join
+            bannedIds: [], // odIds and socket IDs of kicked players, who can't rejoin or watch
+            tournament: null // { id, matchId, players } for a tournament match lobby
         };
+    }
+
+    // Create a new lobby
+    // The settings are checked like a host's later changes, so bad values never reach a game
+    createLobby(hostSocket, playerName, settings = {}) {
+        const nameCheck = checkPlayerName(playerName);
+        if (!nameCheck.success) return nameCheck;
+
+        const checked = this.validateSettings(settings ?? {});
+        if (!checked.success) return checked;
 
+        const code = this.generateLobbyCode();
+        const playerId = uuidv4();
+
+        const lobby = this.buildLobby(code, checked.settings);
+        lobby.host = hostSocket.id;
+        lobby.players.push({
+            id: hostSocket.id,
+            odId: playerId,
+            name: nameCheck.name,
+            connected: true,
+            isHost: true,
+            isTestPlayer: false
+        });
+
+        this.stopSpectating(hostSocket.id);
         this.lobbies.set(code, lobby);
         this.playerToLobby.set(hostSocket.id, code);
         hostSocket.join(code);
 
-        return { code, lobby, playerId };
+        return { success: true, code, lobby, playerId };
+    }
+
+    // Create an empty lobby for a tournament match, with the tournament's settings fixed
+    // Only the two players named can take its seats (see joinLobby)
+    createTournamentLobby(settings, tournament) {
+        const code = this.generateLobbyCode();
+        const lobby = this.buildLobby(code, { ...settings, maxPlayers: 2, isPublic: false });
+        lobby.tournament = tournament;
+        this.lobbies.set(code, lobby);
+        return lobby;
     }
 
     // Join an existing lobby
-    joinLobby(socket, lobbyCode, playerName, persistentPlayerId = null) {
+    // tournamentSeat is set when the tournament hands out a seat in one of its match lobbies
+    joinLobby(socket, lobbyCode, playerName, persistentPlayerId = null, password = null, tournamentSeat = false) {
         const code = lobbyCode.toUpperCase();
         const lobby = this.lobbies.get(code);
 
@@ -65,6 +171,10 @@ class LobbyManager {
             return { success: false, error: 'Lobby not found. Check the code and try again.' };
         }
 
+        if (this.isBanned(lobby, socket.id, persistentPlayerId)) {
+            return { success: false, error: 'You have been removed from this lobby.' };
+        }
+
         // Check if this is a reconnection attempt
         let reconnectingPlayer = null;
         if (persistentPlayerId) {
@@ -78,6 +188,7 @@ class LobbyManager {
                 
                 reconnectingPlayer.id = socket.id;
                 reconnectingPlayer.connected = true;
+                if (reconnectingPlayer.isHost) lobby.host = socket.id;
                 this.playerToLobby.set(socket.id, code);
                 socket.join(code);
                 
@@ -93,11 +204,27 @@ class LobbyManager {
             }
         }
 
+        // Reconnecting players keep their name; everyone else needs a valid one
+        const nameCheck = checkPlayerName(playerName);
+        if (!nameCheck.success) return nameCheck;
+        playerName = nameCheck.name;
+
         // Normal join flow - game must be waiting
         if (lobby.status !== 'waiting') {
             return { success: false, error: 'Game has already started.' };
         }
 
+        if (lobby.tournament && !tournamentSeat) {
+            return { success: false, error: 'This lobby is for a tournament match.' };
+        }
+
+        if (lobby.locked) {
+            return { success: false, error: 'This lobby is locked.' };
+        }
+
+        const passwordCheck = this.checkPassword(lobby, password);
+        if (!passwordCheck.success) return passwordCheck;
+
         if (lobby.players.length >= lobby.settings.maxPlayers) {
             return { success: false, error: 'Lobby is full.' };
         }
@@ -109,15 +236,19 @@ class LobbyManager {
         }
 
         const playerId = uuidv4();
+        // Tournament lobbies start empty, so the first one in hosts
+        const isHost = lobby.players.length === 0;
         const player = {
             id: socket.id,
             odId: playerId,
             name: playerName,
             connected: true,
-            isHost: false,
+            isHost,
             isTestPlayer: false
         };
 
+        this.stopSpectating(socket.id);
+        if (isHost) lobby.host = socket.id;
         lobby.players.push(player);
         this.playerToLobby.set(socket.id, code);
         socket.join(code);
@@ -125,6 +256,135 @@ class LobbyManager {
         return { success: true, lobby, playerId, isReconnection: false };
     }
 
+    // Watch a lobby without taking a seat
+    // Spectators share the lobby room for public events but never count as players
+    // persistentPlayerId is the odId the client last played with, so a kicked player stays out
+    spectateLobby(socket, lobbyCode, spectatorName, password = null, persistentPlayerId = null) {
+        const code = lobbyCode.toUpperCase();
+        const lobby = this.lobbies.get(code);
+
+        if (!lobby) {
+            return { success: false, error: 'Lobby not found. Check the code and try again.' };
+        }
+
+        if (this.isBanned(lobby, socket.id, persistentPlayerId)) {
+            return { success: false, error: 'You have been removed from this lobby.' };
+        }
+
+        const nameCheck = checkPlayerName(spectatorName);
+        if (!nameCheck.success) return nameCheck;
+
+        if (!lobby.settings.allowSpectators) {
+            return { success: false, error: 'The host is not allowing spectators.' };
+        }
+
+        if (this.playerToLobby.has(socket.id)) {
+            return { success: false, error: 'Leave your lobby before watching another one.' };
+        }
+
+        const passwordCheck = this.checkPassword(lobby, password);
+        if (!passwordCheck.success) return passwordCheck;
+
+        this.stopSpectating(socket.id);
+        lobby.spectators.push({ id: socket.id, odId: persistentPlayerId, name: nameCheck.name, wantsSeat: false });
+        this.spectatorToLobby.set(socket.id, code);
+        socket.join(code);
+
+        return { success: true, lobby };
+    }
+
+    // Stop watching a lobby
+    stopSpectating(socketId) {
+        const code = this.spectatorToLobby.get(socketId);
+        if (!code) return null;
+
+        this.spectatorToLobby.delete(socketId);
+        const lobby = this.lobbies.get(code);
+        if (!lobby) return null;
+
+        lobby.spectators = lobby.spectators.filter(s => s.id !== socketId);
+        return { code, lobby };
+    }
+
+    // Send every spectator away (when the host turns spectating off)
+    // Returns the socket IDs that were watching
+    removeSpectators(code) {
+        const lobby = this.lobbies.get(code);
+        if (!lobby) return [];
+
+        const socketIds = lobby.spectators.map(s => s.id);
+        for (const socketId of socketIds) {
+            this.spectatorToLobby.delete(socketId);
+        }
+        lobby.spectators = [];
+        return socketIds;
+    }
+
+    // Get the lobby a spectator is watching
+    getLobbyBySpectator(socketId) {
+        const code = this.spectatorToLobby.get(socketId);
+        return code ? this.lobbies.get(code) : null;
+    }
+
+    // A spectator asks for a seat
+    // Between games they are seated straight away; during a game they are seated when the next round starts
+    takeSeat(socketId) {
+        const lobby = this.getLobbyBySpectator(socketId);
+        if (!lobby) return { success: false, error: 'Not watching a lobby' };
+
+        if (lobby.tournament) {
+            return { success: false, error: 'Only the players drawn for this match can play it' };
+        }
+
+        const spectator = lobby.spectators.find(s => s.id === socketId);
+        if (this.isBanned(lobby, socketId, spectator.odId ?? null)) {
+            return { success: false, error: 'You have been removed from this lobby.' };
+        }
+
+        if (lobby.status !== 'waiting') {
+            spectator.wantsSeat = true;
+            return { success: true, lobby, queued: true };
+        }
+
+        const result = this.seatSpectator(lobby, spectator);
+        return result.success ? { ...result, lobby, queued: false } : result;
+    }
+
+    // Move a spectator into the lobby's players
+    seatSpectator(lobby, spectator) {
+        if (this.isBanned(lobby, spectator.id, spectator.odId ?? null)) {
+            return { success: false, error: 'You have been removed from this lobby.' };
+        }
+
+        if (lobby.locked) {
+            return { success: false, error: 'This lobby is locked.' };
+        }
+
+        if (lobby.players.length >= lobby.settings.maxPlayers) {
+            return { success: false, error: 'Lobby is full.' };
+        }
+
+        const activePlayers = lobby.players.filter(p => p.connected);
+        if (activePlayers.some(p => p.name.toLowerCase() === spectator.name.toLowerCase())) {
+            return { success: false, error: 'Name already taken. Please choose a different name.' };
+        }
+
+        const playerId = uuidv4();
+        lobby.players.push({
+            id: spectator.id,
+            odId: playerId,
+            name: spectator.name,
+            connected: true,
+            isHost: false,
+            isTestPlayer: false
+        });
+        lobby.spectators = lobby.spectators.filter(s => s.id !== spectator.id);
+        this.spectatorToLobby.delete(spectator.id);
+        this.playerToLobby.set(spectator.id, lobby.code);
+
+        return { success: true, playerId };
+    }
+
     // Leave a lobby
     leaveLobby(socketId) {
         const code = this.playerToLobby.get(socketId);
@@ -145,10 +405,11 @@ class LobbyManager {
                 lobby.host = lobby.players[0].id;
             }
 
-            // If lobby is empty, delete it
+            // If lobby is empty, delete it (anyone still watching is sent away)
             if (lobby.players.length === 0) {
+                const spectatorIds = this.removeSpectators(code);
                 this.lobbies.delete(code);
-                return { code, lobby: null, removed: true };
+                return { code, lobby: null, removed: true, spectatorIds };
             }
 
             return { code, lobby, removed: false };
@@ -194,6 +455,7 @@ class LobbyManager {
 
         player.id = socket.id;
         player.connected = true;
+        if (player.isHost) lobby.host = socket.id;
         this.playerToLobby.set(socket.id, code);
         socket.join(code);
 
@@ -202,6 +464,207 @@ class LobbyManager {
         return { success: true, lobby, player, oldSocketId };
     }
 
+    // Restore a lobby from storage after a restart
+    // No sockets survive a restart, so every human player has to reconnect
+    restoreLobby(lobby) {
+        for (const player of lobby.players) {
+            if (!player.isTestPlayer) player.connected = false;
+        }
+        // Spectators have to find the lobby again
+        lobby.spectators = [];
+        lobby.settings.allowSpectators ??= true;
+        // Snapshots saved before settings were checked at creation can hold any turn timer
+        if (!TURN_TIMER_OPTIONS.includes(lobby.settings.turnTimer)) lobby.settings.turnTimer = 0;
+        lobby.settings.isPublic ??= false;
+        lobby.settings.rated ??= false;
+        lobby.chat ??= [];
+        lobby.locked ??= false;
+        lobby.passwordHash ??= null;
+        lobby.bannedIds ??= [];
+        lobby.tournament ??= null;
+        this.lobbies.set(lobby.code, lobby);
+    }
+
+    // Whether a socket (or the odId it is reconnecting with) was kicked from the lobby
+    isBanned(lobby, socketId, odId = null) {
+        return lobby.bannedIds.includes(socketId) || (odId !== null && lobby.bannedIds.includes(odId));
+    }
+
+    // Check the password given for a protected lobby
+    // needsPassword lets the client ask for it instead of just showing the error
+    checkPassword(lobby, password) {
+        if (!lobby.passwordHash) return { success: true };
+
+        if (!password) {
+            return { success: false, error: 'This lobby needs a password.', needsPassword: true };
+        }
+        if (hashPassword(lobby.code, String(password)) !== lobby.passwordHash) {
+            return { success: false, error: 'Wrong password.', needsPassword: true };
+        }
+        return { success: true };
+    }
+
+    // Look up the lobby of a host, for host-only actions
+    getHostedLobby(socketId) {
+        const lobby = this.getLobbyBySocket(socketId);
+        if (!lobby) return { success: false, error: 'Not in a lobby' };
+
+        if (lobby.host !== socketId) {
+            return { success: false, error: 'Only the host can do that' };
+        }
+        if (lobby.tournament) {
+            return { success: false, error: 'Tournament matches are run by the tournament' };
+        }
+        return { success: true, lobby };
+    }
+
+    // Remove a player and ban their odId from rejoining (host only)
+    // Returns the removed player so the caller can disconnect them from the room and game
+    kickPlayer(socketId, playerIndex) {
+        const result = this.getHostedLobby(socketId);
+        if (!result.success) return result;
+        const lobby = result.lobby;
+
+        const player = lobby.players[playerIndex];
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (player.id === socketId) {
+            return { success: false, error: 'You cannot kick yourself' };
+        }
+
+        this.removePlayer(lobby, playerIndex);
+        return { success: true, lobby, player };
+    }
+
+    // Remove a player, named by odId, from any lobby, the host included (admin API)
+    adminKickPlayer(lobbyCode, odId) {
+        const lobby = this.lobbies.get(String(lobbyCode ?? '').toUpperCase());
+        if (!lobby) {
+            return { success: false, error: 'Lobby not found' };
+        }
+
+        const playerIndex = lobby.players.findIndex(p => p.odId === odId);
+        const player = lobby.players[playerIndex];
+        if (!player) {
+            return { success: false, error: 'Player not found' };
+        }
+
+        this.removePlayer(lobby, playerIndex);
+
+        // Nobody left: the lobby goes, like when the last player leaves
+        if (lobby.players.length === 0) {
+            return { success: true, lobby, player, closed: this.closeLobby(lobby.code) };
+        }
+        if (player.isHost) {
+            const newHost = lobby.players.find(p => !p.isTestPlayer && p.connected) || lobby.players[0];
+            newHost.isHost = true;
+            lobby.host = newHost.id;
+        }
+        return { success: true, lobby, player, closed: null };
+    }
+
+    // Take a player out of a lobby and ban them from rejoining
+    // Their socket is banned too, so they can't come back as a spectator and take a new seat
+    removePlayer(lobby, playerIndex) {
+        const [player] = lobby.players.splice(playerIndex, 1);
+        this.playerToLobby.delete(player.id);
+        if (!player.isTestPlayer) lobby.bannedIds.push(player.odId, player.id);
+
+        // Keep the first player pointing at the same person where possible
+        if (lobby.firstPlayerIndex !== undefined && lobby.players.length > 0) {
+            if (playerIndex < lobby.firstPlayerIndex) lobby.firstPlayerIndex--;
+            lobby.firstPlayerIndex %= lobby.players.length;
+        }
+    }
+
+    // Close a lobby, sending everyone in it away (admin API)
+    // Returns the socket IDs of the players and spectators who were in it
+    closeLobby(lobbyCode) {
+        const code = String(lobbyCode ?? '').toUpperCase();
+        const lobby = this.lobbies.get(code);
+        if (!lobby) return null;
+
+        const playerIds = lobby.players.filter(p => !p.isTestPlayer).map(p => p.id);
+        for (const socketId of playerIds) {
+            this.playerToLobby.delete(socketId);
+        }
+        const spectatorIds = this.removeSpectators(code);
+        this.lobbies.delete(code);
+        return { code, playerIds, spectatorIds };
+    }
+
+    // Number of lobbies by status (metrics)
+    countLobbies() {
+        const counts = { waiting: 0, playing: 0 };
+        for (const lobby of this.lobbies.values()) {
+            counts[lobby.status] = (counts[lobby.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Every lobby, newest first (admin API)
+    // Players carry their odId so admin actions name the person rather than a seat that can shift
+    listLobbies() {
+        return [...this.lobbies.values()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(lobby => {
+                const info = this.getPublicLobbyInfo(lobby.code);
+                const players = info.players.map((p, i) => ({ ...p, odId: lobby.players[i].odId }));
+                return { ...info, players, createdAt: lobby.createdAt };
+            });
+    }
+
+    // Hand the host role to another connected player (host only)
+    transferHost(socketId, playerIndex) {
+        const result = this.getHostedLobby(socketId);
+        if (!result.success) return result;
+        const lobby = result.lobby;
+
+        const player = lobby.players[playerIndex];
+        if (!player || player.isTestPlayer) {
+            return { success: false, error: 'Player not found' };
+        }
+        if (player.id === socketId) {
+            return { success: false, error: 'You are already the host' };
+        }
+        if (!player.connected) {
+            return { success: false, error: `${player.name} is disconnected`, code: 'player-disconnected' };
+        }
+
+        for (const p of lobby.players) {
+            p.isHost = p === player;
+        }
+        lobby.host = player.id;
+
+        return { success: true, lobby, player };
+    }
+
+    // Close or reopen the lobby to new players (host only)
+    // Players already in the lobby can still reconnect
+    setLocked(socketId, locked) {
+        const result = this.getHostedLobby(socketId);
+        if (!result.success) return result;
+
+        result.lobby.locked = Boolean(locked);
+        return { success: true, lobby: result.lobby };
+    }
+
+    // Require a password to join or watch (host only); blank removes it
+    setPassword(socketId, password) {
+        const result = this.getHostedLobby(socketId);
+        if (!result.success) return result;
+        const lobby = result.lobby;
+
+        const trimmed = String(password ?? '').trim();
+        if (trimmed.length > PASSWORD_MAX_LENGTH) {
+            return { success: false, error: `Password can be at most ${PASSWORD_MAX_LENGTH} characters`, code: 'password-length' };
+        }
+
+        lobby.passwordHash = trimmed ? hashPassword(lobby.code, trimmed) : null;
+        return { success: true, lobby };
+    }
+
     // Get lobby by code
     getLobby(code) {
         return this.lobbies.get(code.toUpperCase());
@@ -230,10 +693,130 @@ class LobbyManager {
             return { success: false, error: 'Cannot change settings after game started' };
         }
 
-        lobby.settings = { ...lobby.settings, ...settings };
+        if (lobby.tournament) {
+            return { success: false, error: 'Tournament match settings are fixed' };
+        }
+
+        if (typeof settings !== 'object' || settings === null) {
+            return { success: false, error: 'Settings must be an object' };
+        }
+
+        // Checked together with the current settings, as some only clash in combination
+        const result = this.validateSettings({ ...lobby.settings, ...settings });
+        if (!result.success) return result;
+
+        lobby.settings = result.settings;
         return { success: true, lobby };
     }
 
+    // Check settings sent by a host (or tournament organizer) and normalize numbers
+    // Returns { success, settings } or { success: false, error }
+    validateSettings(settings) {
+        if (settings.numDecks !== undefined) {
+            const numDecks = parseInt(settings.numDecks, 10);
+            if (!Number.isInteger(numDecks) || numDecks < 1 || numDecks > MAX_DECKS) {
+                return { success: false, error: `Number of decks must be between 1 and ${MAX_DECKS}` };
+            }
+            settings = { ...settings, numDecks };
+        }
+
+        if (settings.maxPlayers !== undefined) {
+            const maxPlayers = parseInt(settings.maxPlayers, 10);
+            if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > MAX_PLAYERS) {
+                return { success: false, error: `Players must be between 2 and ${MAX_PLAYERS}`, code: 'max-players' };
+            }
+            settings = { ...settings, maxPlayers };
+        }
+
+        if (settings.deckStyle !== undefined && !DECK_STYLES.includes(settings.deckStyle)) {
+            return { success: false, error: 'Unknown deck style' };
+        }
+
+        if (settings.targetScore !== undefined) {
+            const targetScore = parseInt(settings.targetScore, 10);
+            if (!Number.isFinite(targetScore) || targetScore < 10) {
+                return { success: false, error: 'Target score must be at least 10' };
+            }
+            settings = { ...settings, targetScore };
+        }
+
+        if (settings.jokers !== undefined) {
+            const jokers = parseInt(settings.jokers, 10);
+            if (!Number.isInteger(jokers) || jokers < 0 || jokers > MAX_JOKERS_PER_DECK) {
+                return { success: false, error: `Jokers per deck must be between 0 and ${MAX_JOKERS_PER_DECK}` };
+            }
+            settings = { ...settings, jokers };
+        }
+
+        if (settings.maxWilds !== undefined) {
+            const maxWilds = parseInt(settings.maxWilds, 10);
+            if (!Number.isInteger(maxWilds) || maxWilds < 1 || maxWilds > MAX_WILDS_PER_MELD) {
+                return { success: false, error: `Wilds per meld must be between 1 and ${MAX_WILDS_PER_MELD}` };
+            }
+            settings = { ...settings, maxWilds };
+        }
+
+        if (settings.aceMode !== undefined && !ACE_MODES.includes(settings.aceMode)) {
+            return { success: false, error: 'Unknown ace mode' };
+        }
+
+        if (settings.acePoints !== undefined && !ACE_POINTS.includes(settings.acePoints)) {
+            return { success: false, error: `Ace points must be one of ${ACE_POINTS.join(', ')}`, code: 'ace-points' };
+        }
+
+        if (settings.turnTimer !== undefined && !TURN_TIMER_OPTIONS.includes(settings.turnTimer)) {
+            return { success: false, error: 'Turn timer must be off, 30, 60 or 120 seconds' };
+        }
+
+        if (settings.botTakeover !== undefined && !BOT_TAKEOVER_OPTIONS.includes(settings.botTakeover)) {
+            return { success: false, error: 'Bot takeover must be off, 15, 30 or 60 seconds' };
+        }
+
+        if (settings.rulesMode !== undefined && !hasRuleset(settings.rulesMode)) {
+            return { success: false, error: 'Unknown rules mode' };
+        }
+
+        if (settings.matchMode !== undefined && typeof settings.matchMode !== 'boolean') {
+            return { success: false, error: 'Match mode must be on or off' };
+        }
+
+        if (settings.bigGin !== undefined && typeof settings.bigGin !== 'boolean') {
+            return { success: false, error: 'Big gin must be on or off' };
+        }
+
+        if (settings.deucesWild !== undefined && typeof settings.deucesWild !== 'boolean') {
+            return { success: false, error: 'Deuces wild must be on or off' };
+        }
+
+        if (settings.allowSpectators !== undefined && typeof settings.allowSpectators !== 'boolean') {
+            return { success: false, error: 'Allow spectators must be on or off' };
+        }
+
+        if (settings.isPublic !== undefined && typeof settings.isPublic !== 'boolean') {
+            return { success: false, error: 'Visibility must be public or private' };
+        }
+
+        if (settings.rated !== undefined && typeof settings.rated !== 'boolean') {
+            return { success: false, error: 'Game type must be rated or casual' };
+        }
+
+        if (settings.seed !== undefined) {
+            // Blank clears the seed so every game is dealt at random again
+            const seed = String(settings.seed ?? '').trim() || null;
+            if (seed !== null && !/^[A-Za-z0-9_-]{1,64}$/.test(seed)) {
+                return { success: false, error: 'Seed can only use letters, numbers, - and _ (up to 64)' };
+            }
+            settings = { ...settings, seed };
+        }
+
+        // A fixed deal could be looked up in advance, so it can't decide ratings
+        if (settings.rated && settings.seed) {
+            return { success: false, error: 'Rated games cannot use a fixed seed' };
+        }
+
+        return { success: true, settings };
+    }
+
     // Start the game
     startGame(socketId) {
         const code = this.playerToLobby.get(socketId);
@@ -250,10 +833,183 @@ class LobbyManager {
             return { success: false, error: 'Need at least 2 players to start' };
         }
 
+        const ruleset = createRuleset(lobby.settings);
+        if (lobby.players.length < ruleset.minPlayers || lobby.players.length > ruleset.maxPlayers) {
+            return {
+                success: false,
+                error: ruleset.minPlayers === ruleset.maxPlayers
+                    ? `${ruleset.label} is played with exactly ${ruleset.minPlayers} players`
+                    : `${ruleset.label} needs ${ruleset.minPlayers}-${ruleset.maxPlayers} players`,
+                code: 'player-count'
+            };
+        }
+
+        // Start a new match if match mode is on and none is in progress
+        if (lobby.settings.matchMode && (!lobby.match || lobby.match.finished)) {
+            lobby.match = {
+                targetScore: lobby.settings.targetScore,
+                round: 0,
+                totals: {}, // odId -> { name, total }
+                rounds: [],
+                finished: false,
+                winnerName: null
+            };
+            // Dealer rotation is carried forward between rounds from here
+            if (lobby.firstPlayerIndex === undefined) {
+                lobby.firstPlayerIndex = 0;
+            }
+        } else if (!lobby.settings.matchMode) {
+            lobby.match = null;
+        }
+
+        if (lobby.match) {
+            lobby.match.round++;
+            for (const player of lobby.players) {
+                if (!lobby.match.totals[player.odId]) {
+                    lobby.match.totals[player.odId] = { name: player.name, total: 0 };
+                }
+            }
+        }
+
         lobby.status = 'playing';
         return { success: true, lobby };
     }
 
+    // Record the result of a finished round in the lobby's match
+    // The round winner scores the roundPoints worked out by the game's ruleset.
+    // Returns the public match summary, or null when not playing a match.
+    recordRoundResult(lobbyCode, game) {
+        const lobby = this.lobbies.get(lobbyCode.toUpperCase());
+        if (!lobby || !lobby.match || !game?.winner) return null;
+
+        const match = lobby.match;
+        // Ignore duplicate reports for the same round
+        if (match.rounds.some(r => r.round === match.round)) {
+            return this.getMatchSummary(lobby);
+        }
+
+        // The game's ruleset has already scored the round
+        const winner = game.players.find(p => p.id === game.winner.playerId);
+        const roundPoints = game.winner.roundPoints || 0;
+
+        if (winner) {
+            if (!match.totals[winner.odId]) {
+                match.totals[winner.odId] = { name: winner.name, total: 0 };
+            }
+            match.totals[winner.odId].total += roundPoints;
+        }
+
+        match.rounds.push({
+            round: match.round,
+            winnerOdId: winner?.odId,
+            winnerName: game.winner.playerName,
+            points: roundPoints,
+            hands: game.winner.scores.map(({ name, points }) => ({ name, points }))
+        });
+
+        // Match ends as soon as someone reaches the target
+        const leader = Object.values(match.totals).sort((a, b) => b.total - a.total)[0];
+        if (leader && leader.total >= match.targetScore) {
+            match.finished = true;
+            match.winnerName = leader.name;
+        }
+
+        return this.getMatchSummary(lobby);
+    }
+
+    // Shuffle seed for the game about to be dealt, or null for a random deal
+    // Later rounds of a match add the round number ("seed-2") so rounds are not dealt the same cards
+    getDealSeed(code) {
+        const lobby = this.lobbies.get(code);
+        const seed = lobby?.settings.seed ?? null;
+        if (seed === null || !lobby.match || lobby.match.round === 1) return seed;
+        return `${seed}-${lobby.match.round}`;
+    }
+
+    // Get match standings for display (no persistent IDs)
+    getMatchSummary(lobby) {
+        if (!lobby.match) return null;
+
+        const match = lobby.match;
+        const lastRound = match.rounds[match.rounds.length - 1];
+        return {
+            round: match.round,
+            targetScore: match.targetScore,
+            standings: Object.entries(match.totals)
+                .map(([odId, { name, total }]) => ({
+                    name,
+                    total,
+                    roundPoints: lastRound && lastRound.round === match.round && lastRound.winnerOdId === odId
+                        ? lastRound.points
+                        : 0
+                }))
+                .sort((a, b) => b.total - a.total),
+            rounds: match.rounds.map(({ round, winnerName, points }) => ({ round, winnerName, points })),
+            finished: match.finished,
+            winnerName: match.winnerName
+        };
+    }
+
+    // Post a chat message or quick reaction from a player or spectator
+    // Text is trimmed, length checked and HTML-escaped here so clients can show it as is
+    addChatMessage(socketId, { text, reaction } = {}) {
+        const lobby = this.getLobbyBySocket(socketId) || this.getLobbyBySpectator(socketId);
+        if (!lobby) return { success: false, error: 'Not in a lobby' };
+
+        const sender = lobby.players.find(p => p.id === socketId) || lobby.spectators.find(s => s.id === socketId);
+
+        let message;
+        if (reaction !== undefined) {
+            if (!QUICK_REACTIONS.includes(reaction)) {
+                return { success: false, error: 'Unknown reaction' };
+            }
+            message = { reaction };
+        } else {
+            const trimmed = typeof text === 'string' ? text.trim() : '';
+            if (!trimmed) {
+                return { success: false, error: 'Message is empty' };
+            }
+            if (trimmed.length > CHAT_MAX_LENGTH) {
+                return { success: false, error: `Messages can be at most ${CHAT_MAX_LENGTH} characters`, code: 'chat-too-long' };
+            }
+            message = { text: escapeHtml(trimmed) };
+        }
+
+        // Allow a few messages per window, then make the sender wait
+        const now = Date.now();
+        const recent = (this.chatTimes.get(socketId) || []).filter(t => now - t < CHAT_RATE_LIMIT.windowMs);
+        if (recent.length >= CHAT_RATE_LIMIT.messages) {
+            return { success: false, error: 'You are sending messages too quickly' };
+        }
+        recent.push(now);
+        this.chatTimes.set(socketId, recent);
+
+        message = {
+            id: uuidv4(),
+            name: escapeHtml(sender.name),
+            spectator: !lobby.players.includes(sender),
+            at: now,
+            ...message
+        };
+
+        lobby.chat.push(message);
+        if (lobby.chat.length > CHAT_HISTORY_SIZE) {
+            lobby.chat.splice(0, lobby.chat.length - CHAT_HISTORY_SIZE);
+        }
+
+        return { success: true, code: lobby.code, message };
+    }
+
+    // Recent chat messages for a lobby
+    getChatHistory(code) {
+        return this.lobbies.get(code)?.chat || [];
+    }
+
+    // Forget a socket's chat rate limit once it disconnects
+    clearChatLimit(socketId) {
+        this.chatTimes.delete(socketId);
+    }
+
     // Get public lobby info (for display)
     getPublicLobbyInfo(code) {
         const lobby = this.lobbies.get(code);
@@ -265,18 +1021,54 @@ class LobbyManager {
                 name: p.name,
                 isHost: p.isHost,
                 connected: p.connected,
-                isTestPlayer: p.isTestPlayer || false
+                isTestPlayer: p.isTestPlayer || false,
+                difficulty: p.isTestPlayer ? p.difficulty || 'normal' : undefined
             })),
-            settings: lobby.settings,
+            // The seed stays on the server: knowing it before the game means knowing every hand
+            settings: { ...lobby.settings, seed: undefined },
+            seeded: lobby.settings.seed != null,
+            locked: lobby.locked,
+            hasPassword: lobby.passwordHash !== null,
             status: lobby.status,
             playerCount: lobby.players.length,
+            spectatorCount: lobby.spectators.length,
             firstPlayerIndex: lobby.firstPlayerIndex,
-            host: lobby.host
+            host: lobby.host,
+            match: this.getMatchSummary(lobby),
+            tournament: lobby.tournament ? { id: lobby.tournament.id, name: lobby.tournament.name, matchId: lobby.tournament.matchId } : null
         };
     }
 
+    // Open public lobbies for the lobby browser, waiting lobbies first and newest first
+    // Locked lobbies and lobbies whose players have all gone are left out
+    listPublicLobbies() {
+        const lobbies = [];
+        for (const lobby of this.lobbies.values()) {
+            if (!lobby.settings.isPublic || lobby.locked) continue;
+            if (!lobby.players.some(p => !p.isTestPlayer && p.connected)) continue;
+
+            const host = lobby.players.find(p => p.isHost);
+            lobbies.push({
+                code: lobby.code,
+                hostName: host?.name || 'Unknown',
+                playerCount: lobby.players.length,
+                maxPlayers: lobby.settings.maxPlayers,
+                spectatorCount: lobby.spectators.length,
+                settings: { ...lobby.settings, seed: undefined },
+                hasPassword: lobby.passwordHash !== null,
+                status: lobby.status,
+                createdAt: lobby.createdAt
+            });
+        }
+
+        return lobbies
+            .sort((a, b) => (a.status === 'waiting' ? 0 : 1) - (b.status === 'waiting' ? 0 : 1) || b.createdAt - a.createdAt)
+            .slice(0, PUBLIC_LOBBY_LIST_SIZE);
+    }
+
     // Add a test player (bot) for testing
-    addTestPlayer(socketId) {
+    // difficulty picks the bot's strategy: 'easy' | 'normal' | 'hard'
+    addTestPlayer(socketId, difficulty = 'normal') {
         const code = this.playerToLobby.get(socketId);
         if (!code) return { success: false, error: 'Not in a lobby' };
 
@@ -287,10 +1079,18 @@ class LobbyManager {
             return { success: false, error: 'Cannot add test players after game started' };
         }
 
+        if (lobby.tournament) {
+            return { success: false, error: 'Tournament matches are played without bots' };
+        }
+
         if (lobby.players.length >= lobby.settings.maxPlayers) {
             return { success: false, error: 'Lobby is full' };
         }
 
+        if (!BOT_DIFFICULTIES.includes(difficulty)) {
+            return { success: false, error: 'Bot difficulty must be easy, normal or hard' };
+        }
+
         lobby.testPlayerCount++;
         const testNames = ['Bot Alice', 'Bot Bob', 'Bot Charlie', 'Bot Diana', 'Bot Eve', 'Bot Frank', 'Bot Grace', 'Bot Henry', 'Bot Ivy'];
         const testName = testNames[(lobby.testPlayerCount - 1) % testNames.length];
@@ -302,7 +1102,8 @@ class LobbyManager {
             name: testName,
             connected: true,
             isHost: false,
-            isTestPlayer: true
+            isTestPlayer: true,
+            difficulty
         };
 
         lobby.players.push(testPlayer);
@@ -348,7 +1149,16 @@ class LobbyManager {
             lobby.firstPlayerIndex = (lobby.firstPlayerIndex + 1) % lobby.players.length;
         }
 
-        return { success: true, lobby };
+        // Seat spectators who asked for a seat during the game (anyone who doesn't fit keeps watching)
+        const seated = [];
+        for (const spectator of lobby.spectators.filter(s => s.wantsSeat)) {
+            const result = this.seatSpectator(lobby, spectator);
+            if (result.success) {
+                seated.push({ socketId: spectator.id, playerId: result.playerId });
+            }
+        }
+
+        return { success: true, lobby, seated };
     }
 
     // Shuffle to randomly determine first player
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LobbyManager from './lobbyManager.js';
+
+const fakeSocket = id => ({ id, join() {}, leave() {} });
+
+// A lobby hosted by Alice on socket 'host' with Bob on socket 'guest'
+function setup() {
+    const lobbies = new LobbyManager(null);
+    const { code } = lobbies.createLobby(fakeSocket('host'), 'Alice');
+    const { playerId } = lobbies.joinLobby(fakeSocket('guest'), code, 'Bob');
+    return { lobbies, code, lobby: lobbies.getLobby(code), bobId: playerId };
+}
+
+test('a kicked player cannot rejoin from a new socket', () => {
+    const { lobbies, code, lobby, bobId } = setup();
+
+    assert.equal(lobbies.kickPlayer('host', 1).success, true);
+    assert.deepEqual(lobby.players.map(p => p.name), ['Alice']);
+
+    const rejoin = lobbies.joinLobby(fakeSocket('guest-2'), code, 'Bob', bobId);
+    assert.equal(rejoin.success, false);
+});
+
+test('a kicked player cannot watch again from a new socket', () => {
+    const { lobbies, code, bobId } = setup();
+    lobbies.kickPlayer('host', 1);
+
+    const watch = lobbies.spectateLobby(fakeSocket('guest-2'), code, 'Bob', null, bobId);
+    assert.equal(watch.success, false);
+    assert.equal(watch.error, 'You have been removed from this lobby.');
+});
+
+test('a spectator whose odId was kicked cannot take a seat', () => {
+    const { lobbies, code, lobby, bobId } = setup();
+    assert.equal(lobbies.spectateLobby(fakeSocket('watcher'), code, 'Robert', null, bobId).success, true);
+
+    // Kicked while already watching from another tab
+    lobbies.kickPlayer('host', lobby.players.findIndex(p => p.odId === bobId));
+    assert.equal(lobbies.takeSeat('watcher').success, false);
+});
+
+test('only the host can kick, and not themselves', () => {
+    const { lobbies } = setup();
+
+    assert.equal(lobbies.kickPlayer('guest', 0).success, false);
+    assert.equal(lobbies.kickPlayer('host', 0).error, 'You cannot kick yourself');
+});
+
+test('the host can hand the role to a connected player', () => {
+    const { lobbies, lobby } = setup();
+
+    assert.equal(lobbies.transferHost('host', 1).success, true);
+    assert.equal(lobby.host, 'guest');
+    assert.deepEqual(lobby.players.map(p => p.isHost), [false, true]);
+    assert.equal(lobbies.setLocked('host', true).success, false);
+});
+
+test('a locked lobby turns away new players and spectators taking seats', () => {
+    const { lobbies, code } = setup();
+    lobbies.spectateLobby(fakeSocket('watcher'), code, 'Cara');
+
+    lobbies.setLocked('host', true);
+
+    assert.equal(lobbies.joinLobby(fakeSocket('new'), code, 'Dan').success, false);
+    assert.equal(lobbies.takeSeat('watcher').error, 'This lobby is locked.');
+});
+
+// A finished round won by the player in seat winnerIndex
+const finishedGame = (lobby, winnerIndex, roundPoints) => ({
+    players: lobby.players,
+    winner: {
+        playerId: lobby.players[winnerIndex].id,
+        playerName: lobby.players[winnerIndex].name,
+        roundPoints,
+        scores: lobby.players.map((p, i) => ({ name: p.name, points: i === winnerIndex ? 0 : roundPoints, isWinner: i === winnerIndex }))
+    }
+});
+
+test('match mode adds up round points until someone reaches the target', () => {
+    const lobbies = new LobbyManager(null);
+    const { code } = lobbies.createLobby(fakeSocket('host'), 'Alice', { matchMode: true, targetScore: 30 });
+    lobbies.joinLobby(fakeSocket('guest'), code, 'Bob');
+
+    const { lobby } = lobbies.startGame('host');
+    let summary = lobbies.recordRoundResult(code, finishedGame(lobby, 1, 18));
+    assert.deepEqual(summary.standings.map(s => [s.name, s.total, s.roundPoints]), [['Bob', 18, 18], ['Alice', 0, 0]]);
+    assert.equal(summary.finished, false);
+
+    // The same round reported twice only counts once
+    summary = lobbies.recordRoundResult(code, finishedGame(lobby, 1, 18));
+    assert.equal(summary.standings[0].total, 18);
+
+    lobbies.resetLobbyForNewGame(code);
+    assert.equal(lobby.firstPlayerIndex, 1);
+    lobbies.startGame('host');
+    assert.equal(lobby.match.round, 2);
+    lobbies.recordRoundResult(code, finishedGame(lobby, 0, 12));
+
+    lobbies.resetLobbyForNewGame(code);
+    assert.equal(lobby.firstPlayerIndex, 0);
+    lobbies.startGame('host');
+    summary = lobbies.recordRoundResult(code, finishedGame(lobby, 0, 20));
+    assert.deepEqual(summary.standings.map(s => [s.name, s.total]), [['Alice', 32], ['Bob', 18]]);
+    assert.equal(summary.finished, true);
+    assert.equal(summary.winnerName, 'Alice');
+    assert.deepEqual(summary.rounds.map(r => r.points), [18, 12, 20]);
+
+    // The next game starts a new match
+    lobbies.resetLobbyForNewGame(code);
+    lobbies.startGame('host');
+    assert.equal(lobby.match.round, 1);
+    assert.deepEqual(lobby.match.rounds, []);
+});
+
+test('without match mode no match is kept', () => {
+    const { lobbies, code, lobby } = setup();
+    lobbies.startGame('host');
+
+    assert.equal(lobbies.recordRoundResult(code, finishedGame(lobby, 0, 10)), null);
+});
+
+test('bots can only be added at a known difficulty', () => {
+    const { lobbies, lobby } = setup();
+
+    const bad = lobbies.addTestPlayer('host', 'expert');
+    assert.equal(bad.success, false);
+    assert.equal(lobby.players.length, 2);
+
+    const hard = lobbies.addTestPlayer('host', 'hard');
+    assert.equal(hard.success, true);
+    assert.equal(hard.testPlayer.difficulty, 'hard');
+    assert.equal(lobbies.addTestPlayer('host').testPlayer.difficulty, 'normal');
+});
+
+test('lobby settings outside their range are turned away', () => {
+    const { lobbies, lobby } = setup();
+    const before = { ...lobby.settings };
+    const rejected = [
+        { numDecks: 0 }, { numDecks: 5 }, { numDecks: 'two' },
+        { jokers: -1 }, { jokers: 5 },
+        { maxWilds: 0 }, { maxWilds: 5 },
+        { maxPlayers: 1 }, { maxPlayers: 11 },
+        { targetScore: 9 },
+        { turnTimer: 45 }, { botTakeover: 5 },
+        { aceMode: 'sideways' }, { acePoints: 2 },
+        { rulesMode: 'poker' }, { deckStyle: 'neon' },
+        { matchMode: 'yes' }, { seed: 'no spaces' },
+        { rated: true, seed: 'fixed' }
+    ];
+
+    for (const settings of rejected) {
+        const result = lobbies.updateSettings('host', settings);
+        assert.equal(result.success, false, JSON.stringify(settings));
+        assert.ok(result.error);
+    }
+    assert.deepEqual(lobby.settings, before);
+
+    assert.equal(lobbies.createLobby(fakeSocket('other'), 'Cara', { numDecks: 9 }).success, false);
+});
+
+test('lobby settings in range are kept, with numbers normalized', () => {
+    const { lobbies, lobby } = setup();
+
+    const result = lobbies.updateSettings('host', { numDecks: '4', jokers: '4', maxWilds: 4, aceMode: 'aroundTheCorner', acePoints: 11, turnTimer: 60, seed: '  deal-1 ' });
+    assert.equal(result.success, true, result.error);
+    assert.equal(lobby.settings.numDecks, 4);
+    assert.equal(lobby.settings.jokers, 4);
+    assert.equal(lobby.settings.seed, 'deal-1');
+
+    assert.equal(lobbies.updateSettings('host', { seed: '' }).success, true);
+    assert.equal(lobby.settings.seed, null);
+});
@@ -0,0 +1,112 @@
+// Metrics - Server counters for the Prometheus /metrics endpoint
+// Counters live in memory and start from zero when the server starts; Prometheus copes with
+// the reset. Gauges (lobbies, games, sockets) are read from the managers on every scrape.
+
+// Most label combinations kept per metric, so arbitrary event names or error messages
+// can't grow the output without bound; anything past this is counted under "other"
+const MAX_LABEL_SETS = 100;
+
+// Escape a label value for the text exposition format
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// A counter with labels, e.g. socket events by event name
+class LabeledCounter {
+    constructor(labelNames) {
+        this.labelNames = labelNames;
+        this.values = new Map(); // JSON of the label values -> count
+    }
+
+    inc(...labelValues) {
+        let key = JSON.stringify(labelValues);
+        if (!this.values.has(key) && this.values.size >= MAX_LABEL_SETS) {
+            key = JSON.stringify(labelValues.map(() => 'other'));
+        }
+        this.values.set(key, (this.values.get(key) || 0) + 1);
+    }
+
+    lines(name) {
+        return [...this.values].map(([key, count]) => {
+            const labels = JSON.parse(key).map((value, i) => `${this.labelNames[i]}="${escapeLabel(value)}"`);
+            return `${name}{${labels.join(',')}} ${count}`;
+        });
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.gamesStarted = 0;
+        this.gamesFinished = 0;
+        this.gameDurationSeconds = 0; // Sum over finished games, for the average
+        this.gamesTimed = 0; // Finished games with a deal time (older restored games have none)
+        this.socketEvents = new LabeledCounter(['event']);
+        this.validationFailures = new LabeledCounter(['event', 'error']);
+        this.reconnects = new LabeledCounter(['result']);
+        this.finishedGames = new WeakSet(); // Games already counted
+    }
+
+    recordGameStarted() {
+        this.gamesStarted++;
+    }
+
+    // Count a finished game and how long it took from the deal
+    recordGameFinished(game) {
+        if (!game?.winner || this.finishedGames.has(game)) return;
+        this.finishedGames.add(game);
+
+        this.gamesFinished++;
+        const dealtAt = game.actionLog?.[0]?.at;
+        if (dealtAt) {
+            this.gameDurationSeconds += (Date.now() - dealtAt) / 1000;
+            this.gamesTimed++;
+        }
+    }
+
+    recordSocketEvent(event) {
+        this.socketEvents.inc(event);
+    }
+
+    // An event answered with { success: false, error, code }
+    // Messages built from names or numbers come with a fixed code, which is used as the label instead
+    recordValidationFailure(event, { error, code } = {}) {
+        this.validationFailures.inc(event, code || error || 'unknown');
+    }
+
+    // Result of GameManager.playerReconnected, or a failure when the lobby or player is gone
+    recordReconnect(success) {
+        this.reconnects.inc(success ? 'success' : 'failure');
+    }
+
+    // Text exposition format
+    // gauges: { lobbies: { waiting, playing }, activeGames, connectedSockets }
+    render({ lobbies, activeGames, connectedSockets }) {
+        const metric = (name, type, help, lines) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines];
+
+        return [
+            ...metric('ginrummy_lobbies', 'gauge', 'Lobbies on the server by status',
+                Object.entries(lobbies).map(([status, count]) => `ginrummy_lobbies{status="${status}"} ${count}`)),
+            ...metric('ginrummy_games_active', 'gauge', 'Games being played',
+                [`ginrummy_games_active ${activeGames}`]),
+            ...metric('ginrummy_sockets_connected', 'gauge', 'Connected sockets',
+                [`ginrummy_sockets_connected ${connectedSockets}`]),
+            ...metric('ginrummy_games_started_total', 'counter', 'Games dealt',
+                [`ginrummy_games_started_total ${this.gamesStarted}`]),
+            ...metric('ginrummy_games_finished_total', 'counter', 'Games played to the end',
+                [`ginrummy_games_finished_total ${this.gamesFinished}`]),
+            ...metric('ginrummy_game_duration_seconds', 'summary', 'Time from the deal to the end of the game',
+                [
+                    `ginrummy_game_duration_seconds_sum ${this.gameDurationSeconds.toFixed(3)}`,
+                    `ginrummy_game_duration_seconds_count ${this.gamesTimed}`
+                ]),
+            ...metric('ginrummy_socket_events_total', 'counter', 'Socket events received by event name',
+                this.socketEvents.lines('ginrummy_socket_events_total')),
+            ...metric('ginrummy_validation_failures_total', 'counter', 'Socket events rejected, by event and error code or fixed message',
+                this.validationFailures.lines('ginrummy_validation_failures_total')),
+            ...metric('ginrummy_reconnects_total', 'counter', 'Reconnect attempts by result',
+                this.reconnects.lines('ginrummy_reconnects_total'))
+        ].join('\n') + '\n';
+    }
+}
+
+export default Metrics;
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Metrics from './metrics.js';
+import GameManager from './gameManager.js';
+import LobbyManager from './lobbyManager.js';
+
+const gauges = { lobbies: { waiting: 0, playing: 0 }, activeGames: 0, connectedSockets: 0 };
+
+// Value of one sample line, e.g. sample(text, 'ginrummy_reconnects_total{result="success"}')
+const sample = (text, name) => {
+    const line = text.split('\n').find(l => l.startsWith(`${name} `));
+    return line === undefined ? undefined : Number(line.slice(name.length + 1));
+};
+
+test('counters show up in the exposition text with HELP and TYPE lines', () => {
+    const metrics = new Metrics();
+    metrics.recordGameStarted();
+    metrics.recordSocketEvent('game:draw');
+    metrics.recordSocketEvent('game:draw');
+    metrics.recordValidationFailure('game:discard', { error: 'Not your turn' });
+    metrics.recordValidationFailure('lobby:settings', { error: 'Players must be between 2 and 10', code: 'max-players' });
+    metrics.recordReconnect(true);
+    metrics.recordReconnect(false);
+
+    const text = metrics.render({ lobbies: { waiting: 2, playing: 1 }, activeGames: 1, connectedSockets: 3 });
+
+    assert.match(text, /^# HELP ginrummy_games_started_total .+\n# TYPE ginrummy_games_started_total counter$/m);
+    assert.equal(sample(text, 'ginrummy_lobbies{status="waiting"}'), 2);
+    assert.equal(sample(text, 'ginrummy_games_active'), 1);
+    assert.equal(sample(text, 'ginrummy_sockets_connected'), 3);
+    assert.equal(sample(text, 'ginrummy_games_started_total'), 1);
+    assert.equal(sample(text, 'ginrummy_socket_events_total{event="game:draw"}'), 2);
+    assert.equal(sample(text, 'ginrummy_validation_failures_total{event="game:discard",error="Not your turn"}'), 1);
+    assert.equal(sample(text, 'ginrummy_validation_failures_total{event="lobby:settings",error="max-players"}'), 1);
+    assert.equal(sample(text, 'ginrummy_reconnects_total{result="success"}'), 1);
+    assert.equal(sample(text, 'ginrummy_reconnects_total{result="failure"}'), 1);
+    assert.ok(text.endsWith('\n'));
+});
+
+test('a finished game is counted once, with its time from the deal', () => {
+    const metrics = new Metrics();
+    const game = { winner: null, actionLog: [{ at: Date.now() - 30000 }] };
+
+    metrics.recordGameFinished(game);
+    game.winner = 'p1';
+    metrics.recordGameFinished(game);
+    metrics.recordGameFinished(game);
+    metrics.recordGameFinished({ winner: 'p2' }); // Restored from before deals were logged
+
+    const text = metrics.render(gauges);
+    assert.equal(sample(text, 'ginrummy_games_finished_total'), 2);
+    assert.equal(sample(text, 'ginrummy_game_duration_seconds_count'), 1);
+    assert.ok(Math.abs(sample(text, 'ginrummy_game_duration_seconds_sum') - 30) < 1);
+});
+
+test('label values are escaped and their number is capped', () => {
+    const metrics = new Metrics();
+    metrics.recordValidationFailure('chat', { error: 'Say "hi"\\bye\n' });
+    for (let i = 0; i < 150; i++) metrics.recordSocketEvent(`event-${i}`);
+
+    const text = metrics.render(gauges);
+    assert.equal(sample(text, 'ginrummy_validation_failures_total{event="chat",error="Say \\"hi\\"\\\\bye\\n"}'), 1);
+    assert.equal(text.split('\n').filter(l => l.startsWith('ginrummy_socket_events_total{')).length, 101);
+    assert.equal(sample(text, 'ginrummy_socket_events_total{event="other"}'), 50);
+});
+
+test('the lobby and game gauges count by status', () => {
+    const lobbies = new LobbyManager(null);
+    const games = new GameManager(null);
+    const fakeSocket = id => ({ id, join() {}, leave() {} });
+    lobbies.createLobby(fakeSocket('a'), 'Alice');
+    const { code } = lobbies.createLobby(fakeSocket('b'), 'Bob');
+    lobbies.getLobby(code).status = 'playing';
+
+    const players = ['p1', 'p2'].map(id => ({ id, odId: id, name: id }));
+    games.initGame('ONE', players, { seed: 1 }, 0);
+    games.initGame('TWO', players, { seed: 2 }, 0).winner = 'p1';
+
+    assert.deepEqual(lobbies.countLobbies(), { waiting: 1, playing: 1 });
+    assert.equal(games.countActiveGames(), 1);
+});
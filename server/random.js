@@ -0,0 +1,55 @@
+// Random number generation
+// Shuffles use a deterministic generator built on SHA-256, so a deal can be replayed from its
+// seed but cannot be predicted without it. Fresh seeds come from the system CSPRNG.
+//
+// Fairness: before anyone sees a card the server commits to the shuffled order by publishing
+// SHA-256(salt:seed:order). Salt, seed and order are revealed when the game ends so every
+// player can check the deck they played with is the one committed to at the start.
+
+import { createHash, randomBytes, randomInt } from 'crypto';
+
+// Pick a fresh seed (256 bits from the CSPRNG, as hex)
+export function randomSeed() {
+    return randomBytes(32).toString('hex');
+}
+
+// Unseeded CSPRNG float in [0, 1)
+export function secureRandom() {
+    return randomInt(0x100000000) / 0x100000000;
+}
+
+// Seeded generator with the same contract as Math.random: every call returns a float in [0, 1)
+// Counter mode: block n is SHA-256("seed:n"), read four bytes at a time
+export function createRandom(seed) {
+    let counter = 0;
+    let block = Buffer.alloc(0);
+    let offset = 0;
+    return function random() {
+        if (offset + 4 > block.length) {
+            block = createHash('sha256').update(`${seed}:${counter++}`).digest();
+            offset = 0;
+        }
+        const value = block.readUInt32BE(offset);
+        offset += 4;
+        return value / 0x100000000;
+    };
+}
+
+// Seed for the nth follow-up shuffle of a deal (e.g. the nth reshuffle of the discard pile)
+// Derived from the deal seed alone, so it needs no generator state saved between shuffles
+export function deriveSeed(seed, n) {
+    return `${seed}/${n}`;
+}
+
+// Commit to a shuffled deck: the hash is published now, salt and order are revealed later
+// The salt stops anyone from guessing the order by hashing candidate decks
+export function commitToDeck(seed, cards) {
+    const salt = randomBytes(16).toString('hex');
+    const order = cards.map(card => card.id);
+    return { hash: hashDeck(salt, seed, order), salt, order };
+}
+
+// The value that is committed to (the client recomputes it to verify a reveal)
+export function hashDeck(salt, seed, order) {
+    return createHash('sha256').update(`${salt}:${seed}:${order.join(',')}`).digest('hex');
+}
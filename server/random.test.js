@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, deriveSeed, commitToDeck, hashDeck } from './random.js';
+import GameManager from './gameManager.js';
+import { recordDeal, verifyShuffle } from '../src/js/shuffleCheck.js';
+
+const players = ['p1', 'p2', 'p3'].map(id => ({ id, odId: id, name: id }));
+const deal = (seed, settings = {}) => {
+    const game = new GameManager(null).initGame('SEED', players, { seed, ...settings }, 0);
+    return { hands: game.players.map(p => p.hand.map(c => c.id)), deck: game.deck.map(c => c.id), discard: game.discardPile[0].id };
+};
+
+test('a seeded generator repeats its sequence and stays in [0, 1)', () => {
+    const a = createRandom('abc');
+    const b = createRandom('abc');
+    const values = Array.from({ length: 50 }, () => a());
+
+    assert.deepEqual(Array.from({ length: 50 }, () => b()), values);
+    assert.ok(values.every(v => v >= 0 && v < 1));
+    assert.notDeepEqual(Array.from({ length: 50 }, createRandom('abd')), values);
+    assert.notEqual(createRandom(deriveSeed('abc', 1))(), createRandom('abc')());
+});
+
+test('the same seed deals the same game and another seed does not', () => {
+    assert.deepEqual(deal('table-1'), deal('table-1'));
+    assert.deepEqual(deal('table-1', { numDecks: 2, jokers: 2 }), deal('table-1', { numDecks: 2, jokers: 2 }));
+    assert.notDeepEqual(deal('table-2'), deal('table-1'));
+});
+
+test('without a seed each game gets a fresh one', () => {
+    const gameManager = new GameManager(null);
+    const first = gameManager.initGame('A', players, {}, 0);
+    const second = gameManager.initGame('B', players, {}, 0);
+
+    assert.match(first.seed, /^[0-9a-f]{64}$/);
+    assert.notEqual(first.seed, second.seed);
+});
+
+test('a deck commitment hashes the salted order and a new salt is drawn each time', () => {
+    const cards = ['0_A_hearts', '0_2_hearts', '0_3_hearts'].map(id => ({ id }));
+    const first = commitToDeck('seed', cards);
+    const second = commitToDeck('seed', cards);
+
+    assert.deepEqual(first.order, ['0_A_hearts', '0_2_hearts', '0_3_hearts']);
+    assert.equal(first.hash, hashDeck(first.salt, 'seed', first.order));
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.hash, second.hash);
+});
+
+test('players see only the hash until the game ends, then the reveal checks out', () => {
+    const gameManager = new GameManager(null);
+    const bots = ['b1', 'b2'].map(id => ({ id, odId: id, name: id, isTestPlayer: true }));
+    const game = gameManager.initGame('FAIR', bots, { seed: 7 }, 0);
+    const deal = recordDeal(gameManager.getPlayerView('FAIR', 'b2'));
+
+    assert.equal(deal.commitment, game.shuffleCommitment.hash);
+    assert.equal(gameManager.getShuffleReveal('FAIR'), null);
+
+    for (let turn = 0; turn < 200 && !game.winner; turn++) gameManager.playBotTurn('FAIR');
+    assert.ok(game.winner);
+    const reveal = gameManager.getShuffleReveal('FAIR');
+
+    assert.equal(reveal.seed, 7);
+    assert.equal(verifyShuffle(deal, reveal).verified, true);
+
+    // A swapped card or a different seed no longer matches what was committed to
+    const swapped = [...reveal.order];
+    [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+    assert.equal(verifyShuffle(deal, { ...reveal, order: swapped }).verified, false);
+    assert.equal(verifyShuffle(deal, { ...reveal, seed: 8 }).verified, false);
+});
@@ -0,0 +1,48 @@
+// Ratings - Elo adapted for 2-10 player games
+// Each finished game is scored as a round robin: every player is compared with every
+// other player by finishing position (the winner first, then the rest by points left
+// in hand, equal points being a tie), and the pairwise Elo changes are averaged.
+// With two players this is plain Elo.
+
+export const INITIAL_RATING = 1500;
+// Players with fewer rated games than this move faster and are marked provisional
+export const PROVISIONAL_GAMES = 10;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 24;
+
+// Chance that a player rated `rating` finishes ahead of one rated `opponentRating`
+export function expectedScore(rating, opponentRating) {
+    return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// Rating changes for one game
+// players: [{ rating, games, rank }] where rank 0 finished first and equal ranks tied
+// Returns the change for each player, rounded to whole points
+export function rateGame(players) {
+    const opponents = players.length - 1;
+    if (opponents < 1) return players.map(() => 0);
+
+    return players.map((player, i) => {
+        let actual = 0;
+        let expected = 0;
+        players.forEach((opponent, j) => {
+            if (i === j) return;
+            actual += player.rank < opponent.rank ? 1 : player.rank === opponent.rank ? 0.5 : 0;
+            expected += expectedScore(player.rating, opponent.rating);
+        });
+
+        const k = player.games < PROVISIONAL_GAMES ? K_PROVISIONAL : K_ESTABLISHED;
+        return Math.round(k * (actual - expected) / opponents);
+    });
+}
+
+// Finishing positions for a finished game, by seat
+// The winner is first; everyone else is ranked by points left (fewer is better)
+// A dead hand has no winner, so only the points decide
+export function finishingRanks(winnerIndex, remainingPoints) {
+    return remainingPoints.map((points, i) => {
+        if (i === winnerIndex) return 0;
+        const ahead = remainingPoints.filter((other, j) => j !== i && j !== winnerIndex && other < points).length;
+        return (winnerIndex === -1 ? 0 : 1) + ahead;
+    });
+}
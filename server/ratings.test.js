@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateGame, finishingRanks, expectedScore } from './ratings.js';
+import AccountManager from './accountManager.js';
+import { MemoryStorage } from './storage.js';
+
+test('two new players of equal rating move 20 points', () => {
+    assert.deepEqual(rateGame([
+        { rating: 1500, games: 0, rank: 0 },
+        { rating: 1500, games: 0, rank: 1 }
+    ]), [20, -20]);
+});
+
+test('an established underdog gains more for a win', () => {
+    assert.equal(expectedScore(1500, 1700).toFixed(4), '0.2403');
+    assert.deepEqual(rateGame([
+        { rating: 1500, games: 30, rank: 0 },
+        { rating: 1700, games: 30, rank: 1 }
+    ]), [18, -18]);
+});
+
+test('a three-player game is scored as a round robin', () => {
+    assert.deepEqual(rateGame([
+        { rating: 1500, games: 0, rank: 0 },
+        { rating: 1500, games: 0, rank: 1 },
+        { rating: 1500, games: 0, rank: 2 }
+    ]), [20, 0, -20]);
+});
+
+test('equal ranks are a tie', () => {
+    assert.deepEqual(rateGame([
+        { rating: 1500, games: 0, rank: 1 },
+        { rating: 1500, games: 0, rank: 1 }
+    ]), [0, 0]);
+});
+
+test('finishingRanks puts the winner first and the rest by points left', () => {
+    assert.deepEqual(finishingRanks(1, [12, 0, 5, 12]), [2, 0, 1, 2]);
+    // Dead hand: no winner, points alone decide
+    assert.deepEqual(finishingRanks(-1, [3, 5, 3]), [0, 2, 0]);
+});
+
+// Accounts and a finished game for updateRatings
+async function setup(names) {
+    const accounts = new AccountManager(new MemoryStorage());
+    for (const [i, name] of names.entries()) {
+        await accounts.register(`s${i}`, name, 'secret1', `10.0.0.${i}`);
+    }
+    const seat = name => accounts.accounts.get(name.toLowerCase());
+    const game = players => ({
+        settings: { rated: true },
+        players: players.map((isTestPlayer, i) => ({ id: `s${i}`, odId: `o${i}`, isTestPlayer }))
+    });
+    return { accounts, seat, game };
+}
+
+test('updateRatings rates every signed-in seat by finishing rank', async () => {
+    const { accounts, seat, game } = await setup(['Alice', 'Bob', 'Cara']);
+
+    const changes = accounts.updateRatings(game([false, false, false]), [seat('Alice'), seat('Bob'), seat('Cara')], 2, [9, 4, 0]);
+
+    assert.deepEqual([...changes.entries()], [[0, -20], [1, 0], [2, 20]]);
+    assert.equal(seat('Cara').rating.value, 1520);
+    assert.equal(seat('Cara').rating.peak, 1520);
+    assert.equal(seat('Alice').rating.games, 1);
+});
+
+test('updateRatings skips casual games and games with a test player', async () => {
+    const { accounts, seat, game } = await setup(['Alice', 'Bob']);
+
+    const casual = { ...game([false, false]), settings: { rated: false } };
+    assert.equal(accounts.updateRatings(casual, [seat('Alice'), seat('Bob')], 0, [0, 10]).size, 0);
+    assert.equal(accounts.updateRatings(game([false, false, true]), [seat('Alice'), seat('Bob'), null], 0, [0, 10, 10]).size, 0);
+    assert.equal(seat('Alice').rating.value, 1500);
+});
+
+test('updateRatings needs two different accounts', async () => {
+    const { accounts, seat, game } = await setup(['Alice']);
+
+    // One account and a guest
+    assert.equal(accounts.updateRatings(game([false, false]), [seat('Alice'), null], 0, [0, 10]).size, 0);
+    // The same account in both seats
+    assert.equal(accounts.updateRatings(game([false, false]), [seat('Alice'), seat('Alice')], 0, [0, 10]).size, 0);
+    assert.equal(seat('Alice').rating.games, 0);
+});
+
+test('the leaderboard ranks rated players only, highest first', async () => {
+    const { accounts, seat, game } = await setup(['Alice', 'Bob', 'Cara']);
+    accounts.updateRatings(game([false, false]), [seat('Alice'), seat('Bob')], 1, [8, 0]);
+
+    const board = accounts.getLeaderboard();
+    assert.deepEqual(board.map(p => [p.rank, p.username, p.rating]), [[1, 'Bob', 1520], [2, 'Alice', 1480]]);
+    assert.equal(board[0].provisional, true);
+});
@@ -0,0 +1,132 @@
+// Rulesets - Pluggable rules for each game variant
+// A ruleset is built from the lobby settings when a game starts and every
+// game action consults it instead of calling the rule functions directly.
+//
+// Every ruleset provides:
+//   name, label         - identifier and display name
+//   minPlayers, maxPlayers
+//   handSize            - cards dealt to each player
+//   numDecks()          - decks to shuffle together
+//   jokersPerDeck       - jokers added to each deck
+//   tableMelds          - melds are played to a shared table
+//   knocking            - hands end by knocking (deadwood rules)
+//   keepCardToDiscard   - players may not meld their last card
+//   isValidRun(cards), isValidSet(cards), isValidMeld(cards)
+//   isWild(card)        - card can substitute for any other in a meld
+//   validateRearrangement(currentMelds, proposedMelds, hand)
+//   checkWin(hand)      - player has gone out
+//   handPoints(hand)    - penalty value of cards left in a hand
+//   roundPoints(winnerIndex, players) - points scored by the round winner
+// Knocking rulesets also provide knockLimit, bigGin, deadHandStock,
+// deadwood(hand), bestDiscard(hand, excludeCardId) and scoreKnock(...)
+
+import {
+    isValidRun,
+    isValidSet,
+    isValidMeld,
+    isWildCard,
+    validateRearrangement,
+    checkWin,
+    calculateHandPoints
+} from './gameEngine.js';
+import {
+    GIN_DEFAULTS,
+    findBestArrangement,
+    findBestGinDiscard,
+    scoreGinHand
+} from './ginRules.js';
+
+// Shared-table rummy: melds go to the table and can be rearranged,
+// first player to empty their hand wins the other hands' points
+function createRummyRuleset(settings) {
+    const meldOptions = {
+        deucesWild: settings.deucesWild || false,
+        maxWilds: settings.maxWilds || 1,
+        aceMode: settings.aceMode || 'highOrLow'
+    };
+    const scoring = { acePoints: settings.acePoints || 1 };
+    const handPoints = hand => calculateHandPoints(hand, scoring);
+    const meldCheck = cards => isValidMeld(cards, meldOptions);
+    const isWild = card => isWildCard(card, meldOptions);
+
+    return {
+        name: 'rummy',
+        label: 'Rummy',
+        minPlayers: 2,
+        maxPlayers: 10,
+        handSize: 10,
+        numDecks: () => settings.numDecks || 1,
+        jokersPerDeck: settings.jokers || 0,
+        tableMelds: true,
+        knocking: false,
+        keepCardToDiscard: true,
+        isValidRun: cards => isValidRun(cards, meldOptions),
+        isValidSet: cards => isValidSet(cards, meldOptions),
+        isValidMeld: meldCheck,
+        isWild,
+        validateRearrangement: (currentMelds, proposedMelds, hand) =>
+            validateRearrangement(currentMelds, proposedMelds, hand, { isValidMeld: meldCheck, isWild }),
+        checkWin,
+        handPoints,
+        roundPoints: (winnerIndex, players) => players
+            .filter((_, i) => i !== winnerIndex)
+            .reduce((sum, p) => sum + handPoints(p.hand), 0)
+    };
+}
+
+// Classic two-player gin: melds stay in hand, hands end with a knock
+function createClassicGinRuleset(settings) {
+    const options = { ...GIN_DEFAULTS, bigGin: settings.bigGin || false };
+    const meldOptions = { aceMode: 'low' }; // Ace is always low and worth 1 in classic gin
+    const deadwood = hand => findBestArrangement(hand).deadwoodPoints;
+
+    return {
+        name: 'classicGin',
+        label: 'Classic Gin',
+        minPlayers: 2,
+        maxPlayers: 2,
+        handSize: 10,
+        numDecks: () => 1,
+        jokersPerDeck: 0, // Deadwood counting has no wild cards
+        tableMelds: false,
+        knocking: true,
+        keepCardToDiscard: true,
+        isValidRun: cards => isValidRun(cards, meldOptions),
+        isValidSet: cards => isValidSet(cards, meldOptions),
+        isValidMeld: cards => isValidMeld(cards, meldOptions),
+        isWild: () => false,
+        validateRearrangement: () => ({ valid: false, error: 'There is no shared table in Classic Gin' }),
+        checkWin: () => false, // Gin hands only end by knocking
+        handPoints: deadwood,
+        roundPoints: () => 0,
+        knockLimit: options.knockLimit,
+        bigGin: options.bigGin,
+        deadHandStock: 2, // Hand is dead when only this many stock cards remain
+        deadwood,
+        bestDiscard: findBestGinDiscard,
+        scoreKnock: (knockerHand, defenderHand, type) => scoreGinHand(knockerHand, defenderHand, type, options)
+    };
+}
+
+// Registered ruleset factories by name
+const RULESETS = new Map([
+    ['rummy', createRummyRuleset],
+    ['classicGin', createClassicGinRuleset]
+]);
+
+// Add a house variant
+// factory receives the lobby settings and returns a ruleset object
+export function registerRuleset(name, factory) {
+    RULESETS.set(name, factory);
+}
+
+// Check whether a rules mode is known
+export function hasRuleset(name) {
+    return RULESETS.has(name);
+}
+
+// Build the ruleset for a lobby's settings (defaults to rummy)
+export function createRuleset(settings = {}) {
+    const factory = RULESETS.get(settings.rulesMode) || RULESETS.get('rummy');
+    return factory(settings);
+}
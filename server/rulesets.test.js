@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuleset, registerRuleset, hasRuleset } from './rulesets.js';
+import GameManager from './gameManager.js';
+
+const card = (rank, suit, value) => ({ id: `${rank}_${suit}`, rank, suit, value });
+
+// House variant for the tests: seven cards each, pairs count as melds, and a player may meld out
+registerRuleset('testPairs', settings => ({
+    ...createRuleset({ ...settings, rulesMode: 'rummy' }),
+    name: 'testPairs',
+    label: 'Pairs',
+    handSize: 7,
+    keepCardToDiscard: false,
+    isValidMeld: cards => cards.length >= 2 && cards.every(c => c.rank === cards[0].rank),
+    roundPoints: () => 1
+}));
+
+test('unknown rules modes fall back to rummy', () => {
+    assert.equal(hasRuleset('rummy'), true);
+    assert.equal(hasRuleset('contract'), false);
+    assert.equal(createRuleset({ rulesMode: 'contract' }).name, 'rummy');
+    assert.equal(createRuleset({ rulesMode: 'classicGin' }).name, 'classicGin');
+});
+
+test('a registered variant is dealt and played by its own rules', () => {
+    const gameManager = new GameManager(null);
+    const players = ['p1', 'p2'].map(id => ({ id, odId: id, name: id, isTestPlayer: true }));
+    const game = gameManager.initGame('HOUSE', players, { rulesMode: 'testPairs', seed: 1 });
+
+    assert.equal(game.ruleset.name, 'testPairs');
+    assert.deepEqual(game.players.map(p => p.hand.length), [7, 7]);
+
+    // A pair is a meld here, and the last cards in hand may be melded
+    game.players[0].hand = [card('7', 'hearts', 7), card('7', 'clubs', 7)];
+    game.currentTurn = 0;
+    game.phase = 'play';
+    assert.equal(gameManager.playMeld('HOUSE', 'p1', ['7_hearts', '7_clubs']).success, true);
+    assert.equal(game.players[0].hand.length, 0);
+});
+
+test('classic gin keeps melds in hand', () => {
+    const gameManager = new GameManager(null);
+    const players = ['p1', 'p2'].map(id => ({ id, odId: id, name: id, isTestPlayer: true }));
+    const game = gameManager.initGame('GIN', players, { rulesMode: 'classicGin', seed: 1 });
+    game.phase = 'play';
+    const player = game.players[game.currentTurn];
+
+    const result = gameManager.playMeld('GIN', player.id, player.hand.slice(0, 3).map(c => c.id));
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, 'melds-stay-in-hand');
+});
@@ -0,0 +1,287 @@
+// Self-Play Simulator - Runs bot-vs-bot games headlessly against GameManager
+// No Socket.IO: games are driven directly through playBotTurn with seeded shuffles,
+// so the same seed always deals the same games.
+//
+// Usage: npm run simulate -- --games 1000 --bots hard,normal --rules rummy,classicGin
+// Run with --help for every option.
+
+import { parseArgs } from 'util';
+import GameManager from './gameManager.js';
+import { createRuleset, hasRuleset } from './rulesets.js';
+import { BOT_DIFFICULTIES } from './bot.js';
+import { ACE_MODES, ACE_POINTS, MAX_WILDS_PER_MELD } from './gameEngine.js';
+import { MAX_DECKS, MAX_JOKERS_PER_DECK } from './deck.js';
+
+const HELP = `Usage: node server/simulate.js [options]
+
+  -n, --games <n>        Games per ruleset (default 1000)
+  -b, --bots <list>      Bot difficulty for each seat, e.g. hard,normal,easy (default normal,normal)
+  -r, --rules <list>     Rulesets to compare, e.g. rummy,classicGin (default rummy)
+  -s, --seed <n>         Seed for the first game; game i uses seed + i (default 1)
+      --decks <n>        Decks shuffled together, 1-${MAX_DECKS} (default 1)
+      --jokers <n>       Jokers per deck, 0-${MAX_JOKERS_PER_DECK} (default 0)
+      --deuces-wild      Play with deuces wild
+      --max-wilds <n>    Most wild cards in one meld, 1-${MAX_WILDS_PER_MELD} (default 1)
+      --ace-mode <mode>  ${ACE_MODES.join(' | ')} (default highOrLow)
+      --ace-points <n>   Points for an Ace left in hand: ${ACE_POINTS.join(' | ')} (default 1)
+      --big-gin          Allow big gin (classic gin)
+      --max-turns <n>    Abandon a game after this many turns (default 500)
+      --json             Print the report as JSON
+  -h, --help             Show this help`;
+
+// Read and check the command line
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            games: { type: 'string', short: 'n', default: '1000' },
+            bots: { type: 'string', short: 'b', default: 'normal,normal' },
+            rules: { type: 'string', short: 'r', default: 'rummy' },
+            seed: { type: 'string', short: 's', default: '1' },
+            decks: { type: 'string', default: '1' },
+            jokers: { type: 'string', default: '0' },
+            'deuces-wild': { type: 'boolean', default: false },
+            'max-wilds': { type: 'string', default: '1' },
+            'ace-mode': { type: 'string', default: 'highOrLow' },
+            'ace-points': { type: 'string', default: '1' },
+            'big-gin': { type: 'boolean', default: false },
+            'max-turns': { type: 'string', default: '500' },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { help: true };
+
+    const options = {
+        games: parseInt(values.games, 10),
+        bots: values.bots.split(',').map(b => b.trim()),
+        rules: values.rules.split(',').map(r => r.trim()),
+        seed: parseInt(values.seed, 10),
+        maxTurns: parseInt(values['max-turns'], 10),
+        json: values.json,
+        settings: {
+            numDecks: parseInt(values.decks, 10),
+            jokers: parseInt(values.jokers, 10),
+            deucesWild: values['deuces-wild'],
+            maxWilds: parseInt(values['max-wilds'], 10),
+            aceMode: values['ace-mode'],
+            acePoints: parseInt(values['ace-points'], 10),
+            bigGin: values['big-gin']
+        }
+    };
+
+    if (!Number.isInteger(options.games) || options.games < 1) throw new Error('--games must be a positive number');
+    if (!Number.isInteger(options.seed)) throw new Error('--seed must be a number');
+    if (!Number.isInteger(options.maxTurns) || options.maxTurns < 1) throw new Error('--max-turns must be a positive number');
+    // Same limits as lobby settings (lobbyManager.validateSettings)
+    const { numDecks, jokers, maxWilds } = options.settings;
+    if (!Number.isInteger(numDecks) || numDecks < 1 || numDecks > MAX_DECKS) throw new Error(`--decks must be between 1 and ${MAX_DECKS}`);
+    if (!Number.isInteger(jokers) || jokers < 0 || jokers > MAX_JOKERS_PER_DECK) throw new Error(`--jokers must be between 0 and ${MAX_JOKERS_PER_DECK}`);
+    if (!Number.isInteger(maxWilds) || maxWilds < 1 || maxWilds > MAX_WILDS_PER_MELD) throw new Error(`--max-wilds must be between 1 and ${MAX_WILDS_PER_MELD}`);
+    if (options.bots.length < 2) throw new Error('--bots needs at least two seats');
+    for (const bot of options.bots) {
+        if (!BOT_DIFFICULTIES.includes(bot)) throw new Error(`Unknown bot "${bot}" (use ${BOT_DIFFICULTIES.join(', ')})`);
+    }
+    for (const rules of options.rules) {
+        if (!hasRuleset(rules)) throw new Error(`Unknown rules "${rules}"`);
+    }
+    if (!ACE_MODES.includes(options.settings.aceMode)) throw new Error(`Unknown ace mode "${options.settings.aceMode}"`);
+    if (!ACE_POINTS.includes(options.settings.acePoints)) throw new Error(`--ace-points must be one of ${ACE_POINTS.join(', ')}`);
+
+    return options;
+}
+
+// Play one game to the end and describe how it went
+function playGame(settings, bots, seed, firstPlayerIndex, maxTurns) {
+    const gameManager = new GameManager(null);
+    const players = bots.map((difficulty, i) => ({
+        id: `sim_${i}`,
+        odId: `sim_${i}`,
+        name: `Seat ${i + 1} (${difficulty})`,
+        isTestPlayer: true,
+        difficulty
+    }));
+
+    const game = gameManager.initGame('SIM', players, { ...settings, seed }, firstPlayerIndex);
+
+    let turns = 0;
+    let error = null;
+    while (!game.winner && turns < maxTurns) {
+        const result = gameManager.playBotTurn('SIM');
+        if (!result || result.success === false) {
+            error = result?.error || 'Bot could not move';
+            break;
+        }
+        turns++;
+    }
+
+    const winnerIndex = game.winner && !game.winner.isDraw
+        ? game.players.findIndex(p => p.id === game.winner.playerId)
+        : -1;
+
+    return {
+        turns,
+        reshuffles: game.reshuffles,
+        winnerIndex,
+        isDraw: Boolean(game.winner?.isDraw),
+        stalled: !game.winner,
+        error,
+        roundPoints: game.winner?.roundPoints || 0,
+        // Penalty left in each hand (deadwood under knocking rules)
+        handPoints: game.players.map(p => game.ruleset.handPoints(p.hand))
+    };
+}
+
+// Summary statistics for a list of numbers
+function describe(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    return {
+        mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        min: sorted[0],
+        p25: at(0.25),
+        median: at(0.5),
+        p75: at(0.75),
+        p90: at(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+function round(value, places = 2) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Run every game for one ruleset and collect the report
+function simulateRuleset(rulesMode, options, onProgress) {
+    const settings = { ...options.settings, rulesMode };
+    const ruleset = createRuleset(settings);
+    if (options.bots.length < ruleset.minPlayers || options.bots.length > ruleset.maxPlayers) {
+        throw new Error(`${ruleset.label} needs ${ruleset.minPlayers}-${ruleset.maxPlayers} players, got ${options.bots.length} bots`);
+    }
+
+    const results = [];
+    for (let i = 0; i < options.games; i++) {
+        // Rotate the first player so no seat gets the opening advantage
+        results.push(playGame(settings, options.bots, options.seed + i, i % options.bots.length, options.maxTurns));
+        onProgress?.(i + 1);
+    }
+
+    // Per bot type: seats played, wins and points
+    const byBot = {};
+    for (const bot of new Set(options.bots)) {
+        byBot[bot] = { seats: 0, wins: 0, pointsWon: [], pointsLeft: [] };
+    }
+    for (const result of results) {
+        options.bots.forEach((bot, seat) => {
+            const stats = byBot[bot];
+            stats.seats++;
+            if (seat === result.winnerIndex) {
+                stats.wins++;
+                stats.pointsWon.push(result.roundPoints);
+            } else if (!result.stalled) {
+                stats.pointsLeft.push(result.handPoints[seat]);
+            }
+        });
+    }
+
+    const finished = results.filter(r => !r.stalled);
+    return {
+        rules: ruleset.label,
+        games: results.length,
+        finished: finished.length,
+        draws: results.filter(r => r.isDraw).length,
+        stalled: results.filter(r => r.stalled).length,
+        errors: [...new Set(results.map(r => r.error).filter(Boolean))],
+        turns: describe(finished.map(r => r.turns)),
+        reshuffles: {
+            perGame: round(results.reduce((sum, r) => sum + r.reshuffles, 0) / results.length),
+            gamesWithReshuffle: round(results.filter(r => r.reshuffles > 0).length / results.length * 100, 1)
+        },
+        roundPoints: describe(results.filter(r => r.winnerIndex !== -1).map(r => r.roundPoints)),
+        bots: Object.fromEntries(Object.entries(byBot).map(([bot, stats]) => [bot, {
+            seats: stats.seats,
+            wins: stats.wins,
+            winRate: round(stats.wins / stats.seats * 100, 1),
+            avgPointsWhenWinning: stats.pointsWon.length ? round(stats.pointsWon.reduce((a, b) => a + b, 0) / stats.pointsWon.length) : 0,
+            avgPointsLeftWhenLosing: stats.pointsLeft.length ? round(stats.pointsLeft.reduce((a, b) => a + b, 0) / stats.pointsLeft.length) : 0
+        }]))
+    };
+}
+
+// Human-readable report
+function printReport(report, options) {
+    console.log(`\nSeats: ${options.bots.join(' vs ')} · ${options.games} games per ruleset · seeds ${options.seed}-${options.seed + options.games - 1}`);
+
+    for (const r of report) {
+        console.log(`\n=== ${r.rules} ===`);
+        if (r.error) {
+            console.log(`Could not run: ${r.error}`);
+            continue;
+        }
+        console.log(`Finished ${r.finished}/${r.games}` +
+            (r.draws ? ` · ${r.draws} dead hands` : '') +
+            (r.stalled ? ` · ${r.stalled} abandoned` : ''));
+        if (r.errors.length) console.log(`Errors: ${r.errors.join('; ')}`);
+
+        console.table(Object.fromEntries(Object.entries(r.bots).map(([bot, s]) => [bot, {
+            'seats': s.seats,
+            'wins': s.wins,
+            'win %': s.winRate,
+            'avg pts won': s.avgPointsWhenWinning,
+            'avg pts left': s.avgPointsLeftWhenLosing
+        }])));
+
+        if (r.turns) {
+            console.log(`Turns per game: mean ${r.turns.mean}, median ${r.turns.median}, p90 ${r.turns.p90}, max ${r.turns.max}`);
+        }
+        console.log(`Deck reshuffles: ${r.reshuffles.perGame} per game, in ${r.reshuffles.gamesWithReshuffle}% of games`);
+        if (r.roundPoints) {
+            const p = r.roundPoints;
+            console.log(`Winning round points: mean ${p.mean}, min ${p.min}, p25 ${p.p25}, median ${p.median}, p75 ${p.p75}, p90 ${p.p90}, max ${p.max}`);
+        }
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Run with --help for usage.');
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(HELP);
+        return;
+    }
+
+    const report = [];
+    for (const rules of options.rules) {
+        const step = Math.max(1, Math.floor(options.games / 10));
+        try {
+            report.push(simulateRuleset(rules, options, done => {
+                if (done % step === 0 || done === options.games) {
+                    process.stderr.write(`\r${rules}: ${done}/${options.games} games`);
+                }
+            }));
+        } catch (error) {
+            // Keep going so the other rulesets still get their reports
+            report.push({ rules, error: error.message });
+            process.exitCode = 1;
+        }
+        process.stderr.write('\n');
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, options);
+    }
+}
+
+main();
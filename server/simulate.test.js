@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// The simulator runs as soon as it is loaded, so drive it as a command
+const SIMULATE = fileURLToPath(new URL('./simulate.js', import.meta.url));
+const simulate = (...args) => spawnSync(process.execPath, [SIMULATE, ...args], { encoding: 'utf8', timeout: 60000 });
+
+test('the simulator reports every game as JSON and repeats itself for a seed', () => {
+    const run = simulate('-n', '5', '-b', 'hard,easy', '--seed', '3', '--json');
+    assert.equal(run.status, 0, run.stderr);
+
+    const [report] = JSON.parse(run.stdout);
+    assert.equal(report.games, 5);
+    assert.equal(report.finished + report.draws + report.stalled, 5);
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(Object.keys(report.bots).sort(), ['easy', 'hard']);
+
+    assert.equal(simulate('-n', '5', '-b', 'hard,easy', '--seed', '3', '--json').stdout, run.stdout);
+});
+
+test('the simulator refuses options outside their range', () => {
+    for (const args of [['--decks', '0'], ['--jokers', '5'], ['--max-wilds', '0'], ['--ace-mode', 'sideways'], ['-b', 'expert']]) {
+        const run = simulate('-n', '1', ...args);
+        assert.equal(run.status, 1, args.join(' '));
+        assert.match(run.stderr, /Run with --help/);
+    }
+});
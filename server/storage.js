@@ -0,0 +1,115 @@
+// Storage - Persists lobby and game snapshots so games survive a restart
+// Each lobby is stored as one snapshot { lobby, game } keyed by lobby code.
+// Player accounts and tournaments use stores of their own (keyed by lowercase username and tournament id).
+//
+// Every adapter provides (all async, so a network store like Redis fits):
+//   save(code, snapshot) - write or replace the snapshot for a lobby
+//   remove(code)         - forget a lobby that no longer exists
+//   loadAll()            - every stored snapshot, used to rehydrate on boot
+//
+// Snapshots are plain JSON: anything that cannot be serialized (such as the
+// game's ruleset) is left out and rebuilt by the managers when restoring.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Put stored lobbies and their games back into the managers (on boot)
+export function restoreSnapshots(snapshots, lobbyManager, gameManager) {
+    for (const { lobby, game } of snapshots) {
+        lobbyManager.restoreLobby(lobby);
+        if (game) {
+            // The game keeps its own copy of the settings; use the turn timer restoreLobby checked
+            game.settings.turnTimer = lobby.settings.turnTimer;
+            gameManager.restoreGame(game);
+        }
+    }
+}
+
+// In-memory stand-in for an external store (nothing survives a restart)
+// Values are kept as JSON strings so it round-trips data the same way Redis would
+export class MemoryStorage {
+    constructor() {
+        this.snapshots = new Map(); // lobbyCode -> JSON string
+    }
+
+    async save(code, snapshot) {
+        this.snapshots.set(code, JSON.stringify(snapshot));
+    }
+
+    async remove(code) {
+        this.snapshots.delete(code);
+    }
+
+    async loadAll() {
+        return [...this.snapshots.values()].map(json => JSON.parse(json));
+    }
+}
+
+// One JSON file per lobby in a data directory
+export class FileStorage {
+    constructor(dir) {
+        this.dir = dir;
+        this.pending = new Map(); // lobbyCode -> last queued write, so writes land in order
+    }
+
+    filePath(code) {
+        return path.join(this.dir, `${code}.json`);
+    }
+
+    // Run file operations for the same lobby one after another
+    enqueue(code, task) {
+        const previous = this.pending.get(code) || Promise.resolve();
+        const next = previous.then(task, task);
+        this.pending.set(code, next);
+        next.finally(() => {
+            if (this.pending.get(code) === next) this.pending.delete(code);
+        });
+        return next;
+    }
+
+    async save(code, snapshot) {
+        const json = JSON.stringify(snapshot);
+        return this.enqueue(code, async () => {
+            await fs.mkdir(this.dir, { recursive: true });
+            // Write to a temp file first so a crash mid-write never leaves a broken snapshot
+            const tempPath = `${this.filePath(code)}.tmp`;
+            await fs.writeFile(tempPath, json);
+            await fs.rename(tempPath, this.filePath(code));
+        });
+    }
+
+    async remove(code) {
+        return this.enqueue(code, () => fs.rm(this.filePath(code), { force: true }));
+    }
+
+    async loadAll() {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = [];
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                snapshots.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+            } catch (error) {
+                console.error(`Skipping unreadable snapshot ${file}: ${error.message}`);
+            }
+        }
+        return snapshots;
+    }
+}
+
+// Pick the adapter from the environment
+// STORAGE=memory keeps everything in memory; otherwise snapshots go to STORAGE_DIR (default ./data)
+// A namespace keeps a separate set of records in a subdirectory (e.g. 'accounts')
+export function createStorage(env = process.env, namespace = null) {
+    if (env.STORAGE === 'memory') {
+        return new MemoryStorage();
+    }
+    const dir = env.STORAGE_DIR || path.resolve('data');
+    return new FileStorage(namespace ? path.join(dir, namespace) : dir);
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage, restoreSnapshots } from './storage.js';
+import LobbyManager from './lobbyManager.js';
+import GameManager from './gameManager.js';
+
+const fakeSocket = id => ({ id, join() {}, leave() {} });
+
+test('a lobby and its game survive a save and restore', async () => {
+    const lobbyManager = new LobbyManager(null);
+    const gameManager = new GameManager(null);
+    const storage = new MemoryStorage();
+
+    const { code } = lobbyManager.createLobby(fakeSocket('host'), 'Alice', { turnTimer: 60 });
+    lobbyManager.joinLobby(fakeSocket('guest'), code, 'Bob');
+    lobbyManager.addChatMessage('guest', { text: 'good luck' });
+    const { lobby } = lobbyManager.startGame('host');
+    const game = gameManager.initGame(code, lobby.players, { ...lobby.settings, seed: 'restore' });
+    gameManager.drawCard(code, lobby.players[game.currentTurn].id, 'deck');
+
+    await storage.save(code, { lobby, game: gameManager.serializeGame(code) });
+
+    // A fresh server process
+    const restoredLobbies = new LobbyManager(null);
+    const restoredGames = new GameManager(null);
+    restoreSnapshots(await storage.loadAll(), restoredLobbies, restoredGames);
+
+    const restoredLobby = restoredLobbies.getLobby(code);
+    assert.equal(restoredLobby.status, 'playing');
+    assert.deepEqual(restoredLobby.players.map(p => [p.name, p.connected]), [['Alice', false], ['Bob', false]]);
+    assert.deepEqual(restoredLobby.chat.map(m => m.text), ['good luck']);
+
+    const restoredGame = restoredGames.games.get(code);
+    assert.equal(restoredGame.currentTurn, game.currentTurn);
+    assert.equal(restoredGame.phase, 'play');
+    assert.equal(restoredGame.settings.turnTimer, 60);
+    assert.deepEqual(restoredGame.players.map(p => p.hand.map(c => c.id)), game.players.map(p => p.hand.map(c => c.id)));
+    assert.deepEqual(restoredGame.deck.map(c => c.id), game.deck.map(c => c.id));
+
+    // The ruleset is rebuilt, so the restored game can be played on
+    const player = restoredGame.players[restoredGame.currentTurn];
+    assert.equal(restoredGames.discard(code, player.id, player.hand[0].id).success, true);
+});
+
+test('a removed lobby is not restored', async () => {
+    const storage = new MemoryStorage();
+    await storage.save('ABCD', { lobby: {}, game: null });
+    await storage.remove('ABCD');
+
+    assert.deepEqual(await storage.loadAll(), []);
+});
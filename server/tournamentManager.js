@@ -0,0 +1,412 @@
+// Tournament Manager - Round-robin and elimination tournaments between registered players
+// The organizer lists the players (account usernames) and fixes the game settings. Each
+// pairing in a round gets a two-seat lobby with those settings that only its two players
+// can join. Results come in from game over (or the end of the match in match mode), and
+// once every match of a round is decided the next round is opened.
+
+const FORMATS = ['roundRobin', 'elimination'];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 32;
+const NAME_MAX_LENGTH = 40;
+// Lobby settings an organizer can fix for every match
+const MATCH_SETTINGS = [
+    'rulesMode', 'numDecks', 'deckStyle', 'bigGin', 'jokers', 'deucesWild', 'maxWilds',
+    'aceMode', 'acePoints', 'matchMode', 'targetScore', 'turnTimer', 'botTakeover', 'rated'
+];
+
+// Round-robin schedule by the circle method: everyone meets everyone once
+// With an odd number of players one player sits out each round (null opponent)
+function roundRobinRounds(players) {
+    const seats = players.length % 2 === 0 ? [...players] : [...players, null];
+    const rounds = [];
+    for (let r = 0; r < seats.length - 1; r++) {
+        const pairs = [];
+        for (let i = 0; i < seats.length / 2; i++) {
+            pairs.push([seats[i], seats[seats.length - 1 - i]]);
+        }
+        rounds.push(pairs);
+        // Keep the first seat fixed and rotate the rest
+        seats.splice(1, 0, seats.pop());
+    }
+    return rounds;
+}
+
+// Bracket positions for seeds 0..size-1, so the top seeds meet as late as possible
+// e.g. 8 -> [0, 7, 3, 4, 1, 6, 2, 5]
+function bracketOrder(size) {
+    let order = [0];
+    while (order.length < size) {
+        const next = order.length * 2;
+        order = order.flatMap(seed => [seed, next - 1 - seed]);
+    }
+    return order;
+}
+
+// First elimination round: players in seed order, byes for the top seeds to fill the bracket
+function eliminationFirstRound(players) {
+    let size = 2;
+    while (size < players.length) size *= 2;
+    const order = bracketOrder(size).map(seed => players[seed] ?? null);
+    const pairs = [];
+    for (let i = 0; i < order.length; i += 2) {
+        pairs.push([order[i], order[i + 1]]);
+    }
+    return pairs;
+}
+
+class TournamentManager {
+    constructor(lobbyManager, accountManager, storage) {
+        this.lobbyManager = lobbyManager;
+        this.accountManager = accountManager;
+        this.storage = storage;
+        this.tournaments = new Map(); // id -> tournament
+    }
+
+    // Load saved tournaments (on boot)
+    async load() {
+        for (const tournament of await this.storage.loadAll()) {
+            this.tournaments.set(tournament.id, tournament);
+        }
+        return this.tournaments.size;
+    }
+
+    save(tournament) {
+        this.storage.save(tournament.id, tournament)
+            .catch(error => console.error(`Failed to save tournament ${tournament.id}: ${error.message}`));
+    }
+
+    // Generate a unique tournament id
+    generateId() {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let id;
+        do {
+            id = 'T';
+            for (let i = 0; i < 5; i++) {
+                id += chars.charAt(Math.floor(Math.random() * chars.length));
+            }
+        } while (this.tournaments.has(id));
+        return id;
+    }
+
+    // Create a tournament (the organizer has to be signed in)
+    // players are account usernames in seed order
+    create(socketId, { name, format, players, settings = {} } = {}) {
+        const organizer = this.accountManager.getAccountBySocket(socketId);
+        if (!organizer) return { success: false, error: 'Sign in to organize a tournament' };
+
+        name = String(name ?? '').trim();
+        if (!name || name.length > NAME_MAX_LENGTH) {
+            return { success: false, error: `Tournament name must be 1-${NAME_MAX_LENGTH} characters`, code: 'tournament-name-length' };
+        }
+        if (!FORMATS.includes(format)) {
+            return { success: false, error: 'Format must be round robin or elimination' };
+        }
+        if (!Array.isArray(players) || players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+            return { success: false, error: `A tournament needs ${MIN_PLAYERS}-${MAX_PLAYERS} players`, code: 'tournament-size' };
+        }
+
+        const usernames = [];
+        for (const player of players) {
+            const profile = this.accountManager.getProfile(player);
+            if (!profile) return { success: false, error: `No account named "${player}"`, code: 'unknown-account' };
+            if (usernames.includes(profile.username)) {
+                return { success: false, error: `${profile.username} is listed twice`, code: 'duplicate-player' };
+            }
+            usernames.push(profile.username);
+        }
+
+        const matchSettings = Object.fromEntries(
+            Object.entries(settings).filter(([key]) => MATCH_SETTINGS.includes(key))
+        );
+        const checked = this.lobbyManager.validateSettings(matchSettings);
+        if (!checked.success) return checked;
+
+        const tournament = {
+            id: this.generateId(),
+            name,
+            format,
+            organizer: organizer.username,
+            players: usernames,
+            settings: checked.settings,
+            status: 'pending', // 'pending' | 'running' | 'finished'
+            rounds: [], // { number, matches: [{ id, players, status, lobbyCode, winner, points }] }
+            currentRound: 0,
+            champion: null,
+            createdAt: Date.now()
+        };
+        this.tournaments.set(tournament.id, tournament);
+        this.save(tournament);
+
+        return { success: true, tournament };
+    }
+
+    // Draw the rounds and open the first one (organizer only)
+    start(socketId, id) {
+        const check = this.getOrganized(socketId, id);
+        if (!check.success) return check;
+
+        const tournament = check.tournament;
+        if (tournament.status !== 'pending') {
+            return { success: false, error: 'The tournament has already started' };
+        }
+
+        // Round robin is drawn in full up front; elimination rounds are drawn as winners come through
+        const drawn = tournament.format === 'roundRobin'
+            ? roundRobinRounds(tournament.players)
+            : [eliminationFirstRound(tournament.players)];
+        tournament.rounds = drawn.map((pairs, i) => this.buildRound(i + 1, pairs));
+        tournament.status = 'running';
+        tournament.currentRound = 1;
+        this.openRound(tournament);
+        this.save(tournament);
+
+        return { success: true, tournament };
+    }
+
+    buildRound(number, pairs) {
+        return {
+            number,
+            matches: pairs.map((players, i) => ({
+                id: `${number}-${i + 1}`,
+                players,
+                status: 'scheduled', // 'scheduled' | 'ready' | 'finished' | 'bye'
+                lobbyCode: null,
+                winner: null,
+                points: 0
+            }))
+        };
+    }
+
+    // Open a lobby for every pairing in the current round
+    // A player without an opponent has a bye: through to the next round in elimination,
+    // a round off in round robin
+    openRound(tournament) {
+        const round = tournament.rounds[tournament.currentRound - 1];
+        for (const match of round.matches) {
+            const [a, b] = match.players;
+            if (a === null || b === null) {
+                match.status = 'bye';
+                match.winner = tournament.format === 'elimination' ? a ?? b : null;
+            } else {
+                this.openMatchLobby(tournament, match);
+            }
+        }
+        this.advanceIfRoundDone(tournament);
+    }
+
+    openMatchLobby(tournament, match) {
+        const lobby = this.lobbyManager.createTournamentLobby(tournament.settings, {
+            id: tournament.id,
+            name: tournament.name,
+            matchId: match.id,
+            players: match.players
+        });
+        match.lobbyCode = lobby.code;
+        match.status = 'ready';
+    }
+
+    // Move on once every match of the current round is decided
+    advanceIfRoundDone(tournament) {
+        const round = tournament.rounds[tournament.currentRound - 1];
+        if (!round.matches.every(m => m.status === 'finished' || m.status === 'bye')) return;
+
+        if (tournament.format === 'roundRobin') {
+            if (tournament.currentRound < tournament.rounds.length) {
+                tournament.currentRound++;
+                this.openRound(tournament);
+            } else {
+                this.finish(tournament, this.getStandings(tournament)[0].username);
+            }
+            return;
+        }
+
+        const winners = round.matches.map(m => m.winner);
+        if (winners.length === 1) {
+            this.finish(tournament, winners[0]);
+            return;
+        }
+        const pairs = [];
+        for (let i = 0; i < winners.length; i += 2) {
+            pairs.push([winners[i], winners[i + 1]]);
+        }
+        tournament.rounds.push(this.buildRound(tournament.currentRound + 1, pairs));
+        tournament.currentRound++;
+        this.openRound(tournament);
+    }
+
+    finish(tournament, champion) {
+        tournament.status = 'finished';
+        tournament.champion = champion;
+        tournament.finishedAt = Date.now();
+    }
+
+    // Record the end of a game in a tournament lobby
+    // In match mode the match is only decided once someone reaches the target score;
+    // a dead hand decides nothing, so the players play again
+    // Returns the tournament if the result counted, otherwise null
+    recordResult(lobbyCode, game, matchSummary) {
+        const info = this.lobbyManager.getLobby(lobbyCode)?.tournament;
+        const tournament = info && this.tournaments.get(info.id);
+        const match = tournament && this.findMatch(tournament, info.matchId);
+        if (!match || match.status !== 'ready' || !game?.winner) return null;
+
+        let winnerName;
+        let points;
+        if (matchSummary) {
+            if (!matchSummary.finished) return null;
+            winnerName = matchSummary.winnerName;
+            points = matchSummary.standings.find(s => s.name === winnerName)?.total || 0;
+        } else {
+            if (game.winner.isDraw) return null;
+            winnerName = game.winner.playerName;
+            points = game.winner.roundPoints || 0;
+        }
+
+        const winner = match.players.find(p => p.toLowerCase() === winnerName?.toLowerCase());
+        if (!winner) return null;
+
+        this.finishMatch(tournament, match, winner, points);
+        return tournament;
+    }
+
+    // Decide a match without playing it, e.g. when a player doesn't turn up (organizer only)
+    awardMatch(socketId, id, matchId, winner) {
+        const check = this.getOrganized(socketId, id);
+        if (!check.success) return check;
+
+        const tournament = check.tournament;
+        const match = this.findMatch(tournament, matchId);
+        if (!match || match.status !== 'ready') {
+            return { success: false, error: 'That match is not being played' };
+        }
+        if (!match.players.includes(winner)) {
+            return { success: false, error: 'The winner has to be one of the two players' };
+        }
+
+        this.finishMatch(tournament, match, winner, 0);
+        return { success: true, tournament };
+    }
+
+    finishMatch(tournament, match, winner, points) {
+        match.status = 'finished';
+        match.winner = winner;
+        match.points = points;
+        this.advanceIfRoundDone(tournament);
+        this.save(tournament);
+    }
+
+    // Lobby for the signed-in player's current match, opening a new one if the old lobby was
+    // emptied before the game was played
+    getMatchLobby(socketId, id) {
+        const account = this.accountManager.getAccountBySocket(socketId);
+        if (!account) return { success: false, error: 'Sign in to play your tournament matches' };
+
+        const tournament = this.getTournament(id);
+        if (!tournament) return { success: false, error: 'Tournament not found' };
+
+        const round = tournament.rounds[tournament.currentRound - 1];
+        const match = round?.matches.find(m => m.status === 'ready' && m.players.includes(account.username));
+        if (!match) return { success: false, error: 'You have no match to play right now' };
+
+        if (!this.lobbyManager.getLobby(match.lobbyCode)) {
+            this.openMatchLobby(tournament, match);
+            this.save(tournament);
+        }
+        return { success: true, lobbyCode: match.lobbyCode, username: account.username, tournament };
+    }
+
+    // Username to seat in a tournament lobby: only the signed-in players drawn for its match
+    getSeat(lobbyCode, socketId) {
+        const info = this.lobbyManager.getLobby(String(lobbyCode ?? '').toUpperCase())?.tournament;
+        const account = this.accountManager.getAccountBySocket(socketId);
+        return info && account && info.players.includes(account.username) ? account.username : null;
+    }
+
+    // Ids are shown in capitals but typed in any case
+    getTournament(id) {
+        return this.tournaments.get(String(id ?? '').toUpperCase()) || null;
+    }
+
+    getOrganized(socketId, id) {
+        const tournament = this.getTournament(id);
+        if (!tournament) return { success: false, error: 'Tournament not found' };
+
+        const account = this.accountManager.getAccountBySocket(socketId);
+        if (!account || account.username !== tournament.organizer) {
+            return { success: false, error: 'Only the organizer can do that' };
+        }
+        return { success: true, tournament };
+    }
+
+    findMatch(tournament, matchId) {
+        for (const round of tournament.rounds) {
+            const match = round.matches.find(m => m.id === matchId);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // Standings, best first
+    // Round robin: wins, then points scored in won games
+    // Elimination: the champion, then by the round each player went out in, then wins
+    getStandings(tournament) {
+        const rows = new Map(tournament.players.map(username => [username, {
+            username, played: 0, wins: 0, losses: 0, points: 0, reached: 0, out: false
+        }]));
+
+        for (const round of tournament.rounds) {
+            for (const match of round.matches) {
+                for (const username of match.players) {
+                    if (username === null) continue;
+                    const row = rows.get(username);
+                    if (round.number <= tournament.currentRound) row.reached = round.number;
+                    if (match.status !== 'finished') continue;
+
+                    row.played++;
+                    if (match.winner === username) {
+                        row.wins++;
+                        row.points += match.points;
+                    } else {
+                        row.losses++;
+                        row.out = tournament.format === 'elimination';
+                    }
+                }
+            }
+        }
+
+        const standings = [...rows.values()];
+        if (tournament.format === 'roundRobin') {
+            standings.sort((a, b) => b.wins - a.wins || b.points - a.points || a.username.localeCompare(b.username));
+        } else {
+            standings.sort((a, b) =>
+                (b.username === tournament.champion) - (a.username === tournament.champion) ||
+                b.reached - a.reached || a.out - b.out || b.wins - a.wins);
+        }
+        return standings.map((row, i) => ({ rank: i + 1, ...row }));
+    }
+
+    // Tournament as shown to everyone following it
+    getPublicInfo(id) {
+        const tournament = this.getTournament(id);
+        if (!tournament) return null;
+        return { ...tournament, standings: this.getStandings(tournament) };
+    }
+
+    // Every tournament, newest first, for the tournament list
+    list() {
+        return [...this.tournaments.values()]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(t => ({
+                id: t.id,
+                name: t.name,
+                format: t.format,
+                organizer: t.organizer,
+                playerCount: t.players.length,
+                status: t.status,
+                currentRound: t.currentRound,
+                champion: t.champion
+            }));
+    }
+}
+
+export default TournamentManager;
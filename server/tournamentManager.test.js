@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TournamentManager from './tournamentManager.js';
+import AccountManager from './accountManager.js';
+import LobbyManager from './lobbyManager.js';
+import { MemoryStorage } from './storage.js';
+
+const NAMES = ['Ann', 'Ben', 'Cat', 'Dan', 'Eve', 'Fay'];
+
+// An organizer signed in on socket 'org' and accounts for the players
+async function setup(count) {
+    const accounts = new AccountManager(new MemoryStorage());
+    const lobbies = new LobbyManager(null);
+    await accounts.register('org', 'Organizer', 'secret1', '10.0.0.100');
+    for (const [i, name] of NAMES.slice(0, count).entries()) {
+        await accounts.register(`s${i}`, name, 'secret1', `10.0.0.${i}`);
+    }
+    const tournaments = new TournamentManager(lobbies, accounts, new MemoryStorage());
+    return { tournaments, lobbies };
+}
+
+async function startTournament(format, count) {
+    const { tournaments, lobbies } = await setup(count);
+    const { tournament } = tournaments.create('org', { name: 'Cup', format, players: NAMES.slice(0, count) });
+    assert.equal(tournaments.start('org', tournament.id).success, true);
+    return { tournaments, lobbies, tournament };
+}
+
+const currentMatches = tournament => tournament.rounds[tournament.currentRound - 1].matches;
+
+test('a round robin with an odd number of players pairs everyone once and gives each a bye', async () => {
+    const { tournament } = await startTournament('roundRobin', 5);
+
+    assert.equal(tournament.rounds.length, 5);
+    const pairings = new Set();
+    const byes = new Map();
+    for (const round of tournament.rounds) {
+        assert.equal(round.matches.length, 3);
+        // Everyone appears once a round, one of them without an opponent
+        const seen = round.matches.flatMap(m => m.players).filter(Boolean);
+        assert.equal(seen.length, 5);
+        assert.equal(new Set(seen).size, 5);
+        for (const [a, b] of round.matches.map(m => m.players)) {
+            if (a === null || b === null) {
+                const sitting = a ?? b;
+                byes.set(sitting, (byes.get(sitting) || 0) + 1);
+            } else {
+                pairings.add([a, b].sort().join('-'));
+            }
+        }
+    }
+    assert.equal(pairings.size, 10); // 5 choose 2
+    assert.deepEqual([...byes.values()], [1, 1, 1, 1, 1]);
+});
+
+test('a round robin opens a lobby per match and moves on once the round is decided', async () => {
+    const { tournaments, lobbies, tournament } = await startTournament('roundRobin', 4);
+
+    const matches = currentMatches(tournament);
+    assert.equal(matches.length, 2);
+    for (const match of matches) {
+        assert.equal(match.status, 'ready');
+        assert.deepEqual(lobbies.getLobby(match.lobbyCode).tournament.players, match.players);
+    }
+
+    tournaments.awardMatch('org', tournament.id, matches[0].id, matches[0].players[0]);
+    assert.equal(tournament.currentRound, 1);
+    tournaments.awardMatch('org', tournament.id, matches[1].id, matches[1].players[1]);
+    assert.equal(tournament.currentRound, 2);
+
+    // Play out the rest: the first-listed player always wins
+    while (tournament.status === 'running') {
+        for (const match of currentMatches(tournament)) {
+            tournaments.awardMatch('org', tournament.id, match.id, match.players[0]);
+        }
+    }
+    const standings = tournaments.getStandings(tournament);
+    assert.equal(tournament.champion, standings[0].username);
+    assert.equal(standings.reduce((sum, row) => sum + row.wins, 0), 6);
+});
+
+test('an elimination bracket gives byes to the top seeds and keeps them apart', async () => {
+    const { tournaments, tournament } = await startTournament('elimination', 5);
+
+    // Bracket of 8: seeds 1v8, 4v5, 2v7, 3v6 with seeds 6-8 missing
+    assert.deepEqual(currentMatches(tournament).map(m => m.players), [
+        ['Ann', null], ['Dan', 'Eve'], ['Ben', null], ['Cat', null]
+    ]);
+    assert.deepEqual(currentMatches(tournament).map(m => m.status), ['bye', 'ready', 'bye', 'bye']);
+
+    const [, firstMatch] = currentMatches(tournament);
+    tournaments.awardMatch('org', tournament.id, firstMatch.id, 'Eve');
+    assert.equal(tournament.currentRound, 2);
+    assert.deepEqual(currentMatches(tournament).map(m => m.players), [['Ann', 'Eve'], ['Ben', 'Cat']]);
+
+    for (const match of currentMatches(tournament)) {
+        tournaments.awardMatch('org', tournament.id, match.id, match.players[1]);
+    }
+    assert.deepEqual(currentMatches(tournament).map(m => m.players), [['Eve', 'Cat']]);
+
+    tournaments.awardMatch('org', tournament.id, currentMatches(tournament)[0].id, 'Cat');
+    assert.equal(tournament.status, 'finished');
+    assert.equal(tournament.champion, 'Cat');
+    const standings = tournaments.getStandings(tournament);
+    assert.deepEqual(standings.slice(0, 2).map(row => row.username), ['Cat', 'Eve']);
+    assert.equal(standings.find(row => row.username === 'Dan').out, true);
+});
+
+test('only the organizer can start a tournament or award a match', async () => {
+    const { tournaments } = await setup(2);
+    const { tournament } = tournaments.create('org', { name: 'Cup', format: 'elimination', players: ['Ann', 'Ben'] });
+
+    assert.equal(tournaments.start('s0', tournament.id).success, false);
+    tournaments.start('org', tournament.id);
+    const [match] = currentMatches(tournament);
+    assert.equal(tournaments.awardMatch('s0', tournament.id, match.id, 'Ann').success, false);
+    assert.equal(tournaments.awardMatch('org', tournament.id, match.id, 'Zed').success, false);
+});
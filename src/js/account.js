@@ -0,0 +1,220 @@
+// Account UI handling
+// Sign in / create account on the home screen, the profile screen with stats and recent games,
+// and the leaderboard of rated players
+
+import { socketClient } from './socket.js';
+import { showToast } from './main.js';
+import { showScreen } from './lobby.js';
+
+// Result labels for recent games
+const RESULT_LABELS = { win: 'Won', loss: 'Lost', draw: 'Dead hand' };
+
+// DOM Elements
+let elements = {};
+
+// Initialize account module
+export function initAccount() {
+    cacheElements();
+    setupEventListeners();
+    updateAccountUI(socketClient.account);
+}
+
+// Cache DOM elements
+function cacheElements() {
+    elements = {
+        playerName: document.getElementById('player-name'),
+        status: document.getElementById('account-status'),
+        signInBtn: document.getElementById('account-signin-btn'),
+        profileBtn: document.getElementById('account-profile-btn'),
+        signOutBtn: document.getElementById('account-signout-btn'),
+
+        // Sign in modal
+        modal: document.getElementById('account-modal'),
+        form: document.getElementById('account-form'),
+        username: document.getElementById('account-username'),
+        password: document.getElementById('account-password'),
+        registerBtn: document.getElementById('account-register-btn'),
+        cancelBtn: document.getElementById('account-cancel-btn'),
+
+        // Profile screen
+        profileBackBtn: document.getElementById('profile-back-btn'),
+        profileUsername: document.getElementById('profile-username'),
+        profileStats: document.getElementById('profile-stats'),
+        profileMelds: document.getElementById('profile-melds'),
+        profileHistory: document.getElementById('profile-history'),
+
+        // Leaderboard screen
+        openLeaderboardBtn: document.getElementById('open-leaderboard-btn'),
+        leaderboardBackBtn: document.getElementById('leaderboard-back-btn'),
+        leaderboardList: document.getElementById('leaderboard-list')
+    };
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    elements.signInBtn.addEventListener('click', openSignIn);
+    elements.cancelBtn.addEventListener('click', closeSignIn);
+    elements.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleSignIn('login');
+    });
+    elements.registerBtn.addEventListener('click', () => handleSignIn('register'));
+    elements.signOutBtn.addEventListener('click', handleSignOut);
+
+    elements.profileBtn.addEventListener('click', handleShowProfile);
+    elements.profileBackBtn.addEventListener('click', () => showScreen('home-screen'));
+    elements.openLeaderboardBtn.addEventListener('click', handleShowLeaderboard);
+    elements.leaderboardBackBtn.addEventListener('click', () => showScreen('home-screen'));
+
+    // Socket events
+    socketClient.on('accountChanged', updateAccountUI);
+}
+
+// Show who is signed in on the home screen
+function updateAccountUI(account) {
+    elements.status.textContent = account ? `Signed in as ${account.username}` : 'Playing as a guest';
+    elements.signInBtn.classList.toggle('hidden', Boolean(account));
+    elements.profileBtn.classList.toggle('hidden', !account);
+    elements.signOutBtn.classList.toggle('hidden', !account);
+}
+
+function openSignIn() {
+    elements.modal.classList.add('active');
+    elements.username.focus();
+}
+
+function closeSignIn() {
+    elements.modal.classList.remove('active');
+    elements.password.value = '';
+}
+
+// Sign in or create an account with the form's username and password
+async function handleSignIn(mode) {
+    const username = elements.username.value.trim();
+    const password = elements.password.value;
+    if (!username || !password) {
+        showToast('Enter a username and password', 'warning');
+        return;
+    }
+
+    try {
+        const response = mode === 'register'
+            ? await socketClient.register(username, password)
+            : await socketClient.login(username, password);
+        closeSignIn();
+
+        // Guests who haven't picked a name play under their username
+        if (!elements.playerName.value.trim()) {
+            elements.playerName.value = response.username;
+            localStorage.setItem('ginrummy_name', response.username);
+        }
+        showToast(mode === 'register' ? `Welcome, ${response.username}!` : `Signed in as ${response.username}`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function handleSignOut() {
+    await socketClient.logout();
+    showToast('Signed out', 'info');
+}
+
+// Open the profile screen for the signed-in player
+async function handleShowProfile() {
+    try {
+        const profile = await socketClient.getProfile(socketClient.account.username);
+        renderProfile(profile);
+        showScreen('profile-screen');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Render stats, favourite melds and recent games
+function renderProfile(profile) {
+    const { stats, rating } = profile;
+    elements.profileUsername.textContent = profile.username;
+
+    const tiles = [
+        ['Rating', rating.games === 0 ? '—' : `${rating.value}${rating.provisional ? '?' : ''}`],
+        ['Rated Games', rating.games],
+        ['Peak Rating', rating.games === 0 ? '—' : rating.peak],
+        ['Games', stats.gamesPlayed],
+        ['Wins', stats.wins],
+        ['Win Rate', `${stats.winRate}%`],
+        ['Avg Points Left', stats.averageRemainingPoints],
+        ['Fastest Go-Out', stats.fastestGoOut ? `${stats.fastestGoOut.turns} turns` : '—'],
+        ['Melds Laid', stats.meldsLaid]
+    ];
+    elements.profileStats.innerHTML = tiles.map(([label, value]) => `
+      <div class="profile-stat">
+        <span class="profile-stat-value">${value}</span>
+        <span class="profile-stat-label">${label}</span>
+      </div>
+    `).join('');
+
+    elements.profileMelds.innerHTML = stats.favouriteMelds.length === 0
+        ? '<p class="profile-empty">No melds laid yet</p>'
+        : stats.favouriteMelds.map(meld => `
+      <div class="score-row">
+        <span class="score-name">${meld.label}</span>
+        <span class="score-points">${meld.count}</span>
+      </div>
+    `).join('');
+
+    elements.profileHistory.innerHTML = '';
+    if (profile.history.length === 0) {
+        elements.profileHistory.innerHTML = '<p class="profile-empty">No games played yet</p>';
+        return;
+    }
+    profile.history.forEach(game => {
+        elements.profileHistory.appendChild(createHistoryRow(game));
+    });
+}
+
+// One recent game
+// Opponent names come from other players, so they are set as text
+function createHistoryRow(game) {
+    const row = document.createElement('div');
+    row.className = `score-row ${game.result === 'win' ? 'winner' : ''}`;
+    row.title = new Date(game.at).toLocaleString();
+
+    const name = document.createElement('span');
+    name.className = 'score-name';
+    name.textContent = `${RESULT_LABELS[game.result]} vs ${game.opponents.join(', ')}`;
+
+    const details = document.createElement('span');
+    details.className = 'score-points';
+    details.textContent = [
+        game.rules,
+        game.result === 'win' && game.roundPoints ? `+${game.roundPoints}` : `${game.remainingPoints} left`,
+        `${game.turns} turns`,
+        game.ratingChange != null ? `${game.ratingChange >= 0 ? '+' : ''}${game.ratingChange} rating` : null
+    ].filter(Boolean).join(' · ');
+
+    row.append(name, details);
+    return row;
+}
+
+// Open the leaderboard of rated players
+async function handleShowLeaderboard() {
+    const players = await socketClient.getLeaderboard();
+    renderLeaderboard(players);
+    showScreen('leaderboard-screen');
+}
+
+// One row per rated player; a ? marks ratings still settling after few games
+function renderLeaderboard(players) {
+    if (players.length === 0) {
+        elements.leaderboardList.innerHTML = '<p class="profile-empty">No rated games yet - mark a lobby as Rated to get on the board</p>';
+        return;
+    }
+
+    const me = socketClient.account?.username;
+    elements.leaderboardList.innerHTML = players.map(player => `
+      <div class="score-row ${player.username === me ? 'winner' : ''}">
+        <span class="score-name">${player.rank}. ${player.username}</span>
+        <span class="score-points">${player.rating}${player.provisional ? '?' : ''} · ${player.games} games</span>
+      </div>
+    `).join('');
+}
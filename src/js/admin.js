@@ -0,0 +1,185 @@
+// Admin page
+// Lists every lobby from the admin API and runs its actions: inspect the full game state,
+// end a game, close a lobby, remove a player, and send a notice to everyone connected
+
+// Lobby list refresh while the page is open
+const REFRESH_INTERVAL = 5000;
+
+// DOM Elements
+const elements = {
+    tokenForm: document.getElementById('admin-token-form'),
+    token: document.getElementById('admin-token'),
+    panel: document.getElementById('admin-panel'),
+    summary: document.getElementById('admin-summary'),
+    noticeForm: document.getElementById('admin-notice-form'),
+    notice: document.getElementById('admin-notice'),
+    lobbies: document.getElementById('admin-lobbies'),
+    inspect: document.getElementById('admin-inspect'),
+    inspectTitle: document.getElementById('admin-inspect-title'),
+    inspectJson: document.getElementById('admin-inspect-json'),
+    inspectClose: document.getElementById('admin-inspect-close')
+};
+
+let token = sessionStorage.getItem('ginrummy_admin_token') || '';
+let refreshTimer = null;
+
+// Call the admin API; errors come back as { error }
+async function api(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            Authorization: `Bearer ${token}`,
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+}
+
+// Run an action, then show the lobbies as they are now
+async function runAction(confirmText, method, url, body) {
+    if (confirmText && !confirm(confirmText)) return;
+    try {
+        await api(method, url, body);
+        await refresh();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function refresh() {
+    try {
+        const { lobbies, connectedSockets } = await api('GET', '/api/admin/lobbies');
+        elements.panel.classList.remove('hidden');
+        renderLobbies(lobbies, connectedSockets);
+    } catch (error) {
+        stopRefreshing();
+        elements.panel.classList.add('hidden');
+        alert(error.message);
+    }
+}
+
+function startRefreshing() {
+    stopRefreshing();
+    refresh();
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+}
+
+function stopRefreshing() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+}
+
+// One card per lobby
+// Player names come from players, so everything is set as text
+function renderLobbies(lobbies, connectedSockets) {
+    const playing = lobbies.filter(l => l.status === 'playing').length;
+    elements.summary.textContent = `${lobbies.length} lobbies · ${playing} playing · ${connectedSockets} sockets connected`;
+
+    elements.lobbies.innerHTML = '';
+    if (lobbies.length === 0) {
+        elements.lobbies.textContent = 'No lobbies';
+        return;
+    }
+    lobbies.forEach(lobby => elements.lobbies.appendChild(createLobbyCard(lobby)));
+}
+
+function createLobbyCard(lobby) {
+    const card = document.createElement('div');
+    card.className = 'admin-lobby';
+
+    const header = document.createElement('div');
+    header.className = 'admin-row';
+    const title = document.createElement('strong');
+    title.textContent = lobby.code;
+    const details = document.createElement('span');
+    details.className = 'admin-details';
+    details.textContent = [
+        lobby.status,
+        lobby.settings.rulesMode,
+        `${lobby.playerCount}/${lobby.settings.maxPlayers} players`,
+        `${lobby.spectatorCount} watching`,
+        lobby.game ? `turn of seat ${lobby.game.currentTurn + 1}, ${lobby.game.deckCount} in deck, ${lobby.game.actions} actions` : null,
+        lobby.tournament ? `tournament ${lobby.tournament.id}` : null,
+        lobby.locked ? 'locked' : null,
+        `created ${new Date(lobby.createdAt).toLocaleString()}`
+    ].filter(Boolean).join(' · ');
+    header.append(title, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'admin-row';
+    const base = `/api/admin/lobbies/${lobby.code}`;
+    actions.append(
+        createButton('Inspect', 'btn-ghost', () => inspectLobby(lobby.code)),
+        createButton('End Game', 'btn-secondary', () => runAction(`End the game in ${lobby.code}?`, 'POST', `${base}/end-game`), lobby.status !== 'playing'),
+        createButton('Close Lobby', 'btn-danger', () => runAction(`Close lobby ${lobby.code} and send everyone home?`, 'DELETE', base))
+    );
+
+    const players = document.createElement('ul');
+    players.className = 'admin-players';
+    lobby.players.forEach(player => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.textContent = [
+            player.name,
+            player.isHost ? '(host)' : null,
+            player.isTestPlayer ? '(bot)' : null,
+            player.connected ? null : '(disconnected)'
+        ].filter(Boolean).join(' ');
+        item.append(name, createButton('Remove', 'btn-ghost', () =>
+            runAction(`Remove ${player.name} from ${lobby.code}?`, 'POST', `${base}/kick`, { playerId: player.odId })));
+        players.appendChild(item);
+    });
+
+    card.append(header, actions, players);
+    return card;
+}
+
+function createButton(label, style, onClick, disabled = false) {
+    const btn = document.createElement('button');
+    btn.className = `btn btn-small ${style}`;
+    btn.textContent = label;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+// Show a lobby and its full game state (hands, deck and seed included)
+async function inspectLobby(code) {
+    try {
+        const data = await api('GET', `/api/admin/lobbies/${code}`);
+        elements.inspectTitle.textContent = `Lobby ${code}`;
+        elements.inspectJson.textContent = JSON.stringify(data, null, 2);
+        elements.inspect.classList.remove('hidden');
+        elements.inspect.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+elements.tokenForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    token = elements.token.value.trim();
+    sessionStorage.setItem('ginrummy_admin_token', token);
+    startRefreshing();
+});
+
+elements.noticeForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+        const { recipients } = await api('POST', '/api/admin/notice', { message: elements.notice.value });
+        elements.notice.value = '';
+        alert(`Notice sent to ${recipients} connected sockets`);
+    } catch (error) {
+        alert(error.message);
+    }
+});
+
+elements.inspectClose.addEventListener('click', () => elements.inspect.classList.add('hidden'));
+
+if (token) {
+    elements.token.value = token;
+    startRefreshing();
+}
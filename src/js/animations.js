@@ -490,6 +490,8 @@ export function handleGameAction(action, myPlayerId) {
             animateAddToMeld(action, myPlayerId);
             break;
         case 'discard':
+        case 'knock':
+        case 'timeout':
             animateDiscard(action, myPlayerId);
             break;
         case 'rearrange':
@@ -14,9 +14,13 @@ const SUIT_COLORS = {
     hearts: 'hearts',
     diamonds: 'diamonds',
     clubs: 'clubs',
-    spades: 'spades'
+    spades: 'spades',
+    joker: 'joker'
 };
 
+// Rank used for joker cards
+export const JOKER = 'JOKER';
+
 // Suit to letter mapping for custom card file names
 const SUIT_LETTERS = {
     hearts: 'H',
@@ -28,6 +32,9 @@ const SUIT_LETTERS = {
 // Current deck style (set by game module)
 let currentDeckStyle = 'default';
 
+// Meld rules for the current game: wild cards and Ace handling (set by game module)
+let meldOptions = { deucesWild: false, maxWilds: 1, aceMode: 'highOrLow' };
+
 // Create a card element
 export function createCardElement(card, options = {}) {
     const {
@@ -67,17 +74,25 @@ export function createCardElement(card, options = {}) {
         cardEl.appendChild(imgEl);
     }
 
+    // Jokers have a star in the corners and a label instead of a suit
+    const isJoker = card.rank === JOKER;
+    const rankLabel = isJoker ? '★' : card.rank;
+    const suitSymbol = isJoker ? '' : SUIT_SYMBOLS[card.suit];
+    const centerContent = isJoker
+        ? '<span class="card-joker-label">JOKER</span>'
+        : `<span class="card-suit-large">${suitSymbol}</span>`;
+
     // Default card face design (always centered suit for non-custom, overlay for custom)
     const faceContent = `
       <div class="card-face">
         <div class="card-corner top-left">
-          <span class="card-rank">${card.rank}</span>
-          <span class="card-suit-small">${SUIT_SYMBOLS[card.suit]}</span>
+          <span class="card-rank">${rankLabel}</span>
+          <span class="card-suit-small">${suitSymbol}</span>
         </div>
-        ${!customImage ? `<span class="card-suit-large">${SUIT_SYMBOLS[card.suit]}</span>` : ''}
+        ${!customImage ? centerContent : ''}
         <div class="card-corner bottom-right">
-          <span class="card-rank">${card.rank}</span>
-          <span class="card-suit-small">${SUIT_SYMBOLS[card.suit]}</span>
+          <span class="card-rank">${rankLabel}</span>
+          <span class="card-suit-small">${suitSymbol}</span>
         </div>
       </div>
     `;
@@ -125,53 +140,86 @@ export function createMeldElement(meld) {
     meldEl.className = 'meld-group';
     meldEl.dataset.meldId = meld.id;
 
-    // Sort the meld cards for display
-    // Check if it's a run (same suit) or set (same rank)
-    const isRun = meld.cards.length > 0 &&
-        meld.cards.every(c => c.suit === meld.cards[0].suit);
-
-    let sortedCards;
-    if (isRun) {
-        // Sort run by rank value, handling Ace-high (Q-K-A)
-        const rankValues = { 'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13 };
-        sortedCards = [...meld.cards].sort((a, b) => {
-            let valA = rankValues[a.rank];
-            let valB = rankValues[b.rank];
-            return valA - valB;
-        });
+    sortMeldCards(meld.cards).forEach(card => {
+        const cardEl = createCardElement(card, { selectable: false });
+        meldEl.appendChild(cardEl);
+    });
+
+    return meldEl;
+}
+
+// Check if a card is wild under the current game's rules
+export function isWildCard(card) {
+    return card.rank === JOKER || (meldOptions.deucesWild && card.rank === '2');
+}
+
+// Sort meld cards for display
+// Runs are ordered by rank (handling Ace-high Q-K-A and around-the-corner K-A-2)
+// with wild cards placed in the gaps they fill; sets keep their order with wild cards last
+export function sortMeldCards(cards) {
+    if (cards.length === 0) return cards;
+
+    const wilds = cards.filter(isWildCard);
+    const naturals = cards.filter(c => !isWildCard(c));
+    if (naturals.length === 0) return cards;
 
-        // Check if it's an Ace-high run (Q-K-A) and reorder
-        if (sortedCards.length >= 3) {
-            const hasAce = sortedCards.some(c => c.rank === 'A');
-            const hasKing = sortedCards.some(c => c.rank === 'K');
-            const hasQueen = sortedCards.some(c => c.rank === 'Q');
-            const hasTwo = sortedCards.some(c => c.rank === '2');
-
-            // If we have A, K, Q but no 2, it's an Ace-high run
-            if (hasAce && hasKing && !hasTwo) {
-                // Move Ace to the end
-                const aceIndex = sortedCards.findIndex(c => c.rank === 'A');
-                const ace = sortedCards.splice(aceIndex, 1)[0];
-                sortedCards.push(ace);
+    const isRun = naturals.every(c => c.suit === naturals[0].suit);
+    if (!isRun) {
+        return [...naturals, ...wilds];
+    }
+
+    const rankValues = { 'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13 };
+    const sorted = [...naturals].sort((a, b) => rankValues[a.rank] - rankValues[b.rank]);
+
+    // If we have A and K but no 2, it's an Ace-high run - move the Ace to the end
+    const aceHigh = meldOptions.aceMode === 'highOrLow' && sorted.some(c => c.rank === 'A') &&
+        sorted.some(c => c.rank === 'K') && !sorted.some(c => c.rank === '2');
+    if (aceHigh) {
+        const aceIndex = sorted.findIndex(c => c.rank === 'A');
+        sorted.push(...sorted.splice(aceIndex, 1));
+    }
+
+    // Around the corner: start the run after the widest gap (K-A-2 rather than A-2-K)
+    let wrapped = false;
+    if (meldOptions.aceMode === 'aroundTheCorner' && sorted.length > 1) {
+        let startIndex = 0;
+        let widestGap = rankValues[sorted[0].rank] + 13 - rankValues[sorted[sorted.length - 1].rank];
+        for (let i = 1; i < sorted.length; i++) {
+            const gap = rankValues[sorted[i].rank] - rankValues[sorted[i - 1].rank];
+            if (gap > widestGap) {
+                widestGap = gap;
+                startIndex = i;
             }
         }
-    } else {
-        // For sets, just use original order
-        sortedCards = meld.cards;
+        wrapped = startIndex > 0;
+        sorted.push(...sorted.splice(0, startIndex));
     }
 
-    sortedCards.forEach(card => {
-        const cardEl = createCardElement(card, { selectable: false });
-        meldEl.appendChild(cardEl);
+    // Put wild cards into the gaps between natural cards
+    const valueOf = card => {
+        const value = rankValues[card.rank];
+        if (aceHigh && card.rank === 'A') return 14;
+        // Cards after the wrap point continue past the King
+        return wrapped && value < rankValues[sorted[0].rank] ? value + 13 : value;
+    };
+    const spareWilds = [...wilds];
+    const ordered = [];
+    sorted.forEach((card, i) => {
+        if (i > 0) {
+            for (let gap = valueOf(card) - valueOf(sorted[i - 1]) - 1; gap > 0 && spareWilds.length > 0; gap--) {
+                ordered.push(spareWilds.shift());
+            }
+        }
+        ordered.push(card);
     });
 
-    return meldEl;
+    return [...ordered, ...spareWilds];
 }
 
 // Sort cards by suit then rank
 export function sortCards(cards) {
-    const suitOrder = ['hearts', 'diamonds', 'clubs', 'spades'];
-    const rankOrder = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+    const suitOrder = ['hearts', 'diamonds', 'clubs', 'spades', 'joker'];
+    const rankOrder = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', JOKER];
 
     return [...cards].sort((a, b) => {
         const suitDiff = suitOrder.indexOf(a.suit) - suitOrder.indexOf(b.suit);
@@ -245,3 +293,18 @@ export function setDeckStyle(style) {
 export function getDeckStyle() {
     return currentDeckStyle;
 }
+
+// Set the meld rules from the game settings
+export function setMeldOptions(settings = {}) {
+    meldOptions = {
+        deucesWild: settings.deucesWild || false,
+        maxWilds: settings.maxWilds || 1,
+        // Classic gin always plays the Ace low
+        aceMode: settings.rulesMode === 'classicGin' ? 'low' : (settings.aceMode || 'highOrLow')
+    };
+}
+
+// Get the meld rules for the current game
+export function getMeldOptions() {
+    return meldOptions;
+}
@@ -0,0 +1,189 @@
+// Chat UI handling
+// Collapsible chat panel and quick reactions on the game screen
+// The server trims, length-checks and HTML-escapes every message, so text is shown as sent
+
+import { socketClient } from './socket.js';
+import { showToast } from './main.js';
+
+// Emoji offered as quick reactions (the server only accepts these)
+const QUICK_REACTIONS = ['👍', '👏', '😂', '😮', '😢', '🔥', '🤔', '🎉'];
+
+// Messages kept on screen, same as the history the server keeps
+const MAX_MESSAGES = 50;
+
+// DOM Elements
+let elements = {};
+
+// Chat state
+let messages = [];
+let unreadCount = 0;
+let isOpen = false;
+
+// Initialize chat module
+export function initChat() {
+    cacheElements();
+    renderReactionButtons();
+    setupEventListeners();
+}
+
+// Cache DOM elements
+function cacheElements() {
+    elements = {
+        toggleBtn: document.getElementById('chat-toggle-btn'),
+        unreadBadge: document.getElementById('chat-unread'),
+        panel: document.getElementById('chat-panel'),
+        closeBtn: document.getElementById('chat-close-btn'),
+        reactions: document.getElementById('chat-reactions'),
+        messageList: document.getElementById('chat-messages'),
+        form: document.getElementById('chat-form'),
+        input: document.getElementById('chat-input'),
+        reactionLayer: document.getElementById('reaction-layer')
+    };
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    elements.toggleBtn.addEventListener('click', () => setOpen(!isOpen));
+    elements.closeBtn.addEventListener('click', () => setOpen(false));
+
+    elements.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleSendMessage();
+    });
+
+    // Socket events
+    socketClient.on('chat:message', handleChatMessage);
+
+    // Reconnecting players get the recent messages back
+    socketClient.on('reconnected', (result) => {
+        if (result.chat) loadChatHistory(result.chat);
+    });
+}
+
+// One button per quick reaction
+function renderReactionButtons() {
+    elements.reactions.innerHTML = '';
+    QUICK_REACTIONS.forEach(reaction => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'reaction-btn';
+        btn.textContent = reaction;
+        btn.addEventListener('click', () => handleSendReaction(reaction));
+        elements.reactions.appendChild(btn);
+    });
+}
+
+// Replace the chat with a lobby's history (on create, join, spectate or reconnect)
+export function loadChatHistory(history = []) {
+    messages = history.slice(-MAX_MESSAGES);
+    unreadCount = 0;
+    updateUnreadBadge();
+    renderMessages();
+}
+
+// Open or collapse the panel
+function setOpen(open) {
+    isOpen = open;
+    elements.panel.classList.toggle('hidden', !open);
+    if (open) {
+        unreadCount = 0;
+        updateUnreadBadge();
+        scrollToLatest();
+        elements.input.focus();
+    }
+}
+
+// Send the typed message
+async function handleSendMessage() {
+    const text = elements.input.value.trim();
+    if (!text) return;
+
+    try {
+        await socketClient.sendChat({ text });
+        elements.input.value = '';
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Send a quick reaction
+async function handleSendReaction(reaction) {
+    try {
+        await socketClient.sendChat({ reaction });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Handle a new message from the lobby
+function handleChatMessage(message) {
+    messages.push(message);
+    if (messages.length > MAX_MESSAGES) {
+        messages.shift();
+        elements.messageList.firstElementChild?.remove();
+    }
+
+    elements.messageList.querySelector('.chat-empty')?.remove();
+    elements.messageList.appendChild(createMessageElement(message));
+    scrollToLatest();
+
+    if (message.reaction) {
+        showFloatingReaction(message);
+    }
+
+    if (!isOpen) {
+        unreadCount++;
+        updateUnreadBadge();
+    }
+}
+
+// Render the whole message list
+function renderMessages() {
+    elements.messageList.innerHTML = '';
+
+    if (messages.length === 0) {
+        elements.messageList.innerHTML = '<p class="chat-empty">No messages yet</p>';
+        return;
+    }
+
+    messages.forEach(message => {
+        elements.messageList.appendChild(createMessageElement(message));
+    });
+    scrollToLatest();
+}
+
+// Create one chat line
+// name and text arrive HTML-escaped from the server
+function createMessageElement(message) {
+    const messageEl = document.createElement('div');
+    messageEl.className = `chat-message ${message.reaction ? 'reaction' : ''} ${message.spectator ? 'spectator' : ''}`;
+    messageEl.title = new Date(message.at).toLocaleTimeString();
+    messageEl.innerHTML = `
+      <span class="chat-name">${message.name}${message.spectator ? ' 👀' : ''}</span>
+      <span class="chat-text">${message.reaction || message.text}</span>
+    `;
+    return messageEl;
+}
+
+// Let a reaction drift up over the table
+function showFloatingReaction(message) {
+    const reactionEl = document.createElement('div');
+    reactionEl.className = 'floating-reaction';
+    reactionEl.style.left = `${15 + Math.random() * 70}%`;
+    reactionEl.innerHTML = `
+      <span class="emoji">${message.reaction}</span>
+      <span class="name">${message.name}</span>
+    `;
+    elements.reactionLayer.appendChild(reactionEl);
+    reactionEl.addEventListener('animationend', () => reactionEl.remove());
+}
+
+// Show how many messages arrived while the panel was collapsed
+function updateUnreadBadge() {
+    elements.unreadBadge.textContent = unreadCount > 9 ? '9+' : unreadCount;
+    elements.unreadBadge.classList.toggle('hidden', unreadCount === 0);
+}
+
+function scrollToLatest() {
+    elements.messageList.scrollTop = elements.messageList.scrollHeight;
+}
@@ -2,7 +2,7 @@
 // Manages the main game screen, cards, melds, and game actions
 
 import { socketClient } from './socket.js';
-import { showScreen } from './lobby.js';
+import { showScreen, getIsHost } from './lobby.js';
 import {
     createCardElement,
     createMeldElement,
@@ -11,10 +11,16 @@ import {
     getSelectedCards,
     clearSelection,
     createCardBackElement,
-    setDeckStyle
+    setDeckStyle,
+    setMeldOptions,
+    getMeldOptions,
+    isWildCard,
+    sortMeldCards,
+    JOKER
 } from './cards.js';
 import { showToast } from './main.js';
 import { handleGameAction, animateDeal } from './animations.js';
+import { recordDeal, verifyShuffle } from './shuffleCheck.js';
 
 // DOM Elements
 let elements = {};
@@ -30,10 +36,14 @@ let isRearrangeMode = false;
 let proposedMelds = []; // Temporary meld state during rearrangement
 let originalMelds = []; // Original melds before rearrangement (for cancel)
 let cardsUsedFromHand = []; // Cards taken from hand during rearrangement
+let wildsTakenFromTable = []; // Wild cards swapped off the table into the hand
 
 // Drag state (workaround for HTML5 drag-and-drop data access issues)
 let currentDragData = null;
 
+// Replay mode: the table shows a state rebuilt from an action log and nothing can be played
+let isReplayMode = false;
+
 // Initialize game module
 export function initGame() {
     cacheElements();
@@ -44,6 +54,7 @@ export function initGame() {
 function cacheElements() {
     elements = {
         turnIndicator: document.getElementById('turn-indicator'),
+        turnTimer: document.getElementById('turn-timer'),
         phaseIndicator: document.getElementById('phase-indicator'),
         leftPlayers: document.getElementById('left-players'),
         topPlayers: document.getElementById('top-players'),
@@ -56,11 +67,15 @@ function cacheElements() {
         discardTop: document.getElementById('discard-top'),
         discardCount: document.getElementById('discard-count'),
         playerHand: document.getElementById('player-hand'),
+        handLabel: document.getElementById('hand-label'),
         handCount: document.getElementById('hand-count'),
         sortHandBtn: document.getElementById('sort-hand-btn'),
+        undoBtn: document.getElementById('undo-btn'),
         rearrangeBtn: document.getElementById('rearrange-btn'),
         playMeldBtn: document.getElementById('play-meld-btn'),
         discardBtn: document.getElementById('discard-btn'),
+        knockBtn: document.getElementById('knock-btn'),
+        bigGinBtn: document.getElementById('big-gin-btn'),
         actionBar: document.getElementById('action-bar'),
         rearrangeActionBar: document.getElementById('rearrange-action-bar'),
         rearrangeCancelBtn: document.getElementById('rearrange-cancel-btn'),
@@ -70,11 +85,20 @@ function cacheElements() {
         gameMenuModal: document.getElementById('game-menu-modal'),
         closeMenuBtn: document.getElementById('close-menu-btn'),
         leaveGameBtn: document.getElementById('leave-game-btn'),
+        menuTakeSeatBtn: document.getElementById('menu-take-seat-btn'),
         viewRulesBtn: document.getElementById('view-rules-btn'),
         // Game over
         winnerName: document.getElementById('winner-name'),
         finalScores: document.getElementById('final-scores'),
+        matchSection: document.getElementById('match-section'),
+        matchSectionTitle: document.getElementById('match-section-title'),
+        matchScores: document.getElementById('match-scores'),
         playAgainBtn: document.getElementById('play-again-btn'),
+        dealSeedInfo: document.getElementById('deal-seed-info'),
+        dealSeedValue: document.getElementById('deal-seed-value'),
+        shuffleCheck: document.getElementById('shuffle-check'),
+        verifyShuffleBtn: document.getElementById('verify-shuffle-btn'),
+        shuffleCheckResult: document.getElementById('shuffle-check-result'),
         backToLobbyBtn: document.getElementById('back-to-lobby-btn')
     };
 }
@@ -90,17 +114,34 @@ function setupEventListeners() {
     // Sort hand
     elements.sortHandBtn?.addEventListener('click', handleSortHand);
 
+    // Undo last play this turn
+    elements.undoBtn?.addEventListener('click', handleUndo);
+
     // Rearrange mode
     elements.rearrangeBtn?.addEventListener('click', enterRearrangeMode);
     elements.rearrangeCancelBtn?.addEventListener('click', cancelRearrangeMode);
     elements.rearrangeDoneBtn?.addEventListener('click', confirmRearrangeMode);
 
+    // Rearrange mode: dropping a table card on the hand takes it back (own cards and swapped wilds)
+    elements.playerHand?.addEventListener('dragover', (e) => {
+        if (isRearrangeMode) e.preventDefault();
+    });
+    elements.playerHand?.addEventListener('drop', (e) => {
+        if (!isRearrangeMode) return;
+        e.preventDefault();
+        handleRearrangeDrop('hand');
+    });
+
     // Play meld
     elements.playMeldBtn?.addEventListener('click', handlePlayMeld);
 
     // Discard
     elements.discardBtn?.addEventListener('click', handleDiscard);
 
+    // Classic gin
+    elements.knockBtn?.addEventListener('click', handleKnock);
+    elements.bigGinBtn?.addEventListener('click', handleBigGin);
+
     // Card selection change
     document.addEventListener('cardSelectionChanged', updateActionButtons);
 
@@ -114,24 +155,42 @@ function setupEventListeners() {
     });
 
     elements.leaveGameBtn.addEventListener('click', handleLeaveGame);
+    elements.menuTakeSeatBtn.addEventListener('click', handleTakeSeatNextRound);
 
     elements.viewRulesBtn.addEventListener('click', () => {
-        showToast('Rules: Make runs (3+ same suit in sequence) or sets (3+ same rank). First to play all cards wins!', 'info');
+        const rules = isClassicGin()
+            ? `Rules: Form runs and sets in your hand. Knock with ${gameState.ginInfo.knockLimit} or less deadwood, or go gin with none!`
+            : 'Rules: Make runs (3+ same suit in sequence) or sets (3+ same rank). First to play all cards wins!';
+        showToast(rules, 'info');
         elements.gameMenuModal.classList.remove('active');
     });
 
     // Game over actions
     elements.playAgainBtn?.addEventListener('click', handlePlayAgain);
     elements.backToLobbyBtn?.addEventListener('click', handleBackToLobby);
+    elements.verifyShuffleBtn?.addEventListener('click', handleVerifyShuffle);
 
     // Socket events
     socketClient.on('game:started', handleGameStarted);
     socketClient.on('game:state', handleGameState);
     socketClient.on('game:action', handleGameActionEvent);
     socketClient.on('game:over', handleGameOver);
+    socketClient.on('match:over', handleMatchOver);
     
     // Handle reconnection - refresh game state
     socketClient.on('reconnected', handleReconnected);
+
+    // Watching a game already in progress (see lobby.js)
+    socketClient.on('spectating', handleSpectating);
+
+    // A new host may start the next game from the game over screen
+    socketClient.on('lobby:hostChanged', handleHostChanged);
+}
+
+// Show Play Again to whoever is host now
+function handleHostChanged(lobbyData) {
+    const isHost = lobbyData.host === socketClient.socket?.id;
+    elements.playAgainBtn.classList.toggle('hidden', Boolean(socketClient.spectating) || !isHost);
 }
 
 // Handle reconnection to game
@@ -139,43 +198,69 @@ function handleReconnected(result) {
     console.log('Game module handling reconnection:', result);
     
     if (result.gameState) {
-        // We have game state, render it
-        gameState = result.gameState;
-        myPlayerId = socketClient.socket?.id;
-        
-        // Set deck style from game settings
-        if (gameState.settings?.deckStyle) {
-            setDeckStyle(gameState.settings.deckStyle);
-        }
-        
-        // Exit any rearrange mode
-        if (isRearrangeMode) {
-            exitRearrangeMode();
-        }
-        
-        // Clear any selections
-        clearSelection();
-        selectedTableCards = [];
-        
-        // Show game screen and render the current state
-        showScreen('game-screen');
-        renderGame();
+        showGameInProgress(result.gameState);
         showToast('Reconnected to game!', 'success');
     }
 }
 
+// Handle starting to watch a game in progress
+function handleSpectating({ gameState: state }) {
+    showGameInProgress(state);
+    showToast(`Watching ${state.otherPlayers.map(p => p.name).join(', ')}`, 'info');
+}
+
+// Show a game that was dealt before we arrived (reconnecting, or watching as a spectator)
+function showGameInProgress(state) {
+    endReplayView();
+    gameState = state;
+    myPlayerId = socketClient.socket?.id;
+
+    // A different commitment means a game we did not see dealt (e.g. after a page reload)
+    if (dealRecord?.commitment !== gameState.shuffleCommitment) {
+        dealRecord = recordDeal(gameState, { dealt: false });
+    }
+    
+    // Set deck style from game settings
+    if (gameState.settings?.deckStyle) {
+        setDeckStyle(gameState.settings.deckStyle);
+    }
+    setMeldOptions(gameState.settings);
+    
+    // Exit any rearrange mode
+    if (isRearrangeMode) {
+        exitRearrangeMode();
+    }
+    
+    // Clear any selections
+    clearSelection();
+    selectedTableCards = [];
+    
+    // Show game screen and render the current state
+    applySpectatorMode();
+    showScreen('game-screen');
+    renderGame();
+}
+
 // Store my player ID for animation context
 let myPlayerId = null;
 
+// Shuffle commitment and opening hand seen at the deal, checked against the reveal at game over
+let dealRecord = null;
+let shuffleReveal = null;
+
 // Handle game started
 function handleGameStarted(state) {
+    endReplayView();
     gameState = state;
     myPlayerId = socketClient.socket?.id;
+    dealRecord = recordDeal(state, { dealt: !state.isSpectator });
     
     // Set deck style from game settings
     if (state.settings?.deckStyle) {
         setDeckStyle(state.settings.deckStyle);
     }
+    setMeldOptions(state.settings);
+    applySpectatorMode();
     
     showScreen('game-screen');
     
@@ -207,10 +292,20 @@ function handleGameStarted(state) {
         }, 2000);
     } else {
         renderGame();
-        showToast('Game started! Good luck!', 'success');
+        showToast(state.isSpectator ? 'A new game has started' : 'Game started! Good luck!', 'success');
     }
 }
 
+// Spectators see the table without a hand or any actions, and can ask for a seat
+function applySpectatorMode() {
+    const watching = Boolean(gameState?.isSpectator);
+    elements.actionBar.classList.toggle('hidden', watching);
+    elements.menuTakeSeatBtn.classList.toggle('hidden', !watching);
+    elements.menuTakeSeatBtn.disabled = false;
+    elements.leaveGameBtn.textContent = watching ? '🚪 Stop Watching' : '🚪 Leave Game';
+    elements.handLabel.textContent = watching ? 'Watching - hands are hidden' : 'Your Hand';
+}
+
 // Handle game state update
 function handleGameState(state) {
     gameState = state;
@@ -242,6 +337,10 @@ function handleGameActionEvent(action) {
     // Show notification for other players' actions
     if (action.playerId !== myId) {
         showActionNotification(action);
+    } else if (action.type === 'timeout') {
+        showToast(action.away
+            ? 'Out of time again - you are marked away until you play'
+            : `Out of time - ${formatCardName(action.card)} was discarded for you`, 'warning');
     }
 }
 
@@ -258,6 +357,8 @@ function addActionVisualFeedback(action) {
             }
             break;
         case 'discard':
+        case 'knock':
+        case 'timeout':
             // Delay the receive animation to match when the card lands
             setTimeout(() => {
                 elements.discardPile?.classList.add('receiving');
@@ -267,6 +368,7 @@ function addActionVisualFeedback(action) {
         case 'playMeld':
         case 'addToMeld':
         case 'rearrange':
+        case 'undo':
             elements.meldsContainer?.classList.add('attention');
             setTimeout(() => elements.meldsContainer?.classList.remove('attention'), 500);
             break;
@@ -297,6 +399,15 @@ function showActionNotification(action) {
         case 'rearrange':
             message = `${action.playerName} rearranged the table`;
             break;
+        case 'knock':
+            message = `${action.playerName} knocked with ${formatCardName(action.card)}`;
+            break;
+        case 'undo':
+            message = `${action.playerName} took back their last play`;
+            break;
+        case 'timeout':
+            message = `${action.playerName} ran out of time and discarded ${formatCardName(action.card)}`;
+            break;
     }
     
     if (message) {
@@ -309,32 +420,143 @@ function showActionNotification(action) {
 }
 
 // Format card name for notifications
-function formatCardName(card) {
+export function formatCardName(card) {
     if (!card) return 'a card';
+    if (card.rank === JOKER) return 'Joker';
     const suitSymbols = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
     return `${card.rank}${suitSymbols[card.suit] || ''}`;
 }
 
+// Headlines for classic gin results
+const GIN_RESULT_LABELS = {
+    knock: 'Knock',
+    gin: 'Gin!',
+    bigGin: 'Big Gin!',
+    undercut: 'Undercut!'
+};
+
 // Handle game over
 function handleGameOver(winner) {
-    elements.winnerName.textContent = `${winner.playerName} Wins!`;
+    stopTurnTimer();
+
+    if (winner.isDraw) {
+        elements.winnerName.textContent = 'Dead Hand - No Winner';
+    } else if (winner.gin) {
+        elements.winnerName.textContent = `${GIN_RESULT_LABELS[winner.gin.type]} ${winner.playerName} Wins!`;
+    } else {
+        elements.winnerName.textContent = `${winner.playerName} Wins!`;
+    }
 
     // Render scores
     elements.finalScores.innerHTML = '';
-    winner.scores.forEach(score => {
+    winner.scores.forEach((score, index) => {
         const row = document.createElement('div');
         row.className = `score-row ${score.isWinner ? 'winner' : ''}`;
-        row.innerHTML = `
-      <span class="score-name">${score.name} ${score.isWinner ? '👑' : ''}</span>
+
+        if (winner.gin) {
+            // Classic gin: both hands are revealed with their deadwood
+            const hand = winner.gin.hands[index];
+            row.classList.add('has-details');
+            row.innerHTML = `
+      <span class="score-name"></span>
+      <span class="score-points">
+        ${score.points} deadwood
+        ${score.isWinner ? `<span class="score-round">+${winner.roundPoints}</span>` : ''}
+      </span>
+      <div class="gin-hand-details">${formatGinHand(hand)}</div>
+    `;
+        } else {
+            row.innerHTML = `
+      <span class="score-name"></span>
       <span class="score-points">${score.isWinner ? 'Winner!' : `${score.points} points`}</span>
     `;
+        }
+        // Player names are free text, so keep them out of the markup
+        row.querySelector('.score-name').textContent = `${score.name} ${score.isWinner ? '👑' : ''}`;
         elements.finalScores.appendChild(row);
     });
 
+    renderMatchStandings(winner.match);
+
+    // Deal seed, for replaying this deal or reporting a bug
+    elements.dealSeedInfo.classList.toggle('hidden', winner.seed == null);
+    elements.dealSeedValue.textContent = winner.seed ?? '';
+    shuffleReveal = winner.shuffle || null;
+    elements.shuffleCheck.classList.toggle('hidden', !shuffleReveal);
+    elements.shuffleCheckResult.textContent = '';
+    elements.shuffleCheckResult.className = 'shuffle-check-result';
+
+    // Only the host starts the next game; everyone else waits for it
+    elements.playAgainBtn.classList.toggle('hidden', Boolean(socketClient.spectating) || !getIsHost());
+
     showScreen('game-over-screen');
 
     // Create confetti
-    createConfetti();
+    if (!winner.isDraw) {
+        createConfetti();
+    }
+}
+
+// Check the revealed shuffle against the commitment from the start of the game
+function handleVerifyShuffle() {
+    const result = verifyShuffle(dealRecord, shuffleReveal);
+    elements.shuffleCheckResult.textContent = result.message;
+    elements.shuffleCheckResult.className = `shuffle-check-result ${result.verified ? 'verified' : 'failed'}`;
+}
+
+// Describe a revealed classic gin hand
+function formatGinHand(hand) {
+    const formatCards = cards => cards.map(formatCardName).join(' ');
+    const parts = [];
+
+    if (hand.melds.length > 0) {
+        parts.push(`Melds: ${hand.melds.map(formatCards).join(' · ')}`);
+    }
+    if (hand.layoffs.length > 0) {
+        parts.push(`Laid off: ${formatCards(hand.layoffs)}`);
+    }
+    parts.push(hand.deadwood.length > 0 ? `Deadwood: ${formatCards(hand.deadwood)}` : 'No deadwood');
+
+    return parts.join('<br>');
+}
+
+// Render cumulative match standings on the game over screen
+function renderMatchStandings(match) {
+    elements.matchScores.innerHTML = '';
+
+    if (!match) {
+        elements.matchSection.classList.add('hidden');
+        elements.playAgainBtn.textContent = 'Play Again';
+        return;
+    }
+
+    elements.matchSection.classList.remove('hidden');
+    elements.matchSectionTitle.textContent = match.finished
+        ? `Match Over - Round ${match.round}`
+        : `Match to ${match.targetScore} - Round ${match.round}`;
+    elements.playAgainBtn.textContent = match.finished ? 'New Match' : 'Next Round';
+
+    match.standings.forEach((standing, index) => {
+        const isLeader = index === 0;
+        const row = document.createElement('div');
+        row.className = `score-row ${isLeader ? 'winner' : ''}`;
+        row.innerHTML = `
+      <span class="score-name"></span>
+      <span class="score-points">
+        ${standing.total} / ${match.targetScore}
+        ${standing.roundPoints > 0 ? `<span class="score-round">+${standing.roundPoints}</span>` : ''}
+      </span>
+    `;
+        // Player names are free text, so keep them out of the markup
+        row.querySelector('.score-name').textContent = `${standing.name} ${match.finished && isLeader ? '🏆' : ''}`;
+        elements.matchScores.appendChild(row);
+    });
+}
+
+// Handle match over (someone reached the target score)
+function handleMatchOver(match) {
+    elements.winnerName.textContent = `${match.winnerName} Wins the Match!`;
+    showToast(`${match.winnerName} reached ${match.targetScore} points!`, 'success');
 }
 
 // Create confetti effect
@@ -381,14 +603,72 @@ function renderTurnInfo() {
 
         if (gameState.phase === 'draw') {
             elements.phaseIndicator.textContent = 'Draw a card from deck or discard';
+        } else if (isClassicGin()) {
+            elements.phaseIndicator.textContent = 'Discard, or knock to end the hand';
         } else {
             elements.phaseIndicator.textContent = 'Play melds or discard to end turn';
         }
     } else {
         elements.turnIndicator.textContent = `${gameState.currentPlayerName}'s Turn`;
         elements.turnIndicator.className = 'turn-indicator waiting';
-        elements.phaseIndicator.textContent = 'Waiting...';
+        elements.phaseIndicator.textContent = gameState.isSpectator ? 'Watching' : 'Waiting...';
     }
+
+    // Classic gin: show the deadwood count of the current hand
+    if (isClassicGin()) {
+        elements.phaseIndicator.textContent += ` · Deadwood: ${gameState.ginInfo.deadwood}`;
+    }
+
+    // Replays describe the last action instead
+    if (isReplayMode) {
+        elements.phaseIndicator.textContent = gameState.replayCaption || '';
+    }
+
+    renderTurnTimer();
+}
+
+// Countdown for the turn clock (only when the host set a turn timer)
+// The deadline is converted to local time using the server's clock at send time
+let turnTimerInterval = null;
+
+function renderTurnTimer() {
+    clearInterval(turnTimerInterval);
+    turnTimerInterval = null;
+
+    if (!gameState?.turnDeadline || gameState.winner) {
+        elements.turnTimer.classList.add('hidden');
+        return;
+    }
+
+    if (gameState.localDeadline === undefined) {
+        gameState.localDeadline = Date.now() + (gameState.turnDeadline - gameState.serverTime);
+    }
+
+    const tick = () => {
+        const secondsLeft = Math.max(0, Math.ceil((gameState.localDeadline - Date.now()) / 1000));
+        elements.turnTimer.textContent = `⏱ ${secondsLeft}s`;
+        elements.turnTimer.classList.toggle('urgent', secondsLeft <= 10);
+        if (secondsLeft === 0) {
+            clearInterval(turnTimerInterval);
+            turnTimerInterval = null;
+        }
+    };
+
+    elements.turnTimer.classList.remove('hidden');
+    tick();
+    turnTimerInterval = setInterval(tick, 500);
+}
+
+// Stop the countdown (game over or leaving the game)
+function stopTurnTimer() {
+    clearInterval(turnTimerInterval);
+    turnTimerInterval = null;
+    elements.turnTimer.classList.add('hidden');
+}
+
+// Whether the current game uses the classic gin ruleset
+function isClassicGin() {
+    return Boolean(gameState?.ginInfo);
 }
 
 // Render other players around the table
@@ -445,13 +725,21 @@ function createPlayerElement(player, position) {
 
     playerEl.innerHTML = `
       <div class="player-avatar-container ${isCurrentTurn ? 'active' : ''}">
-        <div class="player-avatar">${initial}</div>
-        <span class="player-name">${player.name}</span>
+        <div class="player-avatar"></div>
+        <span class="player-name"></span>
+        ${player.botControlled ? '<span class="player-badge bot"></span>' : ''}
+        ${player.away && !player.botControlled ? '<span class="player-badge away">Away</span>' : ''}
       </div>
       <div class="player-cards ${isVertical ? 'vertical' : 'horizontal'}">
         ${cardsHtml}
       </div>
     `;
+    // Player names are free text, so they go in as text
+    playerEl.querySelector('.player-avatar').textContent = initial;
+    playerEl.querySelector('.player-name').textContent = player.name;
+    if (player.botControlled) {
+        playerEl.querySelector('.player-badge.bot').textContent = `🤖 Bot playing for ${player.name}`;
+    }
 
     return playerEl;
 }
@@ -496,7 +784,9 @@ function renderMelds() {
     // else: default large size
 
     if (gameState.melds.length === 0) {
-        elements.meldsContainer.innerHTML = '<div class="no-melds">No melds yet</div>';
+        elements.meldsContainer.innerHTML = isClassicGin()
+            ? '<div class="no-melds">Melds stay in your hand until someone knocks</div>'
+            : '<div class="no-melds">No melds yet</div>';
         return;
     }
 
@@ -529,31 +819,8 @@ function createMeldElementSelectable(meld) {
     meldEl.className = 'meld-group';
     meldEl.dataset.meldId = meld.id;
 
-    // Sort cards for display (same logic as in cards.js)
-    const isRun = meld.cards.length > 0 &&
-        meld.cards.every(c => c.suit === meld.cards[0].suit);
-
-    let sortedCards;
-    if (isRun) {
-        const rankValues = { 'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13 };
-        sortedCards = [...meld.cards].sort((a, b) => rankValues[a.rank] - rankValues[b.rank]);
-
-        // Handle Ace-high runs
-        if (sortedCards.length >= 3) {
-            const hasAce = sortedCards.some(c => c.rank === 'A');
-            const hasKing = sortedCards.some(c => c.rank === 'K');
-            const hasTwo = sortedCards.some(c => c.rank === '2');
-            if (hasAce && hasKing && !hasTwo) {
-                const aceIndex = sortedCards.findIndex(c => c.rank === 'A');
-                const ace = sortedCards.splice(aceIndex, 1)[0];
-                sortedCards.push(ace);
-            }
-        }
-    } else {
-        sortedCards = meld.cards;
-    }
-
-    sortedCards.forEach(card => {
+    // Sort cards for display (wild cards go into the gaps they fill)
+    sortMeldCards(meld.cards).forEach(card => {
         const cardEl = createCardElement(card, { selectable: false });
 
         // Make table cards selectable during play phase
@@ -637,7 +904,7 @@ function renderDeckAndDiscard() {
 // Render player's hand
 function renderHand() {
     elements.playerHand.innerHTML = '';
-    elements.handCount.textContent = `${gameState.myHand.length} cards`;
+    elements.handCount.textContent = gameState.isSpectator ? '' : `${gameState.myHand.length} cards`;
 
     gameState.myHand.forEach((card, index) => {
         const cardEl = createCardElement(card, {
@@ -721,6 +988,22 @@ function updateActionButtons() {
     // Rearrange button - enabled when it's play phase and there are melds on table
     const hasMelds = gameState?.melds?.length > 0;
     elements.rearrangeBtn.disabled = !canPlay || !hasMelds;
+
+    // Undo - only while this turn has plays to take back
+    elements.undoBtn.disabled = !canPlay || !gameState?.canUndo;
+
+    // Classic gin replaces table play with knocking
+    const gin = gameState?.ginInfo;
+    elements.rearrangeBtn.classList.toggle('hidden', Boolean(gin));
+    elements.undoBtn.classList.toggle('hidden', Boolean(gin));
+    elements.playMeldBtn.classList.toggle('hidden', Boolean(gin));
+    elements.knockBtn.classList.toggle('hidden', !gin);
+    elements.bigGinBtn.classList.toggle('hidden', !gin?.bigGin);
+
+    // Knock - need exactly 1 discard and low enough deadwood after throwing it
+    const canKnock = gin?.bestKnockDeadwood !== null && gin?.bestKnockDeadwood <= gin?.knockLimit;
+    elements.knockBtn.disabled = !canPlay || !canKnock || selectedCards.length !== 1;
+    elements.bigGinBtn.disabled = !canPlay || gin?.deadwood !== 0;
 }
 
 // Handle draw card
@@ -816,10 +1099,7 @@ async function handlePlayMeld() {
                 cards: allCards
             });
 
-            // Cards from hand that are being used
-            const cardsFromHand = selectedCards.map(c => c.id);
-
-            await socketClient.rearrangeTable(proposedMelds, cardsFromHand);
+            await socketClient.rearrangeTable(proposedMelds);
             clearSelection();
             selectedTableCards = [];
             showToast('Table rearranged!', 'success');
@@ -861,6 +1141,18 @@ async function handleAddToMeld(meldId) {
     }
 }
 
+// Handle undo of the last play this turn
+async function handleUndo() {
+    try {
+        await socketClient.undo();
+        clearSelection();
+        selectedTableCards = [];
+        showToast('Last play undone', 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 // Handle discard
 async function handleDiscard() {
     if (selectedCards.length !== 1) {
@@ -876,6 +1168,31 @@ async function handleDiscard() {
     }
 }
 
+// Handle knock (classic gin) - the selected card is discarded face down
+async function handleKnock() {
+    if (selectedCards.length !== 1) {
+        showToast('Select the card to discard when knocking', 'warning');
+        return;
+    }
+
+    try {
+        await socketClient.knock(selectedCards[0].id);
+        clearSelection();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Handle big gin (classic gin) - all 11 cards form melds
+async function handleBigGin() {
+    try {
+        await socketClient.declareBigGin();
+        clearSelection();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 // ========================================
 // REARRANGE MODE FUNCTIONS
 // ========================================
@@ -893,6 +1210,7 @@ function enterRearrangeMode() {
     originalMelds = JSON.parse(JSON.stringify(gameState.melds));
     proposedMelds = JSON.parse(JSON.stringify(gameState.melds));
     cardsUsedFromHand = [];
+    wildsTakenFromTable = [];
     
     // Clear any selections
     clearSelection();
@@ -908,7 +1226,10 @@ function enterRearrangeMode() {
     elements.deckPile?.classList.add('disabled');
     elements.discardPile?.classList.add('disabled');
     
-    showToast('Rearrange mode: Drag cards between melds freely!', 'info');
+    const hasWildsOnTable = gameState.melds.some(m => m.cards.some(isWildCard));
+    showToast(hasWildsOnTable
+        ? 'Rearrange mode: Drag cards between melds freely! Swap a natural card for a wild by dragging the wild to your hand.'
+        : 'Rearrange mode: Drag cards between melds freely!', 'info');
     
     renderRearrangeMelds();
     renderHandForRearrange();
@@ -920,6 +1241,7 @@ function exitRearrangeMode() {
     proposedMelds = [];
     originalMelds = [];
     cardsUsedFromHand = [];
+    wildsTakenFromTable = [];
     currentDragData = null; // Clear any lingering drag data
     
     elements.actionBar.classList.remove('hidden');
@@ -959,16 +1281,29 @@ async function confirmRearrangeMode() {
         }
     }
     
-    // Check that all original table cards are still on the table
+    // Check that all original table cards are still on the table (except swapped wilds)
     const originalCardIds = new Set(originalMelds.flatMap(m => m.cards.map(c => c.id)));
     const proposedCardIds = new Set(validMelds.flatMap(m => m.cards.map(c => c.id)));
+    const takenIds = new Set(wildsTakenFromTable.map(c => c.id));
     
     for (const id of originalCardIds) {
-        if (!proposedCardIds.has(id)) {
+        if (!proposedCardIds.has(id) && !takenIds.has(id)) {
             validationErrors.push('Cannot remove cards from table back to hand');
             break;
         }
     }
+
+    // Each wild taken off the table must be replaced by a natural card from hand in the same meld
+    for (const meld of originalMelds) {
+        const taken = meld.cards.filter(c => takenIds.has(c.id)).length;
+        if (taken === 0) continue;
+        const proposed = validMelds.find(m => m.id === meld.id);
+        const naturalsPlayed = (proposed?.cards || []).filter(c => !originalCardIds.has(c.id) && !isWildCard(c)).length;
+        if (naturalsPlayed < taken) {
+            validationErrors.push('Play a natural card from your hand into the meld for each wild card you take');
+            break;
+        }
+    }
     
     if (validationErrors.length > 0) {
         showToast(validationErrors[0], 'error');
@@ -977,7 +1312,7 @@ async function confirmRearrangeMode() {
     }
     
     // Check if player would have cards left to discard
-    const remainingHandCount = gameState.myHand.length - cardsUsedFromHand.length;
+    const remainingHandCount = gameState.myHand.length - cardsUsedFromHand.length + wildsTakenFromTable.length;
     if (remainingHandCount === 0) {
         showToast('You must keep at least 1 card to discard', 'error');
         return;
@@ -985,7 +1320,7 @@ async function confirmRearrangeMode() {
     
     try {
         // Send the rearrangement to server
-        await socketClient.rearrangeTable(validMelds, cardsUsedFromHand);
+        await socketClient.rearrangeTable(validMelds);
         exitRearrangeMode();
         showToast('Table rearranged successfully!', 'success');
     } catch (error) {
@@ -994,53 +1329,55 @@ async function confirmRearrangeMode() {
 }
 
 // Local meld validation (for real-time feedback)
+// Mirrors the server rules: wild cards fill gaps in runs or stand in for a
+// set's rank, up to the game's limit per meld and never outnumbering naturals.
+// The Ace follows the game's ace mode (low, high or low, around the corner).
 function isValidMeldLocal(cards) {
     if (cards.length < 3) return false;
-    
-    // Check for set (same rank)
-    const firstRank = cards[0].rank;
-    if (cards.every(c => c.rank === firstRank)) {
-        return true;
-    }
-    
-    // Check for run (same suit, consecutive)
-    const firstSuit = cards[0].suit;
-    if (!cards.every(c => c.suit === firstSuit)) {
-        return false;
+
+    const { deucesWild, maxWilds, aceMode } = getMeldOptions();
+    const jokers = cards.filter(c => c.rank === JOKER);
+    const deuces = deucesWild ? cards.filter(c => c.rank === '2') : [];
+    const others = cards.filter(c => c.rank !== JOKER && !deuces.includes(c));
+
+    // A wild deuce may also stand for itself
+    const readings = [{ naturals: others, wildCount: jokers.length + deuces.length }];
+    deuces.forEach(deuce => {
+        readings.push({ naturals: [...others, deuce], wildCount: jokers.length + deuces.length - 1 });
+    });
+    if (deuces.length > 1) {
+        readings.push({ naturals: [...others, ...deuces], wildCount: jokers.length });
     }
-    
-    // Sort by value
-    const sorted = [...cards].sort((a, b) => a.value - b.value);
-    
-    // Check consecutive
-    for (let i = 1; i < sorted.length; i++) {
-        if (sorted[i].value !== sorted[i - 1].value + 1) {
-            // Check for Ace-high run (Q-K-A)
-            const hasAce = sorted.some(c => c.rank === 'A');
-            if (hasAce) {
-                // Re-sort with Ace = 14
-                const sortedAceHigh = [...cards].sort((a, b) => {
-                    const valA = a.rank === 'A' ? 14 : a.value;
-                    const valB = b.rank === 'A' ? 14 : b.value;
-                    return valA - valB;
-                });
-                
-                let isAceHighValid = true;
-                for (let j = 1; j < sortedAceHigh.length; j++) {
-                    const prevVal = sortedAceHigh[j - 1].rank === 'A' ? 14 : sortedAceHigh[j - 1].value;
-                    const currVal = sortedAceHigh[j].rank === 'A' ? 14 : sortedAceHigh[j].value;
-                    if (currVal !== prevVal + 1) {
-                        isAceHighValid = false;
-                        break;
-                    }
-                }
-                if (isAceHighValid) return true;
+
+    return readings.some(({ naturals, wildCount }) => {
+        if (naturals.length === 0) return false;
+        if (wildCount > 0 && (wildCount > maxWilds || wildCount > naturals.length)) return false;
+
+        // Set: same rank
+        if (naturals.every(c => c.rank === naturals[0].rank)) return true;
+
+        // Run: same suit, wilds fill the gaps
+        if (!naturals.every(c => c.suit === naturals[0].suit)) return false;
+        if (naturals.length + wildCount > 13) return false;
+
+        const hasAce = naturals.some(c => c.rank === 'A');
+        const aceValues = hasAce && aceMode === 'highOrLow' ? [1, 14] : [1];
+        return aceValues.some(aceValue => {
+            const values = naturals.map(c => (c.rank === 'A' ? aceValue : c.value)).sort((a, b) => a - b);
+            if (values.some((v, i) => i > 0 && v === values[i - 1])) return false;
+
+            let span = values[values.length - 1] - values[0] + 1;
+            if (aceMode === 'aroundTheCorner') {
+                // Ranks wrap (K-A-2): leave out the widest gap between neighbours
+                const widestGap = Math.max(
+                    values[0] + 13 - values[values.length - 1],
+                    ...values.slice(1).map((v, i) => v - values[i])
+                );
+                span = 13 - widestGap + 1;
             }
-            return false;
-        }
-    }
-    
-    return true;
+            return span - values.length <= wildCount;
+        });
+    });
 }
 
 // Update rearrange status text
@@ -1158,34 +1495,8 @@ function renderRearrangeMelds() {
     updateRearrangeValidation();
 }
 
-// Sort meld cards for display
-function sortMeldCards(cards) {
-    if (cards.length === 0) return cards;
-    
-    const isRun = cards.every(c => c.suit === cards[0].suit);
-    
-    if (isRun) {
-        const rankValues = { 'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 11, 'Q': 12, 'K': 13 };
-        const sorted = [...cards].sort((a, b) => rankValues[a.rank] - rankValues[b.rank]);
-        
-        // Handle Ace-high runs
-        if (sorted.length >= 3) {
-            const hasAce = sorted.some(c => c.rank === 'A');
-            const hasKing = sorted.some(c => c.rank === 'K');
-            const hasTwo = sorted.some(c => c.rank === '2');
-            if (hasAce && hasKing && !hasTwo) {
-                const aceIndex = sorted.findIndex(c => c.rank === 'A');
-                const ace = sorted.splice(aceIndex, 1)[0];
-                sorted.push(ace);
-            }
-        }
-        return sorted;
-    }
-    
-    return cards;
-}
-
 // Handle drop during rearrangement
+// targetMeldId is a meld ID, 'new' for a new meld, or 'hand' to take a card back
 function handleRearrangeDrop(targetMeldId) {
     // Use global drag data (more reliable than dataTransfer across browsers)
     const data = currentDragData;
@@ -1196,30 +1507,25 @@ function handleRearrangeDrop(targetMeldId) {
     const { cardId, sourceMeldId, sourceType } = data;
     
     if (sourceType === 'hand') {
-        // Moving card from hand to table
-        const card = gameState.myHand.find(c => c.id === cardId);
+        if (targetMeldId === 'hand') {
+            return; // Already in hand
+        }
+
+        // Moving card from hand to table (a swapped wild goes back to the table)
+        const takenIndex = wildsTakenFromTable.findIndex(c => c.id === cardId);
+        const card = takenIndex !== -1
+            ? wildsTakenFromTable.splice(takenIndex, 1)[0]
+            : gameState.myHand.find(c => c.id === cardId);
         if (!card) {
             return;
         }
         
         // Add to cards used from hand
-        if (!cardsUsedFromHand.includes(cardId)) {
+        if (takenIndex === -1 && !cardsUsedFromHand.includes(cardId)) {
             cardsUsedFromHand.push(cardId);
         }
         
-        if (targetMeldId === 'new') {
-            // Create new meld with this card
-            proposedMelds.push({
-                id: `meld_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                cards: [card]
-            });
-        } else {
-            // Add to existing meld
-            const targetMeld = proposedMelds.find(m => m.id === targetMeldId);
-            if (targetMeld) {
-                targetMeld.cards.push(card);
-            }
-        }
+        moveCardToMeld(card, targetMeldId);
     } else {
         // Moving card between melds on table
         if (sourceMeldId === targetMeldId) {
@@ -1236,21 +1542,23 @@ function handleRearrangeDrop(targetMeldId) {
         if (cardIndex === -1) {
             return;
         }
-        
-        const [card] = sourceMeld.cards.splice(cardIndex, 1);
-        
-        if (targetMeldId === 'new') {
-            // Create new meld with this card
-            proposedMelds.push({
-                id: `meld_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                cards: [card]
-            });
-        } else {
-            // Add to existing meld
-            const targetMeld = proposedMelds.find(m => m.id === targetMeldId);
-            if (targetMeld) {
-                targetMeld.cards.push(card);
+
+        if (targetMeldId === 'hand') {
+            // Cards played from hand can be taken back, table wilds can be swapped out
+            const card = sourceMeld.cards[cardIndex];
+            if (cardsUsedFromHand.includes(cardId)) {
+                cardsUsedFromHand = cardsUsedFromHand.filter(id => id !== cardId);
+            } else if (isWildCard(card)) {
+                wildsTakenFromTable.push(card);
+            } else {
+                showToast('Only wild cards can be taken off the table', 'warning');
+                currentDragData = null;
+                return;
             }
+            sourceMeld.cards.splice(cardIndex, 1);
+        } else {
+            const [card] = sourceMeld.cards.splice(cardIndex, 1);
+            moveCardToMeld(card, targetMeldId);
         }
     }
     
@@ -1261,14 +1569,33 @@ function handleRearrangeDrop(targetMeldId) {
     renderHandForRearrange();
 }
 
+// Put a card into a proposed meld, or start a new meld with it
+function moveCardToMeld(card, targetMeldId) {
+    if (targetMeldId === 'new') {
+        // Create new meld with this card
+        proposedMelds.push({
+            id: `meld_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            cards: [card]
+        });
+    } else {
+        // Add to existing meld
+        const targetMeld = proposedMelds.find(m => m.id === targetMeldId);
+        if (targetMeld) {
+            targetMeld.cards.push(card);
+        }
+    }
+}
+
 // Render hand during rearrange mode (with used cards marked)
 function renderHandForRearrange() {
     elements.playerHand.innerHTML = '';
     
-    const availableCards = gameState.myHand.filter(c => !cardsUsedFromHand.includes(c.id));
+    // Wild cards swapped off the table are shown at the end of the hand
+    const handCards = [...gameState.myHand, ...wildsTakenFromTable];
+    const availableCards = handCards.filter(c => !cardsUsedFromHand.includes(c.id));
     elements.handCount.textContent = `${availableCards.length} cards (${cardsUsedFromHand.length} on table)`;
     
-    gameState.myHand.forEach((card, index) => {
+    handCards.forEach((card, index) => {
         const isUsed = cardsUsedFromHand.includes(card.id);
         
         const cardEl = createCardElement(card, {
@@ -1338,6 +1665,13 @@ function updateRearrangeValidation() {
 
 // Handle leave game
 async function handleLeaveGame() {
+    if (socketClient.spectating) {
+        await socketClient.stopSpectating();
+        elements.gameMenuModal.classList.remove('active');
+        showScreen('home-screen');
+        return;
+    }
+
     if (confirm('Are you sure you want to leave the game?')) {
         try {
             await socketClient.leaveLobby();
@@ -1349,6 +1683,18 @@ async function handleLeaveGame() {
     }
 }
 
+// Ask for a seat in the next round while watching
+async function handleTakeSeatNextRound() {
+    try {
+        await socketClient.takeSeat();
+        elements.menuTakeSeatBtn.disabled = true;
+        elements.gameMenuModal.classList.remove('active');
+        showToast('You will be seated when the next round starts', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 // Handle play again
 async function handlePlayAgain() {
     try {
@@ -1363,13 +1709,49 @@ async function handlePlayAgain() {
 // Handle back to lobby
 async function handleBackToLobby() {
     try {
-        await socketClient.leaveLobby();
+        if (socketClient.spectating) {
+            await socketClient.stopSpectating();
+        } else {
+            await socketClient.leaveLobby();
+        }
         showScreen('home-screen');
     } catch (error) {
         showToast(error.message, 'error');
     }
 }
 
+// Show a replayed state on the game table (see replay.js)
+// The view has the same shape as a player's game state, seen from one seat
+export function showReplayView(view) {
+    if (!isReplayMode) {
+        if (isRearrangeMode) exitRearrangeMode();
+        isReplayMode = true;
+        stopTurnTimer();
+        clearSelection();
+        selectedTableCards = [];
+        elements.actionBar.classList.add('hidden');
+        elements.gameMenuBtn.classList.add('hidden');
+        setDeckStyle(view.settings?.deckStyle || 'default');
+        setMeldOptions(view.settings);
+        showScreen('game-screen');
+    }
+
+    gameState = view;
+    elements.handLabel.textContent = `${view.myName}'s Hand`;
+    renderGame();
+}
+
+// Leave replay mode and give the table back to live games
+export function endReplayView() {
+    if (!isReplayMode) return;
+
+    isReplayMode = false;
+    gameState = null;
+    elements.actionBar.classList.remove('hidden');
+    elements.gameMenuBtn.classList.remove('hidden');
+    elements.handLabel.textContent = 'Your Hand';
+}
+
 // Export for external use
 export function getGameState() {
     return gameState;
@@ -3,6 +3,7 @@
 
 import { socketClient } from './socket.js';
 import { showToast } from './main.js';
+import { loadChatHistory } from './chat.js';
 
 // DOM Elements
 let elements = {};
@@ -12,7 +13,32 @@ let currentLobby = null;
 let isHost = false;
 let numDecks = 1;
 let deckStyle = 'default';
+let rulesMode = 'rummy'; // 'rummy' or 'classicGin'
+let bigGin = false;
+let jokers = 0; // Jokers added to each deck
+let deucesWild = false;
+let maxWilds = 1; // Most wild cards allowed in one meld
+let aceMode = 'highOrLow'; // 'low' | 'highOrLow' | 'aroundTheCorner'
+let acePoints = 1; // Penalty for an Ace left in hand
+let matchMode = false; // Play rounds until someone reaches the target score
+let targetScore = 100;
+let turnTimer = 0; // Seconds per turn (0 = no clock)
+let botTakeover = 30; // Seconds before a bot plays a disconnected seat (0 = never)
+let allowSpectators = true; // Let people watch without a seat
+let isPublic = false; // Listed in the public lobby browser
+let rated = false; // Rated games update players' ratings
 let firstPlayerIndex = null; // Who goes first
+let botDifficulty = 'normal'; // Strategy for the next test player added
+let browsingLobbies = false; // Home screen is up and receiving public lobby list updates
+
+// Target score choices for match mode
+const TARGET_SCORES = [50, 100, 150, 200, 250, 300, 500];
+
+// Badge text for test players by difficulty
+const BOT_DIFFICULTY_LABELS = { easy: 'Easy Bot', normal: 'Bot', hard: 'Hard Bot' };
+
+// Rules names shown in the public lobby browser
+const RULES_LABELS = { rummy: 'Rummy', classicGin: 'Classic Gin' };
 
 // Initialize lobby module
 export function initLobby() {
@@ -29,24 +55,75 @@ function cacheElements() {
         createLobbyBtn: document.getElementById('create-lobby-btn'),
         lobbyCodeInput: document.getElementById('lobby-code-input'),
         joinLobbyBtn: document.getElementById('join-lobby-btn'),
+        spectateLobbyBtn: document.getElementById('spectate-lobby-btn'),
+        publicLobbyList: document.getElementById('public-lobby-list'),
 
         // Waiting room
         leaveLobbyBtn: document.getElementById('leave-lobby-btn'),
         lobbyCode: document.getElementById('lobby-code'),
+        lobbyLockBadge: document.getElementById('lobby-lock-badge'),
         copyCodeBtn: document.getElementById('copy-code-btn'),
         playerCount: document.getElementById('player-count'),
         playersList: document.getElementById('players-list'),
+        spectatorCount: document.getElementById('spectator-count'),
+        testPlayerControls: document.getElementById('test-player-controls'),
         addTestPlayerBtn: document.getElementById('add-test-player-btn'),
+        botDifficultyBtns: document.querySelectorAll('[data-bot-difficulty]'),
         hostSettings: document.getElementById('host-settings'),
+        tournamentBadge: document.getElementById('tournament-match-badge'),
         decksMinus: document.getElementById('decks-minus'),
         decksPlus: document.getElementById('decks-plus'),
         numDecksDisplay: document.getElementById('num-decks-display'),
         deckDefaultBtn: document.getElementById('deck-default-btn'),
         deckCustomBtn: document.getElementById('deck-custom-btn'),
+        rulesRummyBtn: document.getElementById('rules-rummy-btn'),
+        rulesGinBtn: document.getElementById('rules-gin-btn'),
+        bigGinRow: document.getElementById('big-gin-row'),
+        bigGinOffBtn: document.getElementById('big-gin-off-btn'),
+        bigGinOnBtn: document.getElementById('big-gin-on-btn'),
+        jokersRow: document.getElementById('jokers-row'),
+        jokersMinus: document.getElementById('jokers-minus'),
+        jokersPlus: document.getElementById('jokers-plus'),
+        jokersDisplay: document.getElementById('jokers-display'),
+        deucesWildRow: document.getElementById('deuces-wild-row'),
+        deucesOffBtn: document.getElementById('deuces-off-btn'),
+        deucesOnBtn: document.getElementById('deuces-on-btn'),
+        maxWildsRow: document.getElementById('max-wilds-row'),
+        maxWildsMinus: document.getElementById('max-wilds-minus'),
+        maxWildsPlus: document.getElementById('max-wilds-plus'),
+        maxWildsDisplay: document.getElementById('max-wilds-display'),
+        aceModeRow: document.getElementById('ace-mode-row'),
+        aceModeBtns: document.querySelectorAll('[data-ace-mode]'),
+        acePointsRow: document.getElementById('ace-points-row'),
+        acePointsBtns: document.querySelectorAll('[data-ace-points]'),
+        modeSingleBtn: document.getElementById('mode-single-btn'),
+        modeMatchBtn: document.getElementById('mode-match-btn'),
+        targetScoreRow: document.getElementById('target-score-row'),
+        targetMinus: document.getElementById('target-minus'),
+        targetPlus: document.getElementById('target-plus'),
+        targetScoreDisplay: document.getElementById('target-score-display'),
+        turnTimerBtns: document.querySelectorAll('[data-turn-timer]'),
+        botTakeoverBtns: document.querySelectorAll('[data-bot-takeover]'),
+        dealSeedInput: document.getElementById('deal-seed'),
+        casualBtn: document.getElementById('casual-btn'),
+        ratedBtn: document.getElementById('rated-btn'),
+        visibilityPrivateBtn: document.getElementById('visibility-private-btn'),
+        visibilityPublicBtn: document.getElementById('visibility-public-btn'),
+        lobbyOpenBtn: document.getElementById('lobby-open-btn'),
+        lobbyLockedBtn: document.getElementById('lobby-locked-btn'),
+        lobbyPasswordInput: document.getElementById('lobby-password'),
+        spectatorsOnBtn: document.getElementById('spectators-on-btn'),
+        spectatorsOffBtn: document.getElementById('spectators-off-btn'),
+        matchStandings: document.getElementById('match-standings'),
+        matchStandingsTitle: document.getElementById('match-standings-title'),
+        matchStandingsList: document.getElementById('match-standings-list'),
         startGameBtn: document.getElementById('start-game-btn'),
         waitingMessage: document.getElementById('waiting-message'),
+        spectatorBar: document.getElementById('spectator-bar'),
+        takeSeatBtn: document.getElementById('take-seat-btn'),
         
         // First player selection
+        firstPlayerSection: document.getElementById('first-player-section'),
         firstPlayerDisplay: document.getElementById('first-player-display'),
         firstPlayerName: document.getElementById('first-player-name'),
         shuffleFirstBtn: document.getElementById('shuffle-first-btn')
@@ -59,11 +136,15 @@ function setupEventListeners() {
     elements.createLobbyBtn.addEventListener('click', handleCreateLobby);
 
     // Join lobby
-    elements.joinLobbyBtn.addEventListener('click', handleJoinLobby);
+    elements.joinLobbyBtn.addEventListener('click', () => handleJoinLobby());
     elements.lobbyCodeInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') handleJoinLobby();
     });
 
+    // Watch a lobby without a seat
+    elements.spectateLobbyBtn.addEventListener('click', () => handleSpectateLobby());
+    elements.takeSeatBtn.addEventListener('click', handleTakeSeat);
+
     // Format lobby code input
     elements.lobbyCodeInput.addEventListener('input', (e) => {
         e.target.value = e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
@@ -88,8 +169,73 @@ function setupEventListeners() {
     elements.deckDefaultBtn.addEventListener('click', () => updateDeckStyle('default'));
     elements.deckCustomBtn.addEventListener('click', () => updateDeckStyle('custom'));
 
+    // Rules
+    elements.rulesRummyBtn.addEventListener('click', () => updateRulesMode('rummy'));
+    elements.rulesGinBtn.addEventListener('click', () => updateRulesMode('classicGin'));
+    elements.bigGinOffBtn.addEventListener('click', () => updateBigGin(false));
+    elements.bigGinOnBtn.addEventListener('click', () => updateBigGin(true));
+
+    // Wild cards
+    elements.jokersMinus.addEventListener('click', () => updateWildSetting('jokers', Math.max(0, jokers - 1)));
+    elements.jokersPlus.addEventListener('click', () => updateWildSetting('jokers', Math.min(4, jokers + 1)));
+    elements.deucesOffBtn.addEventListener('click', () => updateWildSetting('deucesWild', false));
+    elements.deucesOnBtn.addEventListener('click', () => updateWildSetting('deucesWild', true));
+    elements.maxWildsMinus.addEventListener('click', () => updateWildSetting('maxWilds', Math.max(1, maxWilds - 1)));
+    elements.maxWildsPlus.addEventListener('click', () => updateWildSetting('maxWilds', Math.min(4, maxWilds + 1)));
+
+    // Ace handling
+    elements.aceModeBtns.forEach(btn => {
+        btn.addEventListener('click', () => updateAceSetting('aceMode', btn.dataset.aceMode));
+    });
+    elements.acePointsBtns.forEach(btn => {
+        btn.addEventListener('click', () => updateAceSetting('acePoints', parseInt(btn.dataset.acePoints, 10)));
+    });
+
+    // Match mode
+    elements.modeSingleBtn.addEventListener('click', () => updateMatchMode(false));
+    elements.modeMatchBtn.addEventListener('click', () => updateMatchMode(true));
+    elements.targetMinus.addEventListener('click', () => updateTargetScore(-1));
+    elements.targetPlus.addEventListener('click', () => updateTargetScore(1));
+
+    // Turn timer and bot takeover
+    elements.turnTimerBtns.forEach(btn => {
+        btn.addEventListener('click', () => updateTimingSetting('turnTimer', parseInt(btn.dataset.turnTimer, 10)));
+    });
+    elements.botTakeoverBtns.forEach(btn => {
+        btn.addEventListener('click', () => updateTimingSetting('botTakeover', parseInt(btn.dataset.botTakeover, 10)));
+    });
+
+    // Deal seed (letters, numbers, - and _; sent when the host leaves the field)
+    elements.dealSeedInput.addEventListener('input', (e) => {
+        e.target.value = e.target.value.replace(/[^A-Za-z0-9_-]/g, '');
+    });
+    elements.dealSeedInput.addEventListener('change', updateDealSeed);
+
+    // Rated or casual
+    elements.casualBtn.addEventListener('click', () => updateRated(false));
+    elements.ratedBtn.addEventListener('click', () => updateRated(true));
+
+    // Public lobby browser listing
+    elements.visibilityPrivateBtn.addEventListener('click', () => updateVisibility(false));
+    elements.visibilityPublicBtn.addEventListener('click', () => updateVisibility(true));
+
+    // Lobby access (host moderation)
+    elements.lobbyOpenBtn.addEventListener('click', () => updateLobbyLocked(false));
+    elements.lobbyLockedBtn.addEventListener('click', () => updateLobbyLocked(true));
+    elements.lobbyPasswordInput.addEventListener('change', updateLobbyPassword);
+
+    // Spectators
+    elements.spectatorsOnBtn.addEventListener('click', () => updateAllowSpectators(true));
+    elements.spectatorsOffBtn.addEventListener('click', () => updateAllowSpectators(false));
+
     // Add test player
     elements.addTestPlayerBtn.addEventListener('click', handleAddTestPlayer);
+    elements.botDifficultyBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            botDifficulty = btn.dataset.botDifficulty;
+            elements.botDifficultyBtns.forEach(b => b.classList.toggle('active', b === btn));
+        });
+    });
 
     // Start game
     elements.startGameBtn.addEventListener('click', handleStartGame);
@@ -103,6 +249,18 @@ function setupEventListeners() {
     socketClient.on('lobby:settingsUpdated', handleSettingsUpdated);
     socketClient.on('lobby:reset', handleLobbyReset);
     socketClient.on('lobby:firstPlayerUpdated', handleFirstPlayerUpdated);
+    socketClient.on('lobby:spectatorsUpdated', handleSpectatorsUpdated);
+    socketClient.on('lobby:spectateEnded', handleSpectateEnded);
+    socketClient.on('lobby:seated', handleSeated);
+    socketClient.on('spectateResumed', showSpectatedLobby);
+    socketClient.on('lobby:kicked', handleKicked);
+    socketClient.on('lobby:hostChanged', handleHostChanged);
+    socketClient.on('lobby:listUpdated', renderPublicLobbies);
+
+    // Rooms don't survive a reconnect, so watch the lobby list again
+    socketClient.on('connected', () => {
+        if (browsingLobbies) refreshPublicLobbies();
+    });
 }
 
 // Load saved player name
@@ -129,6 +287,36 @@ function getPlayerName() {
     return name;
 }
 
+// Get and validate the lobby code
+function getLobbyCode() {
+    const code = elements.lobbyCodeInput.value.trim();
+    if (!code) {
+        showToast('Please enter a lobby code', 'warning');
+        elements.lobbyCodeInput.focus();
+        return null;
+    }
+    if (code.length !== 6) {
+        showToast('Lobby code must be 6 characters', 'warning');
+        elements.lobbyCodeInput.focus();
+        return null;
+    }
+    return code;
+}
+
+// Run a join or spectate attempt, asking for the password while the lobby wants one
+async function withLobbyPassword(attempt) {
+    let password = null;
+    for (;;) {
+        try {
+            return await attempt(password);
+        } catch (error) {
+            if (!error.needsPassword) throw error;
+            password = prompt(`${error.message} Enter the lobby password:`);
+            if (!password) throw new Error('A password is needed to enter this lobby');
+        }
+    }
+}
+
 // Create lobby handler
 async function handleCreateLobby() {
     const name = getPlayerName();
@@ -137,9 +325,13 @@ async function handleCreateLobby() {
     elements.createLobbyBtn.disabled = true;
 
     try {
-        const response = await socketClient.createLobby(name, { numDecks, deckStyle });
+        const response = await socketClient.createLobby(name, {
+            numDecks, deckStyle, rulesMode, bigGin, jokers, deucesWild, maxWilds, aceMode, acePoints,
+            matchMode, targetScore, turnTimer, botTakeover, allowSpectators, isPublic, rated
+        });
         currentLobby = response.lobby;
         isHost = true;
+        loadChatHistory();
         showWaitingRoom();
         showToast('Lobby created! Share the code with friends.', 'success');
     } catch (error) {
@@ -150,28 +342,23 @@ async function handleCreateLobby() {
 }
 
 // Join lobby handler
-async function handleJoinLobby() {
-    const name = getPlayerName();
+// lobbyCode comes from the public lobby browser or a tournament, otherwise the code field is used
+// Tournament players take their seat under their account name
+export async function handleJoinLobby(lobbyCode = null, playerName = null) {
+    const name = playerName || getPlayerName();
     if (!name) return;
 
-    const code = elements.lobbyCodeInput.value.trim();
-    if (!code) {
-        showToast('Please enter a lobby code', 'warning');
-        elements.lobbyCodeInput.focus();
-        return;
-    }
-    if (code.length !== 6) {
-        showToast('Lobby code must be 6 characters', 'warning');
-        elements.lobbyCodeInput.focus();
-        return;
-    }
+    const code = lobbyCode || getLobbyCode();
+    if (!code) return;
 
     elements.joinLobbyBtn.disabled = true;
 
     try {
-        const response = await socketClient.joinLobby(code, name);
+        const response = await withLobbyPassword(password => socketClient.joinLobby(code, name, password));
         currentLobby = response.lobby;
-        isHost = false;
+        // Tournament lobbies start empty, so the first player in hosts
+        isHost = currentLobby.host === socketClient.socket.id;
+        loadChatHistory(response.chat);
         
         // Check if this is a reconnection to an active game
         if (response.isReconnection && response.gameState) {
@@ -195,8 +382,136 @@ async function handleJoinLobby() {
     }
 }
 
+// Spectate lobby handler
+export async function handleSpectateLobby(lobbyCode = null) {
+    const name = getPlayerName();
+    if (!name) return;
+
+    const code = lobbyCode || getLobbyCode();
+    if (!code) return;
+
+    elements.spectateLobbyBtn.disabled = true;
+
+    try {
+        const response = await withLobbyPassword(password => socketClient.spectateLobby(code, name, password));
+        showSpectatedLobby(response);
+        if (!response.gameState) {
+            showToast(`Watching lobby ${response.lobby.code}`, 'success');
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        elements.spectateLobbyBtn.disabled = false;
+    }
+}
+
+// Show a watched lobby: the table if a game is on, otherwise the waiting room
+function showSpectatedLobby(response) {
+    currentLobby = response.lobby;
+    isHost = false;
+    loadChatHistory(response.chat);
+
+    if (response.gameState) {
+        // The game module renders the table (see game.js)
+        socketClient.emit('spectating', { gameState: response.gameState });
+    } else {
+        showWaitingRoom();
+    }
+}
+
+// Take a seat while watching from the waiting room
+async function handleTakeSeat() {
+    elements.takeSeatBtn.disabled = true;
+
+    try {
+        const response = await socketClient.takeSeat();
+        if (response.queued) {
+            showToast('You will be seated when the next round starts', 'success');
+            return;
+        }
+        currentLobby = response.lobby;
+        showWaitingRoom();
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        elements.takeSeatBtn.disabled = false;
+    }
+}
+
+// A seat asked for during the game is ready (the lobby:reset that follows shows the waiting room)
+function handleSeated({ playerId }) {
+    socketClient.seatAsPlayer(playerId);
+    showToast('You have a seat for the next round!', 'success');
+}
+
+// The host turned spectating off or the lobby closed
+function handleSpectateEnded({ reason }) {
+    socketClient.spectating = null;
+    currentLobby = null;
+    showScreen('home-screen');
+    showToast(reason, 'warning');
+}
+
+// The host removed us from the lobby
+function handleKicked({ reason }) {
+    socketClient.forgetLobby();
+    currentLobby = null;
+    isHost = false;
+    showScreen('home-screen');
+    showToast(reason, 'warning');
+}
+
+// Someone else is host now (or we are)
+function handleHostChanged(lobbyData) {
+    currentLobby = lobbyData;
+    isHost = currentLobby.host === socketClient.socket.id;
+    updatePlayersList();
+    updateHostUI();
+
+    const host = currentLobby.players.find(p => p.isHost);
+    showToast(isHost ? 'You are now the host' : `${host?.name} is now the host`, 'info');
+}
+
+// Kick a player from the waiting room (host only)
+async function handleKickPlayer(playerIndex) {
+    const player = currentLobby.players[playerIndex];
+    if (!player.isTestPlayer && !confirm(`Remove ${player.name} from the lobby? They won't be able to rejoin.`)) return;
+
+    try {
+        await socketClient.kickPlayer(playerIndex);
+        showToast(`${player.name} was removed`, 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Hand the host role to another player
+async function handleTransferHost(playerIndex) {
+    const player = currentLobby.players[playerIndex];
+    if (!confirm(`Make ${player.name} the host?`)) return;
+
+    try {
+        await socketClient.transferHost(playerIndex);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Spectator count changed
+function handleSpectatorsUpdated(lobbyData) {
+    currentLobby = lobbyData;
+    updateSpectatorCount();
+}
+
 // Leave lobby handler
 async function handleLeaveLobby() {
+    if (socketClient.spectating) {
+        await socketClient.stopSpectating();
+        currentLobby = null;
+        showScreen('home-screen');
+        return;
+    }
+
     try {
         await socketClient.leaveLobby();
         currentLobby = null;
@@ -261,10 +576,320 @@ async function updateDeckStyle(style) {
     }
 }
 
+// Update rules mode
+async function updateRulesMode(mode) {
+    if (mode === rulesMode) return;
+
+    rulesMode = mode;
+    updateRulesUI();
+
+    try {
+        await socketClient.updateSettings({ rulesMode });
+        if (rulesMode === 'classicGin') {
+            showToast('Classic Gin is for exactly 2 players with a single deck', 'info');
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Toggle big gin (classic gin only)
+async function updateBigGin(enabled) {
+    if (enabled === bigGin) return;
+
+    bigGin = enabled;
+    updateRulesUI();
+
+    try {
+        await socketClient.updateSettings({ bigGin });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Update a wild card setting (jokers, deucesWild or maxWilds)
+async function updateWildSetting(key, value) {
+    const current = { jokers, deucesWild, maxWilds };
+    if (current[key] === value) return;
+
+    if (key === 'jokers') jokers = value;
+    if (key === 'deucesWild') deucesWild = value;
+    if (key === 'maxWilds') maxWilds = value;
+    updateRulesUI();
+
+    try {
+        await socketClient.updateSettings({ [key]: value });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Update how Aces are played (aceMode) or scored (acePoints)
+async function updateAceSetting(key, value) {
+    if ((key === 'aceMode' ? aceMode : acePoints) === value) return;
+
+    if (key === 'aceMode') aceMode = value;
+    if (key === 'acePoints') acePoints = value;
+    updateRulesUI();
+
+    try {
+        await socketClient.updateSettings({ [key]: value });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Sync rules controls with local state
+function updateRulesUI() {
+    const isGin = rulesMode === 'classicGin';
+    elements.rulesRummyBtn.classList.toggle('active', !isGin);
+    elements.rulesGinBtn.classList.toggle('active', isGin);
+    elements.bigGinRow.classList.toggle('hidden', !isGin);
+    elements.bigGinOffBtn.classList.toggle('active', !bigGin);
+    elements.bigGinOnBtn.classList.toggle('active', bigGin);
+
+    // Wild cards are only used with shared-table rummy
+    const hasWilds = jokers > 0 || deucesWild;
+    elements.jokersRow.classList.toggle('hidden', isGin);
+    elements.deucesWildRow.classList.toggle('hidden', isGin);
+    elements.maxWildsRow.classList.toggle('hidden', isGin || !hasWilds);
+    elements.jokersDisplay.textContent = jokers;
+    elements.deucesOffBtn.classList.toggle('active', !deucesWild);
+    elements.deucesOnBtn.classList.toggle('active', deucesWild);
+    elements.maxWildsDisplay.textContent = maxWilds;
+
+    // Classic gin always plays the Ace low for 1 point
+    elements.aceModeRow.classList.toggle('hidden', isGin);
+    elements.acePointsRow.classList.toggle('hidden', isGin);
+    elements.aceModeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.aceMode === aceMode));
+    elements.acePointsBtns.forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.acePoints, 10) === acePoints);
+    });
+}
+
+// Update the turn clock (turnTimer) or the bot takeover grace period (botTakeover), in seconds
+async function updateTimingSetting(key, seconds) {
+    if ((key === 'turnTimer' ? turnTimer : botTakeover) === seconds) return;
+
+    if (key === 'turnTimer') turnTimer = seconds;
+    if (key === 'botTakeover') botTakeover = seconds;
+    updateTimingUI();
+
+    try {
+        await socketClient.updateSettings({ [key]: seconds });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Sync turn timer and bot takeover buttons with local state
+function updateTimingUI() {
+    elements.turnTimerBtns.forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.turnTimer, 10) === turnTimer);
+    });
+    elements.botTakeoverBtns.forEach(btn => {
+        btn.classList.toggle('active', parseInt(btn.dataset.botTakeover, 10) === botTakeover);
+    });
+}
+
+// Fix the shuffle seed so every game in this lobby gets the same deal (blank = random)
+async function updateDealSeed() {
+    const seed = elements.dealSeedInput.value.trim();
+
+    try {
+        await socketClient.updateSettings({ seed });
+        showToast(seed ? `Games will be dealt from seed ${seed}` : 'Games will be dealt at random', 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+        elements.dealSeedInput.focus();
+    }
+}
+
+// The seed itself is never sent back to the lobby, only whether one is set
+function updateDealSeedUI() {
+    if (!currentLobby.seeded) elements.dealSeedInput.value = '';
+    elements.dealSeedInput.placeholder = currentLobby.seeded ? 'Seed set' : 'Random';
+}
+
+// Lock or reopen the lobby to new players
+async function updateLobbyLocked(locked) {
+    if (locked === Boolean(currentLobby.locked)) return;
+
+    try {
+        await socketClient.setLobbyLocked(locked);
+        showToast(locked ? 'Lobby locked - nobody new can join' : 'Lobby open to new players', 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Set the lobby password when the host leaves the field (blank removes it)
+async function updateLobbyPassword() {
+    const password = elements.lobbyPasswordInput.value.trim();
+
+    try {
+        await socketClient.setLobbyPassword(password);
+        elements.lobbyPasswordInput.value = '';
+        showToast(password ? 'Password set' : 'Password removed', 'info');
+    } catch (error) {
+        showToast(error.message, 'error');
+        elements.lobbyPasswordInput.focus();
+    }
+}
+
+// Sync lock and password controls, and the lock badge everyone sees
+// The password itself is never sent back, only whether one is set
+function updateLobbyAccessUI() {
+    const locked = Boolean(currentLobby.locked);
+    elements.lobbyOpenBtn.classList.toggle('active', !locked);
+    elements.lobbyLockedBtn.classList.toggle('active', locked);
+    elements.lobbyPasswordInput.placeholder = currentLobby.hasPassword ? 'Password set' : 'None';
+
+    elements.lobbyLockBadge.classList.toggle('hidden', !locked && !currentLobby.hasPassword);
+    elements.lobbyLockBadge.title = locked ? 'Locked: nobody new can join' : 'Password needed to join';
+}
+
+// Rated games change the ratings of signed-in players (games with bots never count)
+async function updateRated(enabled) {
+    if (enabled === rated) return;
+
+    rated = enabled;
+    updateRatedUI();
+
+    try {
+        await socketClient.updateSettings({ rated });
+        if (rated && currentLobby.players.some(p => p.isTestPlayer)) {
+            showToast('Games with bots are never rated', 'info');
+        }
+    } catch (error) {
+        rated = !enabled;
+        updateRatedUI();
+        showToast(error.message, 'error');
+    }
+}
+
+// Sync the game type toggle with local state
+function updateRatedUI() {
+    elements.casualBtn.classList.toggle('active', !rated);
+    elements.ratedBtn.classList.toggle('active', rated);
+}
+
+// List the lobby in the public lobby browser, or keep it to people with the code
+async function updateVisibility(enabled) {
+    if (enabled === isPublic) return;
+
+    isPublic = enabled;
+    updateVisibilityUI();
+
+    try {
+        await socketClient.updateSettings({ isPublic });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Sync the visibility toggle with local state
+function updateVisibilityUI() {
+    elements.visibilityPrivateBtn.classList.toggle('active', !isPublic);
+    elements.visibilityPublicBtn.classList.toggle('active', isPublic);
+}
+
+// Let people watch the lobby without a seat (turning it off sends current spectators away)
+async function updateAllowSpectators(enabled) {
+    if (enabled === allowSpectators) return;
+
+    allowSpectators = enabled;
+    updateAllowSpectatorsUI();
+
+    try {
+        await socketClient.updateSettings({ allowSpectators });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Sync the spectators toggle with local state
+function updateAllowSpectatorsUI() {
+    elements.spectatorsOnBtn.classList.toggle('active', allowSpectators);
+    elements.spectatorsOffBtn.classList.toggle('active', !allowSpectators);
+}
+
+// Update match mode
+async function updateMatchMode(enabled) {
+    if (enabled === matchMode) return;
+
+    matchMode = enabled;
+    updateMatchSettingsUI();
+
+    try {
+        await socketClient.updateSettings({ matchMode });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Step the match target score through the preset choices
+async function updateTargetScore(delta) {
+    const currentIndex = TARGET_SCORES.indexOf(targetScore);
+    const index = currentIndex === -1
+        ? TARGET_SCORES.indexOf(100)
+        : Math.max(0, Math.min(TARGET_SCORES.length - 1, currentIndex + delta));
+    if (TARGET_SCORES[index] === targetScore) return;
+
+    targetScore = TARGET_SCORES[index];
+    updateMatchSettingsUI();
+
+    try {
+        await socketClient.updateSettings({ targetScore });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Sync match mode controls with local state
+function updateMatchSettingsUI() {
+    elements.modeSingleBtn.classList.toggle('active', !matchMode);
+    elements.modeMatchBtn.classList.toggle('active', matchMode);
+    elements.targetScoreRow.classList.toggle('hidden', !matchMode);
+    elements.targetScoreDisplay.textContent = targetScore;
+}
+
+// Show running match standings in the waiting room
+function updateMatchStandings() {
+    const settings = currentLobby?.settings;
+    if (!settings?.matchMode) {
+        elements.matchStandings.classList.add('hidden');
+        return;
+    }
+
+    const match = currentLobby.match;
+    const inProgress = match && !match.finished;
+    elements.matchStandings.classList.remove('hidden');
+    elements.matchStandingsTitle.textContent = inProgress
+        ? `Match to ${match.targetScore} - Round ${match.round + 1} next`
+        : `Match to ${settings.targetScore} points`;
+
+    elements.matchStandingsList.innerHTML = '';
+    if (!inProgress) return;
+
+    match.standings.forEach((standing, index) => {
+        const row = document.createElement('div');
+        row.className = `score-row ${index === 0 && standing.total > 0 ? 'winner' : ''}`;
+        const name = document.createElement('span');
+        name.className = 'score-name';
+        name.textContent = standing.name;
+        const points = document.createElement('span');
+        points.className = 'score-points';
+        points.textContent = `${standing.total} pts`;
+        row.append(name, points);
+        elements.matchStandingsList.appendChild(row);
+    });
+}
+
 // Add test player handler
 async function handleAddTestPlayer() {
     try {
-        await socketClient.addTestPlayer();
+        await socketClient.addTestPlayer(botDifficulty);
         showToast('Test player added!', 'success');
     } catch (error) {
         showToast(error.message, 'error');
@@ -327,6 +952,7 @@ function showWaitingRoom() {
     
     updatePlayersList();
     updateHostUI();
+    updateMatchStandings();
     showScreen('waiting-room-screen');
 }
 
@@ -343,20 +969,52 @@ function updatePlayersList() {
         const isBot = player.isTestPlayer;
 
         playerEl.innerHTML = `
-      <div class="player-avatar" style="${isBot ? 'background: var(--accent-secondary);' : ''}">${isBot ? '🤖' : initial}</div>
+      <div class="player-avatar" style="${isBot ? 'background: var(--accent-secondary);' : ''}"></div>
       <div class="player-info">
-        <span class="player-name">${player.name}</span>
+        <span class="player-name"></span>
         ${player.isHost ? '<span class="host-badge">Host</span>' : ''}
-        ${isBot ? '<span class="test-badge">Test</span>' : ''}
+        ${isBot ? `<span class="test-badge">${BOT_DIFFICULTY_LABELS[player.difficulty] || 'Test'}</span>` : ''}
         ${!player.connected && !isBot ? '<span class="player-status">Disconnected</span>' : ''}
       </div>
     `;
+        // Player names are free text, so keep them out of the markup
+        playerEl.querySelector('.player-avatar').textContent = isBot ? '🤖' : initial;
+        playerEl.querySelector('.player-name').textContent = player.name;
+
+        // Host moderation for everyone else at the table
+        if (isHost && !player.isHost && !currentLobby.tournament) {
+            const actions = document.createElement('div');
+            actions.className = 'player-actions';
+            if (!isBot && player.connected) {
+                actions.appendChild(createPlayerActionButton('👑', `Make ${player.name} the host`, () => handleTransferHost(index)));
+            }
+            actions.appendChild(createPlayerActionButton('✕', `Remove ${player.name}`, () => handleKickPlayer(index), 'kick'));
+            playerEl.appendChild(actions);
+        }
 
         elements.playersList.appendChild(playerEl);
     });
 
     // Update start button state
     elements.startGameBtn.disabled = currentLobby.playerCount < 2;
+    updateSpectatorCount();
+}
+
+// Small button on a player row
+function createPlayerActionButton(icon, title, onClick, className = '') {
+    const btn = document.createElement('button');
+    btn.className = `player-action-btn ${className}`;
+    btn.textContent = icon;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+// Show how many people are watching
+function updateSpectatorCount() {
+    const count = currentLobby?.spectatorCount || 0;
+    elements.spectatorCount.textContent = `👀 ${count} watching`;
+    elements.spectatorCount.classList.toggle('hidden', count === 0);
 }
 
 // Update host-specific UI
@@ -370,11 +1028,48 @@ function updateHostUI() {
         elements.numDecksDisplay.textContent = numDecks;
         elements.deckDefaultBtn.classList.toggle('active', deckStyle === 'default');
         elements.deckCustomBtn.classList.toggle('active', deckStyle === 'custom');
+        rulesMode = currentLobby.settings.rulesMode || 'rummy';
+        bigGin = currentLobby.settings.bigGin || false;
+        jokers = currentLobby.settings.jokers || 0;
+        deucesWild = currentLobby.settings.deucesWild || false;
+        maxWilds = currentLobby.settings.maxWilds || 1;
+        aceMode = currentLobby.settings.aceMode || 'highOrLow';
+        acePoints = currentLobby.settings.acePoints || 1;
+        matchMode = currentLobby.settings.matchMode || false;
+        targetScore = currentLobby.settings.targetScore || 100;
+        turnTimer = currentLobby.settings.turnTimer || 0;
+        botTakeover = currentLobby.settings.botTakeover ?? 30;
+        allowSpectators = currentLobby.settings.allowSpectators ?? true;
+        isPublic = currentLobby.settings.isPublic || false;
+        rated = currentLobby.settings.rated || false;
+        updateRulesUI();
+        updateMatchSettingsUI();
+        updateTimingUI();
+        updateDealSeedUI();
+        updateAllowSpectatorsUI();
+        updateVisibilityUI();
+        updateRatedUI();
     } else {
         elements.hostSettings.classList.add('hidden');
         elements.startGameBtn.classList.add('hidden');
         elements.waitingMessage.classList.remove('hidden');
     }
+
+    updateLobbyAccessUI();
+
+    // Tournament matches are played with the organizer's settings, between the two players drawn
+    const tournamentMatch = currentLobby.tournament;
+    elements.tournamentBadge.classList.toggle('hidden', !tournamentMatch);
+    if (tournamentMatch) {
+        elements.hostSettings.classList.add('hidden');
+        elements.tournamentBadge.textContent = `🏅 ${tournamentMatch.name} · Match ${tournamentMatch.matchId}`;
+    }
+
+    // Spectators only watch: no bots, no first player shuffle, but a seat if they want one
+    const watching = Boolean(socketClient.spectating);
+    elements.spectatorBar.classList.toggle('hidden', !watching);
+    elements.testPlayerControls.classList.toggle('hidden', watching || Boolean(tournamentMatch));
+    elements.firstPlayerSection.classList.toggle('hidden', watching);
 }
 
 // Handle player joined
@@ -401,8 +1096,24 @@ function handleSettingsUpdated(lobbyData) {
     if (!isHost) {
         numDecks = lobbyData.settings.numDecks;
         deckStyle = lobbyData.settings.deckStyle || 'default';
+        rulesMode = lobbyData.settings.rulesMode || 'rummy';
+        bigGin = lobbyData.settings.bigGin || false;
+        jokers = lobbyData.settings.jokers || 0;
+        deucesWild = lobbyData.settings.deucesWild || false;
+        maxWilds = lobbyData.settings.maxWilds || 1;
+        aceMode = lobbyData.settings.aceMode || 'highOrLow';
+        acePoints = lobbyData.settings.acePoints || 1;
+        matchMode = lobbyData.settings.matchMode || false;
+        targetScore = lobbyData.settings.targetScore || 100;
+        turnTimer = lobbyData.settings.turnTimer || 0;
+        botTakeover = lobbyData.settings.botTakeover ?? 30;
+        allowSpectators = lobbyData.settings.allowSpectators ?? true;
+        isPublic = lobbyData.settings.isPublic || false;
+        rated = lobbyData.settings.rated || false;
         elements.numDecksDisplay.textContent = numDecks;
     }
+    updateLobbyAccessUI();
+    updateMatchStandings();
 }
 
 // Handle lobby reset (Play Again)
@@ -432,11 +1143,17 @@ function handleLobbyReset(lobbyData) {
     
     // Make sure host UI is correct
     updateHostUI();
+    updateMatchStandings();
     
     // Show the waiting room
     showScreen('waiting-room-screen');
     
-    showToast('Ready for a new game!', 'success');
+    const match = currentLobby.match;
+    if (match && !match.finished) {
+        showToast(`Ready for round ${match.round + 1}!`, 'success');
+    } else {
+        showToast('Ready for a new game!', 'success');
+    }
 }
 
 // Handle first player updated
@@ -490,6 +1207,92 @@ export function showScreen(screenId) {
         screen.classList.remove('active');
     });
     document.getElementById(screenId).classList.add('active');
+    setBrowsingLobbies(screenId === 'home-screen');
+}
+
+// ============ PUBLIC LOBBY BROWSER ============
+
+// Watch the public lobby list while the home screen is showing
+function setBrowsingLobbies(browsing) {
+    if (browsing === browsingLobbies) return;
+    browsingLobbies = browsing;
+
+    if (browsing) {
+        refreshPublicLobbies();
+    } else {
+        socketClient.unwatchLobbyList();
+    }
+}
+
+// Fetch the list and subscribe to its updates
+async function refreshPublicLobbies() {
+    try {
+        renderPublicLobbies(await socketClient.watchLobbyList());
+    } catch (error) {
+        console.error('Could not load public lobbies:', error.message);
+    }
+}
+
+// Render the public lobby list
+function renderPublicLobbies(lobbies) {
+    elements.publicLobbyList.innerHTML = '';
+
+    if (lobbies.length === 0) {
+        elements.publicLobbyList.innerHTML = '<p class="public-lobby-empty">No public lobbies right now - create one!</p>';
+        return;
+    }
+
+    lobbies.forEach(lobby => {
+        elements.publicLobbyList.appendChild(createPublicLobbyElement(lobby));
+    });
+}
+
+// One row in the lobby browser: host, table size, rules and what you can do
+function createPublicLobbyElement(lobby) {
+    const playing = lobby.status !== 'waiting';
+    const full = lobby.playerCount >= lobby.maxPlayers;
+    const settings = lobby.settings;
+
+    const details = [
+        RULES_LABELS[settings.rulesMode] || settings.rulesMode,
+        settings.rated ? 'Rated' : null,
+        `${lobby.playerCount}/${lobby.maxPlayers} players`,
+        settings.matchMode ? `to ${settings.targetScore}` : null,
+        settings.turnTimer ? `${settings.turnTimer}s turns` : null,
+        lobby.spectatorCount ? `👀 ${lobby.spectatorCount}` : null
+    ].filter(Boolean).join(' · ');
+
+    const lobbyEl = document.createElement('div');
+    lobbyEl.className = 'public-lobby';
+    lobbyEl.innerHTML = `
+      <div class="public-lobby-info">
+        <span class="public-lobby-host"></span>
+        <span class="public-lobby-details"></span>
+      </div>
+      <span class="public-lobby-status ${playing ? 'playing' : ''}">${playing ? 'In game' : full ? 'Full' : 'Waiting'}</span>
+    `;
+    // Names and settings come from strangers here, so keep them as text
+    lobbyEl.querySelector('.public-lobby-host').textContent = `${lobby.hostName}'s lobby${lobby.hasPassword ? ' 🔒' : ''}`;
+    lobbyEl.querySelector('.public-lobby-details').textContent = details;
+
+    if (!playing && !full) {
+        const joinBtn = document.createElement('button');
+        joinBtn.className = 'btn btn-secondary btn-small';
+        joinBtn.textContent = 'Join';
+        joinBtn.addEventListener('click', () => handleJoinLobby(lobby.code));
+        lobbyEl.appendChild(joinBtn);
+    }
+
+    if (settings.allowSpectators) {
+        const watchBtn = document.createElement('button');
+        watchBtn.className = 'btn btn-ghost btn-small';
+        watchBtn.textContent = '👀';
+        watchBtn.title = 'Watch without taking a seat';
+        watchBtn.addEventListener('click', () => handleSpectateLobby(lobby.code));
+        lobbyEl.appendChild(watchBtn);
+    }
+
+    return lobbyEl;
 }
 
 // Export for use in game module
@@ -4,6 +4,10 @@
 import { socketClient } from './socket.js';
 import { initLobby, showScreen } from './lobby.js';
 import { initGame } from './game.js';
+import { initReplay } from './replay.js';
+import { initChat } from './chat.js';
+import { initAccount } from './account.js';
+import { initTournament } from './tournament.js';
 
 // Toast notification system
 export function showToast(message, type = 'info') {
@@ -21,8 +25,10 @@ export function showToast(message, type = 'info') {
 
     toast.innerHTML = `
     <span class="toast-icon">${icons[type] || icons.info}</span>
-    <span class="toast-message">${message}</span>
+    <span class="toast-message"></span>
   `;
+    // Messages often carry player names, so they go in as text
+    toast.querySelector('.toast-message').textContent = message;
 
     container.appendChild(toast);
 
@@ -53,6 +59,10 @@ async function init() {
     // Initialize modules
     initLobby();
     initGame();
+    initReplay();
+    initChat();
+    initAccount();
+    initTournament();
 
     // Set up reconnection event handlers BEFORE connecting
     setupReconnectionHandlers();
@@ -134,6 +144,11 @@ function setupReconnectionHandlers() {
         showToast(`Reconnecting... (${attempt}/${maxAttempts})`, 'info');
     });
 
+    // Notices from the server admin (arrive HTML-escaped)
+    socketClient.on('server:notice', ({ message }) => {
+        showToast(`📢 ${message}`, 'warning');
+    });
+
     // Handle reconnection failure
     socketClient.on('reconnectFailed', (data) => {
         const errorMsg = data?.error || 'Session expired';
@@ -0,0 +1,434 @@
+// Replay viewer
+// Steps through a finished game's action log on the game table, reusing the live animations.
+// The log comes from the server at game over (or from a downloaded JSON file) and holds every
+// card, so any seat's hand can be followed.
+
+import { socketClient } from './socket.js';
+import { showScreen } from './lobby.js';
+import { showReplayView, endReplayView, formatCardName } from './game.js';
+import { handleGameAction } from './animations.js';
+import { showToast } from './main.js';
+
+// Time per action while playing (ms), and how long its animation gets before the table updates
+const STEP_DELAY = 1400;
+const ANIMATION_DELAY = 600;
+
+// DOM Elements
+let elements = {};
+
+// Replay state
+let gameLog = null; // Log of the game that just ended (null until fetched)
+let replay = null; // { log, position, seat, table, playing, timer, returnScreen }
+
+// Initialize replay module
+export function initReplay() {
+    cacheElements();
+    setupEventListeners();
+}
+
+// Cache DOM elements
+function cacheElements() {
+    elements = {
+        // Game over screen
+        downloadLogBtn: document.getElementById('download-log-btn'),
+        watchReplayBtn: document.getElementById('watch-replay-btn'),
+        // Home screen
+        openReplayBtn: document.getElementById('open-replay-btn'),
+        replayFileInput: document.getElementById('replay-file-input'),
+        // Replay controls
+        replayBar: document.getElementById('replay-bar'),
+        exitBtn: document.getElementById('replay-exit-btn'),
+        prevBtn: document.getElementById('replay-prev-btn'),
+        playBtn: document.getElementById('replay-play-btn'),
+        nextBtn: document.getElementById('replay-next-btn'),
+        scrubber: document.getElementById('replay-scrubber'),
+        position: document.getElementById('replay-position'),
+        seatSelect: document.getElementById('replay-seat')
+    };
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    elements.downloadLogBtn.addEventListener('click', handleDownloadLog);
+    elements.watchReplayBtn.addEventListener('click', () => {
+        if (gameLog) startReplay(gameLog, 'game-over-screen');
+    });
+
+    elements.openReplayBtn.addEventListener('click', () => elements.replayFileInput.click());
+    elements.replayFileInput.addEventListener('change', handleOpenReplayFile);
+
+    elements.exitBtn.addEventListener('click', exitReplay);
+    elements.prevBtn.addEventListener('click', () => {
+        pause();
+        seek(replay.position - 1);
+    });
+    elements.nextBtn.addEventListener('click', () => {
+        pause();
+        step();
+    });
+    elements.playBtn.addEventListener('click', () => {
+        if (replay.playing) {
+            pause();
+        } else {
+            play();
+        }
+    });
+    elements.scrubber.addEventListener('input', () => {
+        pause();
+        seek(parseInt(elements.scrubber.value, 10));
+    });
+    elements.seatSelect.addEventListener('change', () => {
+        replay.seat = parseInt(elements.seatSelect.value, 10);
+        render();
+    });
+
+    // Fetch the log as soon as a game ends: the game is gone once someone starts the next one
+    socketClient.on('game:over', fetchGameLog);
+    socketClient.on('game:started', () => {
+        gameLog = null;
+        stopReplay();
+    });
+    socketClient.on('lobby:reset', stopReplay);
+}
+
+// Ask the server for the finished game's log
+async function fetchGameLog() {
+    gameLog = null;
+    updateGameOverButtons();
+
+    try {
+        gameLog = await socketClient.getActionLog();
+    } catch (error) {
+        console.log('Could not fetch action log:', error.message);
+    }
+    updateGameOverButtons();
+}
+
+function updateGameOverButtons() {
+    elements.downloadLogBtn.disabled = !gameLog;
+    elements.watchReplayBtn.disabled = !gameLog;
+}
+
+// Save the log as a JSON file
+function handleDownloadLog() {
+    if (!gameLog) return;
+
+    const blob = new Blob([JSON.stringify(gameLog, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gin-rummy-${gameLog.lobbyCode}-${new Date(gameLog.actions[0]?.at || Date.now()).toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Load a downloaded log from the home screen
+async function handleOpenReplayFile() {
+    const file = elements.replayFileInput.files[0];
+    elements.replayFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const log = JSON.parse(await file.text());
+        if (!Array.isArray(log.actions) || log.actions[0]?.type !== 'deal' || !Array.isArray(log.players)) {
+            throw new Error('Not a game log');
+        }
+        startReplay(log, 'home-screen');
+    } catch (error) {
+        showToast(`Could not open replay: ${error.message}`, 'error');
+    }
+}
+
+// =====================================
+// REPLAY STATE
+// =====================================
+
+// Rebuild the table after the first `count` actions of a log
+function buildTable(log, count) {
+    let table = null;
+    for (const action of log.actions.slice(0, count)) {
+        table = applyAction(table, action, log.players.length);
+    }
+    return table;
+}
+
+// Apply one logged action to a replayed table and return it
+// The table is { hands, melds, discard, deckCount, currentTurn, phase, lastAction }
+function applyAction(table, action, numPlayers) {
+    if (action.type === 'deal') {
+        return {
+            hands: action.hands.map(hand => [...hand]),
+            melds: [],
+            discard: [action.discardTop],
+            deckCount: action.deckCount,
+            currentTurn: action.firstPlayerIndex,
+            phase: 'draw',
+            lastAction: action
+        };
+    }
+
+    const player = action.playerIndex;
+    const removeFromHand = cards => {
+        const ids = new Set(cards.map(card => card.id));
+        table.hands[player] = table.hands[player].filter(card => !ids.has(card.id));
+    };
+
+    switch (action.type) {
+        case 'reshuffle':
+            table.discard = table.discard.slice(-1);
+            table.deckCount = action.deckCount;
+            break;
+        case 'draw':
+            if (action.source === 'deck') {
+                table.deckCount--;
+            } else {
+                table.discard = table.discard.slice(0, -1);
+            }
+            table.hands[player] = [...table.hands[player], action.card];
+            table.currentTurn = player;
+            table.phase = 'play';
+            break;
+        case 'playMeld':
+            removeFromHand(action.cards);
+            table.melds = [...table.melds, { id: action.meldId, cards: [...action.cards] }];
+            break;
+        case 'addToMeld':
+            removeFromHand([action.card]);
+            table.melds = table.melds.map(meld => meld.id !== action.meldId ? meld : {
+                ...meld,
+                cards: action.position === 'start' ? [action.card, ...meld.cards] : [...meld.cards, action.card]
+            });
+            break;
+        case 'rearrange': {
+            removeFromHand(action.cardsFromHand);
+            table.hands[player] = [...table.hands[player], ...action.wildsTaken];
+            const { added, changed, removed } = action.changes;
+            const changedById = new Map(changed.map(meld => [meld.id, meld]));
+            table.melds = table.melds
+                .filter(meld => !removed.includes(meld.id))
+                .map(meld => changedById.has(meld.id) ? { ...meld, cards: [...changedById.get(meld.id).cards] } : meld)
+                .concat(added.map(meld => ({ id: meld.id, cards: [...meld.cards] })));
+            break;
+        }
+        case 'undo':
+            table.hands[player] = [...action.hand];
+            table.melds = action.melds.map(meld => ({ id: meld.id, cards: [...meld.cards] }));
+            break;
+        case 'discard':
+        case 'knock':
+            removeFromHand([action.card]);
+            table.discard = [...table.discard, action.card];
+            table.currentTurn = (player + 1) % numPlayers;
+            table.phase = 'draw';
+            break;
+        case 'win':
+            table.hands = action.hands.map(hand => [...hand]);
+            if (player !== null) table.currentTurn = player;
+            table.phase = 'over';
+            break;
+    }
+
+    table.lastAction = action;
+    return table;
+}
+
+// One line describing a logged action
+function describeAction(action, players) {
+    const name = action.playerName;
+    switch (action.type) {
+        case 'deal':
+            return `Cards dealt - ${players[action.firstPlayerIndex]} goes first`;
+        case 'reshuffle':
+            return 'Discard pile shuffled into a new deck';
+        case 'draw':
+            return action.source === 'deck'
+                ? `${name} drew ${formatCardName(action.card)} from the deck`
+                : `${name} took ${formatCardName(action.card)} from the discard pile`;
+        case 'playMeld':
+            return `${name} played ${action.cards.map(formatCardName).join(' ')}`;
+        case 'addToMeld':
+            return `${name} added ${formatCardName(action.card)} to a meld`;
+        case 'rearrange':
+            return `${name} rearranged the table`;
+        case 'undo':
+            return `${name} took back a play`;
+        case 'discard':
+            return `${name} discarded ${formatCardName(action.card)}`;
+        case 'knock':
+            return `${name} knocked, discarding ${formatCardName(action.card)}`;
+        case 'bigGin':
+            return `${name} declared big gin`;
+        case 'win':
+            return action.isDraw
+                ? 'Dead hand - no winner'
+                : `${name} wins${action.roundPoints ? ` (+${action.roundPoints})` : ''}`;
+        default:
+            return action.type;
+    }
+}
+
+// The replayed table as a game state seen from one seat, for the game module to render
+function toView(log, table, seat) {
+    const settings = log.settings || {};
+    return {
+        myHand: table.hands[seat],
+        myIndex: seat,
+        myName: log.players[seat],
+        otherPlayers: log.players.map((name, i) => ({
+            name,
+            cardCount: table.hands[i].length,
+            isMe: i === seat,
+            connected: true
+        })),
+        melds: table.melds,
+        discardTop: table.discard[table.discard.length - 1],
+        discardCount: table.discard.length,
+        deckCount: table.deckCount,
+        currentTurn: table.currentTurn,
+        currentPlayerName: log.players[table.currentTurn],
+        isMyTurn: false,
+        phase: table.phase,
+        canUndo: false,
+        turnDeadline: null,
+        winner: null,
+        ginInfo: null,
+        settings,
+        replayCaption: describeAction(table.lastAction, log.players)
+    };
+}
+
+// A logged action in the shape of a live game:action event, for the animations
+// Seats stand in for socket IDs: `seat-<index>`
+function toAnimationAction(action) {
+    const base = {
+        type: action.type,
+        playerId: `seat-${action.playerIndex}`,
+        playerName: action.playerName
+    };
+
+    switch (action.type) {
+        case 'draw':
+            return {
+                ...base,
+                source: action.source,
+                card: action.card,
+                cardForDiscard: action.source === 'discard' ? action.card : null
+            };
+        case 'playMeld':
+            return { ...base, cards: action.cards, cardCount: action.cards.length };
+        case 'addToMeld':
+            return { ...base, card: action.card, meldId: action.meldId, position: action.position };
+        case 'rearrange':
+            return { ...base, cardsFromHand: action.cardsFromHand, wildsTaken: action.wildsTaken };
+        case 'discard':
+        case 'knock':
+            return { ...base, card: action.card };
+        default:
+            return null;
+    }
+}
+
+// =====================================
+// PLAYBACK
+// =====================================
+
+// Open the replay viewer on a log
+function startReplay(log, returnScreen) {
+    stopReplay();
+
+    // Follow our own seat when we played in the game
+    const mySeat = log.players.indexOf(socketClient.playerName);
+    replay = {
+        log,
+        position: 1, // Actions applied so far (the deal is always shown)
+        seat: Math.max(0, mySeat),
+        table: buildTable(log, 1),
+        playing: false,
+        timer: null,
+        returnScreen
+    };
+
+    elements.seatSelect.replaceChildren(...log.players.map((name, i) => new Option(name, String(i))));
+    elements.seatSelect.value = String(replay.seat);
+    elements.scrubber.max = String(log.actions.length);
+    elements.scrubber.min = '1';
+    elements.replayBar.classList.remove('hidden');
+
+    render();
+}
+
+// Close the viewer and go back where it was opened from
+function exitReplay() {
+    const returnScreen = replay?.returnScreen || 'home-screen';
+    stopReplay();
+    showScreen(returnScreen);
+}
+
+// Stop playback and leave replay mode without changing screens
+function stopReplay() {
+    if (!replay) return;
+
+    clearTimeout(replay.timer);
+    replay = null;
+    elements.replayBar.classList.add('hidden');
+    endReplayView();
+}
+
+function render() {
+    showReplayView(toView(replay.log, replay.table, replay.seat));
+
+    elements.scrubber.value = String(replay.position);
+    elements.position.textContent = `${replay.position} / ${replay.log.actions.length}`;
+    elements.playBtn.textContent = replay.playing ? '⏸ Pause' : '▶ Play';
+    elements.prevBtn.disabled = replay.position <= 1;
+    elements.nextBtn.disabled = replay.position >= replay.log.actions.length;
+}
+
+// Jump straight to a position (no animation)
+function seek(position) {
+    const clamped = Math.max(1, Math.min(position, replay.log.actions.length));
+    replay.position = clamped;
+    replay.table = buildTable(replay.log, clamped);
+    render();
+}
+
+// Animate the next action, then show the table after it
+function step() {
+    if (replay.position >= replay.log.actions.length) {
+        pause();
+        return;
+    }
+
+    const current = replay;
+    const action = current.log.actions[current.position];
+    const animation = toAnimationAction(action);
+    if (animation) handleGameAction(animation, `seat-${current.seat}`);
+
+    current.position++;
+    current.table = applyAction(current.table, action, current.log.players.length);
+
+    clearTimeout(current.timer);
+    current.timer = setTimeout(() => {
+        if (replay !== current) return;
+        render();
+        if (current.playing) {
+            current.timer = setTimeout(() => {
+                if (replay === current && current.playing) step();
+            }, STEP_DELAY - ANIMATION_DELAY);
+        }
+    }, animation ? ANIMATION_DELAY : 0);
+}
+
+function play() {
+    if (replay.position >= replay.log.actions.length) seek(1);
+    replay.playing = true;
+    render();
+    step();
+}
+
+function pause() {
+    if (!replay) return;
+    replay.playing = false;
+    clearTimeout(replay.timer);
+    render();
+}
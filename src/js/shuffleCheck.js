@@ -0,0 +1,107 @@
+// Shuffle verification
+// The server publishes SHA-256(salt:seed:order) of the shuffled deck when the game starts and
+// reveals salt, seed and order when it ends. Recomputing the hash here shows the deck was
+// fixed before the deal; checking our own opening hand shows it is the deck we were dealt from.
+
+// SHA-256 round constants
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// SHA-256 of a string, as hex
+// Written out rather than using crypto.subtle, which browsers only offer on HTTPS or localhost
+// and this game is often played over plain HTTP on a home network
+export function sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) >>> 0;
+        });
+    }
+
+    return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+// What we saw when the cards were dealt, kept until the game ends
+// hand and discard are null if we only joined (or reconnected) after the deal
+export function recordDeal(state, { dealt = true } = {}) {
+    return {
+        commitment: state.shuffleCommitment || null,
+        myIndex: state.myIndex,
+        numPlayers: state.otherPlayers.length,
+        hand: dealt ? state.myHand.map(card => card.id) : null,
+        discard: dealt ? state.discardTop?.id || null : null
+    };
+}
+
+// Check the reveal from game:over against what was recorded at the deal
+// Returns { verified, message }
+export function verifyShuffle(deal, reveal) {
+    if (!deal?.commitment) {
+        return { verified: false, message: 'No shuffle commitment was received for this game' };
+    }
+    if (!reveal) {
+        return { verified: false, message: 'The server did not reveal the shuffle' };
+    }
+
+    const { seed, salt, order, handSize } = reveal;
+    if (sha256(`${salt}:${seed}:${order.join(',')}`) !== deal.commitment) {
+        return { verified: false, message: '❌ The revealed deck does not match the commitment made before the deal' };
+    }
+
+    if (!deal.hand) {
+        return { verified: true, message: '✅ The deck matches the commitment made before the deal (your opening hand was not seen on this device)' };
+    }
+
+    const dealtHand = order.slice(deal.myIndex * handSize, (deal.myIndex + 1) * handSize);
+    const sameHand = dealtHand.length === deal.hand.length && deal.hand.every(id => dealtHand.includes(id));
+    if (!sameHand) {
+        return { verified: false, message: '❌ Your opening hand is not the one this deck deals' };
+    }
+
+    if (deal.discard && order[deal.numPlayers * handSize] !== deal.discard) {
+        return { verified: false, message: '❌ The first discard is not the one this deck deals' };
+    }
+
+    return { verified: true, message: '✅ Shuffle verified: the deck was committed to before the deal and dealt your opening hand' };
+}
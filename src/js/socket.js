@@ -10,6 +10,9 @@ class SocketClient {
         this.playerId = null;  // Persistent player ID (survives page refresh)
         this.lobbyCode = null;
         this.playerName = null;
+        this.spectating = null; // Code of the lobby being watched without a seat
+        this.spectatingPassword = null; // Password given to watch it, to start watching again after a reconnect
+        this.account = null; // { username, token } while signed in
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 10;
         this.eventHandlers = new Map();
@@ -17,6 +20,7 @@ class SocketClient {
         
         // Load any saved session on construction
         this.loadSession();
+        this.loadAccount();
     }
 
     // Connect to the server
@@ -59,6 +63,11 @@ class SocketClient {
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
 
+                // Sign back in first, so the account is linked before rejoining a game
+                if (this.account) {
+                    this.resumeAccount();
+                }
+
                 // If we had a previous session, try to reconnect automatically
                 if (this.lobbyCode && this.playerId && !this.isReconnecting) {
                     console.log('Attempting to reconnect to previous session:', this.lobbyCode);
@@ -76,8 +85,17 @@ class SocketClient {
                             this.clearSession();
                             this.emit('reconnectFailed', { error: error.message });
                         });
+                } else if (this.spectating) {
+                    // Spectators are not remembered by the server, so start watching again
+                    this.spectateLobby(this.spectating, this.playerName, this.spectatingPassword)
+                        .then((result) => this.emit('spectateResumed', result))
+                        .catch((error) => {
+                            this.spectating = null;
+                            this.emit('lobby:spectateEnded', { reason: error.message });
+                        });
                 }
 
+                this.emit('connected');
                 resolve();
             });
 
@@ -153,10 +171,20 @@ class SocketClient {
             'lobby:settingsUpdated',
             'lobby:reset',
             'lobby:firstPlayerUpdated',
+            'lobby:spectatorsUpdated',
+            'lobby:spectateEnded',
+            'lobby:seated',
+            'chat:message',
+            'lobby:kicked',
+            'lobby:hostChanged',
+            'lobby:listUpdated',
+            'tournament:updated',
+            'server:notice',
             'game:started',
             'game:state',
             'game:action',
-            'game:over'
+            'game:over',
+            'match:over'
         ];
 
         events.forEach(event => {
@@ -210,17 +238,31 @@ class SocketClient {
     }
 
     // Join an existing lobby
-    joinLobby(lobbyCode, playerName) {
+    // A protected lobby rejects with error.needsPassword set until the right password is given
+    joinLobby(lobbyCode, playerName, password = null) {
         return new Promise((resolve, reject) => {
             // Pass persistent playerId if we have one (for reconnection)
             const playerId = this.playerId || null;
-            this.socket.emit('lobby:join', { lobbyCode, playerName, playerId }, (response) => {
+            this.socket.emit('lobby:join', { lobbyCode, playerName, playerId, password }, (response) => {
                 if (response.success) {
                     this.playerId = response.playerId;
                     this.lobbyCode = lobbyCode.toUpperCase();
                     this.playerName = playerName;
                     this.saveSession();
                     resolve(response);
+                } else {
+                    reject(Object.assign(new Error(response.error), { needsPassword: Boolean(response.needsPassword) }));
+                }
+            });
+        });
+    }
+
+    // Get the public lobby list and keep receiving lobby:listUpdated until unwatchLobbyList
+    watchLobbyList() {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('lobby:list', { watch: true }, (response) => {
+                if (response.success) {
+                    resolve(response.lobbies);
                 } else {
                     reject(new Error(response.error));
                 }
@@ -228,6 +270,62 @@ class SocketClient {
         });
     }
 
+    // Stop receiving public lobby list updates
+    unwatchLobbyList() {
+        this.socket.emit('lobby:unwatchList');
+    }
+
+    // Watch a lobby without taking a seat
+    spectateLobby(lobbyCode, playerName, password = null) {
+        return new Promise((resolve, reject) => {
+            // Send the persistent playerId too, so a kicked player can't come back as a spectator
+            const playerId = this.playerId || null;
+            this.socket.emit('lobby:spectate', { lobbyCode, playerName, password, playerId }, (response) => {
+                if (response.success) {
+                    this.spectating = response.lobby.code;
+                    this.spectatingPassword = password;
+                    this.playerName = playerName;
+                    resolve(response);
+                } else {
+                    reject(Object.assign(new Error(response.error), { needsPassword: Boolean(response.needsPassword) }));
+                }
+            });
+        });
+    }
+
+    // Stop watching
+    stopSpectating() {
+        return new Promise((resolve) => {
+            this.socket.emit('lobby:stopSpectating', (response) => {
+                this.spectating = null;
+                resolve(response);
+            });
+        });
+    }
+
+    // Ask for a seat while watching
+    // Resolves with queued: true when the seat comes with the next round (see lobby:seated)
+    takeSeat() {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('lobby:takeSeat', (response) => {
+                if (response.success) {
+                    if (!response.queued) this.seatAsPlayer(response.playerId);
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // A spectator got a seat: from now on this is a player session like any other
+    seatAsPlayer(playerId) {
+        this.playerId = playerId;
+        this.lobbyCode = this.spectating;
+        this.spectating = null;
+        this.saveSession();
+    }
+
     // Leave current lobby
     leaveLobby() {
         return new Promise((resolve) => {
@@ -240,6 +338,77 @@ class SocketClient {
         });
     }
 
+    // Send a chat message ({ text }) or quick reaction ({ reaction }) to the lobby
+    sendChat(message) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('chat:message', message, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Kick a player by their place in the lobby (host only)
+    kickPlayer(playerIndex) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('lobby:kick', { playerIndex }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Make another player the host (host only)
+    transferHost(playerIndex) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('lobby:transferHost', { playerIndex }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Lock or unlock the lobby against new players (host only)
+    setLobbyLocked(locked) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('lobby:setLocked', { locked }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Set the lobby password, or clear it with a blank one (host only)
+    setLobbyPassword(password) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('lobby:setPassword', { password }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Kicked from the lobby: drop the session but keep the player ID, so the host's ban still applies
+    forgetLobby() {
+        localStorage.removeItem('ginrummy_session');
+        this.lobbyCode = null;
+    }
+
     // Update lobby settings
     updateSettings(settings) {
         return new Promise((resolve, reject) => {
@@ -267,9 +436,10 @@ class SocketClient {
     }
 
     // Add a test player for development
-    addTestPlayer() {
+    // difficulty: 'easy' | 'normal' | 'hard'
+    addTestPlayer(difficulty = 'normal') {
         return new Promise((resolve, reject) => {
-            this.socket.emit('lobby:addTestPlayer', (response) => {
+            this.socket.emit('lobby:addTestPlayer', { difficulty }, (response) => {
                 if (response.success) {
                     resolve(response);
                 } else {
@@ -332,9 +502,24 @@ class SocketClient {
     }
 
     // Rearrange table
-    rearrangeTable(proposedMelds, cardsFromHand) {
+    // Only card IDs are sent - the server resolves them against its own cards
+    rearrangeTable(proposedMelds) {
+        const melds = proposedMelds.map(m => ({ id: m.id, cards: m.cards.map(c => c.id) }));
         return new Promise((resolve, reject) => {
-            this.socket.emit('game:rearrange', { proposedMelds, cardsFromHand }, (response) => {
+            this.socket.emit('game:rearrange', { proposedMelds: melds }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Undo the last play this turn
+    undo() {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('game:undo', (response) => {
                 if (response.success) {
                     resolve(response);
                 } else {
@@ -357,6 +542,32 @@ class SocketClient {
         });
     }
 
+    // Knock with the selected discard (classic gin)
+    knock(cardId) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('game:knock', { cardId }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Declare big gin (classic gin)
+    declareBigGin() {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('game:bigGin', (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
     // End turn (going out)
     endTurn() {
         return new Promise((resolve, reject) => {
@@ -370,6 +581,19 @@ class SocketClient {
         });
     }
 
+    // Action log of the finished game
+    getActionLog() {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('game:log', (response) => {
+                if (response.success) {
+                    resolve(response.log);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
     // Play again - reset lobby for new game
     playAgain() {
         return new Promise((resolve, reject) => {
@@ -401,6 +625,169 @@ class SocketClient {
         });
     }
 
+    // Create an account and sign in
+    register(username, password) {
+        return this.signIn('account:register', username, password);
+    }
+
+    // Sign in to an existing account
+    login(username, password) {
+        return this.signIn('account:login', username, password);
+    }
+
+    // Shared by register and login: keep the session token for next time
+    signIn(event, username, password) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit(event, { username, password }, (response) => {
+                if (response.success) {
+                    this.account = { username: response.username, token: response.token };
+                    localStorage.setItem('ginrummy_account', JSON.stringify(this.account));
+                    this.emit('accountChanged', this.account);
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Sign this socket back in with the saved token
+    resumeAccount() {
+        this.socket.emit('account:resume', { token: this.account.token }, (response) => {
+            if (!response.success) {
+                console.log('Could not resume account:', response.error);
+                this.clearAccount();
+            }
+        });
+    }
+
+    // Sign out on this device
+    logout() {
+        return new Promise((resolve) => {
+            this.socket.emit('account:logout', { token: this.account?.token }, (response) => {
+                this.clearAccount();
+                resolve(response);
+            });
+        });
+    }
+
+    // Stats and recent games for a player
+    getProfile(username) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('account:profile', { username }, (response) => {
+                if (response.success) {
+                    resolve(response.profile);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Top rated players
+    getLeaderboard() {
+        return new Promise((resolve) => {
+            this.socket.emit('account:leaderboard', (response) => {
+                resolve(response.players);
+            });
+        });
+    }
+
+    // Organize a tournament; the organizer follows it straight away
+    createTournament(options) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('tournament:create', options, (response) => {
+                if (response.success) {
+                    resolve(response.tournament);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Draw the rounds and open the first matches (organizer only)
+    startTournament(id) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('tournament:start', { id }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Decide a match without playing it (organizer only)
+    awardTournamentMatch(id, matchId, winner) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('tournament:award', { id, matchId, winner }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Get a tournament and keep receiving tournament:updated until unwatchTournament
+    watchTournament(id) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('tournament:watch', { id }, (response) => {
+                if (response.success) {
+                    resolve(response.tournament);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Stop receiving a tournament's updates
+    unwatchTournament(id) {
+        this.socket.emit('tournament:unwatch', { id });
+    }
+
+    // Tournaments, newest first
+    getTournaments() {
+        return new Promise((resolve) => {
+            this.socket.emit('tournament:list', (response) => {
+                resolve(response.tournaments);
+            });
+        });
+    }
+
+    // Lobby code and seat name for the signed-in player's current match
+    findTournamentMatch(id) {
+        return new Promise((resolve, reject) => {
+            this.socket.emit('tournament:findMatch', { id }, (response) => {
+                if (response.success) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error));
+                }
+            });
+        });
+    }
+
+    // Load the saved account token
+    loadAccount() {
+        try {
+            this.account = JSON.parse(localStorage.getItem('ginrummy_account'));
+        } catch (e) {
+            this.account = null;
+        }
+    }
+
+    // Forget the account on this device
+    clearAccount() {
+        localStorage.removeItem('ginrummy_account');
+        this.account = null;
+        this.emit('accountChanged', null);
+    }
+
     // Save session for reconnection
     saveSession() {
         if (this.playerId && this.lobbyCode) {
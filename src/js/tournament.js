@@ -0,0 +1,338 @@
+// Tournament UI handling
+// The tournaments screen (follow by id, organize a new one, recent tournaments) and the
+// live tournament view with standings, rounds and the button to play your next match
+
+import { socketClient } from './socket.js';
+import { showToast } from './main.js';
+import { showScreen, handleJoinLobby, handleSpectateLobby } from './lobby.js';
+
+const FORMAT_LABELS = { roundRobin: 'Round robin', elimination: 'Elimination' };
+const STATUS_LABELS = { pending: 'Not started', running: 'In progress', finished: 'Finished' };
+
+// DOM Elements
+let elements = {};
+
+// Organizer form state
+let format = 'roundRobin';
+let rulesMode = 'rummy';
+let matchMode = false;
+let rated = false;
+
+// Tournament on screen
+let current = null;
+
+// Initialize tournament module
+export function initTournament() {
+    cacheElements();
+    setupEventListeners();
+}
+
+// Cache DOM elements
+function cacheElements() {
+    elements = {
+        openBtn: document.getElementById('open-tournaments-btn'),
+
+        // Tournaments screen
+        listBackBtn: document.getElementById('tournaments-back-btn'),
+        idInput: document.getElementById('tournament-id-input'),
+        followBtn: document.getElementById('tournament-follow-btn'),
+        form: document.getElementById('tournament-form'),
+        name: document.getElementById('tournament-name'),
+        formatRoundRobinBtn: document.getElementById('tournament-round-robin-btn'),
+        formatEliminationBtn: document.getElementById('tournament-elimination-btn'),
+        rulesRummyBtn: document.getElementById('tournament-rummy-btn'),
+        rulesGinBtn: document.getElementById('tournament-gin-btn'),
+        singleGameBtn: document.getElementById('tournament-single-btn'),
+        matchBtn: document.getElementById('tournament-match-btn'),
+        casualBtn: document.getElementById('tournament-casual-btn'),
+        ratedBtn: document.getElementById('tournament-rated-btn'),
+        players: document.getElementById('tournament-players'),
+        list: document.getElementById('tournament-list'),
+
+        // Tournament screen
+        backBtn: document.getElementById('tournament-back-btn'),
+        title: document.getElementById('tournament-title'),
+        summary: document.getElementById('tournament-summary'),
+        startBtn: document.getElementById('tournament-start-btn'),
+        playBtn: document.getElementById('tournament-play-btn'),
+        standings: document.getElementById('tournament-standings'),
+        rounds: document.getElementById('tournament-rounds')
+    };
+}
+
+// Setup event listeners
+function setupEventListeners() {
+    elements.openBtn.addEventListener('click', showTournaments);
+    elements.listBackBtn.addEventListener('click', () => showScreen('home-screen'));
+    elements.followBtn.addEventListener('click', () => openTournament(elements.idInput.value.trim()));
+    elements.idInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') openTournament(elements.idInput.value.trim());
+    });
+
+    elements.formatRoundRobinBtn.addEventListener('click', () => setFormOption(() => { format = 'roundRobin'; }));
+    elements.formatEliminationBtn.addEventListener('click', () => setFormOption(() => { format = 'elimination'; }));
+    elements.rulesRummyBtn.addEventListener('click', () => setFormOption(() => { rulesMode = 'rummy'; }));
+    elements.rulesGinBtn.addEventListener('click', () => setFormOption(() => { rulesMode = 'classicGin'; }));
+    elements.singleGameBtn.addEventListener('click', () => setFormOption(() => { matchMode = false; }));
+    elements.matchBtn.addEventListener('click', () => setFormOption(() => { matchMode = true; }));
+    elements.casualBtn.addEventListener('click', () => setFormOption(() => { rated = false; }));
+    elements.ratedBtn.addEventListener('click', () => setFormOption(() => { rated = true; }));
+    elements.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleCreateTournament();
+    });
+
+    elements.backBtn.addEventListener('click', closeTournament);
+    elements.startBtn.addEventListener('click', handleStartTournament);
+    elements.playBtn.addEventListener('click', handlePlayMatch);
+
+    // Socket events
+    socketClient.on('tournament:updated', (tournament) => {
+        if (tournament.id === current?.id) renderTournament(tournament);
+    });
+
+    // Follow the tournament again after a reconnect (rooms don't survive it)
+    socketClient.on('connected', () => {
+        if (!current) return;
+        socketClient.watchTournament(current.id)
+            .then(renderTournament)
+            .catch(() => {});
+    });
+}
+
+// Change an organizer form toggle and sync the buttons
+function setFormOption(change) {
+    change();
+    elements.formatRoundRobinBtn.classList.toggle('active', format === 'roundRobin');
+    elements.formatEliminationBtn.classList.toggle('active', format === 'elimination');
+    elements.rulesRummyBtn.classList.toggle('active', rulesMode === 'rummy');
+    elements.rulesGinBtn.classList.toggle('active', rulesMode === 'classicGin');
+    elements.singleGameBtn.classList.toggle('active', !matchMode);
+    elements.matchBtn.classList.toggle('active', matchMode);
+    elements.casualBtn.classList.toggle('active', !rated);
+    elements.ratedBtn.classList.toggle('active', rated);
+}
+
+// Open the tournaments screen with the most recent tournaments
+async function showTournaments() {
+    const tournaments = await socketClient.getTournaments();
+    renderTournamentList(tournaments);
+    showScreen('tournaments-screen');
+}
+
+// Tournament names and organizers come from players, so they are set as text
+function renderTournamentList(tournaments) {
+    elements.list.innerHTML = '';
+    if (tournaments.length === 0) {
+        elements.list.innerHTML = '<p class="profile-empty">No tournaments yet</p>';
+        return;
+    }
+
+    tournaments.forEach(tournament => {
+        const row = document.createElement('button');
+        row.type = 'button';
+        row.className = 'public-lobby tournament-row';
+        row.addEventListener('click', () => openTournament(tournament.id));
+
+        const info = document.createElement('div');
+        info.className = 'public-lobby-info';
+        const name = document.createElement('span');
+        name.className = 'public-lobby-host';
+        name.textContent = tournament.name;
+        const details = document.createElement('span');
+        details.className = 'public-lobby-details';
+        details.textContent = `${FORMAT_LABELS[tournament.format]} · ${tournament.playerCount} players · by ${tournament.organizer}`;
+        info.append(name, details);
+
+        const status = document.createElement('span');
+        status.className = 'public-lobby-status';
+        status.textContent = tournament.champion ? `🏆 ${tournament.champion}` : STATUS_LABELS[tournament.status];
+
+        row.append(info, status);
+        elements.list.appendChild(row);
+    });
+}
+
+// Create a tournament from the organizer form and follow it
+async function handleCreateTournament() {
+    const players = elements.players.value.split(/[\s,]+/).filter(Boolean);
+    const settings = { rulesMode, matchMode, rated };
+    if (matchMode) settings.targetScore = 100;
+
+    try {
+        const tournament = await socketClient.createTournament({
+            name: elements.name.value,
+            format,
+            players,
+            settings
+        });
+        elements.name.value = '';
+        elements.players.value = '';
+        showToast(`Tournament ${tournament.id} created`, 'success');
+        current = tournament;
+        renderTournament(tournament);
+        showScreen('tournament-screen');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Follow a tournament live
+export async function openTournament(id) {
+    if (!id) {
+        showToast('Enter a tournament ID', 'warning');
+        return;
+    }
+
+    try {
+        const tournament = await socketClient.watchTournament(id);
+        current = tournament;
+        renderTournament(tournament);
+        showScreen('tournament-screen');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function closeTournament() {
+    if (current) socketClient.unwatchTournament(current.id);
+    current = null;
+    showTournaments();
+}
+
+async function handleStartTournament() {
+    try {
+        await socketClient.startTournament(current.id);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Take your seat in your current match
+async function handlePlayMatch() {
+    try {
+        const { lobbyCode, playerName } = await socketClient.findTournamentMatch(current.id);
+        handleJoinLobby(lobbyCode, playerName);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function handleAwardMatch(match, winner) {
+    if (!confirm(`Award match ${match.id} to ${winner} without playing it?`)) return;
+
+    try {
+        await socketClient.awardTournamentMatch(current.id, match.id, winner);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Render the header, standings and rounds
+function renderTournament(tournament) {
+    current = tournament;
+    const me = socketClient.account?.username;
+    const isOrganizer = me === tournament.organizer;
+    const round = tournament.rounds[tournament.currentRound - 1];
+    const myMatch = round?.matches.find(m => m.status === 'ready' && m.players.includes(me));
+
+    elements.title.textContent = tournament.name;
+    elements.summary.textContent = [
+        FORMAT_LABELS[tournament.format],
+        `${tournament.players.length} players`,
+        tournament.status === 'running' ? `Round ${tournament.currentRound}` : STATUS_LABELS[tournament.status],
+        `ID ${tournament.id}`,
+        `organized by ${tournament.organizer}`
+    ].join(' · ');
+
+    elements.startBtn.classList.toggle('hidden', !isOrganizer || tournament.status !== 'pending');
+    elements.playBtn.classList.toggle('hidden', !myMatch);
+
+    renderStandings(tournament);
+    renderRounds(tournament, isOrganizer);
+}
+
+function renderStandings(tournament) {
+    elements.standings.innerHTML = '';
+    tournament.standings.forEach(row => {
+        const el = document.createElement('div');
+        el.className = `score-row ${row.username === tournament.champion ? 'winner' : ''}`;
+
+        const name = document.createElement('span');
+        name.className = 'score-name';
+        name.textContent = `${row.rank}. ${row.username}${row.username === tournament.champion ? ' 🏆' : ''}`;
+
+        const details = document.createElement('span');
+        details.className = 'score-points';
+        details.textContent = tournament.format === 'roundRobin'
+            ? `${row.wins}-${row.losses} · ${row.points} pts`
+            : row.out ? `Out in round ${row.reached}` : `${row.wins} wins`;
+
+        el.append(name, details);
+        elements.standings.appendChild(el);
+    });
+}
+
+function renderRounds(tournament, isOrganizer) {
+    elements.rounds.innerHTML = '';
+    if (tournament.rounds.length === 0) {
+        elements.rounds.innerHTML = '<p class="profile-empty">The rounds are drawn when the organizer starts the tournament</p>';
+        return;
+    }
+
+    tournament.rounds.forEach(round => {
+        const heading = document.createElement('h4');
+        heading.className = 'tournament-round-title';
+        heading.textContent = `Round ${round.number}`;
+        elements.rounds.appendChild(heading);
+
+        round.matches.forEach(match => {
+            elements.rounds.appendChild(createMatchRow(match, isOrganizer));
+        });
+    });
+}
+
+// One pairing: who plays, how it went, and a way in while it is being played
+function createMatchRow(match, isOrganizer) {
+    const row = document.createElement('div');
+    row.className = 'score-row tournament-match';
+
+    const players = document.createElement('span');
+    players.className = 'score-name';
+    players.textContent = match.players.filter(Boolean).join(' vs ');
+
+    const status = document.createElement('span');
+    status.className = 'score-points';
+    if (match.status === 'finished') {
+        status.textContent = `${match.winner} won`;
+    } else if (match.status === 'bye') {
+        status.textContent = 'Bye';
+    } else if (match.status === 'ready') {
+        status.textContent = `Lobby ${match.lobbyCode}`;
+    } else {
+        status.textContent = 'Scheduled';
+    }
+    row.append(players, status);
+
+    if (match.status === 'ready') {
+        const actions = document.createElement('div');
+        actions.className = 'player-actions';
+        actions.appendChild(createMatchButton('👀', `Watch ${match.id}`, () => handleSpectateLobby(match.lobbyCode)));
+        if (isOrganizer) {
+            match.players.forEach(player => {
+                actions.appendChild(createMatchButton(`✓ ${player}`, `Award the match to ${player}`, () => handleAwardMatch(match, player), 'award'));
+            });
+        }
+        row.appendChild(actions);
+    }
+    return row;
+}
+
+function createMatchButton(label, title, onClick, className = '') {
+    const btn = document.createElement('button');
+    btn.className = `player-action-btn ${className}`;
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
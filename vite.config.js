@@ -15,6 +15,7 @@ export default defineConfig({
         rollupOptions: {
             input: {
                 main: path.resolve(__dirname, 'index.html'),
+                admin: path.resolve(__dirname, 'admin.html'),
             },
         },
     },
@@ -25,6 +26,7 @@ export default defineConfig({
         strictPort: true,
         // Proxy API requests to the backend server in development
         proxy: {
+            '/api': 'http://localhost:3000',
             '/socket.io': {
                 target: 'http://localhost:3000',
                 ws: true,